@@ -6,6 +6,8 @@ import Auth from './components/Auth';
 import Dashboard from './components/Dashboard';
 import ProblemForm from './components/ProblemForm';
 import SolutionDisplay from './components/SolutionDisplay';
+import BulkImport from './components/BulkImport';
+import BatchProgress from './components/BatchProgress';
 import AdminDashboard from './components/AdminDashboard';
 
 // Protected Route Component
@@ -99,6 +101,22 @@ function AppContent() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/import"
+            element={
+              <ProtectedRoute>
+                <BulkImport />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/imports/:id"
+            element={
+              <ProtectedRoute>
+                <BatchProgress />
+              </ProtectedRoute>
+            }
+          />
 
           {/* Admin Routes */}
           <Route
@@ -6,6 +6,11 @@ import {
   Shield, Search, Edit, Trash2, CheckCircle, 
   XCircle, BarChart3 
 } from 'lucide-react';
+import PromptTemplateManager from './PromptTemplateManager';
+import SpendReport from './SpendReport';
+import EvalManager from './EvalManager';
+import FeedbackAnalytics from './FeedbackAnalytics';
+import CodePolicyManager from './CodePolicyManager';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
@@ -107,6 +112,42 @@ const AdminDashboard = () => {
     }
   };
 
+  const handleSetSpendCap = async (user) => {
+    const value = prompt(
+      `Monthly spend cap in USD for ${user.username} (empty for none)`,
+      user.subscription?.monthlySpendCap ?? ''
+    );
+    if (value === null) return;
+
+    try {
+      await axios.put(`${API_URL}/admin/users/${user._id}`, {
+        subscription: { monthlySpendCap: value.trim() === '' ? null : Number(value) }
+      });
+      fetchUsers();
+    } catch (error) {
+      console.error('Set spend cap error:', error);
+      alert('Failed to update spend cap');
+    }
+  };
+
+  const handleSetExecutionLimit = async (user) => {
+    const value = prompt(
+      `Monthly playground runs for ${user.username}`,
+      user.subscription?.executionLimit ?? 200
+    );
+    if (value === null || !(Number(value) > 0)) return;
+
+    try {
+      await axios.put(`${API_URL}/admin/users/${user._id}`, {
+        subscription: { executionLimit: Number(value) }
+      });
+      fetchUsers();
+    } catch (error) {
+      console.error('Set execution limit error:', error);
+      alert('Failed to update execution limit');
+    }
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -172,6 +213,12 @@ const AdminDashboard = () => {
                   <p className="text-xs text-gray-600 mt-1">
                     Avg: {Math.round(stats.apiUsage.avgMonthlyQueries)} /month
                   </p>
+                  {stats.spend && (
+                    <p className="text-xs text-gray-600">
+                      Spend: ${stats.spend.thisMonth.toFixed(2)}
+                      {stats.spend.cap !== null && ` / $${stats.spend.cap}`} this month
+                    </p>
+                  )}
                 </div>
                 <div className="bg-purple-100 p-3 rounded-lg">
                   <Activity className="h-8 w-8 text-purple-600" />
@@ -248,6 +295,56 @@ const AdminDashboard = () => {
               >
                 Problems
               </button>
+              <button
+                onClick={() => setActiveTab('prompts')}
+                className={`px-6 py-4 text-sm font-medium border-b-2 transition ${
+                  activeTab === 'prompts'
+                    ? 'border-purple-600 text-purple-600'
+                    : 'border-transparent text-gray-600 hover:text-gray-900 hover:border-gray-300'
+                }`}
+              >
+                Prompts
+              </button>
+              <button
+                onClick={() => setActiveTab('spend')}
+                className={`px-6 py-4 text-sm font-medium border-b-2 transition ${
+                  activeTab === 'spend'
+                    ? 'border-purple-600 text-purple-600'
+                    : 'border-transparent text-gray-600 hover:text-gray-900 hover:border-gray-300'
+                }`}
+              >
+                Spend
+              </button>
+              <button
+                onClick={() => setActiveTab('evals')}
+                className={`px-6 py-4 text-sm font-medium border-b-2 transition ${
+                  activeTab === 'evals'
+                    ? 'border-purple-600 text-purple-600'
+                    : 'border-transparent text-gray-600 hover:text-gray-900 hover:border-gray-300'
+                }`}
+              >
+                Evaluations
+              </button>
+              <button
+                onClick={() => setActiveTab('feedback')}
+                className={`px-6 py-4 text-sm font-medium border-b-2 transition ${
+                  activeTab === 'feedback'
+                    ? 'border-purple-600 text-purple-600'
+                    : 'border-transparent text-gray-600 hover:text-gray-900 hover:border-gray-300'
+                }`}
+              >
+                Feedback
+              </button>
+              <button
+                onClick={() => setActiveTab('policies')}
+                className={`px-6 py-4 text-sm font-medium border-b-2 transition ${
+                  activeTab === 'policies'
+                    ? 'border-purple-600 text-purple-600'
+                    : 'border-transparent text-gray-600 hover:text-gray-900 hover:border-gray-300'
+                }`}
+              >
+                Code Policy
+              </button>
             </nav>
           </div>
 
@@ -288,6 +385,138 @@ const AdminDashboard = () => {
                   </div>
                 </div>
 
+                {stats.providers && (
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-900 mb-4">AI Provider Health</h3>
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                          <tr>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Provider</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Calls</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Failures</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Skipped</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Failure Rate</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Avg Latency</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Circuit</th>
+                          </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                          {stats.providers.circuitBreakers.map((breaker) => {
+                            const usage = stats.providers.attempts.find((a) => a.provider === breaker.provider);
+                            return (
+                              <tr key={breaker.provider}>
+                                <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-900">{breaker.label}</td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm">{usage?.attempts || 0}</td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm">{usage?.failures || 0}</td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm">{usage?.skipped || 0}</td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                  {((usage?.failureRate || 0) * 100).toFixed(1)}%
+                                </td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                  {usage ? `${(usage.avgDuration / 1000).toFixed(2)}s` : 'N/A'}
+                                </td>
+                                <td className="px-6 py-4 whitespace-nowrap">
+                                  <span className={`px-2 py-1 text-xs font-medium rounded-full ${
+                                    breaker.state === 'closed'
+                                      ? 'bg-green-100 text-green-800'
+                                      : breaker.state === 'open'
+                                      ? 'bg-red-100 text-red-800'
+                                      : 'bg-yellow-100 text-yellow-800'
+                                  }`}>
+                                    {breaker.state}
+                                  </span>
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
+
+                {stats.jobs && (
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-900 mb-4">
+                      Generation Queue
+                      <span className="ml-2 text-sm font-normal text-gray-500">
+                        ({stats.jobs.concurrency} workers per server)
+                      </span>
+                    </h3>
+                    <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                      {['queued', 'running', 'completed', 'failed', 'cancelled'].map((jobStatus) => (
+                        <div key={jobStatus} className="p-4 bg-gray-50 rounded-lg text-center">
+                          <p className="text-2xl font-bold text-gray-900">{stats.jobs[jobStatus]}</p>
+                          <p className="text-sm text-gray-600 capitalize">{jobStatus}</p>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {stats.cache && stats.cache.lookups > 0 && (
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-900 mb-4">Solution Cache</h3>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                      <div className="p-4 bg-gray-50 rounded-lg text-center">
+                        <p className="text-2xl font-bold text-gray-900">
+                          {(stats.cache.hitRate * 100).toFixed(1)}%
+                        </p>
+                        <p className="text-sm text-gray-600">Hit rate</p>
+                      </div>
+                      <div className="p-4 bg-gray-50 rounded-lg text-center">
+                        <p className="text-2xl font-bold text-gray-900">{stats.cache.hits}</p>
+                        <p className="text-sm text-gray-600">Hits ({stats.cache.exactHits} exact)</p>
+                      </div>
+                      <div className="p-4 bg-gray-50 rounded-lg text-center">
+                        <p className="text-2xl font-bold text-gray-900">
+                          {stats.cache.misses + stats.cache.declined}
+                        </p>
+                        <p className="text-sm text-gray-600">Misses ({stats.cache.declined} declined)</p>
+                      </div>
+                      <div className="p-4 bg-gray-50 rounded-lg text-center">
+                        <p className="text-2xl font-bold text-gray-900">${stats.cache.savedCost.toFixed(2)}</p>
+                        <p className="text-sm text-gray-600">Saved</p>
+                      </div>
+                    </div>
+                  </div>
+                )}
+
+                {stats.comparisons && stats.comparisons.length > 0 && (
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-900 mb-4">Model Comparison Votes</h3>
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                          <tr>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Model</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Comparisons</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Voted</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Wins</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Win Rate</th>
+                          </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                          {stats.comparisons.map((row) => (
+                            <tr key={`${row.aiModel}-${row.category}`}>
+                              <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-900">{row.aiModel}</td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm">{row.category}</td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm">{row.comparisons}</td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm">{row.voted}</td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm">{row.wins}</td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                {(row.winRate * 100).toFixed(1)}%
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
+
                 <div>
                   <h3 className="text-lg font-semibold text-gray-900 mb-4">Subscription Distribution</h3>
                   <div className="grid grid-cols-3 gap-4">
@@ -356,6 +585,22 @@ const AdminDashboard = () => {
                             <div className="text-sm text-gray-900">
                               {user.apiUsage?.monthlyQueries || 0} / {user.subscription?.queryLimit || 50}
                             </div>
+                            <button
+                              onClick={() => handleSetSpendCap(user)}
+                              className="text-xs text-purple-600 hover:text-purple-800"
+                            >
+                              ${(user.apiUsage?.monthlySpend || 0).toFixed(2)} / {
+                                user.subscription?.monthlySpendCap != null
+                                  ? `$${user.subscription.monthlySpendCap}`
+                                  : 'no cap'
+                              }
+                            </button>
+                            <button
+                              onClick={() => handleSetExecutionLimit(user)}
+                              className="block text-xs text-purple-600 hover:text-purple-800"
+                            >
+                              {user.apiUsage?.monthlyExecutions || 0} / {user.subscription?.executionLimit || 200} runs
+                            </button>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
                             <button
@@ -428,6 +673,21 @@ const AdminDashboard = () => {
                 </div>
               </div>
             )}
+
+            {/* Prompts Tab */}
+            {activeTab === 'prompts' && <PromptTemplateManager />}
+
+            {/* Spend Tab */}
+            {activeTab === 'spend' && <SpendReport />}
+
+            {/* Evaluations Tab */}
+            {activeTab === 'evals' && <EvalManager />}
+
+            {/* Feedback Tab */}
+            {activeTab === 'feedback' && <FeedbackAnalytics />}
+
+            {/* Code Policy Tab */}
+            {activeTab === 'policies' && <CodePolicyManager />}
           </div>
         </div>
       </div>
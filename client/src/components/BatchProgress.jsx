@@ -0,0 +1,189 @@
+// client/src/components/BatchProgress.jsx
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import axios from 'axios';
+import { ArrowLeft, Layers, CheckCircle, XCircle, Clock, Ban, Loader } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+// How often the progress is refreshed while problems are still queued or running, and the
+// longest wait between retries after failed refreshes, which back off exponentially
+const POLL_INTERVAL = 3000;
+const MAX_RETRY_DELAY = 60000;
+
+const STATUS_STYLES = {
+  solved: { icon: CheckCircle, className: 'text-green-600', bar: 'bg-green-500' },
+  failed: { icon: XCircle, className: 'text-red-600', bar: 'bg-red-500' },
+  cancelled: { icon: Ban, className: 'text-gray-500', bar: 'bg-gray-400' },
+  processing: { icon: Loader, className: 'text-yellow-600 animate-spin', bar: 'bg-yellow-400' },
+  pending: { icon: Clock, className: 'text-gray-400', bar: 'bg-gray-200' }
+};
+
+const BatchProgress = () => {
+  const { id } = useParams();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [refreshError, setRefreshError] = useState('');
+  const [failures, setFailures] = useState(0);
+
+  const inProgress = data ? data.progress.pending + data.progress.processing : 0;
+
+  useEffect(() => {
+    const fetchBatch = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/imports/${id}`);
+        setData(response.data.data);
+      } catch (err) {
+        console.error('Fetch import error:', err);
+        setError(err.response?.data?.message || 'Failed to load import');
+      }
+    };
+
+    fetchBatch();
+  }, [id]);
+
+  // Keep refreshing until every problem is settled, retrying with backoff when a refresh fails
+  useEffect(() => {
+    if (!data || inProgress === 0) return;
+
+    const delay = Math.min(POLL_INTERVAL * 2 ** failures, MAX_RETRY_DELAY);
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(`${API_URL}/imports/${id}`);
+        setData(response.data.data);
+        setFailures(0);
+        setRefreshError('');
+      } catch (err) {
+        console.error('Refresh import error:', err);
+        const message = typeof err.response?.data === 'string' ? err.response.data : err.response?.data?.message;
+        setRefreshError(message || 'Failed to refresh progress');
+        setFailures((count) => count + 1);
+      }
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [id, data, inProgress, failures]);
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <p className="text-xl text-gray-600 mb-4">{error}</p>
+          <Link to="/import" className="text-blue-600 hover:text-blue-700">
+            Go back to bulk import
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (!data) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const { batch, progress, problems } = data;
+  const rejected = batch.report.filter((entry) => entry.issues.length > 0);
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-4xl mx-auto">
+        <Link
+          to="/import"
+          className="flex items-center space-x-2 text-gray-600 hover:text-gray-900 mb-6 transition"
+        >
+          <ArrowLeft className="h-5 w-5" />
+          <span>Back to Bulk Import</span>
+        </Link>
+
+        {/* Progress */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <div className="flex items-center justify-between mb-4">
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center space-x-2">
+              <Layers className="h-6 w-6 text-blue-600" />
+              <span>{batch.name}</span>
+            </h1>
+            <span className="text-sm text-gray-500">{new Date(batch.createdAt).toLocaleString()}</span>
+          </div>
+
+          <div className="flex h-3 rounded-full overflow-hidden bg-gray-100 mb-4">
+            {['solved', 'failed', 'cancelled', 'processing'].map((status) => progress[status] > 0 && (
+              <div
+                key={status}
+                className={STATUS_STYLES[status].bar}
+                style={{ width: `${(progress[status] / batch.imported) * 100}%` }}
+              />
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            {['solved', 'failed', 'cancelled', 'processing', 'pending'].map((status) => (
+              <div key={status} className="p-4 bg-gray-50 rounded-lg text-center">
+                <p className="text-2xl font-bold text-gray-900">{progress[status]}</p>
+                <p className="text-sm text-gray-600 capitalize">{status === 'pending' ? 'queued' : status}</p>
+              </div>
+            ))}
+          </div>
+
+          <p className="mt-4 text-sm text-gray-600">
+            {batch.imported} of {batch.total} item(s) imported
+            {inProgress > 0 ? `, ${inProgress} still being generated` : ', all done'}
+          </p>
+
+          {refreshError && inProgress > 0 && (
+            <p className="mt-2 text-sm text-red-600">
+              {refreshError.replace(/\.$/, '')}. Retrying in {Math.round(Math.min(POLL_INTERVAL * 2 ** failures, MAX_RETRY_DELAY) / 1000)}s.
+            </p>
+          )}
+        </div>
+
+        {/* Problems */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-xl font-bold text-gray-900 mb-4">Problems</h2>
+          <div className="divide-y divide-gray-100">
+            {problems.map((problem) => {
+              const { icon: Icon, className } = STATUS_STYLES[problem.status] || STATUS_STYLES.pending;
+              return (
+                <Link
+                  key={problem._id}
+                  to={`/problem/${problem._id}`}
+                  className="flex items-center justify-between py-3 hover:bg-gray-50 transition"
+                >
+                  <div className="flex items-center space-x-3">
+                    <Icon className={`h-5 w-5 ${className}`} />
+                    <span className="text-gray-900">{problem.title}</span>
+                  </div>
+                  <span className="text-xs text-gray-500 capitalize">
+                    {problem.category} · {problem.difficulty}
+                  </span>
+                </Link>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Rejected Rows */}
+        {rejected.length > 0 && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-6">
+            <h2 className="text-lg font-semibold text-red-900 mb-3">
+              {rejected.length} item(s) were not imported
+            </h2>
+            <ul className="space-y-2 text-sm text-red-800">
+              {rejected.map((entry) => (
+                <li key={entry.row}>
+                  <span className="font-medium">Row {entry.row} ({entry.source})</span>
+                  {entry.title && ` "${entry.title}"`}: {entry.issues.join('; ')}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BatchProgress;
@@ -0,0 +1,356 @@
+// client/src/components/Benchmark.jsx
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Gauge, Play, Loader, CheckCircle, XCircle } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+// How often a queued or running benchmark is polled, in milliseconds
+const POLL_INTERVAL = 2000;
+
+const VERSIONS = [
+  { key: 'snippet', label: 'Solution', color: '#2563eb' },
+  { key: 'optimized', label: 'Optimized version', color: '#16a34a' }
+];
+
+const METRICS = {
+  time: { label: 'Time', unit: 's', format: (value) => value.toFixed(3) },
+  memory: { label: 'Memory', unit: 'KB', format: (value) => Math.round(value).toString() }
+};
+
+const CHART = { width: 640, height: 260, left: 64, right: 16, top: 16, bottom: 40 };
+
+// Time or memory against input size, sizes on a log scale
+const GrowthChart = ({ points, metric }) => {
+  const { format, unit } = METRICS[metric];
+  const series = VERSIONS.map((version) => ({
+    ...version,
+    values: points
+      .filter((point) => point[version.key]?.status === 'Accepted')
+      .map((point) => ({ size: point.size, value: point[version.key][metric] }))
+  })).filter((version) => version.values.length > 0);
+
+  if (series.length === 0) {
+    return <p className="text-sm text-gray-500">No version ran cleanly at any size.</p>;
+  }
+
+  const sizes = points.map((point) => Math.log10(point.size));
+  const minX = Math.min(...sizes);
+  const spanX = Math.max(...sizes) - minX || 1;
+  const maxY = Math.max(...series.flatMap((version) => version.values.map((item) => item.value))) * 1.1 || 1;
+
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+  const plotHeight = CHART.height - CHART.top - CHART.bottom;
+  const x = (size) => CHART.left + ((Math.log10(size) - minX) / spanX) * plotWidth;
+  const y = (value) => CHART.top + plotHeight - (value / maxY) * plotHeight;
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} className="w-full h-auto">
+        {[0, 0.25, 0.5, 0.75, 1].map((fraction) => (
+          <g key={fraction}>
+            <line
+              x1={CHART.left} x2={CHART.width - CHART.right}
+              y1={y(maxY * fraction)} y2={y(maxY * fraction)}
+              stroke="#e5e7eb"
+            />
+            <text x={CHART.left - 6} y={y(maxY * fraction) + 4} textAnchor="end" fontSize="11" fill="#6b7280">
+              {format(maxY * fraction)}
+            </text>
+          </g>
+        ))}
+        {points.map((point) => (
+          <text key={point.size} x={x(point.size)} y={CHART.height - CHART.bottom + 16} textAnchor="middle" fontSize="11" fill="#6b7280">
+            {point.size.toLocaleString()}
+          </text>
+        ))}
+        <text x={CHART.left + plotWidth / 2} y={CHART.height - 4} textAnchor="middle" fontSize="11" fill="#374151">
+          Input size (n)
+        </text>
+        <text x={12} y={CHART.top + plotHeight / 2} textAnchor="middle" fontSize="11" fill="#374151"
+          transform={`rotate(-90 12 ${CHART.top + plotHeight / 2})`}>
+          {METRICS[metric].label} ({unit})
+        </text>
+
+        {series.map((version) => (
+          <g key={version.key}>
+            <polyline
+              fill="none"
+              stroke={version.color}
+              strokeWidth="2"
+              points={version.values.map((item) => `${x(item.size)},${y(item.value)}`).join(' ')}
+            />
+            {version.values.map((item) => (
+              <circle key={item.size} cx={x(item.size)} cy={y(item.value)} r="3.5" fill={version.color}>
+                <title>{`${version.label}, n = ${item.size}: ${format(item.value)} ${unit}`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+      <div className="flex items-center justify-center space-x-6 text-sm">
+        {series.map((version) => (
+          <span key={version.key} className="flex items-center space-x-2">
+            <span className="inline-block h-3 w-3 rounded-full" style={{ backgroundColor: version.color }} />
+            <span className="text-gray-700">{version.label}</span>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// The measured growth class next to the claimed one
+const Estimate = ({ estimate, claimed }) => {
+  if (!estimate) return <span className="text-gray-500">Needs 3 clean sizes</span>;
+
+  return (
+    <span className="flex items-center space-x-2">
+      <span className="font-mono text-gray-900">{estimate.notation}</span>
+      {estimate.fit !== null && estimate.fit !== undefined && (
+        <span className="text-xs text-gray-500">R² {estimate.fit.toFixed(2)}</span>
+      )}
+      {claimed && estimate.matchesClaim === true && (
+        <span title={`Matches the claimed ${claimed}`}><CheckCircle className="h-4 w-4 text-green-600" /></span>
+      )}
+      {claimed && estimate.matchesClaim === false && (
+        <span title={`Claimed ${claimed}`}><XCircle className="h-4 w-4 text-red-600" /></span>
+      )}
+    </span>
+  );
+};
+
+const Benchmark = ({ problemId, solution }) => {
+  const [benchmark, setBenchmark] = useState(solution.benchmark?.status ? solution.benchmark : null);
+  const [sizes, setSizes] = useState('');
+  const [generator, setGenerator] = useState('');
+  const [ownGenerator, setOwnGenerator] = useState(false);
+  const [metric, setMetric] = useState('time');
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState('');
+
+  const active = benchmark && ['queued', 'running'].includes(benchmark.status);
+
+  useEffect(() => {
+    if (!active) return undefined;
+
+    const timer = setInterval(async () => {
+      try {
+        const response = await axios.get(`${API_URL}/problems/${problemId}/solutions/${solution._id}/benchmark`);
+        setBenchmark(response.data.data.benchmark);
+      } catch (error) {
+        console.error('Fetch benchmark error:', error);
+      }
+    }, POLL_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [active, problemId, solution._id]);
+
+  const handleStart = async () => {
+    setStarting(true);
+    setError('');
+
+    try {
+      const payload = {};
+      if (sizes.trim()) {
+        payload.sizes = sizes.split(',').map((size) => Number(size.trim())).filter(Boolean);
+      }
+      if (ownGenerator && generator.trim()) {
+        payload.generator = generator;
+      }
+
+      const response = await axios.post(`${API_URL}/problems/${problemId}/solutions/${solution._id}/benchmark`, payload);
+      setBenchmark(response.data.data.benchmark);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to start benchmark');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const complexity = solution.complexity || {};
+  const versions = VERSIONS.filter((version) => benchmark?.points?.some((point) => point[version.key]));
+  const failedSizes = benchmark?.points?.filter((point) => point.error) || [];
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="text-xl font-bold text-gray-900 flex items-center space-x-2">
+          <Gauge className="h-6 w-6 text-purple-600" />
+          <span>Benchmark</span>
+        </h3>
+        {benchmark?.status === 'completed' && (
+          <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm">
+            {Object.entries(METRICS).map(([key, { label }]) => (
+              <button
+                key={key}
+                onClick={() => setMetric(key)}
+                className={`px-3 py-1 ${metric === key ? 'bg-purple-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Times {solution.code?.optimizedVersion ? 'the solution and its optimized version' : 'the solution'} on
+        generated inputs of growing size and estimates how the running time and memory grow.
+        The input generator reads n from standard input and prints an input of size n; without your own, the model writes one.
+      </p>
+
+      {error && (
+        <div className="p-4 mb-4 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        <div>
+          <label htmlFor={`benchmark-sizes-${solution._id}`} className="block text-sm font-semibold text-gray-700 mb-1">
+            Input sizes
+          </label>
+          <input
+            id={`benchmark-sizes-${solution._id}`}
+            value={sizes}
+            onChange={(e) => setSizes(e.target.value)}
+            placeholder="Default: 100, 1000, 10000, 100000"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          />
+        </div>
+        <label className="flex items-center md:mt-6">
+          <input
+            type="checkbox"
+            checked={ownGenerator}
+            onChange={(e) => setOwnGenerator(e.target.checked)}
+            className="h-4 w-4 text-purple-600 focus:ring-purple-500 border-gray-300 rounded"
+          />
+          <span className="ml-2 text-sm text-gray-700">Use my own input generator</span>
+        </label>
+      </div>
+
+      {ownGenerator && (
+        <textarea
+          value={generator}
+          onChange={(e) => setGenerator(e.target.value)}
+          rows={8}
+          spellCheck={false}
+          placeholder="Reads n from standard input and prints one input of size n"
+          className="w-full p-4 bg-gray-900 text-gray-100 font-mono text-sm rounded-lg focus:ring-2 focus:ring-purple-500 focus:outline-none mb-4"
+        />
+      )}
+
+      <button
+        onClick={handleStart}
+        disabled={starting || active || (ownGenerator && !generator.trim())}
+        className="flex items-center space-x-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition disabled:opacity-50 mb-4"
+      >
+        {starting || active ? <Loader className="h-4 w-4 animate-spin" /> : <Play className="h-4 w-4" />}
+        <span>{active ? `Benchmark ${benchmark.status}...` : benchmark ? 'Run Again' : 'Run Benchmark'}</span>
+      </button>
+
+      {benchmark?.status === 'failed' && (
+        <pre className="p-4 mb-4 bg-red-50 rounded border border-red-200 overflow-x-auto">
+          <code className="text-sm text-red-800">{benchmark.error}</code>
+        </pre>
+      )}
+
+      {benchmark?.status === 'completed' && (
+        <div className="space-y-4">
+          <GrowthChart points={benchmark.points} metric={metric} />
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Version</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Measured Time</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Claimed Time</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Measured Memory</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Claimed Space</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {versions.map((version) => (
+                  <tr key={version.key}>
+                    <td className="px-4 py-2 text-sm font-medium text-gray-900">{version.label}</td>
+                    <td className="px-4 py-2 text-sm">
+                      <Estimate estimate={benchmark.estimates?.[version.key]?.time} claimed={complexity.time} />
+                    </td>
+                    <td className="px-4 py-2 text-sm font-mono">{complexity.time || 'N/A'}</td>
+                    <td className="px-4 py-2 text-sm">
+                      <Estimate estimate={benchmark.estimates?.[version.key]?.memory} claimed={complexity.space} />
+                    </td>
+                    <td className="px-4 py-2 text-sm font-mono">{complexity.space || 'N/A'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">n</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Input</th>
+                  {versions.map((version) => (
+                    <th key={version.key} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                      {version.label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {benchmark.points.map((point) => (
+                  <tr key={point.size}>
+                    <td className="px-4 py-2 text-sm font-mono">{point.size.toLocaleString()}</td>
+                    <td className="px-4 py-2 text-sm text-gray-600">
+                      {point.inputBytes !== undefined && point.inputBytes !== null ? `${point.inputBytes.toLocaleString()} bytes` : 'N/A'}
+                    </td>
+                    {versions.map((version) => {
+                      const run = point[version.key];
+                      return (
+                        <td key={version.key} className="px-4 py-2 text-sm">
+                          {!run ? 'N/A' : run.status === 'Accepted' ? (
+                            <span className="text-gray-900">{run.time.toFixed(3)}s · {Math.round(run.memory)} KB</span>
+                          ) : (
+                            <span className="text-red-600" title={run.error}>{run.status}</span>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {failedSizes.length > 0 && (
+            <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-md">
+              {failedSizes.map((point) => (
+                <p key={point.size} className="text-sm text-yellow-800 whitespace-pre-line">
+                  n = {point.size}: {point.error}
+                </p>
+              ))}
+            </div>
+          )}
+
+          {benchmark.generator && (
+            <details>
+              <summary className="text-sm font-semibold text-gray-700 cursor-pointer">
+                Input generator ({benchmark.generatorSource === 'user' ? 'yours' : 'written by the model'})
+              </summary>
+              <pre className="mt-2 p-4 bg-gray-900 text-gray-100 rounded-lg overflow-x-auto">
+                <code className="text-sm">{benchmark.generator}</code>
+              </pre>
+            </details>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Benchmark;
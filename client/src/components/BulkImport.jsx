@@ -0,0 +1,300 @@
+// client/src/components/BulkImport.jsx
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { Upload, FileCheck, Loader, CheckCircle, XCircle, Layers } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const FORMATS = {
+  csv: {
+    label: 'CSV',
+    accept: '.csv,text/csv',
+    hint: 'Header row with title, description, category and optionally language, difficulty, tags (separated by ;), aiModel, testCases (JSON).'
+  },
+  json: {
+    label: 'JSON',
+    accept: '.json,application/json',
+    hint: 'An array of problems, or { "problems": [...] }, with the same fields as the problem form.'
+  },
+  markdown: {
+    label: 'Markdown folder',
+    accept: '.md,.markdown',
+    hint: 'One .md file per problem. Front-matter sets title, category, language, difficulty and tags; the body is the description.'
+  }
+};
+
+const BulkImport = () => {
+  const [format, setFormat] = useState('csv');
+  const [name, setName] = useState('');
+  const [content, setContent] = useState('');
+  const [files, setFiles] = useState([]);
+  const [report, setReport] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [batches, setBatches] = useState([]);
+
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const fetchBatches = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/imports`);
+        setBatches(response.data.data.batches);
+      } catch (err) {
+        console.error('Fetch imports error:', err);
+      }
+    };
+
+    fetchBatches();
+  }, []);
+
+  const resetResult = () => {
+    setReport(null);
+    setSummary(null);
+    setError('');
+  };
+
+  const handleFormatChange = (value) => {
+    setFormat(value);
+    setContent('');
+    setFiles([]);
+    resetResult();
+  };
+
+  const handleFiles = async (e) => {
+    const selected = Array.from(e.target.files || []);
+    resetResult();
+
+    if (format === 'markdown') {
+      const markdown = selected.filter((file) => /\.(md|markdown)$/i.test(file.name));
+      setFiles(await Promise.all(markdown.map(async (file) => ({
+        name: file.webkitRelativePath || file.name,
+        content: await file.text()
+      }))));
+    } else if (selected[0]) {
+      setContent(await selected[0].text());
+    }
+  };
+
+  const submit = async (dryRun) => {
+    setLoading(true);
+    resetResult();
+
+    try {
+      const response = await axios.post(`${API_URL}/imports`, {
+        format,
+        name: name.trim() || undefined,
+        dryRun,
+        ...(format === 'markdown' ? { files } : { content })
+      });
+
+      if (dryRun) {
+        setReport(response.data.data.report);
+        setSummary(response.data.data.summary);
+        return;
+      }
+
+      navigate(`/imports/${response.data.data.batch._id}`);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to import problems');
+      if (err.response?.data?.data?.report) {
+        setReport(err.response.data.data.report);
+        setSummary(err.response.data.data.summary);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const hasInput = format === 'markdown' ? files.length > 0 : content.trim().length > 0;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-4xl mx-auto">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <div className="flex justify-center mb-4">
+            <div className="bg-blue-600 p-3 rounded-full">
+              <Upload className="h-10 w-10 text-white" />
+            </div>
+          </div>
+          <h1 className="text-3xl font-bold text-gray-900">Bulk Import</h1>
+          <p className="mt-2 text-gray-600">
+            Load many problems at once and queue their solutions as one batch
+          </p>
+        </div>
+
+        {/* Upload Card */}
+        <div className="bg-white rounded-lg shadow-md p-6 md:p-8">
+          {error && (
+            <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-md">
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Format</label>
+              <select
+                value={format}
+                onChange={(e) => handleFormatChange(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              >
+                {Object.entries(FORMATS).map(([value, { label }]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Batch name (optional)</label>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                maxLength={200}
+                placeholder="e.g. Week 3 training session"
+                className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+          </div>
+
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {format === 'markdown' ? 'Folder of markdown files' : 'File'}
+            </label>
+            <input
+              key={format}
+              type="file"
+              accept={FORMATS[format].accept}
+              multiple={format === 'markdown'}
+              {...(format === 'markdown' && { webkitdirectory: '' })}
+              onChange={handleFiles}
+              className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+            />
+            <p className="mt-2 text-xs text-gray-500">{FORMATS[format].hint}</p>
+            {format === 'markdown' && files.length > 0 && (
+              <p className="mt-2 text-sm text-gray-700">{files.length} markdown file(s) selected</p>
+            )}
+          </div>
+
+          {format !== 'markdown' && (
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Or paste the contents</label>
+              <textarea
+                value={content}
+                onChange={(e) => {
+                  setContent(e.target.value);
+                  resetResult();
+                }}
+                rows={8}
+                className="w-full px-4 py-2 border border-gray-300 rounded-md font-mono text-sm focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+          )}
+
+          <div className="flex items-center justify-end space-x-3 pt-4 border-t border-gray-200">
+            <button
+              type="button"
+              disabled={loading || !hasInput}
+              onClick={() => submit(true)}
+              className="flex items-center space-x-2 px-6 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition"
+            >
+              <FileCheck className="h-5 w-5" />
+              <span>Validate</span>
+            </button>
+            <button
+              type="button"
+              disabled={loading || !hasInput || (summary && summary.valid === 0)}
+              onClick={() => submit(false)}
+              className="flex items-center space-x-2 px-6 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition"
+            >
+              {loading ? <Loader className="h-5 w-5 animate-spin" /> : <Upload className="h-5 w-5" />}
+              <span>{summary ? `Import ${summary.valid} problem(s)` : 'Import'}</span>
+            </button>
+          </div>
+        </div>
+
+        {/* Validation Report */}
+        {report && (
+          <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+            <h2 className="text-xl font-bold text-gray-900 mb-1">Validation Report</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              {summary.valid} of {summary.total} valid
+              {summary.invalid > 0 && ', invalid rows are skipped on import'}
+            </p>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b border-gray-200">
+                    <th className="py-2 pr-4">Row</th>
+                    <th className="py-2 pr-4">Source</th>
+                    <th className="py-2 pr-4">Title</th>
+                    <th className="py-2">Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.map((entry) => (
+                    <tr key={entry.row} className="border-b border-gray-100 align-top">
+                      <td className="py-2 pr-4 text-gray-500">{entry.row}</td>
+                      <td className="py-2 pr-4 text-gray-500">{entry.source}</td>
+                      <td className="py-2 pr-4 text-gray-900">{entry.title || '—'}</td>
+                      <td className="py-2">
+                        {entry.issues.length === 0 ? (
+                          <span className="flex items-center space-x-1 text-green-600">
+                            <CheckCircle className="h-4 w-4" />
+                            <span>Valid</span>
+                          </span>
+                        ) : (
+                          <div className="flex items-start space-x-1 text-red-600">
+                            <XCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                            <ul>
+                              {entry.issues.map((issue, index) => (
+                                <li key={index}>{issue}</li>
+                              ))}
+                            </ul>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {/* Earlier Imports */}
+        {batches.length > 0 && (
+          <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+            <h2 className="text-xl font-bold text-gray-900 mb-4 flex items-center space-x-2">
+              <Layers className="h-5 w-5 text-blue-600" />
+              <span>Recent Imports</span>
+            </h2>
+            <div className="space-y-3">
+              {batches.map((batch) => (
+                <Link
+                  key={batch._id}
+                  to={`/imports/${batch._id}`}
+                  className="block p-4 border border-gray-200 rounded-lg hover:bg-gray-50 transition"
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium text-gray-900">{batch.name}</span>
+                    <span className="text-xs text-gray-500">{new Date(batch.createdAt).toLocaleString()}</span>
+                  </div>
+                  <p className="mt-1 text-sm text-gray-600">
+                    {batch.progress.solved} solved, {batch.progress.failed} failed,{' '}
+                    {batch.progress.pending + batch.progress.processing} in progress of {batch.imported}
+                  </p>
+                </Link>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BulkImport;
@@ -0,0 +1,452 @@
+// client/src/components/CodePolicyManager.jsx
+import { Fragment, useState, useEffect } from 'react';
+import axios from 'axios';
+import { Plus, Save, Trash2, RotateCcw, ShieldCheck } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const emptyRule = { kind: 'call', match: '', action: 'block', message: '' };
+
+const outcomeStyles = {
+  allowed: 'bg-green-100 text-green-800',
+  warned: 'bg-yellow-100 text-yellow-800',
+  blocked: 'bg-red-100 text-red-800'
+};
+
+const CodePolicyManager = () => {
+  const [policies, setPolicies] = useState([]);
+  const [kinds, setKinds] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [language, setLanguage] = useState('');
+  const [form, setForm] = useState(null);
+  const [testCode, setTestCode] = useState('');
+  const [checkResult, setCheckResult] = useState(null);
+  const [audit, setAudit] = useState({ entries: [], pagination: null });
+  const [auditFilters, setAuditFilters] = useState({ outcome: '', source: '', language: '', page: 1 });
+  const [expandedEntry, setExpandedEntry] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchPolicies = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/admin/policies`);
+        setPolicies(response.data.data.policies);
+        setKinds(response.data.data.kinds);
+        setActions(response.data.data.actions);
+      } catch (error) {
+        console.error('Fetch code policies error:', error);
+      }
+    };
+
+    fetchPolicies();
+  }, [reloadKey]);
+
+  useEffect(() => {
+    const fetchAudit = async () => {
+      try {
+        const params = Object.fromEntries(Object.entries(auditFilters).filter(([, value]) => value !== ''));
+        const response = await axios.get(`${API_URL}/admin/policies/audit`, { params });
+        setAudit(response.data.data);
+      } catch (error) {
+        console.error('Fetch policy audit error:', error);
+      }
+    };
+
+    fetchAudit();
+  }, [auditFilters, reloadKey]);
+
+  const selected = policies.find((policy) => policy.language === language);
+
+  const openPolicy = (policy) => {
+    setLanguage(policy.language);
+    setForm({
+      mode: policy.mode,
+      rules: policy.rules.map(({ kind, match, action, message: ruleMessage }) => ({
+        kind, match, action, message: ruleMessage || ''
+      }))
+    });
+    setCheckResult(null);
+    setError('');
+    setMessage('');
+  };
+
+  const updateRule = (index, field, value) => {
+    setForm({
+      ...form,
+      rules: form.rules.map((rule, ruleIndex) => (ruleIndex === index ? { ...rule, [field]: value } : rule))
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      await axios.put(`${API_URL}/admin/policies/${language}`, form);
+      setReloadKey((key) => key + 1);
+      setMessage('Code policy saved');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save code policy');
+    }
+  };
+
+  const handleReset = async () => {
+    if (!confirm(`Drop the edited ${selected.name} policy and use the built-in rules again?`)) return;
+
+    try {
+      const response = await axios.delete(`${API_URL}/admin/policies/${language}`);
+      const refreshed = await axios.get(`${API_URL}/admin/policies`);
+      setPolicies(refreshed.data.data.policies);
+      openPolicy(refreshed.data.data.policies.find((policy) => policy.language === language));
+      setMessage(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reset code policy');
+    }
+  };
+
+  const handleCheck = async () => {
+    setError('');
+
+    try {
+      const response = await axios.post(`${API_URL}/admin/policies/${language}/check`, { code: testCode });
+      setCheckResult(response.data.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to check code');
+    }
+  };
+
+  const handleAuditFilter = (e) => {
+    setAuditFilters({ ...auditFilters, [e.target.name]: e.target.value, page: 1 });
+  };
+
+  return (
+    <div className="space-y-6">
+      <p className="text-sm text-gray-600">
+        Generated and playground code is checked against its language's rules before it runs.
+        In block mode a blocking rule stops the run; in warn mode every match only warns.
+        JavaScript, TypeScript and Python are tokenized, so imports and aliases are followed;
+        other languages only get pattern rules.
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Language</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Mode</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Rules</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Analysis</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Source</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {policies.map((policy) => (
+              <tr
+                key={policy.language}
+                onClick={() => openPolicy(policy)}
+                className={`cursor-pointer hover:bg-gray-50 ${policy.language === language ? 'bg-purple-50' : ''}`}
+              >
+                <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-900">{policy.name}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">{policy.mode}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">{policy.rules.length}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">{policy.analyzed ? 'Tokenized' : 'Patterns only'}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                  {policy.custom ? (
+                    <span className="px-2 py-1 text-xs rounded-full bg-purple-100 text-purple-800">edited</span>
+                  ) : 'built-in'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {form && selected && (
+        <form onSubmit={handleSave} className="p-6 bg-gray-50 border border-gray-200 rounded-lg space-y-4">
+          <h3 className="text-lg font-semibold text-gray-900">{selected.name} Policy</h3>
+
+          {error && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+          )}
+          {message && (
+            <div className="p-4 bg-green-50 border border-green-200 rounded-md">
+              <p className="text-sm text-green-800">{message}</p>
+            </div>
+          )}
+
+          <div className="max-w-xs">
+            <label htmlFor="policy-mode" className="block text-sm font-medium text-gray-700 mb-1">Mode</label>
+            <select
+              id="policy-mode"
+              value={form.mode}
+              onChange={(e) => setForm({ ...form, mode: e.target.value })}
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500"
+            >
+              <option value="block">Block</option>
+              <option value="warn">Warn only</option>
+              <option value="off">Off</option>
+            </select>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-white">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Kind</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Match</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Message</th>
+                  <th className="px-4 py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {form.rules.map((rule, index) => (
+                  <tr key={index}>
+                    <td className="px-4 py-2">
+                      <select
+                        value={rule.kind}
+                        onChange={(e) => updateRule(index, 'kind', e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                      >
+                        {kinds.map((kind) => (
+                          <option key={kind} value={kind}>{kind}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-4 py-2">
+                      <input
+                        value={rule.match}
+                        required
+                        onChange={(e) => updateRule(index, 'match', e.target.value)}
+                        placeholder={rule.kind === 'pattern' ? 'Regular expression' : 'e.g. os.system or child_*'}
+                        className="block w-full px-2 py-1 border border-gray-300 rounded-md font-mono text-sm"
+                      />
+                    </td>
+                    <td className="px-4 py-2">
+                      <select
+                        value={rule.action}
+                        onChange={(e) => updateRule(index, 'action', e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                      >
+                        {actions.map((action) => (
+                          <option key={action} value={action}>{action}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-4 py-2">
+                      <input
+                        value={rule.message}
+                        onChange={(e) => updateRule(index, 'message', e.target.value)}
+                        className="block w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+                      />
+                    </td>
+                    <td className="px-4 py-2 text-right">
+                      <button
+                        type="button"
+                        onClick={() => setForm({ ...form, rules: form.rules.filter((item, ruleIndex) => ruleIndex !== index) })}
+                        className="text-red-600 hover:text-red-800"
+                        title="Remove rule"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+                {form.rules.length === 0 && (
+                  <tr>
+                    <td colSpan={5} className="px-4 py-2 text-sm text-gray-500 text-center">No rules, any code runs.</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-4">
+              <button
+                type="button"
+                onClick={() => setForm({ ...form, rules: [...form.rules, { ...emptyRule }] })}
+                className="flex items-center space-x-2 px-4 py-2 text-purple-600 hover:text-purple-800 transition"
+              >
+                <Plus className="h-4 w-4" />
+                <span>Add Rule</span>
+              </button>
+              {selected.custom && (
+                <button
+                  type="button"
+                  onClick={handleReset}
+                  className="flex items-center space-x-2 px-4 py-2 text-gray-600 hover:text-gray-800 transition"
+                >
+                  <RotateCcw className="h-4 w-4" />
+                  <span>Reset to Built-in</span>
+                </button>
+              )}
+            </div>
+            <button
+              type="submit"
+              className="flex items-center space-x-2 px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition"
+            >
+              <Save className="h-4 w-4" />
+              <span>Save</span>
+            </button>
+          </div>
+
+          <div className="border-t border-gray-200 pt-4 space-y-3">
+            <h4 className="text-md font-semibold text-gray-900">Try the Saved Policy</h4>
+            <textarea
+              rows={6}
+              value={testCode}
+              onChange={(e) => setTestCode(e.target.value)}
+              placeholder={`Paste ${selected.name} code to check`}
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:ring-purple-500 focus:border-purple-500"
+            />
+            <button
+              type="button"
+              onClick={handleCheck}
+              disabled={!testCode.trim()}
+              className="flex items-center space-x-2 px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition disabled:opacity-50"
+            >
+              <ShieldCheck className="h-4 w-4" />
+              <span>Check</span>
+            </button>
+            {checkResult && (
+              <div className="space-y-2">
+                <span className={`px-2 py-1 text-xs rounded-full ${outcomeStyles[checkResult.outcome]}`}>
+                  {checkResult.outcome}
+                </span>
+                {checkResult.violations.map((violation, index) => (
+                  <p key={index} className="text-sm text-gray-700">
+                    Line {violation.line}: {violation.message || `${violation.kind} ${violation.match}`}{' '}
+                    <span className="font-mono text-gray-500">({violation.found}, {violation.action})</span>
+                  </p>
+                ))}
+              </div>
+            )}
+          </div>
+        </form>
+      )}
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-3">Audit Log</h3>
+        <div className="flex space-x-4 mb-4">
+          <select
+            name="outcome"
+            value={auditFilters.outcome}
+            onChange={handleAuditFilter}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">All outcomes</option>
+            <option value="blocked">Blocked</option>
+            <option value="warned">Warned</option>
+          </select>
+          <select
+            name="source"
+            value={auditFilters.source}
+            onChange={handleAuditFilter}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">All sources</option>
+            <option value="ai">AI generated</option>
+            <option value="playground">Playground</option>
+          </select>
+          <select
+            name="language"
+            value={auditFilters.language}
+            onChange={handleAuditFilter}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">All languages</option>
+            {policies.map((policy) => (
+              <option key={policy.language} value={policy.language}>{policy.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">When</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Outcome</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Source</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Language</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Problem</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Violations</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {audit.entries.map((entry) => (
+                <Fragment key={entry._id}>
+                  <tr
+                    onClick={() => setExpandedEntry(expandedEntry === entry._id ? null : entry._id)}
+                    className="cursor-pointer hover:bg-gray-50"
+                  >
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">{new Date(entry.createdAt).toLocaleString()}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <span className={`px-2 py-1 text-xs rounded-full ${outcomeStyles[entry.outcome]}`}>{entry.outcome}</span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">{entry.source}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">{entry.language}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">{entry.user?.username || 'N/A'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">{entry.problem?.title || 'N/A'}</td>
+                    <td className="px-6 py-4 text-sm">
+                      {entry.violations.map((violation) => violation.found).join(', ')}
+                    </td>
+                  </tr>
+                  {expandedEntry === entry._id && (
+                    <tr>
+                      <td colSpan={7} className="px-6 py-4 bg-gray-50">
+                        {entry.violations.map((violation, index) => (
+                          <p key={index} className="text-sm text-gray-700">
+                            Line {violation.line}: {violation.message} ({violation.action})
+                          </p>
+                        ))}
+                        <pre className="mt-2 p-3 bg-gray-900 text-gray-100 rounded-md text-xs overflow-x-auto">{entry.code}</pre>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+              {audit.entries.length === 0 && (
+                <tr>
+                  <td colSpan={7} className="px-6 py-4 text-sm text-gray-500 text-center">
+                    Nothing has been blocked or warned about.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {audit.pagination && audit.pagination.pages > 1 && (
+          <div className="flex items-center justify-between mt-4">
+            <button
+              onClick={() => setAuditFilters({ ...auditFilters, page: auditFilters.page - 1 })}
+              disabled={auditFilters.page <= 1}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">
+              Page {audit.pagination.page} of {audit.pagination.pages}
+            </span>
+            <button
+              onClick={() => setAuditFilters({ ...auditFilters, page: auditFilters.page + 1 })}
+              disabled={auditFilters.page >= audit.pagination.pages}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CodePolicyManager;
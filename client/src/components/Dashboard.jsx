@@ -5,7 +5,7 @@ import axios from 'axios';
 import { useAuth } from '../context/AuthContext';
 import { 
   Plus, Search, Filter, Calendar, CheckCircle, 
-  XCircle, Clock, Eye, Trash2, Bookmark 
+  XCircle, Clock, Eye, Trash2, Bookmark, Ban 
 } from 'lucide-react';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
@@ -64,6 +64,8 @@ const Dashboard = () => {
         return <CheckCircle className="h-5 w-5 text-green-500" />;
       case 'failed':
         return <XCircle className="h-5 w-5 text-red-500" />;
+      case 'cancelled':
+        return <Ban className="h-5 w-5 text-gray-400" />;
       case 'processing':
         return <Clock className="h-5 w-5 text-yellow-500 animate-spin" />;
       default:
@@ -75,6 +77,7 @@ const Dashboard = () => {
     const classes = {
       solved: 'bg-green-100 text-green-800',
       failed: 'bg-red-100 text-red-800',
+      cancelled: 'bg-gray-100 text-gray-600',
       processing: 'bg-yellow-100 text-yellow-800',
       pending: 'bg-gray-100 text-gray-800'
     };
@@ -210,6 +213,7 @@ const Dashboard = () => {
               <option value="solved">Solved</option>
               <option value="pending">Pending</option>
               <option value="failed">Failed</option>
+              <option value="cancelled">Cancelled</option>
             </select>
 
             {/* New Problem Button */}
@@ -0,0 +1,99 @@
+// client/src/components/EvalComparison.jsx
+import { X } from 'lucide-react';
+
+// Metric labels, whether a higher value is better, and how to show a value
+const METRICS = {
+  executionPassRate: { label: 'Execution pass rate', higherIsBetter: true, format: (v) => `${(v * 100).toFixed(1)}%` },
+  testCasePassRate: { label: 'Test case pass rate', higherIsBetter: true, format: (v) => `${(v * 100).toFixed(1)}%` },
+  generationErrors: { label: 'Generation errors', higherIsBetter: false, format: (v) => String(v) },
+  avgLatency: { label: 'Average latency', higherIsBetter: false, format: (v) => `${Math.round(v)}ms` },
+  maxLatency: { label: 'Max latency', higherIsBetter: false, format: (v) => `${Math.round(v)}ms` },
+  totalTokens: { label: 'Total tokens', higherIsBetter: false, format: (v) => String(v) },
+  avgTokens: { label: 'Tokens per problem', higherIsBetter: false, format: (v) => String(v) },
+  totalCost: { label: 'Total cost', higherIsBetter: false, format: (v) => `$${v.toFixed(4)}` }
+};
+
+const show = (key, value) => (value === null || value === undefined ? '—' : METRICS[key].format(value));
+
+const deltaClass = (key, delta) => {
+  if (!delta) return 'text-gray-500';
+  const better = METRICS[key].higherIsBetter ? delta > 0 : delta < 0;
+  return better ? 'text-green-700' : 'text-red-700';
+};
+
+const outcome = (result) => {
+  if (!result) return '—';
+  if (result.status === 'error') return 'Error';
+  const parts = [];
+  if (result.executionStatus) parts.push(result.executionPassed ? 'Passed' : result.executionStatus);
+  if (result.testsTotal) parts.push(`${result.testsPassed}/${result.testsTotal} tests`);
+  return parts.join(', ') || 'Answered';
+};
+
+const EvalComparison = ({ data, promptLabel, onClose }) => {
+  const { a, b, comparison } = data;
+
+  return (
+    <div className="p-4 border border-purple-200 rounded-lg">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-semibold text-gray-900">Run Comparison</h4>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+
+      {!comparison.sameSet && (
+        <p className="text-sm text-orange-700 mb-3">
+          These runs used different golden sets, so the per-problem comparison may not line up.
+        </p>
+      )}
+
+      <table className="min-w-full text-sm mb-6">
+        <thead>
+          <tr className="text-left text-gray-500 border-b border-gray-200">
+            <th className="py-2 pr-3">Metric</th>
+            <th className="py-2 pr-3">A: {a.aiModel} · {promptLabel(a)}</th>
+            <th className="py-2 pr-3">B: {b.aiModel} · {promptLabel(b)}</th>
+            <th className="py-2">B − A</th>
+          </tr>
+        </thead>
+        <tbody>
+          {comparison.metrics.map(({ key, a: valueA, b: valueB, delta }) => (
+            <tr key={key} className="border-b border-gray-100">
+              <td className="py-2 pr-3 text-gray-900">{METRICS[key].label}</td>
+              <td className="py-2 pr-3">{show(key, valueA)}</td>
+              <td className="py-2 pr-3">{show(key, valueB)}</td>
+              <td className={`py-2 font-medium ${deltaClass(key, delta)}`}>
+                {delta === null ? '—' : `${delta > 0 ? '+' : delta < 0 ? '−' : ''}${show(key, Math.abs(delta))}`}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500 border-b border-gray-200">
+            <th className="py-2 pr-3">Problem</th>
+            <th className="py-2 pr-3">A</th>
+            <th className="py-2">B</th>
+          </tr>
+        </thead>
+        <tbody>
+          {comparison.problems.map((problem) => {
+            const changed = outcome(problem.a) !== outcome(problem.b);
+            return (
+              <tr key={problem.index} className={`border-b border-gray-100 ${changed ? 'bg-yellow-50' : ''}`}>
+                <td className="py-2 pr-3 text-gray-900">{problem.title}</td>
+                <td className="py-2 pr-3">{outcome(problem.a)}</td>
+                <td className="py-2">{outcome(problem.b)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default EvalComparison;
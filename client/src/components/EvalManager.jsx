@@ -0,0 +1,555 @@
+// client/src/components/EvalManager.jsx
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Plus, Save, Trash2, Play, X, GitCompare } from 'lucide-react';
+import EvalComparison from './EvalComparison';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+// How often the history refreshes while runs are queued or running
+const POLL_INTERVAL = 3000;
+
+const SAMPLE_PROBLEMS = JSON.stringify([
+  {
+    title: 'Sum of two numbers',
+    description: 'Read two integers from standard input and print their sum.',
+    category: 'programming',
+    language: 'python',
+    difficulty: 'easy',
+    testCases: [{ input: '2 3', expectedOutput: '5' }]
+  }
+], null, 2);
+
+const formatRate = (value) => (value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`);
+
+const EvalManager = () => {
+  const [sets, setSets] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [models, setModels] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [launch, setLaunch] = useState({ set: '', models: [], builtIn: true, prompts: {}, execute: true, note: '' });
+  const [selected, setSelected] = useState([]);
+  const [detail, setDetail] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const active = runs.some((run) => run.status === 'queued' || run.status === 'running');
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [setsResponse, runsResponse] = await Promise.all([
+          axios.get(`${API_URL}/admin/evals/sets`),
+          axios.get(`${API_URL}/admin/evals/runs`)
+        ]);
+        setSets(setsResponse.data.data.sets);
+        setRuns(runsResponse.data.data.runs);
+      } catch (err) {
+        console.error('Fetch evaluations error:', err);
+      }
+    };
+
+    fetchData();
+  }, [reloadKey]);
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const [modelsResponse, templatesResponse] = await Promise.all([
+          axios.get(`${API_URL}/models`),
+          axios.get(`${API_URL}/admin/prompts`)
+        ]);
+        setModels(modelsResponse.data.data.models);
+        setTemplates(templatesResponse.data.data.templates);
+      } catch (err) {
+        console.error('Fetch evaluation options error:', err);
+      }
+    };
+
+    fetchOptions();
+  }, []);
+
+  // Refresh the history until every run has finished
+  useEffect(() => {
+    if (!active) return;
+
+    const timer = setTimeout(() => setReloadKey((key) => key + 1), POLL_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [active, runs]);
+
+  const openSet = async (setId) => {
+    setError('');
+    setMessage('');
+
+    if (!setId) {
+      setEditingId(null);
+      setForm({ name: '', description: '', problems: SAMPLE_PROBLEMS });
+      return;
+    }
+
+    try {
+      const response = await axios.get(`${API_URL}/admin/evals/sets/${setId}`);
+      const { set } = response.data.data;
+      setEditingId(set._id);
+      setForm({
+        name: set.name,
+        description: set.description || '',
+        problems: JSON.stringify(set.problems, null, 2)
+      });
+    } catch (err) {
+      console.error('Fetch golden set error:', err);
+    }
+  };
+
+  const handleSaveSet = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    let problems;
+    try {
+      problems = JSON.parse(form.problems);
+    } catch (err) {
+      setError(`Problems are not valid JSON: ${err.message}`);
+      return;
+    }
+
+    try {
+      const payload = { name: form.name, description: form.description, problems };
+      const response = editingId
+        ? await axios.put(`${API_URL}/admin/evals/sets/${editingId}`, payload)
+        : await axios.post(`${API_URL}/admin/evals/sets`, payload);
+
+      setEditingId(response.data.data.set._id);
+      setMessage(response.data.message);
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save golden set');
+    }
+  };
+
+  const handleDeleteSet = async (setId) => {
+    if (!confirm('Delete this golden set? Its runs stay in the history.')) return;
+
+    try {
+      await axios.delete(`${API_URL}/admin/evals/sets/${setId}`);
+      if (editingId === setId) setForm(null);
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      console.error('Delete golden set error:', err);
+      alert('Failed to delete golden set');
+    }
+  };
+
+  const toggleModel = (modelId) => {
+    setLaunch((prev) => ({
+      ...prev,
+      models: prev.models.includes(modelId)
+        ? prev.models.filter((id) => id !== modelId)
+        : [...prev.models, modelId]
+    }));
+  };
+
+  // prompts maps a template id to the version to use, '' for its current version
+  const toggleTemplate = (templateId) => {
+    setLaunch((prev) => {
+      const prompts = { ...prev.prompts };
+      if (templateId in prompts) {
+        delete prompts[templateId];
+      } else {
+        prompts[templateId] = '';
+      }
+      return { ...prev, prompts };
+    });
+  };
+
+  const handleStartRun = async () => {
+    setError('');
+    setMessage('');
+
+    const prompts = [
+      ...(launch.builtIn ? [null] : []),
+      ...Object.entries(launch.prompts).map(([template, version]) => ({
+        template,
+        version: version === '' ? undefined : Number(version)
+      }))
+    ];
+
+    try {
+      const response = await axios.post(`${API_URL}/admin/evals/runs`, {
+        set: launch.set,
+        models: launch.models,
+        prompts,
+        execute: launch.execute,
+        note: launch.note.trim() || undefined
+      });
+      setMessage(response.data.message);
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to start evaluation');
+    }
+  };
+
+  const toggleSelected = (runId) => {
+    setSelected((prev) => {
+      if (prev.includes(runId)) return prev.filter((id) => id !== runId);
+      return [...prev, runId].slice(-2);
+    });
+  };
+
+  const openRun = async (runId) => {
+    try {
+      const response = await axios.get(`${API_URL}/admin/evals/runs/${runId}`);
+      setComparison(null);
+      setDetail(response.data.data.run);
+    } catch (err) {
+      console.error('Fetch evaluation run error:', err);
+    }
+  };
+
+  const compareSelected = async () => {
+    try {
+      const [a, b] = selected;
+      const response = await axios.get(`${API_URL}/admin/evals/runs/compare`, { params: { a, b } });
+      setDetail(null);
+      setComparison(response.data.data);
+    } catch (err) {
+      console.error('Compare evaluation runs error:', err);
+      alert('Failed to compare runs');
+    }
+  };
+
+  const promptLabel = (run) => (run.prompt?.template
+    ? `${run.prompt.name} v${run.prompt.version}`
+    : 'Built-in');
+
+  const runCount = launch.models.length * ((launch.builtIn ? 1 : 0) + Object.keys(launch.prompts).length);
+
+  return (
+    <div className="space-y-8">
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+      {message && (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-md">
+          <p className="text-sm text-green-800">{message}</p>
+        </div>
+      )}
+
+      {/* Golden Sets */}
+      <div>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Golden Sets</h3>
+          <button
+            onClick={() => openSet(null)}
+            className="flex items-center space-x-2 px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition"
+          >
+            <Plus className="h-4 w-4" />
+            <span>New Set</span>
+          </button>
+        </div>
+
+        {sets.length === 0 ? (
+          <p className="text-sm text-gray-500">No golden sets yet.</p>
+        ) : (
+          <div className="space-y-2">
+            {sets.map((set) => (
+              <div key={set._id} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+                <button onClick={() => openSet(set._id)} className="text-left">
+                  <p className="font-medium text-gray-900">{set.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {set.problemCount} problem(s){set.description && ` · ${set.description}`}
+                  </p>
+                </button>
+                <button
+                  onClick={() => handleDeleteSet(set._id)}
+                  className="p-2 text-gray-400 hover:text-red-600 transition"
+                  title="Delete set"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {form && (
+          <form onSubmit={handleSaveSet} className="mt-4 p-4 bg-gray-50 rounded-lg space-y-3">
+            <div className="flex items-center justify-between">
+              <h4 className="font-semibold text-gray-900">{editingId ? 'Edit Golden Set' : 'New Golden Set'}</h4>
+              <button type="button" onClick={() => setForm(null)} className="text-gray-400 hover:text-gray-600">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Name"
+              required
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500"
+            />
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              placeholder="Description (optional)"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500"
+            />
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Problems (JSON)</label>
+              <textarea
+                value={form.problems}
+                onChange={(e) => setForm({ ...form, problems: e.target.value })}
+                rows={12}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-xs focus:ring-purple-500 focus:border-purple-500"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                Each problem takes title, description, category, language and difficulty, plus an
+                expectedOutput for a run without input and/or testCases.
+              </p>
+            </div>
+            <button
+              type="submit"
+              className="flex items-center space-x-2 px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition"
+            >
+              <Save className="h-4 w-4" />
+              <span>Save Set</span>
+            </button>
+          </form>
+        )}
+      </div>
+
+      {/* Start a Run */}
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Run Evaluation</h3>
+        <div className="p-4 bg-gray-50 rounded-lg space-y-4">
+          <select
+            value={launch.set}
+            onChange={(e) => setLaunch({ ...launch, set: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500"
+          >
+            <option value="">Choose a golden set</option>
+            {sets.map((set) => (
+              <option key={set._id} value={set._id}>{set.name}</option>
+            ))}
+          </select>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Models</p>
+            <div className="flex flex-wrap gap-3">
+              {models.map((model) => (
+                <label key={model.id} className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={launch.models.includes(model.id)}
+                    onChange={() => toggleModel(model.id)}
+                    className="h-4 w-4 text-purple-600 border-gray-300 rounded"
+                  />
+                  <span>{model.label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Prompt versions</p>
+            <div className="space-y-2">
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={launch.builtIn}
+                  onChange={(e) => setLaunch({ ...launch, builtIn: e.target.checked })}
+                  className="h-4 w-4 text-purple-600 border-gray-300 rounded"
+                />
+                <span>Built-in prompts</span>
+              </label>
+              {templates.map((template) => (
+                <div key={template._id} className="flex items-center space-x-3 text-sm text-gray-700">
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={template._id in launch.prompts}
+                      onChange={() => toggleTemplate(template._id)}
+                      className="h-4 w-4 text-purple-600 border-gray-300 rounded"
+                    />
+                    <span>{template.name} ({template.category}, variant {template.variant})</span>
+                  </label>
+                  {template._id in launch.prompts && (
+                    <input
+                      type="number"
+                      min="1"
+                      max={template.version}
+                      value={launch.prompts[template._id]}
+                      onChange={(e) => setLaunch({
+                        ...launch,
+                        prompts: { ...launch.prompts, [template._id]: e.target.value }
+                      })}
+                      placeholder={`v${template.version}`}
+                      className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+                    />
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={launch.execute}
+              onChange={(e) => setLaunch({ ...launch, execute: e.target.checked })}
+              className="h-4 w-4 text-purple-600 border-gray-300 rounded"
+            />
+            <span>Run the generated code in the sandbox</span>
+          </label>
+
+          <input
+            type="text"
+            value={launch.note}
+            onChange={(e) => setLaunch({ ...launch, note: e.target.value })}
+            maxLength={500}
+            placeholder="Note, e.g. what changed since the last run"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500"
+          />
+
+          <button
+            onClick={handleStartRun}
+            disabled={!launch.set || runCount === 0}
+            className="flex items-center space-x-2 px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition"
+          >
+            <Play className="h-4 w-4" />
+            <span>Start {runCount > 0 ? `${runCount} run(s)` : 'run'}</span>
+          </button>
+        </div>
+      </div>
+
+      {/* Run History */}
+      <div>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Run History</h3>
+          <button
+            onClick={compareSelected}
+            disabled={selected.length !== 2}
+            className="flex items-center space-x-2 px-4 py-2 border border-purple-300 text-purple-700 rounded-md hover:bg-purple-50 disabled:opacity-50 disabled:cursor-not-allowed transition"
+          >
+            <GitCompare className="h-4 w-4" />
+            <span>Compare selected</span>
+          </button>
+        </div>
+
+        {runs.length === 0 ? (
+          <p className="text-sm text-gray-500">No runs yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 pr-3"></th>
+                  <th className="py-2 pr-3">Set</th>
+                  <th className="py-2 pr-3">Model</th>
+                  <th className="py-2 pr-3">Prompt</th>
+                  <th className="py-2 pr-3">Status</th>
+                  <th className="py-2 pr-3">Execution</th>
+                  <th className="py-2 pr-3">Test cases</th>
+                  <th className="py-2 pr-3">Avg latency</th>
+                  <th className="py-2 pr-3">Tokens</th>
+                  <th className="py-2 pr-3">Cost</th>
+                  <th className="py-2">Started</th>
+                </tr>
+              </thead>
+              <tbody>
+                {runs.map((run) => (
+                  <tr
+                    key={run._id}
+                    onClick={() => openRun(run._id)}
+                    className="border-b border-gray-100 hover:bg-gray-50 cursor-pointer"
+                  >
+                    <td className="py-2 pr-3" onClick={(e) => e.stopPropagation()}>
+                      <input
+                        type="checkbox"
+                        checked={selected.includes(run._id)}
+                        onChange={() => toggleSelected(run._id)}
+                        className="h-4 w-4 text-purple-600 border-gray-300 rounded"
+                      />
+                    </td>
+                    <td className="py-2 pr-3 text-gray-900">{run.setName}</td>
+                    <td className="py-2 pr-3">{run.aiModel}</td>
+                    <td className="py-2 pr-3" title={`Prompt hash ${run.prompt?.hash}`}>{promptLabel(run)}</td>
+                    <td className="py-2 pr-3 capitalize">
+                      {run.status}
+                      {run.status === 'running' && run.summary && ` (${run.summary.problems})`}
+                    </td>
+                    <td className="py-2 pr-3">{formatRate(run.summary?.executionPassRate)}</td>
+                    <td className="py-2 pr-3">{formatRate(run.summary?.testCasePassRate)}</td>
+                    <td className="py-2 pr-3">{run.summary?.avgLatency != null ? `${run.summary.avgLatency}ms` : '—'}</td>
+                    <td className="py-2 pr-3">{run.summary?.totalTokens ?? '—'}</td>
+                    <td className="py-2 pr-3">${(run.summary?.totalCost || 0).toFixed(4)}</td>
+                    <td className="py-2 text-gray-500">{new Date(run.createdAt).toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Run Detail */}
+      {detail && (
+        <div className="p-4 border border-gray-200 rounded-lg">
+          <div className="flex items-center justify-between mb-3">
+            <h4 className="font-semibold text-gray-900">
+              {detail.setName} · {detail.aiModel} · {promptLabel(detail)}
+            </h4>
+            <button onClick={() => setDetail(null)} className="text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          {detail.note && <p className="text-sm text-gray-600 mb-2">{detail.note}</p>}
+          {detail.error && <p className="text-sm text-red-700 mb-2">{detail.error}</p>}
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-2 pr-3">Problem</th>
+                <th className="py-2 pr-3">Execution</th>
+                <th className="py-2 pr-3">Tests</th>
+                <th className="py-2 pr-3">Latency</th>
+                <th className="py-2 pr-3">Tokens</th>
+                <th className="py-2">Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {detail.results.map((result) => (
+                <tr key={result.index} className="border-b border-gray-100">
+                  <td className="py-2 pr-3 text-gray-900">{result.title}</td>
+                  <td className={`py-2 pr-3 ${result.executionPassed ? 'text-green-700' : 'text-red-700'}`}>
+                    {result.status === 'error' ? `Error: ${result.error}` : result.executed ? result.executionStatus : '—'}
+                  </td>
+                  <td className="py-2 pr-3">{result.testsTotal ? `${result.testsPassed}/${result.testsTotal}` : '—'}</td>
+                  <td className="py-2 pr-3">{result.latency != null ? `${result.latency}ms` : '—'}</td>
+                  <td className="py-2 pr-3">{result.tokenUsage?.total ?? '—'}</td>
+                  <td className="py-2">{result.cost != null ? `$${result.cost.toFixed(4)}` : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {comparison && (
+        <EvalComparison
+          data={comparison}
+          promptLabel={promptLabel}
+          onClose={() => setComparison(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default EvalManager;
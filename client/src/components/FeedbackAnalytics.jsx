@@ -0,0 +1,254 @@
+// client/src/components/FeedbackAnalytics.jsx
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { Star, Flag, X } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const ISSUE_LABELS = {
+  wrong: 'Wrong',
+  incomplete: 'Incomplete',
+  'code-does-not-run': "Code doesn't run",
+  'too-verbose': 'Too verbose',
+  unclear: 'Unclear'
+};
+
+const formatRating = (rating) => (rating === null || rating === undefined ? '—' : rating.toFixed(2));
+
+// Ranges the analytics can be limited to, in days (empty for all time)
+const RANGES = [
+  { value: '', label: 'All time' },
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' },
+  { value: '90', label: 'Last 90 days' }
+];
+
+const RatingTable = ({ title, label, rows, rowLabel, onSelect }) => (
+  <div>
+    <h3 className="text-lg font-semibold text-gray-900 mb-4">{title}</h3>
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">{label}</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Avg Rating</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Rated</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Low</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Flagged</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {rows.map((row) => (
+            <tr
+              key={rowLabel(row)}
+              onClick={() => onSelect(row)}
+              className="cursor-pointer hover:bg-purple-50"
+              title="Show low-rated solutions"
+            >
+              <td className="px-4 py-3 whitespace-nowrap font-medium text-gray-900 capitalize">{rowLabel(row)}</td>
+              <td className="px-4 py-3 whitespace-nowrap text-sm">{formatRating(row.avgRating)}</td>
+              <td className="px-4 py-3 whitespace-nowrap text-sm">{row.rated}</td>
+              <td className={`px-4 py-3 whitespace-nowrap text-sm ${row.lowRated > 0 ? 'text-red-700 font-medium' : ''}`}>
+                {row.lowRated}
+              </td>
+              <td className="px-4 py-3 whitespace-nowrap text-sm">{row.flagged}</td>
+            </tr>
+          ))}
+          {rows.length === 0 && (
+            <tr>
+              <td colSpan={5} className="px-4 py-3 text-sm text-gray-500 text-center">No feedback</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+const FeedbackAnalytics = () => {
+  const [days, setDays] = useState('');
+  const [analytics, setAnalytics] = useState(null);
+  const [drillDown, setDrillDown] = useState(null);
+  const [solutions, setSolutions] = useState(null);
+
+  useEffect(() => {
+    const fetchAnalytics = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/admin/feedback`, { params: { days: days || undefined } });
+        setAnalytics(response.data.data);
+      } catch (error) {
+        console.error('Fetch feedback analytics error:', error);
+      }
+    };
+
+    fetchAnalytics();
+  }, [days]);
+
+  useEffect(() => {
+    if (!drillDown) return;
+
+    const fetchSolutions = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/admin/feedback/solutions`, { params: drillDown.filters });
+        setSolutions(response.data.data);
+      } catch (error) {
+        console.error('Fetch rated solutions error:', error);
+      }
+    };
+
+    setSolutions(null);
+    fetchSolutions();
+  }, [drillDown]);
+
+  const promptLabel = (row) => (row.template ? `${row.name} v${row.version ?? '?'}` : row.name);
+
+  if (!analytics) {
+    return <p className="text-gray-500">Loading feedback analytics...</p>;
+  }
+
+  const { overall } = analytics;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div className="flex items-center space-x-6">
+          <div className="flex items-center space-x-3">
+            <div className="bg-yellow-100 p-3 rounded-lg">
+              <Star className="h-8 w-8 text-yellow-500" />
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Average rating</p>
+              <p className="text-3xl font-bold text-gray-900">{formatRating(overall.avgRating)}</p>
+              <p className="text-xs text-gray-500">{overall.rated} rated, {overall.lowRated} at {analytics.lowRating} or below</p>
+            </div>
+          </div>
+          <div className="flex items-center space-x-3">
+            <div className="bg-red-100 p-3 rounded-lg">
+              <Flag className="h-8 w-8 text-red-600" />
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Flagged solutions</p>
+              <p className="text-3xl font-bold text-gray-900">{overall.flagged}</p>
+            </div>
+          </div>
+        </div>
+
+        <div>
+          <label htmlFor="feedback-range" className="block text-sm font-medium text-gray-700 mb-1">Range</label>
+          <select
+            id="feedback-range"
+            value={days}
+            onChange={(e) => setDays(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500"
+          >
+            {RANGES.map((range) => (
+              <option key={range.value} value={range.value}>{range.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {analytics.issues.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {analytics.issues.map(({ issue, count }) => (
+            <button
+              key={issue}
+              onClick={() => setDrillDown({ title: `Flagged "${ISSUE_LABELS[issue] || issue}"`, filters: { issue } })}
+              className="px-3 py-1 rounded-full text-sm bg-red-50 border border-red-200 text-red-700 hover:bg-red-100"
+            >
+              {ISSUE_LABELS[issue] || issue}: {count}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <RatingTable
+          title="By Model"
+          label="Model"
+          rows={analytics.byModel}
+          rowLabel={(row) => row.aiModel}
+          onSelect={(row) => setDrillDown({ title: `Model ${row.aiModel}`, filters: { aiModel: row.aiModel } })}
+        />
+        <RatingTable
+          title="By Prompt Version"
+          label="Prompt"
+          rows={analytics.byPrompt}
+          rowLabel={promptLabel}
+          onSelect={(row) => setDrillDown({
+            title: `Prompt ${promptLabel(row)}`,
+            filters: row.template ? { template: row.template, version: row.version ?? undefined } : { template: 'builtin' }
+          })}
+        />
+        <RatingTable
+          title="By Category"
+          label="Category"
+          rows={analytics.byCategory}
+          rowLabel={(row) => row.category}
+          onSelect={(row) => setDrillDown({ title: `Category ${row.category}`, filters: { category: row.category } })}
+        />
+        <RatingTable
+          title="By Difficulty"
+          label="Difficulty"
+          rows={analytics.byDifficulty}
+          rowLabel={(row) => row.difficulty}
+          onSelect={(row) => setDrillDown({ title: `Difficulty ${row.difficulty}`, filters: { difficulty: row.difficulty } })}
+        />
+      </div>
+
+      {drillDown && (
+        <div className="p-4 border border-purple-200 rounded-lg">
+          <div className="flex items-center justify-between mb-3">
+            <h4 className="font-semibold text-gray-900">
+              {drillDown.filters.issue ? drillDown.title : `Low-rated solutions: ${drillDown.title}`}
+            </h4>
+            <button onClick={() => setDrillDown(null)} className="text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          {!solutions ? (
+            <p className="text-sm text-gray-500">Loading...</p>
+          ) : solutions.solutions.length === 0 ? (
+            <p className="text-sm text-gray-500">No matching solutions</p>
+          ) : (
+            <div className="space-y-3">
+              {solutions.solutions.map((solution) => (
+                <div key={solution._id} className="border border-gray-200 rounded-lg p-3">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <Link to={`/problem/${solution.problem._id}`} className="font-medium text-purple-700 hover:text-purple-900">
+                      {solution.problem.title}
+                    </Link>
+                    <span className="text-sm text-gray-600">
+                      {solution.feedback.rating ? `${solution.feedback.rating}/5` : 'Not rated'} · {solution.aiModel} · v{solution.version}
+                    </span>
+                  </div>
+                  {solution.feedback.issues?.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {solution.feedback.issues.map((issue) => (
+                        <span key={issue} className="px-2 py-0.5 rounded-full text-xs bg-red-50 text-red-700">
+                          {ISSUE_LABELS[issue] || issue}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  {solution.feedback.comment && (
+                    <p className="text-sm text-gray-700 mt-2 whitespace-pre-wrap">{solution.feedback.comment}</p>
+                  )}
+                </div>
+              ))}
+              {solutions.pagination.total > solutions.solutions.length && (
+                <p className="text-xs text-gray-500">
+                  Showing {solutions.solutions.length} of {solutions.pagination.total}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FeedbackAnalytics;
@@ -0,0 +1,128 @@
+// client/src/components/FollowUpChat.jsx
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { MessageSquare, Send, Loader, User, Bot } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const FollowUpChat = ({ problemId }) => {
+  const [messages, setMessages] = useState([]);
+  const [content, setContent] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchMessages = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/problems/${problemId}/messages`);
+        setMessages(response.data.data.messages);
+      } catch (error) {
+        console.error('Fetch messages error:', error);
+      }
+    };
+
+    fetchMessages();
+  }, [problemId]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+
+    setSending(true);
+    setError('');
+
+    try {
+      const response = await axios.post(`${API_URL}/problems/${problemId}/messages`, {
+        content
+      });
+      setMessages([...messages, ...response.data.data.messages]);
+      setContent('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to send message');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+      <h3 className="text-xl font-bold text-gray-900 mb-4 flex items-center space-x-2">
+        <MessageSquare className="h-6 w-6 text-blue-600" />
+        <span>Follow-up Questions</span>
+      </h3>
+
+      {messages.length > 0 ? (
+        <div className="space-y-4 mb-4">
+          {messages.map((message) => (
+            <div
+              key={message._id}
+              className={`flex space-x-3 ${message.role === 'user' ? 'justify-end' : ''}`}
+            >
+              {message.role === 'assistant' && (
+                <div className="flex-shrink-0 w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center">
+                  <Bot className="h-5 w-5 text-blue-600" />
+                </div>
+              )}
+              <div
+                className={`max-w-[80%] p-4 rounded-lg whitespace-pre-wrap ${
+                  message.role === 'user'
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-50 border border-gray-200 text-gray-700'
+                }`}
+              >
+                {message.content}
+                {message.tokenUsage?.total && (
+                  <p className="mt-2 text-xs text-gray-500">
+                    {message.aiModel} • {message.tokenUsage.total} tokens
+                  </p>
+                )}
+              </div>
+              {message.role === 'user' && (
+                <div className="flex-shrink-0 w-8 h-8 bg-gray-100 rounded-full flex items-center justify-center">
+                  <User className="h-5 w-5 text-gray-600" />
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 mb-4">
+          Ask the AI to extend or explain its solution, e.g. "now handle negative numbers" or "explain step 3".
+          Each question counts as one query.
+        </p>
+      )}
+
+      {error && (
+        <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="flex space-x-3">
+        <input
+          type="text"
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          disabled={sending}
+          maxLength={5000}
+          placeholder="Ask a follow-up question..."
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={sending || !content.trim()}
+          className="flex items-center space-x-2 px-6 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition"
+        >
+          {sending ? (
+            <Loader className="h-5 w-5 animate-spin" />
+          ) : (
+            <Send className="h-5 w-5" />
+          )}
+          <span>Send</span>
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default FollowUpChat;
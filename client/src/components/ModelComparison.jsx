@@ -0,0 +1,79 @@
+// client/src/components/ModelComparison.jsx
+import { Columns, ThumbsUp, Trophy, Clock, Hash, Play } from 'lucide-react';
+
+const ModelComparison = ({ solutions, winnerId, onVote }) => {
+  if (solutions.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <h2 className="text-2xl font-bold text-gray-900 mb-2 flex items-center space-x-2">
+        <Columns className="h-6 w-6 text-blue-600" />
+        <span>Model Comparison</span>
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">
+        {winnerId ? 'You voted for the highlighted answer. You can change your vote.' : 'Vote for the better answer.'}
+      </p>
+
+      <div className={`grid grid-cols-1 gap-4 ${solutions.length > 2 ? 'lg:grid-cols-3' : 'md:grid-cols-2'}`}>
+        {solutions.map((solution) => {
+          const isWinner = solution._id === winnerId;
+
+          return (
+            <div
+              key={solution._id}
+              className={`flex flex-col rounded-lg border p-4 ${
+                isWinner ? 'border-green-500 bg-green-50' : 'border-gray-200'
+              }`}
+            >
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold text-gray-900">{solution.aiModel}</h3>
+                {isWinner && <Trophy className="h-5 w-5 text-green-600" />}
+              </div>
+
+              <div className="flex flex-wrap gap-3 text-xs text-gray-600 mb-3">
+                <span className="flex items-center space-x-1">
+                  <Hash className="h-3 w-3" />
+                  <span>{solution.tokenUsage?.total || 'N/A'} tokens</span>
+                </span>
+                {solution.cost?.total > 0 && (
+                  <span>${solution.cost.total.toFixed(4)}</span>
+                )}
+                <span className="flex items-center space-x-1">
+                  <Clock className="h-3 w-3" />
+                  <span>{solution.processingTime ? `${(solution.processingTime / 1000).toFixed(2)}s` : 'N/A'}</span>
+                </span>
+                {solution.executionResult?.status && (
+                  <span className="flex items-center space-x-1">
+                    <Play className="h-3 w-3" />
+                    <span>{solution.executionResult.status}</span>
+                  </span>
+                )}
+              </div>
+
+              <div className="flex-1 max-h-96 overflow-y-auto whitespace-pre-wrap text-sm text-gray-700 leading-relaxed mb-3">
+                {solution.explanation || solution.answer}
+              </div>
+
+              {solution.code?.snippet && (
+                <pre className="max-h-64 overflow-auto p-3 bg-gray-900 rounded text-xs text-gray-100 mb-3">
+                  <code>{solution.code.snippet}</code>
+                </pre>
+              )}
+
+              <button
+                onClick={() => onVote(solution._id)}
+                disabled={isWinner}
+                className="flex items-center justify-center space-x-2 px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:bg-green-600 disabled:cursor-default transition"
+              >
+                <ThumbsUp className="h-4 w-4" />
+                <span>{isWinner ? 'Your pick' : 'This one is better'}</span>
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ModelComparison;
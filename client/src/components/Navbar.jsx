@@ -1,7 +1,7 @@
 // client/src/components/Navbar.jsx
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { Menu, X, Brain, LogOut, LayoutDashboard, Plus, Shield } from 'lucide-react';
+import { Menu, X, Brain, LogOut, LayoutDashboard, Plus, Shield, Upload } from 'lucide-react';
 import { useState } from 'react';
 
 const Navbar = () => {
@@ -41,6 +41,14 @@ const Navbar = () => {
               <span>Dashboard</span>
             </Link>
 
+            <Link
+              to="/import"
+              className="flex items-center space-x-1 px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition"
+            >
+              <Upload className="h-4 w-4" />
+              <span>Bulk Import</span>
+            </Link>
+
             <Link
               to="/new-problem"
               className="flex items-center space-x-1 px-3 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 transition"
@@ -122,6 +130,15 @@ const Navbar = () => {
               <span>New Problem</span>
             </Link>
 
+            <Link
+              to="/import"
+              onClick={() => setMobileMenuOpen(false)}
+              className="flex items-center space-x-2 px-3 py-2 rounded-md text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition"
+            >
+              <Upload className="h-5 w-5" />
+              <span>Bulk Import</span>
+            </Link>
+
             {user.role === 'admin' && (
               <Link
                 to="/admin"
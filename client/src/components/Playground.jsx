@@ -0,0 +1,229 @@
+// client/src/components/Playground.jsx
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Terminal, Play, Loader, History, RotateCcw } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const Playground = ({ problemId, language, code: seedCode }) => {
+  const seeds = [
+    seedCode?.snippet && { key: 'snippet', label: 'Solution', code: seedCode.snippet },
+    seedCode?.optimizedVersion && { key: 'optimized', label: 'Optimized version', code: seedCode.optimizedVersion }
+  ].filter(Boolean);
+
+  const [code, setCode] = useState(seeds[0]?.code || '');
+  const [input, setInput] = useState('');
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState('');
+  const [policyWarnings, setPolicyWarnings] = useState([]);
+  const [languageInfo, setLanguageInfo] = useState(null);
+
+  useEffect(() => {
+    const fetchRuns = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/problems/${problemId}/runs`);
+        setRuns(response.data.data.runs);
+        setUsage(response.data.data.usage);
+      } catch (error) {
+        console.error('Fetch runs error:', error);
+      }
+    };
+
+    fetchRuns();
+  }, [problemId]);
+
+  useEffect(() => {
+    const fetchLanguage = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/languages`);
+        setLanguageInfo(response.data.data.languages.find((item) => item.id === language) || {
+          id: language, name: language, version: null, executable: false, highlight: language
+        });
+      } catch (error) {
+        console.error('Fetch languages error:', error);
+      }
+    };
+
+    fetchLanguage();
+  }, [language]);
+
+  const handleRun = async () => {
+    setRunning(true);
+    setError('');
+    setPolicyWarnings([]);
+
+    try {
+      const response = await axios.post(`${API_URL}/problems/${problemId}/runs`, { code, input });
+      setResult(response.data.data.run);
+      setRuns((prev) => [response.data.data.run, ...prev]);
+      setUsage(response.data.data.usage);
+      setPolicyWarnings(response.data.data.policy?.violations || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to run code');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  // Tab indents instead of leaving the editor
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Tab') return;
+    e.preventDefault();
+    const { selectionStart, selectionEnd } = e.target;
+    const next = `${code.slice(0, selectionStart)}  ${code.slice(selectionEnd)}`;
+    setCode(next);
+    requestAnimationFrame(() => {
+      e.target.selectionStart = e.target.selectionEnd = selectionStart + 2;
+    });
+  };
+
+  const loadRun = (run) => {
+    setCode(run.code);
+    setInput(run.input);
+    setResult(run);
+  };
+
+  const limitReached = usage && usage.current >= usage.limit;
+  const notExecutable = languageInfo && !languageInfo.executable;
+  const languageLabel = languageInfo
+    ? `${languageInfo.name}${languageInfo.version ? ` ${languageInfo.version}` : ''}`
+    : language;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="text-xl font-bold text-gray-900 flex items-center space-x-2">
+          <Terminal className="h-6 w-6 text-gray-700" />
+          <span>Playground</span>
+        </h3>
+        <div className="flex items-center space-x-2">
+          {seeds.map((seed) => (
+            <button
+              key={seed.key}
+              onClick={() => setCode(seed.code)}
+              className="flex items-center space-x-1 px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded-md transition"
+              title="Replace the editor contents"
+            >
+              <RotateCcw className="h-4 w-4" />
+              <span>{seed.label}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <textarea
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        onKeyDown={handleKeyDown}
+        rows={Math.min(Math.max(code.split('\n').length + 1, 8), 30)}
+        spellCheck={false}
+        className={`language-${languageInfo?.highlight || language} w-full p-4 bg-gray-900 text-gray-100 font-mono text-sm rounded-lg focus:ring-2 focus:ring-blue-500 focus:outline-none mb-4`}
+      />
+
+      <label htmlFor="playground-stdin" className="block text-sm font-semibold text-gray-700 mb-1">
+        Standard input
+      </label>
+      <textarea
+        id="playground-stdin"
+        value={input}
+        onChange={(e) => setInput(e.target.value)}
+        rows="3"
+        spellCheck={false}
+        placeholder="Input passed to the program (optional)"
+        className="w-full px-4 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent mb-4"
+      />
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <button
+          onClick={handleRun}
+          disabled={running || !code.trim() || limitReached || notExecutable}
+          className="flex items-center space-x-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition disabled:opacity-50"
+        >
+          {running ? <Loader className="h-4 w-4 animate-spin" /> : <Play className="h-4 w-4" />}
+          <span>{running ? 'Running...' : `Run ${languageLabel}`}</span>
+        </button>
+        {usage && (
+          <span className={`text-sm ${limitReached ? 'text-red-600' : 'text-gray-600'}`}>
+            {usage.current} / {usage.limit} runs this month
+          </span>
+        )}
+        {notExecutable && (
+          <span className="text-sm text-red-600">{languageInfo.name} code can't be run on this server</span>
+        )}
+      </div>
+
+      {error && (
+        <div className="p-4 mb-4 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-sm text-red-800 whitespace-pre-line">{error}</p>
+        </div>
+      )}
+
+      {policyWarnings.length > 0 && (
+        <div className="p-4 mb-4 bg-yellow-50 border border-yellow-200 rounded-md">
+          <p className="text-sm font-medium text-yellow-800 mb-1">Code policy warnings</p>
+          {policyWarnings.map((violation, index) => (
+            <p key={index} className="text-sm text-yellow-800">
+              Line {violation.line}: {violation.message} ({violation.found})
+            </p>
+          ))}
+        </div>
+      )}
+
+      {result && (
+        <div className="space-y-3 mb-4">
+          <div className="flex flex-wrap items-center gap-4 text-sm">
+            <span className={`font-medium ${result.status === 'Accepted' ? 'text-green-600' : 'text-red-600'}`}>
+              {result.status}
+            </span>
+            <span className="text-gray-600">{result.time || 'N/A'}s</span>
+            <span className="text-gray-600">{result.memory || 'N/A'} KB</span>
+          </div>
+          {result.output && (
+            <pre className="p-4 bg-gray-50 rounded border border-gray-200 overflow-x-auto">
+              <code className="text-sm">{result.output}</code>
+            </pre>
+          )}
+          {result.error && (
+            <pre className="p-4 bg-red-50 rounded border border-red-200 overflow-x-auto">
+              <code className="text-sm text-red-800">{result.error}</code>
+            </pre>
+          )}
+        </div>
+      )}
+
+      {runs.length > 0 && (
+        <div>
+          <p className="text-sm font-semibold text-gray-700 mb-2 flex items-center space-x-1">
+            <History className="h-4 w-4" />
+            <span>Run History</span>
+          </p>
+          <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg max-h-64 overflow-y-auto">
+            {runs.map((run) => (
+              <button
+                key={run._id}
+                onClick={() => loadRun(run)}
+                className={`w-full flex items-center justify-between px-3 py-2 text-left text-sm hover:bg-gray-50 ${
+                  result?._id === run._id ? 'bg-blue-50' : ''
+                }`}
+                title="Load this run's code and input"
+              >
+                <span className={run.status === 'Accepted' ? 'text-green-700' : 'text-red-700'}>{run.status}</span>
+                <span className="text-gray-500 truncate mx-3 flex-1">
+                  {run.input ? `stdin: ${run.input.split('\n')[0]}` : 'no input'}
+                </span>
+                <span className="text-gray-500 whitespace-nowrap">
+                  {run.time || '—'}s · {new Date(run.createdAt).toLocaleString()}
+                </span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Playground;
@@ -1,8 +1,10 @@
 // client/src/components/ProblemForm.jsx
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
-import { Brain, Send, Loader } from 'lucide-react';
+import { Brain, Send, Loader, Database } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import TestCaseEditor from './TestCaseEditor';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
@@ -13,13 +15,61 @@ const ProblemForm = () => {
     category: 'programming',
     language: 'python',
     difficulty: 'medium',
-    tags: ''
+    tags: '',
+    aiModel: ''
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [models, setModels] = useState([]);
+  const [defaultModel, setDefaultModel] = useState('');
+  const [compareMode, setCompareMode] = useState(false);
+  const [compareModels, setCompareModels] = useState([]);
+  const [cacheMatch, setCacheMatch] = useState(null);
+  const [testCases, setTestCases] = useState([]);
+  const [judgeOptions, setJudgeOptions] = useState({ ignoreWhitespace: true, floatTolerance: '' });
+  const [languages, setLanguages] = useState([]);
+  const [planLimits, setPlanLimits] = useState(null);
+  const [executionLimits, setExecutionLimits] = useState({
+    cpuTimeLimit: '', wallTimeLimit: '', memoryLimit: '', maxOutput: ''
+  });
+
+  const { user, updateUser } = useAuth();
 
   const navigate = useNavigate();
 
+  useEffect(() => {
+    fetchModels();
+    fetchLanguages();
+  }, []);
+
+  const fetchModels = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/models`);
+      setModels(response.data.data.models);
+      setDefaultModel(response.data.data.defaultModel);
+    } catch (error) {
+      console.error('Fetch models error:', error);
+    }
+  };
+
+  const fetchLanguages = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/languages`);
+      setLanguages(response.data.data.languages);
+      setPlanLimits(response.data.data.executionLimits);
+    } catch (error) {
+      console.error('Fetch languages error:', error);
+    }
+  };
+
+  // Limits a problem can set, as [field, label, unit]
+  const limitFields = [
+    ['cpuTimeLimit', 'CPU time', 's'],
+    ['wallTimeLimit', 'Wall time', 's'],
+    ['memoryLimit', 'Memory', 'KB'],
+    ['maxOutput', 'Output', 'bytes']
+  ];
+
   const categories = [
     { value: 'programming', label: 'Programming' },
     { value: 'mathematics', label: 'Mathematics' },
@@ -33,11 +83,6 @@ const ProblemForm = () => {
     { value: 'other', label: 'Other' }
   ];
 
-  const languages = [
-    'python', 'javascript', 'java', 'cpp', 'c', 'csharp', 
-    'ruby', 'go', 'rust', 'php', 'swift', 'kotlin', 'typescript'
-  ];
-
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -46,8 +91,26 @@ const ProblemForm = () => {
     setError('');
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  const toggleCompareModel = (modelId) => {
+    setCompareModels(compareModels.includes(modelId)
+      ? compareModels.filter((id) => id !== modelId)
+      : [...compareModels, modelId]);
+    setError('');
+  };
+
+  const handleCachePreference = async (e) => {
+    try {
+      const response = await axios.put(`${API_URL}/auth/profile`, {
+        preferences: { solutionCache: e.target.value }
+      });
+      updateUser(response.data.data.user);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save preference');
+    }
+  };
+
+  // cacheChoice is { reuseSolution } or { skipCache: true } after a cached solution was offered
+  const submitProblem = async (cacheChoice = {}) => {
     setLoading(true);
     setError('');
 
@@ -57,21 +120,56 @@ const ProblemForm = () => {
         .map(tag => tag.trim())
         .filter(tag => tag.length > 0);
 
+      // The solution is queued and streams in on the problem page
       const response = await axios.post(`${API_URL}/problems`, {
         ...formData,
-        tags: tagsArray
+        tags: tagsArray,
+        ...(testCases.length > 0 && {
+          testCases: testCases.map((testCase) => ({
+            ...testCase,
+            timeLimit: testCase.timeLimit === '' ? undefined : Number(testCase.timeLimit)
+          })),
+          judgeOptions: {
+            ignoreWhitespace: judgeOptions.ignoreWhitespace,
+            floatTolerance: judgeOptions.floatTolerance === '' ? undefined : Number(judgeOptions.floatTolerance)
+          }
+        }),
+        executionLimits: Object.fromEntries(limitFields
+          .filter(([field]) => executionLimits[field] !== '')
+          .map(([field]) => [field, Number(executionLimits[field])])),
+        ...(compareMode && { aiModel: '', compareModels }),
+        ...cacheChoice
       });
 
+      // An earlier solution matches, let the user decide
+      if (response.data.data.cacheMatch) {
+        setCacheMatch(response.data.data.cacheMatch);
+        return;
+      }
+
       const problemId = response.data.data.problem._id;
       navigate(`/problem/${problemId}`);
     } catch (err) {
       const message = err.response?.data?.message || 'Failed to submit problem';
       setError(message);
+      setCacheMatch(null);
     } finally {
       setLoading(false);
     }
   };
 
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (compareMode && (compareModels.length < 2 || compareModels.length > 4)) {
+      setError('Select between 2 and 4 models to compare');
+      return;
+    }
+
+    setCacheMatch(null);
+    await submitProblem();
+  };
+
   return (
     <div className="min-h-screen bg-gray-50 py-8 px-4 sm:px-6 lg:px-8">
       <div className="max-w-3xl mx-auto">
@@ -96,6 +194,42 @@ const ProblemForm = () => {
             </div>
           )}
 
+          {cacheMatch && (
+            <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-md">
+              <div className="flex items-start space-x-3">
+                <Database className="h-5 w-5 text-blue-600 mt-0.5" />
+                <div className="flex-1">
+                  <p className="text-sm font-medium text-blue-900">
+                    {cacheMatch.exact
+                      ? 'This problem has already been solved.'
+                      : `A very similar problem (${Math.round(cacheMatch.similarity * 100)}% match) has already been solved.`}
+                  </p>
+                  <p className="mt-1 text-sm text-blue-800">
+                    Solved by {cacheMatch.aiModel}. Reusing it is instant and does not count against your monthly queries.
+                  </p>
+                  <div className="mt-3 flex space-x-3">
+                    <button
+                      type="button"
+                      disabled={loading}
+                      onClick={() => submitProblem({ reuseSolution: cacheMatch.solutionId })}
+                      className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 transition"
+                    >
+                      Reuse solution
+                    </button>
+                    <button
+                      type="button"
+                      disabled={loading}
+                      onClick={() => submitProblem({ skipCache: true })}
+                      className="px-4 py-2 border border-blue-300 rounded-md text-sm font-medium text-blue-700 hover:bg-blue-100 disabled:opacity-50 transition"
+                    >
+                      Generate a new one
+                    </button>
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+
           <form onSubmit={handleSubmit} className="space-y-6">
             {/* Title */}
             <div>
@@ -179,15 +313,87 @@ const ProblemForm = () => {
                   onChange={handleChange}
                   className="block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
                 >
+                  {languages.length === 0 && (
+                    <option value={formData.language}>{formData.language}</option>
+                  )}
                   {languages.map((lang) => (
-                    <option key={lang} value={lang}>
-                      {lang.charAt(0).toUpperCase() + lang.slice(1)}
+                    <option key={lang.id} value={lang.id}>
+                      {lang.name}{lang.version ? ` (${lang.version})` : ''}{lang.executable ? '' : ' - not runnable'}
                     </option>
                   ))}
                 </select>
+                {languages.some((lang) => lang.id === formData.language && !lang.executable) && (
+                  <p className="mt-1 text-xs text-gray-500">
+                    Code in this language can't be run here, so solutions won't be executed or judged.
+                  </p>
+                )}
               </div>
             </div>
 
+            {/* AI Model */}
+            {models.length > 1 && (
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={compareMode}
+                  onChange={(e) => setCompareMode(e.target.checked)}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <span className="ml-2 text-sm text-gray-700">
+                  Compare models side by side
+                </span>
+              </label>
+            )}
+
+            {compareMode ? (
+              <div>
+                <p className="block text-sm font-medium text-gray-700 mb-2">
+                  Models to Compare (2-4)
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                  {models.map((model) => (
+                    <label key={model.id} className="flex items-center">
+                      <input
+                        type="checkbox"
+                        checked={compareModels.includes(model.id)}
+                        onChange={() => toggleCompareModel(model.id)}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                      />
+                      <span className="ml-2 text-sm text-gray-700">
+                        {model.label} ({model.providerLabel})
+                      </span>
+                    </label>
+                  ))}
+                </div>
+                <p className="mt-1 text-xs text-gray-500">
+                  Each model's answer counts as one query
+                </p>
+              </div>
+            ) : models.length > 0 && (
+              <div>
+                <label
+                  htmlFor="aiModel"
+                  className="block text-sm font-medium text-gray-700 mb-2"
+                >
+                  AI Model
+                </label>
+                <select
+                  id="aiModel"
+                  name="aiModel"
+                  value={formData.aiModel}
+                  onChange={handleChange}
+                  className="block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="">Default ({defaultModel})</option>
+                  {models.map((model) => (
+                    <option key={model.id} value={model.id}>
+                      {model.label} ({model.providerLabel})
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             {/* Difficulty */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -234,6 +440,66 @@ const ProblemForm = () => {
               </p>
             </div>
 
+            {/* Test Cases */}
+            <TestCaseEditor
+              testCases={testCases}
+              onChange={setTestCases}
+              judgeOptions={judgeOptions}
+              onJudgeOptionsChange={setJudgeOptions}
+            />
+
+            {/* Execution Limits */}
+            {planLimits && (
+              <div>
+                <p className="block text-sm font-medium text-gray-700 mb-2">Execution Limits</p>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                  {limitFields.map(([field, label, unit]) => (
+                    <label key={field} className="text-sm text-gray-700">
+                      <span className="block mb-1">{label} ({unit})</span>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        max={planLimits.ceiling[field]}
+                        value={executionLimits[field]}
+                        onChange={(e) => setExecutionLimits({ ...executionLimits, [field]: e.target.value })}
+                        className="w-full px-3 py-1 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+                        placeholder={String(planLimits.defaults[field])}
+                      />
+                    </label>
+                  ))}
+                </div>
+                <p className="mt-1 text-xs text-gray-500">
+                  Optional. Your {planLimits.plan} plan allows up to {planLimits.ceiling.cpuTimeLimit}s CPU,{' '}
+                  {planLimits.ceiling.wallTimeLimit}s wall time, {planLimits.ceiling.memoryLimit} KB memory and{' '}
+                  {planLimits.ceiling.maxOutput} bytes of output
+                  {planLimits.ceiling.allowCompile ? '' : ', and runs interpreted languages only'}
+                </p>
+              </div>
+            )}
+
+            {/* Solution cache preference */}
+            {!compareMode && (
+              <div>
+                <label
+                  htmlFor="solutionCache"
+                  className="block text-sm font-medium text-gray-700 mb-2"
+                >
+                  When this problem was already solved
+                </label>
+                <select
+                  id="solutionCache"
+                  value={user?.preferences?.solutionCache || 'ask'}
+                  onChange={handleCachePreference}
+                  className="block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="ask">Ask me whether to reuse the existing solution</option>
+                  <option value="auto">Reuse the existing solution automatically</option>
+                  <option value="off">Always generate a new solution</option>
+                </select>
+              </div>
+            )}
+
             {/* Submit Button */}
             <div className="flex items-center justify-end space-x-3 pt-4 border-t border-gray-200">
               <button
@@ -251,7 +517,7 @@ const ProblemForm = () => {
                 {loading ? (
                   <>
                     <Loader className="h-5 w-5 animate-spin" />
-                    <span>Generating Solution...</span>
+                    <span>Submitting...</span>
                   </>
                 ) : (
                   <>
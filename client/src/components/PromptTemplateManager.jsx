@@ -0,0 +1,451 @@
+// client/src/components/PromptTemplateManager.jsx
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Plus, Save, Trash2, RotateCcw, X } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const emptyForm = {
+  name: '',
+  category: 'programming',
+  language: '',
+  difficulty: '',
+  variant: 'A',
+  weight: 1,
+  isActive: true,
+  systemPrompt: '',
+  instructions: '',
+  note: ''
+};
+
+const formatRate = (value) => `${((value || 0) * 100).toFixed(1)}%`;
+
+const PromptTemplateManager = () => {
+  const [templates, setTemplates] = useState([]);
+  const [defaults, setDefaults] = useState(null);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/admin/prompts`);
+        setTemplates(response.data.data.templates);
+      } catch (error) {
+        console.error('Fetch prompt templates error:', error);
+      }
+    };
+
+    fetchTemplates();
+  }, [reloadKey]);
+
+  useEffect(() => {
+    const fetchDefaults = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/admin/prompts/defaults`);
+        setDefaults(response.data.data);
+      } catch (error) {
+        console.error('Fetch default prompts error:', error);
+      }
+    };
+
+    fetchDefaults();
+  }, []);
+
+  const openDetail = async (templateId) => {
+    try {
+      const response = await axios.get(`${API_URL}/admin/prompts/${templateId}`);
+      const { template } = response.data.data;
+      setDetail(response.data.data);
+      setEditingId(template._id);
+      setForm({
+        name: template.name,
+        category: template.category,
+        language: template.language || '',
+        difficulty: template.difficulty || '',
+        variant: template.variant,
+        weight: template.weight,
+        isActive: template.isActive,
+        systemPrompt: template.systemPrompt,
+        instructions: template.instructions || '',
+        note: ''
+      });
+      setError('');
+      setMessage('');
+    } catch (error) {
+      console.error('Fetch prompt template error:', error);
+    }
+  };
+
+  const openNew = () => {
+    setDetail(null);
+    setEditingId(null);
+    setForm({
+      ...emptyForm,
+      systemPrompt: defaults?.systemPrompts[emptyForm.category] || '',
+      instructions: defaults?.instructions || ''
+    });
+    setError('');
+    setMessage('');
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setDetail(null);
+    setEditingId(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm({ ...form, [name]: type === 'checkbox' ? checked : value });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const payload = { ...form, weight: Number(form.weight) };
+      const response = editingId
+        ? await axios.put(`${API_URL}/admin/prompts/${editingId}`, payload)
+        : await axios.post(`${API_URL}/admin/prompts`, payload);
+
+      setReloadKey((key) => key + 1);
+      await openDetail(response.data.data.template._id);
+      setMessage(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save prompt template');
+    }
+  };
+
+  const handleRollback = async (version) => {
+    if (!confirm(`Restore the prompt text of version ${version}?`)) return;
+
+    try {
+      const response = await axios.post(`${API_URL}/admin/prompts/${editingId}/rollback`, { version });
+      setReloadKey((key) => key + 1);
+      await openDetail(editingId);
+      setMessage(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to roll back');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm('Delete this prompt template? Its version history is lost.')) return;
+
+    try {
+      await axios.delete(`${API_URL}/admin/prompts/${editingId}`);
+      closeForm();
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete prompt template');
+    }
+  };
+
+  const categories = defaults ? Object.keys(defaults.systemPrompts) : [emptyForm.category];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-600">
+          The most specific active template for a problem's category, language and difficulty is used.
+          Templates with the same scope are A/B variants, picked at random by weight.
+          Without a template the built-in prompts apply.
+        </p>
+        <button
+          onClick={openNew}
+          className="flex items-center space-x-2 px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition"
+        >
+          <Plus className="h-4 w-4" />
+          <span>New Template</span>
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Scope</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Variant</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Weight</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Version</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Uses</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Avg Rating</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Execution Success</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {templates.map((template) => (
+              <tr
+                key={template._id}
+                onClick={() => openDetail(template._id)}
+                className={`cursor-pointer hover:bg-gray-50 ${template._id === editingId ? 'bg-purple-50' : ''}`}
+              >
+                <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-900">
+                  {template.name}
+                  {!template.isActive && (
+                    <span className="ml-2 px-2 py-1 text-xs rounded-full bg-gray-100 text-gray-600">inactive</span>
+                  )}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                  {[template.category, template.language, template.difficulty].filter(Boolean).join(' / ')}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">{template.variant}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">{template.weight}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">v{template.version}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">{template.outcomes.uses}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                  {template.outcomes.avgRating ? template.outcomes.avgRating.toFixed(2) : 'N/A'}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                  {template.outcomes.executed ? formatRate(template.outcomes.executionSuccessRate) : 'N/A'}
+                </td>
+              </tr>
+            ))}
+            {templates.length === 0 && (
+              <tr>
+                <td colSpan={8} className="px-6 py-4 text-sm text-gray-500 text-center">
+                  No prompt templates yet, the built-in prompts are in use.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {form && (
+        <form onSubmit={handleSave} className="p-6 bg-gray-50 border border-gray-200 rounded-lg space-y-4">
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-semibold text-gray-900">
+              {editingId ? `Edit ${form.name} (v${detail?.template.version})` : 'New Prompt Template'}
+            </h3>
+            <button type="button" onClick={closeForm} className="text-gray-500 hover:text-gray-700">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          {error && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+          )}
+          {message && (
+            <div className="p-4 bg-green-50 border border-green-200 rounded-md">
+              <p className="text-sm text-green-800">{message}</p>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label htmlFor="prompt-name" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                id="prompt-name"
+                name="name"
+                required
+                value={form.name}
+                onChange={handleChange}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500"
+              />
+            </div>
+            <div>
+              <label htmlFor="prompt-variant" className="block text-sm font-medium text-gray-700 mb-1">Variant</label>
+              <input
+                id="prompt-variant"
+                name="variant"
+                required
+                value={form.variant}
+                onChange={handleChange}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500"
+              />
+            </div>
+            <div>
+              <label htmlFor="prompt-weight" className="block text-sm font-medium text-gray-700 mb-1">Weight</label>
+              <input
+                id="prompt-weight"
+                name="weight"
+                type="number"
+                min="0"
+                step="any"
+                value={form.weight}
+                onChange={handleChange}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500"
+              />
+            </div>
+            <div>
+              <label htmlFor="prompt-category" className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+              <select
+                id="prompt-category"
+                name="category"
+                value={form.category}
+                onChange={handleChange}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500"
+              >
+                {categories.map((category) => (
+                  <option key={category} value={category}>{category}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="prompt-language" className="block text-sm font-medium text-gray-700 mb-1">Language</label>
+              <input
+                id="prompt-language"
+                name="language"
+                value={form.language}
+                onChange={handleChange}
+                placeholder="Any"
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500"
+              />
+            </div>
+            <div>
+              <label htmlFor="prompt-difficulty" className="block text-sm font-medium text-gray-700 mb-1">Difficulty</label>
+              <select
+                id="prompt-difficulty"
+                name="difficulty"
+                value={form.difficulty}
+                onChange={handleChange}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500"
+              >
+                <option value="">Any</option>
+                <option value="easy">Easy</option>
+                <option value="medium">Medium</option>
+                <option value="hard">Hard</option>
+              </select>
+            </div>
+          </div>
+
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              name="isActive"
+              checked={form.isActive}
+              onChange={handleChange}
+              className="h-4 w-4 text-purple-600 focus:ring-purple-500 border-gray-300 rounded"
+            />
+            <span className="ml-2 text-sm text-gray-700">Active</span>
+          </label>
+
+          <div>
+            <label htmlFor="prompt-system" className="block text-sm font-medium text-gray-700 mb-1">System Prompt</label>
+            <textarea
+              id="prompt-system"
+              name="systemPrompt"
+              required
+              rows={4}
+              value={form.systemPrompt}
+              onChange={handleChange}
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:ring-purple-500 focus:border-purple-500"
+            />
+          </div>
+
+          <div>
+            <label htmlFor="prompt-instructions" className="block text-sm font-medium text-gray-700 mb-1">
+              Instructions (appended after the problem)
+            </label>
+            <textarea
+              id="prompt-instructions"
+              name="instructions"
+              rows={8}
+              value={form.instructions}
+              onChange={handleChange}
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:ring-purple-500 focus:border-purple-500"
+            />
+          </div>
+
+          <div>
+            <label htmlFor="prompt-note" className="block text-sm font-medium text-gray-700 mb-1">Change Note</label>
+            <input
+              id="prompt-note"
+              name="note"
+              value={form.note}
+              onChange={handleChange}
+              placeholder="What changed in this version"
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500"
+            />
+          </div>
+
+          <div className="flex items-center justify-between">
+            {editingId ? (
+              <button
+                type="button"
+                onClick={handleDelete}
+                className="flex items-center space-x-2 px-4 py-2 text-red-600 hover:text-red-800 transition"
+              >
+                <Trash2 className="h-4 w-4" />
+                <span>Delete</span>
+              </button>
+            ) : <span />}
+            <button
+              type="submit"
+              className="flex items-center space-x-2 px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition"
+            >
+              <Save className="h-4 w-4" />
+              <span>Save</span>
+            </button>
+          </div>
+
+          {detail && (
+            <div className="border-t border-gray-200 pt-4">
+              <h4 className="text-md font-semibold text-gray-900 mb-3">Version History</h4>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-white">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Version</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Note</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Edited</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Uses</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Avg Rating</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Execution Success</th>
+                      <th className="px-4 py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {[...detail.template.history].reverse().map((entry) => {
+                      const outcome = detail.outcomes.find((row) => row.version === entry.version);
+                      return (
+                        <tr key={entry.version}>
+                          <td className="px-4 py-2 text-sm font-medium">v{entry.version}</td>
+                          <td className="px-4 py-2 text-sm">{entry.note || '-'}</td>
+                          <td className="px-4 py-2 text-sm text-gray-600">
+                            {entry.editedBy?.username || 'unknown'} • {new Date(entry.createdAt).toLocaleString()}
+                          </td>
+                          <td className="px-4 py-2 text-sm">{outcome?.uses || 0}</td>
+                          <td className="px-4 py-2 text-sm">
+                            {outcome?.avgRating ? outcome.avgRating.toFixed(2) : 'N/A'}
+                          </td>
+                          <td className="px-4 py-2 text-sm">
+                            {outcome?.executed ? formatRate(outcome.executionSuccessRate) : 'N/A'}
+                          </td>
+                          <td className="px-4 py-2 text-right">
+                            {entry.version !== detail.template.version && (
+                              <button
+                                type="button"
+                                onClick={() => handleRollback(entry.version)}
+                                className="flex items-center space-x-1 text-sm text-purple-600 hover:text-purple-800"
+                              >
+                                <RotateCcw className="h-4 w-4" />
+                                <span>Rollback</span>
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default PromptTemplateManager;
@@ -0,0 +1,147 @@
+// client/src/components/RegeneratePanel.jsx
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { RefreshCw, Loader } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const RegeneratePanel = ({ problemId, currentModel, onStarted }) => {
+  const [open, setOpen] = useState(false);
+  const [models, setModels] = useState([]);
+  const [options, setOptions] = useState({
+    aiModel: currentModel || '',
+    temperature: 0.7,
+    instructions: ''
+  });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open || models.length > 0) return;
+
+    const fetchModels = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/models`);
+        setModels(response.data.data.models);
+      } catch (error) {
+        console.error('Fetch models error:', error);
+      }
+    };
+
+    fetchModels();
+  }, [open, models.length]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const response = await axios.post(`${API_URL}/problems/${problemId}/regenerate`, {
+        ...(options.aiModel && { aiModel: options.aiModel }),
+        temperature: Number(options.temperature),
+        ...(options.instructions.trim() && { instructions: options.instructions })
+      });
+      setOpen(false);
+      onStarted(response.data.data.problem);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to regenerate solution');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        className="flex items-center space-x-2 px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-md transition"
+      >
+        <RefreshCw className="h-4 w-4" />
+        <span>Regenerate</span>
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="w-full mt-4 p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-4">
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="regenerate-model" className="block text-sm font-medium text-gray-700 mb-2">
+            AI Model
+          </label>
+          <select
+            id="regenerate-model"
+            value={options.aiModel}
+            onChange={(e) => setOptions({ ...options, aiModel: e.target.value })}
+            className="block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">Default</option>
+            {models.map((model) => (
+              <option key={model.id} value={model.id}>
+                {model.label} ({model.providerLabel})
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="regenerate-temperature" className="block text-sm font-medium text-gray-700 mb-2">
+            Temperature: {Number(options.temperature).toFixed(1)}
+          </label>
+          <input
+            id="regenerate-temperature"
+            type="range"
+            min="0"
+            max="1"
+            step="0.1"
+            value={options.temperature}
+            onChange={(e) => setOptions({ ...options, temperature: e.target.value })}
+            className="w-full"
+          />
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="regenerate-instructions" className="block text-sm font-medium text-gray-700 mb-2">
+          Extra Instructions
+        </label>
+        <textarea
+          id="regenerate-instructions"
+          rows={3}
+          maxLength={2000}
+          value={options.instructions}
+          onChange={(e) => setOptions({ ...options, instructions: e.target.value })}
+          className="block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+          placeholder="e.g., Use an iterative approach instead of recursion"
+        />
+      </div>
+
+      <div className="flex items-center justify-end space-x-3">
+        <button
+          type="button"
+          onClick={() => setOpen(false)}
+          className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 transition"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={submitting}
+          className="flex items-center space-x-2 px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition"
+        >
+          {submitting ? <Loader className="h-4 w-4 animate-spin" /> : <RefreshCw className="h-4 w-4" />}
+          <span>Regenerate</span>
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default RegeneratePanel;
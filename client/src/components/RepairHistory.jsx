@@ -0,0 +1,88 @@
+// client/src/components/RepairHistory.jsx
+import { Wrench, CheckCircle, XCircle } from 'lucide-react';
+import { diffLines } from '../utils/diff';
+
+const lineClasses = {
+  same: 'text-gray-600',
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-800'
+};
+
+const linePrefix = {
+  same: ' ',
+  added: '+',
+  removed: '-'
+};
+
+const RepairHistory = ({ attempts, status }) => {
+  if (!attempts || attempts.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <h3 className="text-xl font-bold text-gray-900 mb-2 flex items-center space-x-2">
+        <Wrench className="h-6 w-6 text-orange-600" />
+        <span>Repair History</span>
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        {status === 'repaired'
+          ? `The first version failed to run. Fix ${attempts.length - 1} ran cleanly and is shown as the solution.`
+          : 'The code still failed after every repair attempt, so the original version is shown.'}
+      </p>
+
+      <div className="space-y-4">
+        {attempts.map((attempt, index) => {
+          const result = attempt.executionResult || {};
+          const accepted = result.status === 'Accepted';
+
+          return (
+            <div key={attempt.iteration} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                <p className="font-semibold text-gray-900">
+                  {attempt.iteration === 0 ? 'Original code' : `Repair ${attempt.iteration}`}
+                </p>
+                <span className={`flex items-center space-x-1 text-sm font-medium ${
+                  accepted ? 'text-green-600' : 'text-red-600'
+                }`}>
+                  {accepted ? <CheckCircle className="h-4 w-4" /> : <XCircle className="h-4 w-4" />}
+                  <span>{result.status || 'Not executed'}</span>
+                </span>
+              </div>
+
+              {attempt.explanation && (
+                <p className="text-sm text-gray-700 mb-2">{attempt.explanation}</p>
+              )}
+
+              {result.error && (
+                <pre className="p-3 mb-2 bg-red-50 rounded border border-red-200 overflow-x-auto">
+                  <code className="text-sm text-red-800">{result.error}</code>
+                </pre>
+              )}
+
+              {index > 0 && attempt.code && (
+                <details>
+                  <summary className="text-sm text-blue-600 cursor-pointer">Changes</summary>
+                  <pre className="mt-2 p-3 bg-white rounded border border-gray-200 overflow-x-auto text-sm">
+                    {diffLines(attempts[index - 1].code || '', attempt.code).map((entry, lineIndex) => (
+                      <div key={lineIndex} className={lineClasses[entry.type]}>
+                        {linePrefix[entry.type]} {entry.line}
+                      </div>
+                    ))}
+                  </pre>
+                </details>
+              )}
+
+              {attempt.tokenUsage && (
+                <p className="text-xs text-gray-500 mt-2">
+                  {attempt.tokenUsage.total || 0} tokens
+                  {attempt.cost && ` · $${(attempt.cost.total || 0).toFixed(4)}`}
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default RepairHistory;
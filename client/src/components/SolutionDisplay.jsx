@@ -4,8 +4,19 @@ import { useParams, useNavigate, Link } from 'react-router-dom';
 import axios from 'axios';
 import { 
   ArrowLeft, Copy, Check, Code, Clock, Zap, 
-  BookOpen, CheckCircle, XCircle, AlertCircle 
+  BookOpen, CheckCircle, XCircle, AlertCircle, Loader, Download, Ban 
 } from 'lucide-react';
+import { streamEvents } from '../services/eventStream';
+import FollowUpChat from './FollowUpChat';
+import SolutionVersions from './SolutionVersions';
+import RegeneratePanel from './RegeneratePanel';
+import ModelComparison from './ModelComparison';
+import RepairHistory from './RepairHistory';
+import TestResults from './TestResults';
+import UnitTestResults from './UnitTestResults';
+import SolutionFeedback from './SolutionFeedback';
+import Playground from './Playground';
+import Benchmark from './Benchmark';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
@@ -15,10 +26,66 @@ const SolutionDisplay = () => {
   const [problem, setProblem] = useState(null);
   const [loading, setLoading] = useState(true);
   const [copied, setCopied] = useState(false);
+  const [streamedAnswer, setStreamedAnswer] = useState('');
+  const [versions, setVersions] = useState([]);
+  const [acceptedId, setAcceptedId] = useState(null);
+  const [selectedVersionId, setSelectedVersionId] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [queueState, setQueueState] = useState(null);
+  const [cancelling, setCancelling] = useState(false);
+
+  const status = problem?.status;
 
   useEffect(() => {
     fetchProblem();
-  }, [id]);
+  }, [id, reloadKey]);
+
+  // Load every solution version once the problem is solved
+  useEffect(() => {
+    if (status !== 'solved') return;
+
+    const fetchVersions = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/problems/${id}/solutions`);
+        setVersions(response.data.data.solutions);
+        setAcceptedId(response.data.data.acceptedSolution);
+      } catch (error) {
+        console.error('Fetch versions error:', error);
+      }
+    };
+
+    fetchVersions();
+  }, [id, status]);
+
+  // Follow the answer while it is being generated
+  useEffect(() => {
+    if (status !== 'pending' && status !== 'processing') return;
+
+    const controller = new AbortController();
+    setStreamedAnswer('');
+    setQueueState({ status });
+    setCancelling(false);
+
+    streamEvents(`/problems/${id}/stream`, {
+      signal: controller.signal,
+      onEvent: (event, data) => {
+        if (event === 'snapshot') setStreamedAnswer(data.answer);
+        if (event === 'token') setStreamedAnswer((prev) => prev + data.delta);
+        if (event === 'status') setQueueState(data);
+        if (event === 'done') {
+          setProblem(data.problem);
+          if (data.solutionId) setSelectedVersionId(data.solutionId);
+        }
+        if (event === 'error' || event === 'cancelled') setReloadKey((key) => key + 1);
+      }
+    }).catch((error) => {
+      if (error.name !== 'AbortError') {
+        console.error('Solution stream error:', error);
+      }
+    });
+
+    return () => controller.abort();
+  }, [id, status]);
 
   const fetchProblem = async () => {
     try {
@@ -33,12 +100,72 @@ const SolutionDisplay = () => {
     }
   };
 
+  const handleAccept = async (solutionId) => {
+    try {
+      await axios.put(`${API_URL}/problems/${id}/solutions/${solutionId}/accept`);
+      setAcceptedId(solutionId);
+    } catch (error) {
+      console.error('Accept solution error:', error);
+      alert('Failed to accept solution');
+    }
+  };
+
+  const handleVote = async (solutionId) => {
+    try {
+      const response = await axios.put(`${API_URL}/problems/${id}/comparison/vote`, { solutionId });
+      setProblem((prev) => ({ ...prev, comparison: response.data.data.problem.comparison }));
+      setAcceptedId(solutionId);
+      setSelectedVersionId(solutionId);
+    } catch (error) {
+      console.error('Vote error:', error);
+      alert('Failed to record vote');
+    }
+  };
+
+  // Keep the saved feedback on both the version list and the current solution
+  const handleFeedbackSaved = (solutionId, feedback) => {
+    setVersions((prev) => prev.map((version) => (version._id === solutionId ? { ...version, feedback } : version)));
+    setProblem((prev) => (prev.solution?._id === solutionId
+      ? { ...prev, solution: { ...prev.solution, feedback } }
+      : prev));
+  };
+
+  const handleCancel = async () => {
+    if (!confirm('Cancel generating this solution?')) return;
+
+    setCancelling(true);
+    try {
+      const response = await axios.post(`${API_URL}/problems/${id}/cancel`);
+      // A queued job is cancelled at once, a running one reports through the stream
+      if (response.status === 200) {
+        setReloadKey((key) => key + 1);
+      }
+    } catch (error) {
+      console.error('Cancel generation error:', error);
+      setCancelling(false);
+      if (error.response?.status === 409) {
+        setReloadKey((key) => key + 1);
+      } else {
+        alert('Failed to cancel generation');
+      }
+    }
+  };
+
   const copyToClipboard = (text) => {
     navigator.clipboard.writeText(text);
     setCopied(true);
     setTimeout(() => setCopied(false), 2000);
   };
 
+  const downloadFile = (filename, text) => {
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -60,7 +187,7 @@ const SolutionDisplay = () => {
     );
   }
 
-  const solution = problem.solution;
+  const solution = versions.find((version) => version._id === selectedVersionId) || problem.solution;
 
   return (
     <div className="min-h-screen bg-gray-50 py-8 px-4 sm:px-6 lg:px-8">
@@ -103,6 +230,11 @@ const SolutionDisplay = () => {
                     <XCircle className="h-5 w-5" />
                     <span className="font-medium">Failed</span>
                   </span>
+                ) : problem.status === 'cancelled' ? (
+                  <span className="flex items-center space-x-1 text-gray-600">
+                    <Ban className="h-5 w-5" />
+                    <span className="font-medium">Cancelled</span>
+                  </span>
                 ) : (
                   <span className="flex items-center space-x-1 text-yellow-600">
                     <Clock className="h-5 w-5 animate-spin" />
@@ -130,11 +262,93 @@ const SolutionDisplay = () => {
               ))}
             </div>
           )}
+
+          {(status === 'solved' || status === 'failed' || status === 'cancelled') && (
+            <div className="mt-4">
+              <RegeneratePanel
+                problemId={problem._id}
+                currentModel={problem.aiModel}
+                onStarted={(updated) => setProblem((prev) => ({ ...prev, status: updated.status }))}
+              />
+            </div>
+          )}
         </div>
 
+        {/* Streaming Answer */}
+        {(status === 'pending' || status === 'processing') && (
+          <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-2xl font-bold text-gray-900 flex items-center space-x-2">
+                <Loader className="h-6 w-6 text-blue-600 animate-spin" />
+                <span>
+                  {cancelling ? 'Cancelling...' : queueState?.status === 'pending' ? 'Queued...' : 'Generating Solution...'}
+                </span>
+              </h2>
+              <button
+                onClick={handleCancel}
+                disabled={cancelling}
+                className="flex items-center space-x-2 px-4 py-2 text-red-600 border border-red-300 rounded-lg hover:bg-red-50 transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Ban className="h-4 w-4" />
+                <span>Cancel</span>
+              </button>
+            </div>
+
+            {queueState?.retryAt && (
+              <p className="text-sm text-orange-700 mb-4">
+                The last attempt failed ({queueState.error}). Retrying at {new Date(queueState.retryAt).toLocaleTimeString()}.
+              </p>
+            )}
+            {queueState?.attempt > 1 && !queueState.retryAt && (
+              <p className="text-sm text-gray-500 mb-4">
+                Attempt {queueState.attempt} of {queueState.maxAttempts}
+              </p>
+            )}
+
+            {streamedAnswer ? (
+              streamedAnswer.trimStart().startsWith('{') ? (
+                // Structured replies arrive as raw JSON until they are parsed
+                <pre className="p-4 bg-gray-50 rounded border border-gray-200 overflow-x-auto">
+                  <code className="text-sm text-gray-700">{streamedAnswer}</code>
+                </pre>
+              ) : (
+                <div className="whitespace-pre-wrap text-gray-700 leading-relaxed">
+                  {streamedAnswer}
+                </div>
+              )
+            ) : problem.comparison?.models?.length > 0 ? (
+              <p className="text-gray-500">
+                Waiting for {problem.comparison.models.join(', ')} to respond...
+              </p>
+            ) : (
+              <p className="text-gray-500">Waiting for the AI to respond...</p>
+            )}
+          </div>
+        )}
+
         {/* Solution */}
         {solution && (
           <>
+            {/* Side-by-side comparison */}
+            {problem.comparison?.models?.length > 0 && (
+              <ModelComparison
+                solutions={versions.filter((version) => version.compared)}
+                winnerId={problem.comparison.winner}
+                onVote={handleVote}
+              />
+            )}
+
+            {/* Versions */}
+            {versions.length > 1 && (
+              <SolutionVersions
+                versions={versions}
+                selectedId={solution._id}
+                acceptedId={acceptedId}
+                onSelect={setSelectedVersionId}
+                onAccept={handleAccept}
+              />
+            )}
+
             {/* AI Model and Stats */}
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
               <div className="bg-white rounded-lg shadow p-4">
@@ -145,6 +359,16 @@ const SolutionDisplay = () => {
                 <p className="text-lg font-semibold text-gray-900">
                   {solution.aiModel?.toUpperCase() || 'N/A'}
                 </p>
+                {solution.requestedModel && solution.requestedModel !== solution.aiModel && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Fallback from {solution.requestedModel} after {solution.attempts.length - 1} unsuccessful attempt(s)
+                  </p>
+                )}
+                {solution.cachedFrom && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Reused from an earlier identical or similar problem
+                  </p>
+                )}
               </div>
 
               <div className="bg-white rounded-lg shadow p-4">
@@ -165,6 +389,11 @@ const SolutionDisplay = () => {
                 <p className="text-lg font-semibold text-gray-900">
                   {solution.tokenUsage?.total || 'N/A'}
                 </p>
+                {solution.cost?.total > 0 && (
+                  <p className="mt-1 text-xs text-gray-500">
+                    ${solution.cost.total.toFixed(4)}
+                  </p>
+                )}
               </div>
             </div>
 
@@ -218,6 +447,38 @@ const SolutionDisplay = () => {
               </div>
             )}
 
+            {/* Complexity and Assumptions */}
+            {(solution.complexity?.time || solution.complexity?.space || solution.assumptions?.length > 0) && (
+              <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+                {(solution.complexity?.time || solution.complexity?.space) && (
+                  <>
+                    <h3 className="text-xl font-bold text-gray-900 mb-4">Complexity</h3>
+                    <div className="grid grid-cols-2 gap-4 mb-4">
+                      <div>
+                        <p className="text-sm font-semibold text-gray-700 mb-1">Time</p>
+                        <p className="font-mono text-gray-900">{solution.complexity.time || 'N/A'}</p>
+                      </div>
+                      <div>
+                        <p className="text-sm font-semibold text-gray-700 mb-1">Space</p>
+                        <p className="font-mono text-gray-900">{solution.complexity.space || 'N/A'}</p>
+                      </div>
+                    </div>
+                  </>
+                )}
+
+                {solution.assumptions?.length > 0 && (
+                  <>
+                    <h3 className="text-xl font-bold text-gray-900 mb-2">Assumptions</h3>
+                    <ul className="list-disc list-inside space-y-1 text-gray-700">
+                      {solution.assumptions.map((assumption, index) => (
+                        <li key={index}>{assumption}</li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+              </div>
+            )}
+
             {/* Code Solution */}
             {solution.code && solution.code.snippet && (
               <div className="bg-white rounded-lg shadow-md p-6 mb-6">
@@ -292,6 +553,49 @@ const SolutionDisplay = () => {
               </div>
             )}
 
+            {/* Tests and Examples */}
+            {solution.codeBlocks?.filter((block) => block.role === 'test' || block.role === 'example').map((block, index) => (
+              <div key={index} className="bg-white rounded-lg shadow-md p-6 mb-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-xl font-bold text-gray-900 flex items-center space-x-2 capitalize">
+                    <Code className="h-6 w-6" />
+                    <span>{block.role === 'test' ? 'Tests' : 'Example'}</span>
+                  </h3>
+                  <div className="flex items-center space-x-2">
+                    {block.role === 'test' && (
+                      <button
+                        onClick={() => downloadFile(block.filename || 'tests.txt', block.code)}
+                        className="flex items-center space-x-2 px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-md transition"
+                      >
+                        <Download className="h-4 w-4" />
+                        <span>{block.filename || 'Download'}</span>
+                      </button>
+                    )}
+                    <button
+                      onClick={() => copyToClipboard(block.code)}
+                      className="flex items-center space-x-2 px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-md transition"
+                    >
+                      <Copy className="h-4 w-4" />
+                      <span>Copy Code</span>
+                    </button>
+                  </div>
+                </div>
+
+                {block.description && (
+                  <p className="text-gray-700 mb-4">{block.description}</p>
+                )}
+
+                <div className="bg-gray-900 rounded-lg p-4 overflow-x-auto">
+                  <pre className="text-gray-100">
+                    <code>{block.code}</code>
+                  </pre>
+                </div>
+              </div>
+            ))}
+
+            {/* Repair History */}
+            <RepairHistory attempts={solution.repairAttempts} status={solution.repairStatus} />
+
             {/* Execution Result */}
             {solution.executionResult && (
               <div className="bg-white rounded-lg shadow-md p-6">
@@ -334,6 +638,19 @@ const SolutionDisplay = () => {
                     </div>
                   )}
 
+                  {solution.executionResult.policy?.outcome === 'warned' && (
+                    <div>
+                      <p className="text-sm font-semibold text-gray-700 mb-1">Code Policy Warnings</p>
+                      <div className="p-4 bg-yellow-50 rounded border border-yellow-200">
+                        {solution.executionResult.policy.violations.map((violation, index) => (
+                          <p key={index} className="text-sm text-yellow-800">
+                            Line {violation.line}: {violation.message} ({violation.found})
+                          </p>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
                   <div className="grid grid-cols-2 gap-4">
                     <div>
                       <p className="text-sm font-semibold text-gray-700 mb-1">Execution Time</p>
@@ -344,12 +661,77 @@ const SolutionDisplay = () => {
                       <p className="text-gray-900">{solution.executionResult.memory || 'N/A'} KB</p>
                     </div>
                   </div>
+
+                  {solution.executionResult.limits && (
+                    <div>
+                      <p className="text-sm font-semibold text-gray-700 mb-1">Limits Applied</p>
+                      <p className="text-sm text-gray-600">
+                        {solution.executionResult.limits.cpuTimeLimit}s CPU
+                        {' · '}{solution.executionResult.limits.wallTimeLimit}s wall time
+                        {' · '}{solution.executionResult.limits.memoryLimit} KB memory
+                        {' · '}{solution.executionResult.limits.maxOutput} bytes output
+                      </p>
+                    </div>
+                  )}
                 </div>
               </div>
             )}
+
+            {/* Playground */}
+            {problem.language && solution.code?.snippet && (
+              <Playground
+                key={solution._id}
+                problemId={problem._id}
+                language={problem.language}
+                code={solution.code}
+              />
+            )}
+
+            {/* Scaled Input Benchmark */}
+            {problem.language && solution.code?.snippet && (
+              <Benchmark
+                key={`benchmark-${solution._id}`}
+                problemId={problem._id}
+                solution={solution}
+              />
+            )}
+
+            {/* Test Case Verdicts */}
+            <TestResults
+              testCases={problem.testCases}
+              results={solution.testResults}
+              summary={solution.testSummary}
+            />
+
+            {/* Generated Unit Tests */}
+            <UnitTestResults unitTests={solution.unitTests} />
+
+            {/* Rating and Issue Flags */}
+            <SolutionFeedback
+              key={solution._id}
+              problemId={problem._id}
+              solution={solution}
+              onSaved={handleFeedbackSaved}
+            />
+
+            {/* Follow-up Conversation */}
+            <FollowUpChat problemId={problem._id} />
           </>
         )}
 
+        {/* Generation Cancelled */}
+        {!solution && problem.status === 'cancelled' && (
+          <div className="bg-gray-100 border border-gray-200 rounded-lg p-6">
+            <div className="flex items-center space-x-3 mb-2">
+              <Ban className="h-6 w-6 text-gray-600" />
+              <h3 className="text-lg font-semibold text-gray-900">Generation Cancelled</h3>
+            </div>
+            <p className="text-gray-700">
+              The solution was not generated and no query was used. Use Regenerate above to try again.
+            </p>
+          </div>
+        )}
+
         {/* No Solution Available */}
         {!solution && problem.status === 'failed' && (
           <div className="bg-red-50 border border-red-200 rounded-lg p-6">
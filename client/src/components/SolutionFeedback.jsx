@@ -0,0 +1,122 @@
+// client/src/components/SolutionFeedback.jsx
+import { useState } from 'react';
+import axios from 'axios';
+import { Star, ThumbsUp, Check } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+// Issue flags the server accepts and how they are shown
+const ISSUES = {
+  wrong: 'Wrong',
+  incomplete: 'Incomplete',
+  'code-does-not-run': "Code doesn't run",
+  'too-verbose': 'Too verbose',
+  unclear: 'Unclear'
+};
+
+const SolutionFeedback = ({ problemId, solution, onSaved }) => {
+  const feedback = solution.feedback || {};
+  const [rating, setRating] = useState(feedback.rating || null);
+  const [hovered, setHovered] = useState(null);
+  const [issues, setIssues] = useState(feedback.issues || []);
+  const [comment, setComment] = useState(feedback.comment || '');
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  const toggleIssue = (issue) => {
+    setSaved(false);
+    setIssues((prev) => (prev.includes(issue) ? prev.filter((item) => item !== issue) : [...prev, issue]));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await axios.put(
+        `${API_URL}/problems/${problemId}/solutions/${solution._id}/feedback`,
+        { rating, issues, comment: comment.trim() || null }
+      );
+      onSaved(solution._id, response.data.data.feedback);
+      setSaved(true);
+    } catch (error) {
+      console.error('Save feedback error:', error);
+      alert(error.response?.data?.message || 'Failed to save feedback');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+      <h3 className="text-xl font-bold text-gray-900 mb-2 flex items-center space-x-2">
+        <ThumbsUp className="h-6 w-6 text-blue-600" />
+        <span>Rate This Solution</span>
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Your rating applies to version {solution.version || 1} and helps us compare models and prompts.
+      </p>
+
+      <div className="flex items-center space-x-1 mb-4" onMouseLeave={() => setHovered(null)}>
+        {[1, 2, 3, 4, 5].map((value) => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => { setRating(rating === value ? null : value); setSaved(false); }}
+            onMouseEnter={() => setHovered(value)}
+            title={`${value} star${value > 1 ? 's' : ''}`}
+          >
+            <Star
+              className={`h-7 w-7 ${
+                value <= (hovered || rating || 0) ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'
+              }`}
+            />
+          </button>
+        ))}
+        {rating && <span className="ml-2 text-sm text-gray-600">{rating}/5</span>}
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {Object.entries(ISSUES).map(([issue, label]) => (
+          <button
+            key={issue}
+            type="button"
+            onClick={() => toggleIssue(issue)}
+            className={`px-3 py-1 rounded-full text-sm border transition ${
+              issues.includes(issue)
+                ? 'bg-red-50 border-red-300 text-red-700'
+                : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <textarea
+        value={comment}
+        onChange={(e) => { setComment(e.target.value); setSaved(false); }}
+        rows="3"
+        maxLength={2000}
+        placeholder="Anything else we should know? (optional)"
+        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent mb-3"
+      />
+
+      <div className="flex items-center space-x-3">
+        <button
+          onClick={handleSave}
+          disabled={saving || (!rating && issues.length === 0 && !comment.trim() && !feedback.updatedAt)}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save Feedback'}
+        </button>
+        {saved && (
+          <span className="flex items-center space-x-1 text-sm text-green-700">
+            <Check className="h-4 w-4" />
+            <span>Thanks for the feedback</span>
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SolutionFeedback;
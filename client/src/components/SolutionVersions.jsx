@@ -0,0 +1,122 @@
+// client/src/components/SolutionVersions.jsx
+import { useState } from 'react';
+import { History, CheckCircle, GitCompare } from 'lucide-react';
+import { diffLines } from '../utils/diff';
+
+const lineClasses = {
+  same: 'text-gray-600',
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-800'
+};
+
+const linePrefix = {
+  same: ' ',
+  added: '+',
+  removed: '-'
+};
+
+const DiffView = ({ title, oldText, newText }) => {
+  const lines = diffLines(oldText, newText);
+
+  return (
+    <div className="mb-4">
+      <p className="text-sm font-semibold text-gray-700 mb-1">{title}</p>
+      <pre className="p-4 bg-white rounded border border-gray-200 overflow-x-auto text-sm">
+        {lines.map((entry, index) => (
+          <div key={index} className={lineClasses[entry.type]}>
+            {linePrefix[entry.type]} {entry.line}
+          </div>
+        ))}
+      </pre>
+    </div>
+  );
+};
+
+const SolutionVersions = ({ versions, selectedId, acceptedId, onSelect, onAccept }) => {
+  const [compareId, setCompareId] = useState('');
+
+  const selected = versions.find((version) => version._id === selectedId);
+  const compared = versions.find((version) => version._id === compareId);
+
+  if (versions.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="text-xl font-bold text-gray-900 flex items-center space-x-2">
+          <History className="h-6 w-6 text-blue-600" />
+          <span>Solution Versions</span>
+        </h3>
+
+        {selected && selected._id !== acceptedId && (
+          <button
+            onClick={() => onAccept(selected._id)}
+            className="flex items-center space-x-2 px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition"
+          >
+            <CheckCircle className="h-4 w-4" />
+            <span>Accept v{selected.version}</span>
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {versions.map((version) => (
+          <button
+            key={version._id}
+            onClick={() => onSelect(version._id)}
+            className={`flex items-center space-x-1 px-3 py-1 rounded-full text-sm border transition ${
+              version._id === selectedId
+                ? 'bg-blue-600 text-white border-blue-600'
+                : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+            }`}
+          >
+            <span>v{version.version} • {version.aiModel}</span>
+            {version._id === acceptedId && <CheckCircle className="h-4 w-4" />}
+          </button>
+        ))}
+      </div>
+
+      {versions.length > 1 && selected && (
+        <div className="border-t border-gray-200 pt-4">
+          <label className="flex items-center space-x-2 text-sm text-gray-700 mb-4">
+            <GitCompare className="h-4 w-4" />
+            <span>Compare v{selected.version} with</span>
+            <select
+              value={compareId}
+              onChange={(e) => setCompareId(e.target.value)}
+              className="px-3 py-1 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="">-</option>
+              {versions
+                .filter((version) => version._id !== selected._id)
+                .map((version) => (
+                  <option key={version._id} value={version._id}>
+                    v{version.version}
+                  </option>
+                ))}
+            </select>
+          </label>
+
+          {compared && (
+            <div className="bg-gray-50 rounded-lg p-4">
+              <DiffView
+                title={`Answer (v${compared.version} → v${selected.version})`}
+                oldText={compared.answer}
+                newText={selected.answer}
+              />
+              {(compared.code?.snippet || selected.code?.snippet) && (
+                <DiffView
+                  title={`Code (v${compared.version} → v${selected.version})`}
+                  oldText={compared.code?.snippet}
+                  newText={selected.code?.snippet}
+                />
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SolutionVersions;
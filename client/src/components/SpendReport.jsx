@@ -0,0 +1,221 @@
+// client/src/components/SpendReport.jsx
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { DollarSign, Save } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const formatUsd = (amount) => `$${(amount || 0).toFixed(amount && amount < 1 ? 4 : 2)}`;
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+const BreakdownTable = ({ title, label, rows }) => (
+  <div>
+    <h3 className="text-lg font-semibold text-gray-900 mb-4">{title}</h3>
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">{label}</th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Requests</th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Tokens</th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cost</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {rows.map((row) => (
+            <tr key={row.key}>
+              <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-900 capitalize">{row.key}</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm">{row.requests}</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm">{row.tokens.toLocaleString()}</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm">{formatUsd(row.cost)}</td>
+            </tr>
+          ))}
+          {rows.length === 0 && (
+            <tr>
+              <td colSpan={4} className="px-6 py-4 text-sm text-gray-500 text-center">No spend</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+const SpendReport = () => {
+  const [month, setMonth] = useState(currentMonth());
+  const [report, setReport] = useState(null);
+  const [instanceCap, setInstanceCap] = useState('');
+  const [userCaps, setUserCaps] = useState({});
+  const [message, setMessage] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/admin/spend?month=${month}`);
+        const data = response.data.data;
+        setReport(data);
+        setInstanceCap(data.monthlySpendCap ?? '');
+        setUserCaps(Object.fromEntries(data.byUser.map((row) => [row.key, row.monthlySpendCap ?? ''])));
+      } catch (error) {
+        console.error('Fetch spend report error:', error);
+      }
+    };
+
+    fetchReport();
+  }, [month, reloadKey]);
+
+  // An empty field removes the cap
+  const toCap = (value) => (value === '' ? null : Number(value));
+
+  const saveInstanceCap = async () => {
+    try {
+      const response = await axios.put(`${API_URL}/admin/spend/cap`, {
+        monthlySpendCap: toCap(instanceCap)
+      });
+      setMessage(response.data.message);
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to update spend cap');
+    }
+  };
+
+  const saveUserCap = async (userId) => {
+    try {
+      await axios.put(`${API_URL}/admin/users/${userId}`, {
+        subscription: { monthlySpendCap: toCap(userCaps[userId]) }
+      });
+      setMessage('User spend cap updated');
+      setReloadKey((key) => key + 1);
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to update user spend cap');
+    }
+  };
+
+  if (!report) {
+    return <p className="text-gray-500">Loading spend report...</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div className="flex items-center space-x-3">
+          <div className="bg-green-100 p-3 rounded-lg">
+            <DollarSign className="h-8 w-8 text-green-600" />
+          </div>
+          <div>
+            <p className="text-sm text-gray-600">Total AI spend</p>
+            <p className="text-3xl font-bold text-gray-900">{formatUsd(report.total)}</p>
+          </div>
+        </div>
+
+        <div>
+          <label htmlFor="spend-month" className="block text-sm font-medium text-gray-700 mb-1">Month</label>
+          <input
+            id="spend-month"
+            type="month"
+            value={month}
+            onChange={(e) => e.target.value && setMonth(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500"
+          />
+        </div>
+
+        <div>
+          <label htmlFor="instance-cap" className="block text-sm font-medium text-gray-700 mb-1">
+            Instance monthly cap (USD, empty for none)
+          </label>
+          <div className="flex space-x-2">
+            <input
+              id="instance-cap"
+              type="number"
+              min="0"
+              step="any"
+              value={instanceCap}
+              onChange={(e) => setInstanceCap(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500"
+            />
+            <button
+              onClick={saveInstanceCap}
+              className="flex items-center space-x-2 px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition"
+            >
+              <Save className="h-4 w-4" />
+              <span>Save</span>
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {message && (
+        <div className="p-4 bg-blue-50 border border-blue-200 rounded-md">
+          <p className="text-sm text-blue-800">{message}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <BreakdownTable title="By Plan" label="Plan" rows={report.byPlan} />
+        <BreakdownTable title="By Category" label="Category" rows={report.byCategory} />
+        <BreakdownTable title="By Model" label="Model" rows={report.byModel} />
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">By User</h3>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Plan</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Requests</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Tokens</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cost</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Monthly Cap (USD)</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {report.byUser.map((row) => (
+                <tr key={row.key}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="font-medium text-gray-900">{row.username}</div>
+                    <div className="text-sm text-gray-500">{row.email}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm capitalize">{row.plan}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">{row.requests}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">{row.tokens.toLocaleString()}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">{formatUsd(row.cost)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    {row.email && (
+                      <div className="flex space-x-2">
+                        <input
+                          type="number"
+                          min="0"
+                          step="any"
+                          value={userCaps[row.key] ?? ''}
+                          onChange={(e) => setUserCaps({ ...userCaps, [row.key]: e.target.value })}
+                          placeholder="None"
+                          className="w-28 px-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-purple-500 focus:border-purple-500"
+                        />
+                        <button
+                          onClick={() => saveUserCap(row.key)}
+                          className="text-purple-600 hover:text-purple-800 transition"
+                        >
+                          <Save className="h-5 w-5" />
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {report.byUser.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="px-6 py-4 text-sm text-gray-500 text-center">No spend</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SpendReport;
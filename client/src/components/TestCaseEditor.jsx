@@ -0,0 +1,103 @@
+// client/src/components/TestCaseEditor.jsx
+import { Plus, Trash2 } from 'lucide-react';
+
+const emptyCase = { input: '', expectedOutput: '', timeLimit: '' };
+
+const TestCaseEditor = ({ testCases, onChange, judgeOptions, onJudgeOptionsChange }) => {
+  const updateCase = (index, field, value) => {
+    onChange(testCases.map((testCase, i) => (i === index ? { ...testCase, [field]: value } : testCase)));
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <p className="block text-sm font-medium text-gray-700">
+          Test Cases (optional)
+        </p>
+        <button
+          type="button"
+          onClick={() => onChange([...testCases, { ...emptyCase }])}
+          className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-800 transition"
+        >
+          <Plus className="h-4 w-4" />
+          <span>Add test case</span>
+        </button>
+      </div>
+
+      <div className="space-y-3">
+        {testCases.map((testCase, index) => (
+          <div key={index} className="p-4 border border-gray-200 rounded-md">
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-sm font-semibold text-gray-700">Case {index + 1}</p>
+              <button
+                type="button"
+                onClick={() => onChange(testCases.filter((_, i) => i !== index))}
+                className="text-red-600 hover:text-red-800 transition"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <textarea
+                rows={3}
+                value={testCase.input}
+                onChange={(e) => updateCase(index, 'input', e.target.value)}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:ring-blue-500 focus:border-blue-500"
+                placeholder="Standard input"
+              />
+              <textarea
+                rows={3}
+                required
+                value={testCase.expectedOutput}
+                onChange={(e) => updateCase(index, 'expectedOutput', e.target.value)}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:ring-blue-500 focus:border-blue-500"
+                placeholder="Expected output"
+              />
+            </div>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={testCase.timeLimit}
+              onChange={(e) => updateCase(index, 'timeLimit', e.target.value)}
+              className="mt-2 w-48 px-3 py-1 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+              placeholder="Time limit (s), optional"
+            />
+          </div>
+        ))}
+      </div>
+
+      {testCases.length > 0 && (
+        <div className="flex flex-wrap items-center gap-4 mt-3">
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={judgeOptions.ignoreWhitespace}
+              onChange={(e) => onJudgeOptionsChange({ ...judgeOptions, ignoreWhitespace: e.target.checked })}
+              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            />
+            <span className="ml-2 text-sm text-gray-700">Ignore whitespace differences</span>
+          </label>
+          <label className="flex items-center text-sm text-gray-700">
+            <span className="mr-2">Float tolerance</span>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={judgeOptions.floatTolerance}
+              onChange={(e) => onJudgeOptionsChange({ ...judgeOptions, floatTolerance: e.target.value })}
+              className="w-32 px-3 py-1 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+              placeholder="e.g. 0.000001"
+            />
+          </label>
+        </div>
+      )}
+
+      <p className="mt-1 text-xs text-gray-500">
+        Every solution is run against each case and its output compared with the expected one
+      </p>
+    </div>
+  );
+};
+
+export default TestCaseEditor;
@@ -0,0 +1,74 @@
+// client/src/components/TestResults.jsx
+import { ListChecks } from 'lucide-react';
+
+const TestResults = ({ testCases, results, summary }) => {
+  if (!results || results.length === 0) return null;
+
+  const allPassed = summary && summary.passed === summary.total;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="text-xl font-bold text-gray-900 flex items-center space-x-2">
+          <ListChecks className="h-6 w-6 text-blue-600" />
+          <span>Test Cases</span>
+        </h3>
+        {summary && (
+          <span className={`px-3 py-1 rounded-full text-sm font-medium ${
+            allPassed ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+          }`}>
+            {summary.passed}/{summary.total} passed
+          </span>
+        )}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Case</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Input</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Expected</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Output</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Verdict</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Time</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {results.map((result) => {
+              const testCase = testCases?.[result.caseIndex] || {};
+
+              return (
+                <tr key={result.caseIndex} className="align-top">
+                  <td className="px-4 py-3 text-sm text-gray-900">{result.caseIndex + 1}</td>
+                  <td className="px-4 py-3">
+                    <pre className="text-xs text-gray-700 whitespace-pre-wrap">{testCase.input}</pre>
+                  </td>
+                  <td className="px-4 py-3">
+                    <pre className="text-xs text-gray-700 whitespace-pre-wrap">{testCase.expectedOutput}</pre>
+                  </td>
+                  <td className="px-4 py-3">
+                    <pre className="text-xs text-gray-700 whitespace-pre-wrap">{result.output}</pre>
+                    {result.error && (
+                      <pre className="text-xs text-red-700 whitespace-pre-wrap mt-1">{result.error}</pre>
+                    )}
+                  </td>
+                  <td className={`px-4 py-3 text-sm font-medium whitespace-nowrap ${
+                    result.passed ? 'text-green-600' : 'text-red-600'
+                  }`}>
+                    {result.verdict}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">
+                    {result.time ? `${result.time}s` : 'N/A'}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default TestResults;
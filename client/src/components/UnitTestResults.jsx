@@ -0,0 +1,64 @@
+// client/src/components/UnitTestResults.jsx
+import { FlaskConical, CheckCircle, XCircle, AlertCircle } from 'lucide-react';
+
+const statusStyles = {
+  passed: { icon: CheckCircle, className: 'text-green-600' },
+  failed: { icon: XCircle, className: 'text-red-600' },
+  error: { icon: AlertCircle, className: 'text-orange-600' }
+};
+
+const UnitTestResults = ({ unitTests }) => {
+  if (!unitTests || !unitTests.status) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="text-xl font-bold text-gray-900 flex items-center space-x-2">
+          <FlaskConical className="h-6 w-6 text-purple-600" />
+          <span>Unit Tests</span>
+          <span className="text-sm font-normal text-gray-500">({unitTests.framework})</span>
+        </h3>
+        {unitTests.total > 0 && (
+          <span className={`px-3 py-1 rounded-full text-sm font-medium ${
+            unitTests.status === 'passed' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+          }`}>
+            {unitTests.passed}/{unitTests.total} passed
+          </span>
+        )}
+      </div>
+
+      {unitTests.error && (
+        <div className="mb-4">
+          {unitTests.executionStatus && (
+            <p className="text-sm font-semibold text-gray-700 mb-1">{unitTests.executionStatus}</p>
+          )}
+          <pre className="p-4 bg-red-50 rounded border border-red-200 overflow-x-auto">
+            <code className="text-sm text-red-800">{unitTests.error}</code>
+          </pre>
+        </div>
+      )}
+
+      {unitTests.tests?.length > 0 && (
+        <ul className="divide-y divide-gray-200">
+          {unitTests.tests.map((test, index) => {
+            const { icon: Icon, className } = statusStyles[test.status] || statusStyles.error;
+
+            return (
+              <li key={index} className="py-2">
+                <div className="flex items-center space-x-2">
+                  <Icon className={`h-4 w-4 flex-shrink-0 ${className}`} />
+                  <span className="font-mono text-sm text-gray-900">{test.name}</span>
+                </div>
+                {test.message && (
+                  <p className="ml-6 text-sm text-gray-600">{test.message}</p>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default UnitTestResults;
@@ -0,0 +1,48 @@
+// client/src/services/eventStream.js
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+// Read a Server-Sent Events endpoint with fetch so the auth header can be sent
+// (EventSource cannot set headers). Resolves when the server closes the stream.
+export const streamEvents = async (path, { onEvent, signal }) => {
+  const token = localStorage.getItem('token');
+
+  const response = await fetch(`${API_URL}${path}`, {
+    headers: {
+      Accept: 'text/event-stream',
+      ...(token && { Authorization: `Bearer ${token}` })
+    },
+    signal
+  });
+
+  if (!response.ok) {
+    throw new Error(`Stream request failed with status ${response.status}`);
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += value;
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      let data = '';
+
+      rawEvent.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+
+      if (data) {
+        onEvent(event, JSON.parse(data));
+      }
+    }
+  }
+};
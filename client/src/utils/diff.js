@@ -0,0 +1,38 @@
+// client/src/utils/diff.js
+
+// Line-based diff built on the longest common subsequence of both texts.
+// Returns [{ type: 'same' | 'added' | 'removed', line }]
+export const diffLines = (oldText = '', newText = '') => {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'same', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'removed', line: a[i++] });
+    } else {
+      result.push({ type: 'added', line: b[j++] });
+    }
+  }
+
+  while (i < a.length) result.push({ type: 'removed', line: a[i++] });
+  while (j < b.length) result.push({ type: 'added', line: b[j++] });
+
+  return result;
+};
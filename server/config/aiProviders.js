@@ -0,0 +1,115 @@
+// server/config/aiProviders.js
+
+// Split a comma-separated env var into a list
+const splitList = (value) => (value || '')
+  .split(',')
+  .map((item) => item.trim())
+  .filter(Boolean);
+
+// Models listed in an env var are registered under their own name
+const extraModels = (value) => splitList(value).map((id) => ({ id, providerModel: id, label: id }));
+
+// Parse a JSON env var, an empty or invalid value gives the fallback
+const parseJson = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    console.error(`Invalid JSON in AI configuration: ${error.message}`);
+    return fallback;
+  }
+};
+
+module.exports = {
+  // Model used when a request does not ask for one
+  defaultModel: process.env.AI_DEFAULT_MODEL || 'gpt-4',
+
+  // Ask models for JSON matching services/structuredSolution.js instead of free-form markdown
+  structuredOutput: process.env.AI_STRUCTURED_OUTPUT !== 'false',
+
+  // Models tried in order when a model has no `fallbacks` of its own
+  fallbackModels: splitList(process.env.AI_FALLBACK_MODELS),
+
+  // Retries of transient errors (429, 5xx, network) on the same model
+  retry: {
+    maxRetries: parseInt(process.env.AI_MAX_RETRIES || '2', 10),
+    baseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS || '500', 10),
+    maxDelayMs: parseInt(process.env.AI_RETRY_MAX_DELAY_MS || '8000', 10)
+  },
+
+  // USD per million tokens by model id, overrides the `pricing` of the models below
+  // e.g. AI_PRICING='{"llama3": {"input": 0.2, "output": 0.2}}'
+  pricing: parseJson(process.env.AI_PRICING, {}),
+
+  // Per-provider circuit breaker
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.AI_BREAKER_FAILURE_THRESHOLD || '5', 10),
+    resetTimeoutMs: parseInt(process.env.AI_BREAKER_RESET_MS || '30000', 10)
+  },
+
+  providers: [
+    {
+      type: 'openai',
+      name: 'openai',
+      label: 'OpenAI',
+      apiKey: process.env.OPENAI_API_KEY,
+      capabilities: { streaming: true, jsonMode: true, structuredOutput: true },
+      models: [
+        // The original gpt-4 snapshot predates response_format
+        {
+          id: 'gpt-4',
+          providerModel: 'gpt-4',
+          label: 'GPT-4',
+          fallbacks: ['claude-3'],
+          capabilities: { jsonMode: false },
+          pricing: { input: 30, output: 60 }
+        },
+        { id: 'gpt-3.5-turbo', providerModel: 'gpt-3.5-turbo', label: 'GPT-3.5 Turbo', pricing: { input: 0.5, output: 1.5 } },
+        ...extraModels(process.env.OPENAI_EXTRA_MODELS)
+      ]
+    },
+    {
+      type: 'anthropic',
+      name: 'anthropic',
+      label: 'Anthropic',
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      // Structured output is enforced through a forced tool call
+      capabilities: { streaming: true, jsonMode: false, structuredOutput: true },
+      models: [
+        {
+          id: 'claude-3',
+          providerModel: 'claude-3-sonnet-20240229',
+          label: 'Claude 3 Sonnet',
+          fallbacks: ['gpt-4'],
+          pricing: { input: 3, output: 15 }
+        },
+        { id: 'claude-2', providerModel: 'claude-2.1', label: 'Claude 2', pricing: { input: 8, output: 24 } },
+        ...extraModels(process.env.ANTHROPIC_EXTRA_MODELS)
+      ]
+    },
+    {
+      // Any server speaking the OpenAI chat completions API (vLLM, Ollama, LM Studio, ...)
+      type: 'openai-compatible',
+      name: 'local',
+      label: process.env.LOCAL_AI_LABEL || 'Self-hosted',
+      baseURL: process.env.LOCAL_AI_BASE_URL,
+      apiKey: process.env.LOCAL_AI_API_KEY,
+      capabilities: {
+        streaming: true,
+        jsonMode: process.env.LOCAL_AI_JSON_MODE === 'true',
+        structuredOutput: process.env.LOCAL_AI_STRUCTURED_OUTPUT === 'true'
+      },
+      models: extraModels(process.env.LOCAL_AI_MODELS)
+    },
+    {
+      // Deterministic offline provider for development and CI
+      type: 'mock',
+      name: 'mock',
+      label: 'Mock',
+      enabled: process.env.AI_MOCK_PROVIDER === 'true',
+      capabilities: { streaming: true, jsonMode: true, structuredOutput: true },
+      models: [
+        { id: 'mock', providerModel: 'mock', label: 'Mock (deterministic)' }
+      ]
+    }
+  ]
+};
@@ -0,0 +1,28 @@
+// server/config/benchmark.js
+
+module.exports = {
+  // Input sizes a benchmark runs at when the request names none
+  sizes: (process.env.BENCHMARK_SIZES || '100,1000,10000,100000')
+    .split(',')
+    .map((size) => parseInt(size, 10))
+    .filter((size) => size > 0),
+
+  // Most sizes one benchmark may run, and the largest size
+  maxSizes: parseInt(process.env.BENCHMARK_MAX_SIZES || '8', 10),
+  maxSize: parseInt(process.env.BENCHMARK_MAX_SIZE || '1000000', 10),
+
+  // Runs of each version per size, the fastest time and the median memory are kept
+  repeats: parseInt(process.env.BENCHMARK_REPEATS || '3', 10),
+
+  // CPU seconds for each run, up to the plan's ceiling
+  timeLimit: parseFloat(process.env.BENCHMARK_TIME_LIMIT || '5'),
+
+  // Longest generator program a request may send, in characters
+  maxGeneratorLength: parseInt(process.env.BENCHMARK_MAX_GENERATOR_LENGTH || '20000', 10),
+
+  // Growth smaller than this across all sizes is startup cost and jitter: seconds and KB
+  noise: {
+    time: parseFloat(process.env.BENCHMARK_TIME_NOISE || '0.02'),
+    memory: parseInt(process.env.BENCHMARK_MEMORY_NOISE || '1024', 10)
+  }
+};
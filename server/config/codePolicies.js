@@ -0,0 +1,70 @@
+// server/config/codePolicies.js
+
+// One rule per item, all with the same kind, action and message
+const rules = (kind, matches, action, message) => matches.map((match) => ({ kind, match, action, message }));
+
+// Reading and writing files is allowed in both languages: solutions read stdin as a file
+// (`open(0)`, `fs.readFileSync(0)`), and the executor confines what else a program can reach.
+// Deleting files only warns.
+
+const javascript = [
+  ...rules('module', ['child_process', 'cluster'], 'block', 'Starting other processes is not allowed'),
+  ...rules('module', ['net', 'dgram', 'dns', 'tls', 'http', 'https', 'http2'], 'block', 'Network access is not allowed'),
+  ...rules('module', ['vm', 'inspector'], 'block', 'Running code outside the program is not allowed'),
+  // module.createRequire makes a require the policy cannot follow
+  ...rules('module', ['module'], 'block', 'Loading modules around the policy is not allowed'),
+  ...rules('module', ['worker_threads'], 'warn', 'Worker threads share the run\'s limits'),
+  ...rules('module', ['<dynamic>'], 'warn', 'A module loaded by a computed name cannot be checked'),
+  ...rules('name', ['eval'], 'block', 'Running code from strings is not allowed'),
+  ...rules('call', ['Function'], 'block', 'Running code from strings is not allowed'),
+  ...rules('name', ['process.binding', 'process._linkedBinding', 'process.dlopen'], 'block', 'Access to Node internals is not allowed'),
+  ...rules('name', ['<dynamic>'], 'warn', 'A global looked up by a computed name cannot be checked'),
+  ...rules('call', ['process.kill'], 'warn', 'Sending signals to processes')
+];
+
+const python = [
+  // posix and nt are what os is built on, with the same process functions
+  ...rules('module', ['subprocess', 'pty', 'multiprocessing', 'posix', 'nt', '_posixsubprocess'], 'block',
+    'Starting other processes is not allowed'),
+  ...rules('module', ['socket', 'urllib.request', 'http.client', 'http.server', 'ftplib', 'smtplib', 'telnetlib', 'requests'],
+    'block', 'Network access is not allowed'),
+  ...rules('module', ['ctypes', 'cffi'], 'block', 'Loading native code is not allowed'),
+  ...rules('module', ['<dynamic>'], 'warn', 'A module loaded by a computed name cannot be checked'),
+  ...rules('name', ['<dynamic>'], 'warn', 'An attribute looked up by getattr on a computed object or name cannot be checked'),
+  ...rules('call', ['os.system', 'os.popen', 'os.exec*', 'os.spawn*', 'os.fork*', 'os.posix_spawn*', 'os.kill*'],
+    'block', 'Starting or signalling other processes is not allowed'),
+  ...rules('call', ['shutil.rmtree', 'os.remove', 'os.unlink', 'os.rmdir'], 'warn', 'Deleting files'),
+  ...rules('name', ['eval', 'exec', 'compile'], 'block', 'Running code from strings is not allowed'),
+  ...rules('name', ['__builtins__', 'sys.modules'], 'block', 'Reaching interpreter internals is not allowed'),
+  ...rules('attribute', ['__subclasses__', '__globals__', '__code__', '__builtins__', '__dict__'], 'block',
+    'Reaching interpreter internals is not allowed'),
+  // vars(os)['system'] and globals()['__builtins__'] look names up by strings
+  ...rules('name', ['vars', 'globals', 'locals'], 'block', 'Looking up names in namespace dictionaries is not allowed')
+];
+
+// C and C++ are not tokenized, so their rules are patterns over the source
+const native = [
+  ...rules('pattern', ['\\b(?:system|popen|fork|vfork|exec[lv]p?e?)\\s*\\('], 'block', 'Starting other processes is not allowed'),
+  ...rules('pattern', ['#\\s*include\\s*<(?:sys/socket|netinet/[\\w.]+|arpa/inet)\\.h>'], 'block', 'Network access is not allowed')
+];
+
+module.exports = {
+  // Default for languages an admin has not configured: 'block' stops code that breaks a
+  // blocking rule, 'warn' only reports what it breaks, 'off' skips the check
+  mode: process.env.CODE_POLICY_MODE || 'block',
+
+  // Built-in rule sets by language, admins replace them per language at /api/admin/policies.
+  // Languages not listed start without rules.
+  rules: {
+    javascript,
+    typescript: javascript,
+    python,
+    c: native,
+    cpp: native,
+    java: [
+      ...rules('pattern', ['Runtime\\s*\\.\\s*getRuntime\\s*\\(\\s*\\)\\s*\\.\\s*exec', '\\bProcessBuilder\\b'], 'block',
+        'Starting other processes is not allowed'),
+      ...rules('pattern', ['\\bjava\\.net\\.'], 'block', 'Network access is not allowed')
+    ]
+  }
+};
@@ -0,0 +1,107 @@
+// server/config/executor.js
+const os = require('os');
+
+// Parse a JSON env var, an empty or invalid value gives the fallback
+const parseJson = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    console.error(`Invalid JSON in executor configuration: ${error.message}`);
+    return fallback;
+  }
+};
+
+// The most a plan's runs may use: CPU and wall-clock seconds, memory in KB, bytes of stdout
+// and of stderr, and whether compiled languages run at all
+const planLimits = {
+  free: { cpuTimeLimit: 5, wallTimeLimit: 15, memoryLimit: 128000, maxOutput: 65536, allowCompile: true },
+  pro: { cpuTimeLimit: 15, wallTimeLimit: 45, memoryLimit: 512000, maxOutput: 1048576, allowCompile: true },
+  enterprise: { cpuTimeLimit: 30, wallTimeLimit: 90, memoryLimit: 1024000, maxOutput: 4194304, allowCompile: true }
+};
+const planOverrides = parseJson(process.env.EXECUTION_PLAN_LIMITS, {});
+
+module.exports = {
+  // Where code runs: 'judge0' (hosted or self-hosted Judge0) or 'local' (child processes on this server)
+  backend: process.env.CODE_EXECUTOR || 'judge0',
+
+  // Limits a run gets when neither the caller nor its problem asks for others: CPU seconds,
+  // wall-clock time as a multiple of the CPU limit (covers start-up and blocking on input),
+  // memory in KB and bytes of stdout and of stderr kept
+  cpuTimeLimit: parseFloat(process.env.EXECUTOR_CPU_TIME_LIMIT || '2'),
+  wallTimeFactor: parseFloat(process.env.EXECUTOR_WALL_TIME_FACTOR || process.env.LOCAL_EXECUTOR_WALL_TIME_FACTOR || '3'),
+  memoryLimit: parseInt(process.env.EXECUTOR_MEMORY_LIMIT || '128000', 10),
+  maxOutput: parseInt(process.env.EXECUTOR_MAX_OUTPUT || process.env.LOCAL_EXECUTOR_MAX_OUTPUT || '65536', 10),
+
+  // Ceilings by subscription plan, a problem's executionLimits can go up to them. Single values
+  // are overridden as JSON, e.g. EXECUTION_PLAN_LIMITS='{"free": {"allowCompile": false}}'
+  plans: Object.fromEntries(Object.entries(planLimits)
+    .map(([plan, limits]) => [plan, { ...limits, ...planOverrides[plan] }])),
+
+  judge0: {
+    apiUrl: process.env.JUDGE0_API_URL || 'https://judge0-ce.p.rapidapi.com',
+
+    // 'rapidapi' (X-RapidAPI-Key), 'token' (a self-hosted instance's AUTHN_TOKEN) or 'none'
+    authMode: process.env.JUDGE0_AUTH_MODE || (process.env.JUDGE0_AUTH_TOKEN ? 'token' : 'rapidapi'),
+    apiKey: process.env.RAPIDAPI_KEY,
+    // Defaults to the host of apiUrl
+    rapidApiHost: process.env.JUDGE0_RAPIDAPI_HOST,
+    authToken: process.env.JUDGE0_AUTH_TOKEN,
+    // Matches the instance's AUTHN_HEADER setting
+    authHeader: process.env.JUDGE0_AUTH_HEADER || 'X-Auth-Token',
+
+    // Send code and input and read output base64 encoded, so non-UTF-8 bytes survive
+    base64: process.env.JUDGE0_BASE64 !== 'false',
+
+    // The instance's maximum limits (CPU and wall seconds, memory and file size in KB), used when
+    // its /config_info can't be read. Runs asking for more are cut to them, Judge0 rejects them
+    // otherwise. Defaults are Judge0's own.
+    maxLimits: {
+      cpuTimeLimit: parseFloat(process.env.JUDGE0_MAX_CPU_TIME_LIMIT || '15'),
+      wallTimeLimit: parseFloat(process.env.JUDGE0_MAX_WALL_TIME_LIMIT || '20'),
+      memoryLimit: parseInt(process.env.JUDGE0_MAX_MEMORY_LIMIT || '512000', 10),
+      maxFileSize: parseInt(process.env.JUDGE0_MAX_FILE_SIZE || '4096', 10)
+    },
+
+    // Submissions per batch request, at most the instance's MAX_SUBMISSION_BATCH_SIZE
+    batchSize: parseInt(process.env.JUDGE0_BATCH_SIZE || '20', 10),
+
+    // How often results are polled, and how long to wait for them before giving up
+    pollInterval: parseInt(process.env.JUDGE0_POLL_INTERVAL_MS || '1000', 10),
+    maxWait: parseInt(process.env.JUDGE0_MAX_WAIT_MS || '60000', 10),
+
+    // Public URL of PUT /api/judge0/callback on this server. When set (with a secret),
+    // Judge0 reports results there and polling slows to a safety net for callbacks that
+    // are lost or reach another server process.
+    callbackUrl: process.env.JUDGE0_CALLBACK_URL,
+    callbackSecret: process.env.JUDGE0_CALLBACK_SECRET,
+    callbackPollInterval: parseInt(process.env.JUDGE0_CALLBACK_POLL_INTERVAL_MS || '5000', 10),
+    callbackMaxPayload: process.env.JUDGE0_CALLBACK_MAX_PAYLOAD || '5mb'
+  },
+
+  local: {
+    // Parent of the per-run working directories, each is removed after its run
+    tempDir: process.env.LOCAL_EXECUTOR_TEMP_DIR || os.tmpdir(),
+
+    // Interpreters, node defaults to the one running the server. In the sandbox an absolute
+    // path's install directory is mounted read-only, so it must be readable by `uid`.
+    node: process.env.LOCAL_EXECUTOR_NODE || process.execPath,
+    python: process.env.LOCAL_EXECUTOR_PYTHON || 'python3',
+
+    // 'sandbox' runs each program in its own user, mount and PID namespace, chrooted into a
+    // read-only view of the system directories (needs `unshare` and unprivileged user
+    // namespaces); runs fail instead of going ahead without it. 'none' runs programs as the
+    // server's user with its filesystem, only for hosts that are sandboxes themselves.
+    isolation: process.env.LOCAL_EXECUTOR_ISOLATION === 'none' ? 'none' : 'sandbox',
+
+    // Processes and threads one sandboxed program may have at once
+    maxProcesses: parseInt(process.env.LOCAL_EXECUTOR_MAX_PROCESSES || '64', 10),
+
+    // User and group sandboxed programs run as when the server runs as root
+    uid: parseInt(process.env.LOCAL_EXECUTOR_UID || '65534', 10),
+    gid: parseInt(process.env.LOCAL_EXECUTOR_GID || '65534', 10),
+
+    // Run programs in their own network namespace. Runs fail instead of going ahead without
+    // it; 'allow' turns it off.
+    isolateNetwork: process.env.LOCAL_EXECUTOR_NETWORK !== 'allow'
+  }
+};
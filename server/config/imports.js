@@ -0,0 +1,9 @@
+// server/config/imports.js
+
+module.exports = {
+  // Problems a single bulk import may contain
+  maxItems: parseInt(process.env.IMPORT_MAX_ITEMS || '100', 10),
+
+  // Largest import request body, in express.json notation
+  maxPayload: process.env.IMPORT_MAX_PAYLOAD || '2mb'
+};
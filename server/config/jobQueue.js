@@ -0,0 +1,21 @@
+// server/config/jobQueue.js
+
+module.exports = {
+  // Jobs one server process runs at the same time
+  concurrency: parseInt(process.env.JOB_CONCURRENCY || '2', 10),
+
+  // Attempts per job before the problem is marked failed
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10),
+
+  // Delay before the first retry, doubled for every further one
+  retryDelay: parseInt(process.env.JOB_RETRY_DELAY_MS || '5000', 10),
+
+  // How often idle workers look for queued jobs
+  pollInterval: parseInt(process.env.JOB_POLL_INTERVAL_MS || '1000', 10),
+
+  // How often a solution stream reads the problem's status, for jobs run by another server process
+  streamPollInterval: parseInt(process.env.JOB_STREAM_POLL_INTERVAL_MS || '2000', 10),
+
+  // Running jobs not finished after this long are assumed lost and queued again
+  staleAfter: parseInt(process.env.JOB_STALE_AFTER_MS || '600000', 10)
+};
@@ -0,0 +1,27 @@
+// server/config/languages.js
+
+module.exports = {
+  // How long the executor's language list is cached, in ms
+  cacheTtl: parseInt(process.env.LANGUAGES_CACHE_TTL_MS || '3600000', 10),
+
+  // Languages a problem can be written in, in the order they are offered. `highlight` is the
+  // syntax-highlighting key (highlight.js/Prism) and `judge0` the start of the Judge0 language
+  // name to run it with; the newest matching Judge0 language is used. `compiled` languages
+  // only run on plans that allow compiling. Adding a language that the executor can already
+  // run only takes an entry here.
+  catalog: [
+    { id: 'python', name: 'Python', highlight: 'python', judge0: 'Python (3.' },
+    { id: 'javascript', name: 'JavaScript', highlight: 'javascript', judge0: 'JavaScript (Node.js' },
+    { id: 'java', name: 'Java', highlight: 'java', judge0: 'Java (OpenJDK', compiled: true },
+    { id: 'cpp', name: 'C++', highlight: 'cpp', judge0: 'C++ (GCC', compiled: true },
+    { id: 'c', name: 'C', highlight: 'c', judge0: 'C (GCC', compiled: true },
+    { id: 'csharp', name: 'C#', highlight: 'csharp', judge0: 'C# (Mono', compiled: true },
+    { id: 'ruby', name: 'Ruby', highlight: 'ruby', judge0: 'Ruby (' },
+    { id: 'go', name: 'Go', highlight: 'go', judge0: 'Go (', compiled: true },
+    { id: 'rust', name: 'Rust', highlight: 'rust', judge0: 'Rust (', compiled: true },
+    { id: 'php', name: 'PHP', highlight: 'php', judge0: 'PHP (' },
+    { id: 'swift', name: 'Swift', highlight: 'swift', judge0: 'Swift (', compiled: true },
+    { id: 'kotlin', name: 'Kotlin', highlight: 'kotlin', judge0: 'Kotlin (', compiled: true },
+    { id: 'typescript', name: 'TypeScript', highlight: 'typescript', judge0: 'TypeScript (', compiled: true }
+  ]
+};
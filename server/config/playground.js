@@ -0,0 +1,10 @@
+// server/config/playground.js
+
+module.exports = {
+  // Largest program and stdin a playground run accepts, in characters
+  maxCodeLength: parseInt(process.env.PLAYGROUND_MAX_CODE_LENGTH || '65536', 10),
+  maxInputLength: parseInt(process.env.PLAYGROUND_MAX_INPUT_LENGTH || '65536', 10),
+
+  // Runs kept per problem and user, older ones are deleted
+  historyLimit: parseInt(process.env.PLAYGROUND_HISTORY_LIMIT || '50', 10)
+};
@@ -0,0 +1,9 @@
+// server/config/selfRepair.js
+
+module.exports = {
+  // Repair attempts after the generated code fails to compile or crashes, 0 turns repair off
+  maxIterations: parseInt(process.env.SELF_REPAIR_MAX_ITERATIONS || '2', 10),
+
+  // Execution statuses that are sent back to the model for a fix
+  repairableStatuses: ['Compilation Error', 'Runtime Error']
+};
@@ -0,0 +1,12 @@
+// server/config/solutionCache.js
+
+module.exports = {
+  // Look up earlier solutions before calling a model
+  enabled: process.env.SOLUTION_CACHE_ENABLED !== 'false',
+
+  // Word overlap (0-1) at which a problem counts as a near-duplicate, 0 matches exact duplicates only
+  similarityThreshold: parseFloat(process.env.SOLUTION_CACHE_SIMILARITY || '0'),
+
+  // Most recent solved problems compared for near-duplicates
+  maxCandidates: parseInt(process.env.SOLUTION_CACHE_MAX_CANDIDATES || '200', 10)
+};
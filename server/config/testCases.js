@@ -0,0 +1,14 @@
+// server/config/testCases.js
+
+module.exports = {
+  // Most test cases a problem may have, each one is a separate execution
+  maxCases: parseInt(process.env.TEST_CASES_MAX || '20', 10),
+
+  // CPU seconds per case when the case sets none, and the most a case may ask for
+  defaultTimeLimit: parseFloat(process.env.TEST_CASE_TIME_LIMIT || '2'),
+  maxTimeLimit: parseFloat(process.env.TEST_CASE_MAX_TIME_LIMIT || '10'),
+
+  // Defaults for a problem's judgeOptions
+  ignoreWhitespace: process.env.TEST_CASE_IGNORE_WHITESPACE !== 'false',
+  floatTolerance: parseFloat(process.env.TEST_CASE_FLOAT_TOLERANCE || '0')
+};
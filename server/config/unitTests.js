@@ -0,0 +1,9 @@
+// server/config/unitTests.js
+
+module.exports = {
+  // Ask the model for a test file after each solution, costs one extra call
+  enabled: process.env.UNIT_TESTS_ENABLED !== 'false',
+
+  // CPU seconds for running the solution together with its tests
+  timeLimit: parseFloat(process.env.UNIT_TESTS_TIME_LIMIT || '5')
+};
@@ -1,6 +1,8 @@
 // server/middleware/auth.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Job = require('../models/Job');
+const spendService = require('../services/spendService');
 
 // Protect routes - verify JWT token
 exports.protect = async (req, res, next) => {
@@ -63,17 +65,56 @@ exports.authorize = (...roles) => {
 };
 
 // Check query limit
+// Queries held by queued and running jobs count as used, routes get what is left as req.remainingQueries
 exports.checkQueryLimit = async (req, res, next) => {
+  try {
+    const limitResponse = await exports.queryLimitResponse(req);
+    if (limitResponse) {
+      return res.status(429).json(limitResponse);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Query limit check error:', error);
+    next(error);
+  }
+};
+
+// The 429 body when the user has no queries left, otherwise null with req.remainingQueries set;
+// for routes that only check the limit on some paths
+exports.queryLimitResponse = async (req) => {
+  const user = req.user;
+  const reserved = await Job.reservedQueries(user._id);
+
+  if (!user.canMakeQuery(reserved)) {
+    return {
+      success: false,
+      message: `Monthly query limit (${user.subscription.queryLimit}) reached. Please upgrade your plan.`,
+      usage: {
+        current: user.apiUsage.monthlyQueries,
+        reserved,
+        limit: user.subscription.queryLimit,
+        plan: user.subscription.plan
+      }
+    };
+  }
+
+  req.remainingQueries = user.remainingQueries(reserved);
+  return null;
+};
+
+// Check playground execution limit
+exports.checkExecutionLimit = async (req, res, next) => {
   try {
     const user = req.user;
 
-    if (!user.canMakeQuery()) {
+    if (!user.canExecute()) {
       return res.status(429).json({
         success: false,
-        message: `Monthly query limit (${user.subscription.queryLimit}) reached. Please upgrade your plan.`,
+        message: `Monthly execution limit (${user.subscription.executionLimit}) reached. Please upgrade your plan.`,
         usage: {
-          current: user.apiUsage.monthlyQueries,
-          limit: user.subscription.queryLimit,
+          current: user.apiUsage.monthlyExecutions,
+          limit: user.subscription.executionLimit,
           plan: user.subscription.plan
         }
       });
@@ -81,11 +122,41 @@ exports.checkQueryLimit = async (req, res, next) => {
 
     next();
   } catch (error) {
-    console.error('Query limit check error:', error);
+    console.error('Execution limit check error:', error);
     next(error);
   }
 };
 
+// Check the user's and the instance's monthly spend caps
+exports.checkSpendLimit = async (req, res, next) => {
+  try {
+    const limitResponse = await exports.spendLimitResponse(req);
+    if (limitResponse) {
+      return res.status(429).json(limitResponse);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Spend limit check error:', error);
+    next(error);
+  }
+};
+
+// The 429 body when a spend cap is reached, otherwise null
+exports.spendLimitResponse = async (req) => {
+  const reason = await spendService.checkBudget(req.user);
+  if (!reason) return null;
+
+  return {
+    success: false,
+    message: reason,
+    spend: {
+      current: req.user.apiUsage.monthlySpend,
+      cap: req.user.subscription.monthlySpendCap
+    }
+  };
+};
+
 // Generate JWT Token
 exports.generateToken = (id) => {
   return jwt.sign({ id }, process.env.JWT_SECRET, {
@@ -0,0 +1,53 @@
+// server/models/Batch.js
+const mongoose = require('mongoose');
+
+// Outcome of one imported item: the problem created from it or why it was rejected
+const reportEntrySchema = new mongoose.Schema({
+  // 1-based position in the upload
+  row: Number,
+  // Line of a CSV file or name of a markdown file
+  source: String,
+  title: String,
+  issues: [String],
+  problem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Problem'
+  }
+}, { _id: false });
+
+// Problems imported together, queued for generation under one id (routes/imports.js)
+const batchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Name cannot exceed 200 characters']
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'json', 'markdown'],
+    required: true
+  },
+  // Items in the upload, valid or not
+  total: {
+    type: Number,
+    default: 0
+  },
+  // Items that became problems
+  imported: {
+    type: Number,
+    default: 0
+  },
+  report: [reportEntrySchema]
+}, {
+  timestamps: true
+});
+
+batchSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Batch', batchSchema);
@@ -0,0 +1,47 @@
+// server/models/CodePolicy.js
+const mongoose = require('mongoose');
+
+// One rule, see services/codePolicy for what each kind matches
+const ruleSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['module', 'call', 'name', 'attribute', 'pattern'],
+    required: true
+  },
+  match: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  action: {
+    type: String,
+    enum: ['block', 'warn'],
+    default: 'block'
+  },
+  message: String
+}, { _id: false });
+
+// An admin's rule set for a language, replacing the built-in one (config/codePolicies.js)
+const codePolicySchema = new mongoose.Schema({
+  language: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  mode: {
+    type: String,
+    enum: ['block', 'warn', 'off'],
+    default: 'block'
+  },
+  rules: [ruleSchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('CodePolicy', codePolicySchema);
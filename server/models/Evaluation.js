@@ -0,0 +1,172 @@
+// server/models/Evaluation.js
+const mongoose = require('mongoose');
+const { Problem } = require('./Problem');
+
+// One golden problem, scored by its expected output and/or test cases
+const goldenProblemSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    maxlength: [5000, 'Description cannot exceed 5000 characters']
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: Problem.schema.path('category').enumValues
+  },
+  language: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium'
+  },
+  // Output of running the solution without input, compared like a test case
+  expectedOutput: String,
+  testCases: [{
+    _id: false,
+    input: { type: String, default: '' },
+    expectedOutput: { type: String, required: true },
+    timeLimit: Number
+  }],
+  judgeOptions: {
+    ignoreWhitespace: Boolean,
+    floatTolerance: Number
+  }
+}, { _id: false });
+
+// Admin-curated problems that model and prompt changes are measured against
+const evalSetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  problems: {
+    type: [goldenProblemSchema],
+    validate: [(problems) => problems.length > 0, 'A set needs at least one problem']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Score of one golden problem in a run
+const evalResultSchema = new mongoose.Schema({
+  // Position of the problem in the set
+  index: Number,
+  title: String,
+  status: {
+    type: String,
+    enum: ['success', 'error']
+  },
+  error: String,
+  // Model that answered, differs from the run's only if the model id was remapped
+  aiModel: String,
+  latency: Number, // ms
+  tokenUsage: {
+    prompt: Number,
+    completion: Number,
+    total: Number
+  },
+  cost: Number, // USD
+  // Execution without input; passed also requires the expected output when the problem has one
+  executed: Boolean,
+  executionStatus: String,
+  executionPassed: Boolean,
+  testsPassed: Number,
+  testsTotal: Number,
+  code: String
+}, { _id: false });
+
+// Aggregate scores of a run, rates are null when nothing was measured
+const evalSummarySchema = new mongoose.Schema({
+  problems: Number,
+  generationErrors: Number,
+  executed: Number,
+  executionPassRate: Number,
+  testsPassed: Number,
+  testsTotal: Number,
+  testCasePassRate: Number,
+  avgLatency: Number,
+  maxLatency: Number,
+  totalTokens: Number,
+  avgTokens: Number,
+  totalCost: Number
+}, { _id: false });
+
+// A golden set answered by one model with one prompt version
+const evalRunSchema = new mongoose.Schema({
+  set: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EvalSet',
+    required: true,
+    index: true
+  },
+  setName: String,
+  aiModel: {
+    type: String,
+    required: true
+  },
+  // Prompt template version, or the built-in prompts when template is empty.
+  // hash identifies the exact prompt text, so built-in prompt edits show up between runs.
+  prompt: {
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromptTemplate'
+    },
+    name: String,
+    version: Number,
+    hash: String
+  },
+  // Run the generated code in the sandbox, off when no sandbox is available
+  execute: {
+    type: Boolean,
+    default: true
+  },
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  error: String,
+  results: [evalResultSchema],
+  summary: evalSummarySchema,
+  startedAt: Date,
+  completedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+evalRunSchema.index({ createdAt: -1 });
+evalRunSchema.index({ startedAt: -1 });
+
+const EvalSet = mongoose.model('EvalSet', evalSetSchema);
+const EvalRun = mongoose.model('EvalRun', evalRunSchema);
+
+module.exports = { EvalSet, EvalRun };
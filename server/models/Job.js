@@ -0,0 +1,72 @@
+// server/models/Job.js
+const mongoose = require('mongoose');
+
+// Background solution generation, picked up by services/jobQueue.js
+const jobSchema = new mongoose.Schema({
+  // 'solve' generates one solution, 'compare' one per model in payload.models
+  type: {
+    type: String,
+    enum: ['solve', 'compare'],
+    required: true
+  },
+  problem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Problem',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Options passed to solutionService (aiModel, temperature, instructions, models)
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Queries the job will use, held against the user's monthly limit while it is queued or running
+  queries: {
+    type: Number,
+    default: 1
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Not picked up before this time, pushed back after a failed attempt
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Worker (host:pid) running the job and when it claimed it
+  lockedBy: String,
+  lockedAt: Date,
+  lastError: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ problem: 1, status: 1 });
+jobSchema.index({ user: 1, status: 1 });
+
+// Queries the user's queued and running jobs will use
+jobSchema.statics.reservedQueries = async function(userId) {
+  const [reserved] = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)), status: { $in: ['queued', 'running'] } } },
+    { $group: { _id: null, queries: { $sum: { $ifNull: ['$queries', 1] } } } }
+  ]);
+  return reserved ? reserved.queries : 0;
+};
+
+module.exports = mongoose.model('Job', jobSchema);
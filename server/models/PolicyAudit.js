@@ -0,0 +1,55 @@
+// server/models/PolicyAudit.js
+const mongoose = require('mongoose');
+
+// A rule a checked program broke
+const violationSchema = new mongoose.Schema({
+  kind: String,
+  match: String,
+  action: {
+    type: String,
+    enum: ['block', 'warn']
+  },
+  message: String,
+  // What in the code matched, e.g. the resolved call `os.system`
+  found: String,
+  line: Number
+}, { _id: false });
+
+// Code the policy blocked or warned about, with where it came from
+const policyAuditSchema = new mongoose.Schema({
+  // 'ai' for generated code (solutions, repairs, generated tests), 'playground' for user edits
+  source: {
+    type: String,
+    enum: ['ai', 'playground'],
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['blocked', 'warned'],
+    required: true
+  },
+  // The policy's mode at the time
+  mode: String,
+  language: String,
+  code: String,
+  violations: [violationSchema],
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  problem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Problem'
+  },
+  solution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Solution'
+  }
+}, {
+  timestamps: true
+});
+
+policyAuditSchema.index({ createdAt: -1 });
+policyAuditSchema.index({ outcome: 1, source: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PolicyAudit', policyAuditSchema);
@@ -1,17 +1,192 @@
 // server/models/Problem.js
 const mongoose = require('mongoose');
 
+// One call to an AI provider while generating a solution
+const attemptSchema = new mongoose.Schema({
+  aiModel: String,
+  aiProvider: String,
+  status: {
+    type: String,
+    enum: ['success', 'error', 'skipped']
+  },
+  error: String,
+  statusCode: Number,
+  durationMs: Number,
+  startedAt: Date
+}, { _id: false });
+
+// AI cost of a call in USD
+const costSchema = new mongoose.Schema({
+  input: Number,
+  output: Number,
+  total: Number,
+  currency: {
+    type: String,
+    default: 'USD'
+  }
+}, { _id: false });
+
+// Sample input with the output a correct program prints
+const testCaseSchema = new mongoose.Schema({
+  input: {
+    type: String,
+    default: ''
+  },
+  expectedOutput: {
+    type: String,
+    required: true
+  },
+  // CPU seconds, the instance default when empty (config/testCases.js)
+  timeLimit: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+// Outcome of running a solution against one of its problem's test cases
+const testResultSchema = new mongoose.Schema({
+  caseIndex: Number,
+  // 'Accepted', 'Wrong Answer' or the execution status
+  verdict: String,
+  passed: Boolean,
+  output: String,
+  error: String,
+  time: String,
+  memory: String
+}, { _id: false });
+
+// Execution limits: CPU and wall-clock seconds, memory in KB and bytes of output
+const executionLimitsSchema = new mongoose.Schema({
+  cpuTimeLimit: Number,
+  wallTimeLimit: Number,
+  memoryLimit: Number,
+  maxOutput: Number
+}, { _id: false });
+
+// What the code policy found in code that ran or was blocked, see services/policyService.js
+const policyResultSchema = new mongoose.Schema({
+  outcome: {
+    type: String,
+    enum: ['warned', 'blocked']
+  },
+  violations: [{
+    _id: false,
+    kind: String,
+    match: String,
+    action: String,
+    message: String,
+    found: String,
+    line: Number
+  }]
+}, { _id: false });
+
+// One test from a generated test file
+const unitTestSchema = new mongoose.Schema({
+  name: String,
+  status: {
+    type: String,
+    enum: ['passed', 'failed', 'error']
+  },
+  message: String
+}, { _id: false });
+
+// One version's run on a benchmark input: seconds and KB, the fastest time and median memory of its repeats
+const benchmarkRunSchema = new mongoose.Schema({
+  status: String,
+  time: Number,
+  memory: Number,
+  error: String
+}, { _id: false });
+
+// The solution and its optimized version on a generated input of one size
+const benchmarkPointSchema = new mongoose.Schema({
+  size: Number,
+  inputBytes: Number,
+  // Why no input could be generated at this size
+  error: String,
+  snippet: benchmarkRunSchema,
+  optimized: benchmarkRunSchema
+}, { _id: false });
+
+// Growth class that best fits a version's times or memory, see services/benchmark/growth.js
+const growthEstimateSchema = new mongoose.Schema({
+  notation: String,
+  // R² of the fit, null when the measurements barely changed
+  fit: Number,
+  // Whether it agrees with the solution's claimed complexity, null when that can't be compared
+  matchesClaim: Boolean
+}, { _id: false });
+
+// One execution of the solution's code, iteration 0 is the code as first generated
+const repairAttemptSchema = new mongoose.Schema({
+  iteration: Number,
+  code: String,
+  executionResult: {
+    status: String,
+    output: String,
+    time: String,
+    memory: String,
+    error: String,
+    policy: policyResultSchema
+  },
+  // What the model said it changed, empty for iteration 0
+  explanation: String,
+  tokenUsage: {
+    prompt: Number,
+    completion: Number,
+    total: Number
+  },
+  cost: costSchema,
+  processingTime: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const solutionSchema = new mongoose.Schema({
   problem: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Problem',
     required: true
   },
+  // 1 for the first answer, incremented on every regeneration
+  version: {
+    type: Number,
+    default: 1
+  },
+  generationOptions: {
+    temperature: Number,
+    instructions: String
+  },
+  // Prompt template version the solution was generated with, empty for the built-in prompts
+  prompt: {
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromptTemplate'
+    },
+    version: Number,
+    variant: String
+  },
+  // Copied from this solution by the solution cache instead of calling a model
+  cachedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Solution'
+  },
+  // Generated side by side with other models in compare mode
+  compared: {
+    type: Boolean,
+    default: false
+  },
+  // Model id from the provider registry (services/providers)
   aiModel: {
     type: String,
-    enum: ['gpt-4', 'gpt-3.5-turbo', 'claude-3', 'claude-2'],
     default: 'gpt-4'
   },
+  aiProvider: String,
+  // Model the user asked for, differs from aiModel after a fallback
+  requestedModel: String,
+  attempts: [attemptSchema],
   answer: {
     type: String,
     required: true
@@ -24,16 +199,101 @@ const solutionSchema = new mongoose.Schema({
     snippet: String,
     optimizedVersion: String
   },
+  // Every code listing in the answer, `code` above mirrors the solution/optimized ones
+  codeBlocks: [{
+    role: {
+      type: String,
+      enum: ['solution', 'optimized', 'test', 'example']
+    },
+    language: String,
+    code: String,
+    description: String,
+    // Suggested file name when downloaded, set on generated test files
+    filename: String
+  }],
   steps: [{
     stepNumber: Number,
     description: String,
     code: String
   }],
+  complexity: {
+    time: String,
+    space: String
+  },
+  assumptions: [String],
+  // 'json' when the structured reply validated, 'markdown' when it was parsed from prose
+  outputFormat: {
+    type: String,
+    enum: ['json', 'markdown'],
+    default: 'markdown'
+  },
   executionResult: {
     status: String,
     output: String,
     time: String,
     memory: String,
+    error: String,
+    // What the run was allowed to use
+    limits: executionLimitsSchema,
+    policy: policyResultSchema
+  },
+  // Failed executions fed back to the model, empty when the first version ran cleanly
+  repairAttempts: [repairAttemptSchema],
+  // 'repaired' when a fix ran cleanly, 'failed' when the budget ran out first
+  repairStatus: {
+    type: String,
+    enum: ['repaired', 'failed']
+  },
+  // Verdicts against the problem's test cases, in case order
+  testResults: [testResultSchema],
+  testSummary: {
+    passed: Number,
+    total: Number
+  },
+  // The code and its optimized version timed on generated inputs of growing size
+  benchmark: {
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed']
+    },
+    // Program that prints an input of the size it reads from stdin
+    generator: String,
+    // 'ai' when the model wrote the generator, 'user' when it came with the request
+    generatorSource: {
+      type: String,
+      enum: ['ai', 'user']
+    },
+    sizes: [Number],
+    points: [benchmarkPointSchema],
+    estimates: {
+      snippet: {
+        time: growthEstimateSchema,
+        memory: growthEstimateSchema
+      },
+      optimized: {
+        time: growthEstimateSchema,
+        memory: growthEstimateSchema
+      }
+    },
+    error: String,
+    startedAt: Date,
+    completedAt: Date
+  },
+  // Generated test file (the 'test' code block with a filename) run against the solution
+  unitTests: {
+    framework: String,
+    // 'passed' when every test passed, 'error' when none could be run
+    status: {
+      type: String,
+      enum: ['passed', 'failed', 'error']
+    },
+    tests: [unitTestSchema],
+    passed: Number,
+    failed: Number,
+    errors: Number,
+    total: Number,
+    // Execution status and output when the tests did not run, e.g. a compilation error
+    executionStatus: String,
     error: String
   },
   tokenUsage: {
@@ -42,18 +302,55 @@ const solutionSchema = new mongoose.Schema({
     total: Number
   },
   processingTime: Number, // in milliseconds
+  // tokenUsage priced with the model's rates, see config/aiProviders.js
+  cost: costSchema,
+  // The problem owner's verdict on this version
   feedback: {
     rating: {
       type: Number,
       min: 1,
       max: 5
     },
-    comment: String
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Comment cannot exceed 2000 characters']
+    },
+    // Specific problems the user flagged
+    issues: [{
+      type: String,
+      enum: ['wrong', 'incomplete', 'code-does-not-run', 'too-verbose', 'unclear']
+    }],
+    updatedAt: Date
   }
 }, {
   timestamps: true
 });
 
+// Follow-up conversation about a problem's solution
+const messageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  aiModel: String,
+  aiProvider: String,
+  tokenUsage: {
+    prompt: Number,
+    completion: Number,
+    total: Number
+  },
+  cost: costSchema,
+  processingTime: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
 const problemSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -106,14 +403,74 @@ const problemSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['pending', 'processing', 'solved', 'failed'],
+    enum: ['pending', 'processing', 'solved', 'failed', 'cancelled'],
     default: 'pending',
     index: true
   },
+  // Current version: the accepted one, otherwise the latest
   solution: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Solution'
   },
+  acceptedSolution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Solution'
+  },
+  // Bulk import the problem came from (models/Batch.js)
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    index: true
+  },
+  // Requested model, empty for the registry default
+  aiModel: String,
+  // Sample cases every solution is judged against
+  testCases: [testCaseSchema],
+  // How outputs are compared, instance defaults (config/testCases.js) when empty
+  judgeOptions: {
+    ignoreWhitespace: Boolean,
+    floatTolerance: {
+      type: Number,
+      min: 0
+    }
+  },
+  // Limits for running solutions, up to the owner's plan ceiling (config/executor.js);
+  // the defaults when empty
+  executionLimits: executionLimitsSchema,
+  // Normalized hash of title, description, category, language and difficulty (services/cacheService.js)
+  cacheKey: {
+    type: String,
+    index: true
+  },
+  // Outcome of the solution cache lookup, empty when none was made
+  cache: {
+    result: {
+      type: String,
+      enum: ['hit', 'miss', 'declined']
+    },
+    similarity: Number,
+    exact: Boolean,
+    savedCost: Number
+  },
+  // Compare mode: one solution per model, the user votes for the better answer
+  comparison: {
+    models: [String],
+    winner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Solution'
+    },
+    votedAt: Date
+  },
+  // Why the last generation failed, with every provider call that was made
+  generationError: {
+    message: String,
+    attempts: [attemptSchema]
+  },
+  // Loaded only by the messages endpoints
+  messages: {
+    type: [messageSchema],
+    select: false
+  },
   isPublic: {
     type: Boolean,
     default: false
@@ -135,6 +492,11 @@ problemSchema.index({ user: 1, createdAt: -1 });
 problemSchema.index({ category: 1, difficulty: 1 });
 problemSchema.index({ tags: 1 });
 problemSchema.index({ status: 1, createdAt: -1 });
+problemSchema.index({ 'messages.createdAt': 1 });
+solutionSchema.index({ createdAt: -1 });
+solutionSchema.index({ problem: 1, version: 1 });
+solutionSchema.index({ 'prompt.template': 1 });
+solutionSchema.index({ 'feedback.rating': 1 });
 
 // Text index for search
 problemSchema.index({ 
@@ -0,0 +1,104 @@
+// server/models/PromptTemplate.js
+const mongoose = require('mongoose');
+const { Problem } = require('./Problem');
+
+// Snapshot of a template's prompt text, one per edit
+const promptVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  systemPrompt: String,
+  instructions: String,
+  note: String,
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const promptTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: Problem.schema.path('category').enumValues
+  },
+  // Optional narrowing, empty matches every language/difficulty
+  language: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard']
+  },
+  // Templates sharing a scope are A/B variants, picked at random by weight
+  variant: {
+    type: String,
+    trim: true,
+    default: 'A',
+    maxlength: [50, 'Variant cannot exceed 50 characters']
+  },
+  weight: {
+    type: Number,
+    min: [0, 'Weight cannot be negative'],
+    default: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  systemPrompt: {
+    type: String,
+    required: [true, 'System prompt is required'],
+    maxlength: [10000, 'System prompt cannot exceed 10000 characters']
+  },
+  // Appended after the problem, replaces the default instruction list
+  instructions: {
+    type: String,
+    maxlength: [10000, 'Instructions cannot exceed 10000 characters']
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  // Every version including the current one, loaded only when needed
+  history: {
+    type: [promptVersionSchema],
+    select: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promptTemplateSchema.index({ category: 1, isActive: 1 });
+
+// Save the current prompt text as a new version
+// The history must be loaded (select('+history')) before calling this.
+promptTemplateSchema.methods.recordVersion = function(note, userId) {
+  const latest = this.history.reduce((max, entry) => Math.max(max, entry.version), 0);
+
+  this.version = latest + 1;
+  this.history.push({
+    version: this.version,
+    systemPrompt: this.systemPrompt,
+    instructions: this.instructions,
+    note,
+    editedBy: userId
+  });
+};
+
+module.exports = mongoose.model('PromptTemplate', promptTemplateSchema);
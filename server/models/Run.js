@@ -0,0 +1,41 @@
+// server/models/Run.js
+const mongoose = require('mongoose');
+
+// Code a user ran from a problem's playground, with what it printed
+const runSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  problem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Problem',
+    required: true
+  },
+  language: {
+    type: String,
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  input: {
+    type: String,
+    default: ''
+  },
+  output: String,
+  error: String,
+  status: String,
+  statusId: Number,
+  time: String,
+  memory: String,
+  exitCode: Number
+}, {
+  timestamps: true
+});
+
+runSchema.index({ problem: 1, user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Run', runSchema);
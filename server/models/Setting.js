@@ -0,0 +1,35 @@
+// server/models/Setting.js
+const mongoose = require('mongoose');
+
+// Instance-wide settings that admins change at runtime
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: mongoose.Schema.Types.Mixed,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Read a setting, or the fallback when it was never set
+settingSchema.statics.getValue = async function(key, fallback = null) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : fallback;
+};
+
+// Create or replace a setting
+settingSchema.statics.setValue = function(key, value, userId) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -42,6 +42,24 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // AI cost in USD, reset with monthlyQueries
+    totalSpend: {
+      type: Number,
+      default: 0
+    },
+    monthlySpend: {
+      type: Number,
+      default: 0
+    },
+    // Playground runs, counted apart from queries and reset with them
+    totalExecutions: {
+      type: Number,
+      default: 0
+    },
+    monthlyExecutions: {
+      type: Number,
+      default: 0
+    },
     lastResetDate: {
       type: Date,
       default: Date.now
@@ -57,12 +75,30 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 50 // Free tier limit
     },
+    executionLimit: {
+      type: Number,
+      default: 200 // Free tier limit
+    },
+    // Monthly AI spend cap in USD, none when empty
+    monthlySpendCap: {
+      type: Number,
+      min: 0,
+      default: null
+    },
     startDate: {
       type: Date,
       default: Date.now
     },
     endDate: Date
   },
+  preferences: {
+    // What to do when an earlier solution matches a new problem
+    solutionCache: {
+      type: String,
+      enum: ['ask', 'auto', 'off'],
+      default: 'ask'
+    }
+  },
   profile: {
     firstName: String,
     lastName: String,
@@ -74,6 +110,13 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// The all-time counter kept with each monthly one
+const USAGE_TOTALS = {
+  monthlyQueries: 'totalQueries',
+  monthlySpend: 'totalSpend',
+  monthlyExecutions: 'totalExecutions'
+};
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -101,21 +144,94 @@ userSchema.methods.resetMonthlyQueries = function() {
   if (now.getMonth() !== lastReset.getMonth() || 
       now.getFullYear() !== lastReset.getFullYear()) {
     this.apiUsage.monthlyQueries = 0;
+    this.apiUsage.monthlySpend = 0;
+    this.apiUsage.monthlyExecutions = 0;
     this.apiUsage.lastResetDate = now;
   }
 };
 
+// Method to get the queries left this month, less the `reserved` ones queued jobs will use
+userSchema.methods.remainingQueries = function(reserved = 0) {
+  this.resetMonthlyQueries();
+  return this.subscription.queryLimit - this.apiUsage.monthlyQueries - reserved;
+};
+
 // Method to check if user can make query
-userSchema.methods.canMakeQuery = function() {
+userSchema.methods.canMakeQuery = function(reserved = 0) {
+  return this.remainingQueries(reserved) > 0;
+};
+
+// Method to increment query count, with the query's AI cost in USD
+userSchema.methods.incrementQueryCount = async function(cost = 0) {
+  await this.addUsage({ monthlyQueries: 1, monthlySpend: cost });
+};
+
+// Method to get the executions left this month
+userSchema.methods.remainingExecutions = function() {
   this.resetMonthlyQueries();
-  return this.apiUsage.monthlyQueries < this.subscription.queryLimit;
+  return this.subscription.executionLimit - this.apiUsage.monthlyExecutions;
+};
+
+// Method to check if user can run code in the playground
+userSchema.methods.canExecute = function() {
+  return this.remainingExecutions() > 0;
+};
+
+// Method to increment the execution count, by the number of programs run
+userSchema.methods.incrementExecutionCount = async function(count = 1) {
+  await this.addUsage({ monthlyExecutions: count });
+};
+
+// Method to add to monthly counters and their all-time totals, e.g. { monthlyQueries: 1 }.
+// Updated with $inc rather than save(), so runs for the same user at the same time (each
+// with its own copy of the user) don't overwrite each other's counts. The first usage of a
+// new month starts the monthly counters over.
+userSchema.methods.addUsage = async function(amounts) {
+  const User = this.constructor;
+  const now = new Date();
+  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+
+  const totals = {};
+  const $inc = {};
+  for (const [field, amount] of Object.entries(amounts)) {
+    totals[`apiUsage.${USAGE_TOTALS[field]}`] = amount;
+    $inc[`apiUsage.${field}`] = amount;
+  }
+  Object.assign($inc, totals);
+
+  const $set = { 'apiUsage.lastResetDate': now };
+  Object.keys(USAGE_TOTALS).forEach((field) => {
+    $set[`apiUsage.${field}`] = amounts[field] || 0;
+  });
+
+  // A second try covers another run starting the month over in between
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const updated = await User.findOneAndUpdate(
+      { _id: this._id, 'apiUsage.lastResetDate': { $gte: monthStart } },
+      { $inc },
+      { new: true, projection: { apiUsage: 1 } }
+    ) || await User.findOneAndUpdate(
+      { _id: this._id, $or: [{ 'apiUsage.lastResetDate': { $lt: monthStart } }, { 'apiUsage.lastResetDate': null }] },
+      { $set, $inc: totals },
+      { new: true, projection: { apiUsage: 1 } }
+    );
+
+    if (updated) {
+      // Keep this copy current without marking it modified, a later save() must not write it back
+      for (const field of [...Object.keys(USAGE_TOTALS), ...Object.values(USAGE_TOTALS), 'lastResetDate']) {
+        this.apiUsage[field] = updated.apiUsage[field];
+        this.unmarkModified(`apiUsage.${field}`);
+      }
+      return;
+    }
+  }
 };
 
-// Method to increment query count
-userSchema.methods.incrementQueryCount = async function() {
-  this.apiUsage.totalQueries += 1;
-  this.apiUsage.monthlyQueries += 1;
-  await this.save();
+// Method to check if the user is still under their spend cap
+userSchema.methods.canSpend = function() {
+  this.resetMonthlyQueries();
+  const cap = this.subscription.monthlySpendCap;
+  return cap === null || cap === undefined || this.apiUsage.monthlySpend < cap;
 };
 
 // Remove password from JSON response
@@ -125,4 +241,7 @@ userSchema.methods.toJSON = function() {
   return obj;
 };
 
+// Summing this month's spend across users
+userSchema.index({ 'apiUsage.lastResetDate': 1 });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -1,9 +1,15 @@
 // server/routes/admin.js
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const User = require('../models/User');
 const { Problem, Solution } = require('../models/Problem');
+const Run = require('../models/Run');
 const { protect, authorize } = require('../middleware/auth');
+const providerRegistry = require('../services/providers');
+const spendService = require('../services/spendService');
+const jobQueue = require('../services/jobQueue');
+const feedbackService = require('../services/feedbackService');
 
 // All routes require admin authorization
 router.use(protect);
@@ -62,6 +68,103 @@ router.get('/stats', async (req, res) => {
       }
     ]);
 
+    // AI provider reliability, from calls made for saved solutions and failed problems
+    const attemptStats = (Model, path) => Model.aggregate([
+      { $unwind: `$${path}` },
+      {
+        $group: {
+          _id: `$${path}.aiProvider`,
+          attempts: { $sum: 1 },
+          failures: { $sum: { $cond: [{ $eq: [`$${path}.status`, 'error'] }, 1, 0] } },
+          skipped: { $sum: { $cond: [{ $eq: [`$${path}.status`, 'skipped'] }, 1, 0] } },
+          totalDuration: { $sum: `$${path}.durationMs` }
+        }
+      }
+    ]);
+
+    const providerAttempts = {};
+    [
+      ...await attemptStats(Solution, 'attempts'),
+      ...await attemptStats(Problem, 'generationError.attempts')
+    ].forEach((row) => {
+      const entry = providerAttempts[row._id] || { provider: row._id, attempts: 0, failures: 0, skipped: 0, totalDuration: 0 };
+      entry.attempts += row.attempts;
+      entry.failures += row.failures;
+      entry.skipped += row.skipped;
+      entry.totalDuration += row.totalDuration;
+      providerAttempts[row._id] = entry;
+    });
+
+    const providerStats = Object.values(providerAttempts).map(({ totalDuration, ...entry }) => ({
+      ...entry,
+      failureRate: entry.attempts ? entry.failures / entry.attempts : 0,
+      avgDuration: entry.attempts ? Math.round(totalDuration / entry.attempts) : 0
+    }));
+
+    // Compare mode votes, per model and category
+    const comparisonRows = await Solution.aggregate([
+      { $match: { compared: true } },
+      {
+        $lookup: {
+          from: 'problems',
+          localField: 'problem',
+          foreignField: '_id',
+          as: 'problem'
+        }
+      },
+      { $unwind: '$problem' },
+      {
+        $group: {
+          _id: { aiModel: '$aiModel', category: '$problem.category' },
+          comparisons: { $sum: 1 },
+          voted: { $sum: { $cond: [{ $ifNull: ['$problem.comparison.winner', false] }, 1, 0] } },
+          wins: { $sum: { $cond: [{ $eq: ['$problem.comparison.winner', '$_id'] }, 1, 0] } }
+        }
+      },
+      { $sort: { wins: -1, comparisons: -1 } }
+    ]);
+
+    const comparisonStats = comparisonRows.map((row) => ({
+      aiModel: row._id.aiModel,
+      category: row._id.category,
+      comparisons: row.comparisons,
+      voted: row.voted,
+      wins: row.wins,
+      winRate: row.voted ? row.wins / row.voted : 0
+    }));
+
+    // Solution cache lookups and what the hits saved
+    const cacheRows = await Problem.aggregate([
+      { $match: { 'cache.result': { $exists: true } } },
+      {
+        $group: {
+          _id: '$cache.result',
+          count: { $sum: 1 },
+          exact: { $sum: { $cond: ['$cache.exact', 1, 0] } },
+          savedCost: { $sum: { $ifNull: ['$cache.savedCost', 0] } }
+        }
+      }
+    ]);
+
+    const cacheCounts = { hit: 0, miss: 0, declined: 0 };
+    let exactHits = 0;
+    let savedCost = 0;
+    cacheRows.forEach((row) => {
+      cacheCounts[row._id] = row.count;
+      if (row._id === 'hit') {
+        exactHits = row.exact;
+        savedCost = row.savedCost;
+      }
+    });
+    const cacheLookups = cacheCounts.hit + cacheCounts.miss + cacheCounts.declined;
+
+    // AI spend this month against the instance cap
+    const monthlySpend = await spendService.getInstanceMonthlySpend();
+    const monthlySpendCap = await spendService.getInstanceCap();
+
+    // Background generation queue
+    const jobStats = await jobQueue.getStats();
+
     // Subscription distribution
     const subscriptionStats = await User.aggregate([
       {
@@ -90,6 +193,25 @@ router.get('/stats', async (req, res) => {
         },
         apiUsage: apiUsageStats[0] || { totalQueries: 0, avgMonthlyQueries: 0 },
         subscriptions: subscriptionStats,
+        providers: {
+          attempts: providerStats,
+          circuitBreakers: providerRegistry.getHealth()
+        },
+        comparisons: comparisonStats,
+        spend: {
+          thisMonth: monthlySpend,
+          cap: monthlySpendCap
+        },
+        cache: {
+          lookups: cacheLookups,
+          hits: cacheCounts.hit,
+          exactHits,
+          misses: cacheCounts.miss,
+          declined: cacheCounts.declined,
+          hitRate: cacheLookups ? cacheCounts.hit / cacheLookups : 0,
+          savedCost
+        },
+        jobs: jobStats,
         recentActivity: recentProblems
       }
     });
@@ -244,6 +366,11 @@ router.put('/users/:id', async (req, res) => {
     if (subscription) {
       if (subscription.plan) user.subscription.plan = subscription.plan;
       if (subscription.queryLimit) user.subscription.queryLimit = subscription.queryLimit;
+      if (subscription.executionLimit) user.subscription.executionLimit = subscription.executionLimit;
+      // null removes the cap
+      if (subscription.monthlySpendCap !== undefined) {
+        user.subscription.monthlySpendCap = subscription.monthlySpendCap;
+      }
     }
 
     await user.save();
@@ -285,15 +412,14 @@ router.delete('/users/:id', async (req, res) => {
       });
     }
 
-    // Delete user's problems and solutions
+    // Delete user's problems, solutions and playground runs
     const userProblems = await Problem.find({ user: user._id });
     
     for (const problem of userProblems) {
-      if (problem.solution) {
-        await Solution.findByIdAndDelete(problem.solution);
-      }
+      await Solution.deleteMany({ problem: problem._id });
       await problem.deleteOne();
     }
+    await Run.deleteMany({ user: user._id });
 
     await user.deleteOne();
 
@@ -368,9 +494,8 @@ router.delete('/problems/:id', async (req, res) => {
       });
     }
 
-    if (problem.solution) {
-      await Solution.findByIdAndDelete(problem.solution);
-    }
+    await Solution.deleteMany({ problem: problem._id });
+    await Run.deleteMany({ problem: problem._id });
 
     await problem.deleteOne();
 
@@ -388,4 +513,128 @@ router.delete('/problems/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/spend
+// @desc    AI spend by user, plan, category and model for a month (?month=YYYY-MM, default current)
+// @access  Admin
+router.get('/spend', async (req, res) => {
+  try {
+    const { month } = req.query;
+
+    let from = spendService.startOfMonth();
+    if (month) {
+      const match = /^(\d{4})-(\d{2})$/.exec(month);
+      if (!match) {
+        return res.status(400).json({
+          success: false,
+          message: 'Month must be formatted as YYYY-MM'
+        });
+      }
+      from = new Date(Number(match[1]), Number(match[2]) - 1, 1);
+    }
+    const to = new Date(from.getFullYear(), from.getMonth() + 1, 1);
+
+    const report = await spendService.getReport(from, to);
+    const monthlySpendCap = await spendService.getInstanceCap();
+
+    res.json({
+      success: true,
+      data: { ...report, monthlySpendCap }
+    });
+  } catch (error) {
+    console.error('Spend report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching spend report',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/spend/cap
+// @desc    Set the instance-wide monthly spend cap in USD, null removes it
+// @access  Admin
+router.put('/spend/cap', async (req, res) => {
+  try {
+    const { monthlySpendCap } = req.body;
+
+    if (monthlySpendCap !== null && (typeof monthlySpendCap !== 'number' || monthlySpendCap < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Spend cap must be a positive number or null'
+      });
+    }
+
+    await spendService.setInstanceCap(monthlySpendCap, req.user.id);
+
+    res.json({
+      success: true,
+      message: monthlySpendCap === null ? 'Spend cap removed' : 'Spend cap updated',
+      data: { monthlySpendCap }
+    });
+  } catch (error) {
+    console.error('Update spend cap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating spend cap',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/feedback
+// @desc    Solution ratings and issue flags by model, category, difficulty and prompt version
+//          (?days=N limits it to feedback given in the last N days)
+// @access  Admin
+router.get('/feedback', async (req, res) => {
+  try {
+    const days = parseInt(req.query.days, 10);
+    const since = days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
+
+    const analytics = await feedbackService.getAnalytics(since);
+
+    res.json({
+      success: true,
+      data: analytics
+    });
+  } catch (error) {
+    console.error('Feedback analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching feedback analytics',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/feedback/solutions
+// @desc    Low-rated or flagged solutions behind a breakdown row
+//          (?aiModel, category, difficulty, template (or 'builtin'), version, maxRating, issue)
+// @access  Admin
+router.get('/feedback/solutions', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, ...filters } = req.query;
+
+    if (filters.template && filters.template !== 'builtin' && !mongoose.isValidObjectId(filters.template)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid prompt template'
+      });
+    }
+
+    const result = await feedbackService.getSolutions(filters, parseInt(page, 10) || 1, parseInt(limit, 10) || 20);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Feedback solutions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching rated solutions',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
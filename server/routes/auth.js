@@ -168,13 +168,24 @@ router.get('/me', protect, async (req, res) => {
 // @access  Private
 router.put('/profile', protect, async (req, res) => {
   try {
-    const { firstName, lastName, bio } = req.body;
+    const { firstName, lastName, bio, preferences } = req.body;
+
+    if (preferences && preferences.solutionCache &&
+        !['ask', 'auto', 'off'].includes(preferences.solutionCache)) {
+      return res.status(400).json({
+        success: false,
+        message: "Solution cache preference must be 'ask', 'auto' or 'off'"
+      });
+    }
 
     const user = await User.findById(req.user.id);
 
     if (firstName) user.profile.firstName = firstName;
     if (lastName) user.profile.lastName = lastName;
     if (bio) user.profile.bio = bio;
+    if (preferences && preferences.solutionCache) {
+      user.preferences.solutionCache = preferences.solutionCache;
+    }
 
     await user.save();
 
@@ -0,0 +1,357 @@
+// server/routes/evals.js
+const express = require('express');
+const router = express.Router();
+const { EvalSet, EvalRun } = require('../models/Evaluation');
+const PromptTemplate = require('../models/PromptTemplate');
+const { protect, authorize } = require('../middleware/auth');
+const providerRegistry = require('../services/providers');
+const judgeService = require('../services/judgeService');
+const evalService = require('../services/evalService');
+
+// All routes require admin authorization
+router.use(protect);
+router.use(authorize('admin'));
+
+// Most runs (models x prompt versions) a single request may start
+const MAX_RUNS = 8;
+
+// Golden problems from the request body, or the reason they are invalid
+const readProblems = (problems) => {
+  if (!Array.isArray(problems) || problems.length === 0) {
+    return { error: 'Please provide at least one problem' };
+  }
+
+  for (const [index, problem] of problems.entries()) {
+    const testCaseError = judgeService.validateTestCases(problem.testCases, problem.judgeOptions);
+    if (testCaseError) {
+      return { error: `Problem ${index + 1}: ${testCaseError}` };
+    }
+  }
+
+  return {
+    problems: problems.map((problem) => ({
+      title: problem.title,
+      description: problem.description,
+      category: problem.category,
+      language: problem.language || undefined,
+      difficulty: problem.difficulty || 'medium',
+      expectedOutput: problem.expectedOutput === '' ? undefined : problem.expectedOutput,
+      testCases: judgeService.toTestCases(problem.testCases),
+      judgeOptions: judgeService.toJudgeOptions(problem.judgeOptions)
+    }))
+  };
+};
+
+// The prompt text of a template version, the current one when no version is given
+const findPromptVersion = async ({ template: templateId, version }) => {
+  const template = await PromptTemplate.findById(templateId).select('+history');
+  if (!template) return null;
+
+  const entry = version
+    ? template.history.find((item) => item.version === Number(version))
+    : { version: template.version, systemPrompt: template.systemPrompt, instructions: template.instructions };
+  if (!entry) return null;
+
+  return { template, version: entry.version, systemPrompt: entry.systemPrompt, instructions: entry.instructions };
+};
+
+// Mongoose validation problems are the caller's fault
+const sendError = (res, error, message) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// @route   GET /api/admin/evals/sets
+// @desc    List golden sets with their problem counts
+// @access  Admin
+router.get('/sets', async (req, res) => {
+  try {
+    const sets = await EvalSet.find().sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sets: sets.map((set) => {
+          const { problems, ...rest } = set.toObject();
+          return { ...rest, problemCount: problems.length };
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Get eval sets error:', error);
+    sendError(res, error, 'Error fetching golden sets');
+  }
+});
+
+// @route   GET /api/admin/evals/sets/:id
+// @desc    Get a golden set with its problems
+// @access  Admin
+router.get('/sets/:id', async (req, res) => {
+  try {
+    const set = await EvalSet.findById(req.params.id);
+
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        message: 'Golden set not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { set }
+    });
+  } catch (error) {
+    console.error('Get eval set error:', error);
+    sendError(res, error, 'Error fetching golden set');
+  }
+});
+
+// @route   POST /api/admin/evals/sets
+// @desc    Create a golden set; problems take the fields of a problem plus an optional
+//          expectedOutput and testCases
+// @access  Admin
+router.post('/sets', async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const { problems, error } = readProblems(req.body.problems);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const set = await EvalSet.create({ name, description, problems, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Golden set created',
+      data: { set }
+    });
+  } catch (error) {
+    console.error('Create eval set error:', error);
+    sendError(res, error, 'Error creating golden set');
+  }
+});
+
+// @route   PUT /api/admin/evals/sets/:id
+// @desc    Update a golden set, earlier runs keep their results
+// @access  Admin
+router.put('/sets/:id', async (req, res) => {
+  try {
+    const set = await EvalSet.findById(req.params.id);
+
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        message: 'Golden set not found'
+      });
+    }
+
+    if (req.body.problems !== undefined) {
+      const { problems, error } = readProblems(req.body.problems);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      set.problems = problems;
+    }
+    if (req.body.name !== undefined) set.name = req.body.name;
+    if (req.body.description !== undefined) set.description = req.body.description;
+
+    await set.save();
+
+    res.json({
+      success: true,
+      message: 'Golden set updated',
+      data: { set }
+    });
+  } catch (error) {
+    console.error('Update eval set error:', error);
+    sendError(res, error, 'Error updating golden set');
+  }
+});
+
+// @route   DELETE /api/admin/evals/sets/:id
+// @desc    Delete a golden set, its runs stay in the history
+// @access  Admin
+router.delete('/sets/:id', async (req, res) => {
+  try {
+    const set = await EvalSet.findByIdAndDelete(req.params.id);
+
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        message: 'Golden set not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Golden set deleted'
+    });
+  } catch (error) {
+    console.error('Delete eval set error:', error);
+    sendError(res, error, 'Error deleting golden set');
+  }
+});
+
+// @route   GET /api/admin/evals/runs
+// @desc    Run history, newest first, optionally for one set
+// @access  Admin
+router.get('/runs', async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.set) query.set = req.query.set;
+
+    const runs = await EvalRun.find(query)
+      .select('-results')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit, 10) || 50);
+
+    res.json({
+      success: true,
+      data: { runs }
+    });
+  } catch (error) {
+    console.error('Get eval runs error:', error);
+    sendError(res, error, 'Error fetching evaluation runs');
+  }
+});
+
+// @route   POST /api/admin/evals/runs
+// @desc    Run a golden set against every combination of `models` and `prompts`
+//          A prompt is { template, version } (version defaults to the current one) or null
+//          for the built-in prompts. `execute: false` scores without the sandbox. Responds 202
+// @access  Admin
+router.post('/runs', async (req, res) => {
+  try {
+    const { set: setId, models, prompts = [null], execute, note } = req.body;
+
+    const set = await EvalSet.findById(setId);
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        message: 'Golden set not found'
+      });
+    }
+
+    if (!Array.isArray(models) || models.length === 0 || !Array.isArray(prompts) || prompts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose at least one model and one prompt version'
+      });
+    }
+
+    if (models.length * prompts.length > MAX_RUNS) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_RUNS} runs (models x prompt versions) can be started at once`
+      });
+    }
+
+    const unavailable = models.filter((model) => !providerRegistry.isAvailable(model));
+    if (unavailable.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `AI model(s) not available: ${unavailable.join(', ')}`
+      });
+    }
+
+    const versions = [];
+    for (const prompt of prompts) {
+      const version = prompt && prompt.template ? await findPromptVersion(prompt) : null;
+      if (prompt && prompt.template && !version) {
+        return res.status(400).json({
+          success: false,
+          message: 'Prompt template version not found'
+        });
+      }
+      versions.push(version);
+    }
+
+    const runs = [];
+    for (const model of models) {
+      for (const version of versions) {
+        runs.push(await evalService.startRun(set, model, version, { execute, note, userId: req.user.id }));
+      }
+    }
+
+    res.status(202).json({
+      success: true,
+      message: `${runs.length} evaluation run(s) queued`,
+      data: { runs }
+    });
+  } catch (error) {
+    console.error('Start eval run error:', error);
+    sendError(res, error, 'Error starting evaluation');
+  }
+});
+
+// @route   GET /api/admin/evals/runs/compare?a=<runId>&b=<runId>
+// @desc    Compare two runs metric by metric and problem by problem (b minus a)
+// @access  Admin
+router.get('/runs/compare', async (req, res) => {
+  try {
+    const [a, b] = await Promise.all([EvalRun.findById(req.query.a), EvalRun.findById(req.query.b)]);
+
+    if (!a || !b) {
+      return res.status(404).json({
+        success: false,
+        message: 'Evaluation run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        a: { ...a.toObject(), results: undefined },
+        b: { ...b.toObject(), results: undefined },
+        comparison: evalService.compare(a, b)
+      }
+    });
+  } catch (error) {
+    console.error('Compare eval runs error:', error);
+    sendError(res, error, 'Error comparing evaluation runs');
+  }
+});
+
+// @route   GET /api/admin/evals/runs/:id
+// @desc    Get a run with its per-problem results
+// @access  Admin
+router.get('/runs/:id', async (req, res) => {
+  try {
+    const run = await EvalRun.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Evaluation run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { run }
+    });
+  } catch (error) {
+    console.error('Get eval run error:', error);
+    sendError(res, error, 'Error fetching evaluation run');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,221 @@
+// server/routes/imports.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Batch = require('../models/Batch');
+const { Problem } = require('../models/Problem');
+const { protect, checkQueryLimit, checkSpendLimit } = require('../middleware/auth');
+const importService = require('../services/importService');
+const jobQueue = require('../services/jobQueue');
+const config = require('../config/imports');
+
+const FORMATS = ['csv', 'json', 'markdown'];
+const STATUSES = ['pending', 'processing', 'solved', 'failed', 'cancelled'];
+
+// Problem counts by status for each batch id
+const getProgress = async (batchIds) => {
+  const counts = await Problem.aggregate([
+    { $match: { batch: { $in: batchIds.map((id) => new mongoose.Types.ObjectId(id)) } } },
+    { $group: { _id: { batch: '$batch', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const progress = {};
+  batchIds.forEach((id) => {
+    progress[id] = Object.fromEntries(STATUSES.map((status) => [status, 0]));
+  });
+  counts.forEach(({ _id, count }) => {
+    progress[_id.batch.toString()][_id.status] = count;
+  });
+
+  return progress;
+};
+
+// @route   POST /api/imports
+// @desc    Import problems from CSV, JSON or markdown files with front-matter and queue their solutions
+//          Every item is validated on its own and reported by row; valid items become problems of
+//          one batch. With `dryRun` only the report is returned. Responds 202 once queued
+// @access  Private
+router.post('/', protect, checkQueryLimit, checkSpendLimit, async (req, res) => {
+  try {
+    const { format, content, files, name, dryRun } = req.body;
+
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${FORMATS.join(', ')}`
+      });
+    }
+
+    if (format === 'markdown' ? !Array.isArray(files) : typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: format === 'markdown'
+          ? 'Please provide the markdown files as `files`'
+          : 'Please provide the file contents as `content`'
+      });
+    }
+
+    let items;
+    try {
+      items = importService.parse(format, { content, files });
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message
+      });
+    }
+
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No problems found in the upload'
+      });
+    }
+
+    if (items.length > config.maxItems) {
+      return res.status(400).json({
+        success: false,
+        message: `An import may contain at most ${config.maxItems} problems, this one has ${items.length}`
+      });
+    }
+
+    const checked = items.map((item) => ({ item, ...importService.validate(item, req.user.id) }));
+    const report = checked.map(({ item, doc, issues }) => ({
+      row: item.row,
+      source: item.source,
+      title: doc.title,
+      issues
+    }));
+    const valid = checked.filter(({ issues }) => issues.length === 0);
+    const summary = { total: items.length, valid: valid.length, invalid: items.length - valid.length };
+
+    if (dryRun || valid.length === 0) {
+      return res.status(dryRun ? 200 : 400).json({
+        success: Boolean(dryRun),
+        message: dryRun ? 'Import validated' : 'None of the problems are valid',
+        data: { summary, report }
+      });
+    }
+
+    // Every valid problem will use a query, so the whole batch must fit in what is left
+    const remaining = req.remainingQueries;
+    if (valid.length > remaining) {
+      return res.status(429).json({
+        success: false,
+        message: `This import needs ${valid.length} queries, only ${remaining} left this month`,
+        usage: {
+          current: req.user.apiUsage.monthlyQueries,
+          limit: req.user.subscription.queryLimit,
+          plan: req.user.subscription.plan
+        },
+        data: { summary, report }
+      });
+    }
+
+    const batch = await Batch.create({
+      user: req.user.id,
+      name: name || `${format.toUpperCase()} import`,
+      format,
+      total: items.length,
+      imported: valid.length,
+      report
+    });
+
+    const problems = await Problem.insertMany(valid.map(({ doc }) => ({ ...doc, batch: batch._id })));
+
+    for (const [index, problem] of problems.entries()) {
+      batch.report.find((entry) => entry.row === valid[index].item.row).problem = problem._id;
+      await jobQueue.enqueue('solve', problem, req.user.id, { aiModel: problem.aiModel });
+    }
+    await batch.save();
+
+    res.status(202).json({
+      success: true,
+      message: `${valid.length} problem(s) imported, solutions are queued`,
+      data: { batch, summary }
+    });
+  } catch (error) {
+    console.error('Import problems error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing problems',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/imports
+// @desc    Get the user's import batches with their progress
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const batches = await Batch.find({ user: req.user.id })
+      .select('-report')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    const progress = await getProgress(batches.map((batch) => batch._id.toString()));
+
+    res.json({
+      success: true,
+      data: {
+        batches: batches.map((batch) => ({ ...batch.toObject(), progress: progress[batch._id.toString()] }))
+      }
+    });
+  } catch (error) {
+    console.error('Get batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching imports',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/imports/:id
+// @desc    Get an import batch: its row report, progress and problems
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const batch = await Batch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    if (batch.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this import'
+      });
+    }
+
+    const [progress, problems] = await Promise.all([
+      getProgress([batch._id.toString()]),
+      Problem.find({ batch: batch._id })
+        .select('title category difficulty language status createdAt')
+        .sort({ createdAt: 1 })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        batch,
+        progress: progress[batch._id.toString()],
+        problems
+      }
+    });
+  } catch (error) {
+    console.error('Get batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching import',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
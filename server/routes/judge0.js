@@ -0,0 +1,35 @@
+// server/routes/judge0.js
+const express = require('express');
+const router = express.Router();
+const codeExecutor = require('../services/codeExecutor');
+
+// @route   PUT /api/judge0/callback/:secret
+// @desc    Judge0 reports a finished submission (set as callback_url when JUDGE0_CALLBACK_URL is configured)
+// @access  Public, the path carries JUDGE0_CALLBACK_SECRET (Judge0 cannot send headers with
+//          callbacks); it is masked in the request log
+router.put('/callback/:secret', (req, res) => {
+  try {
+    const matched = codeExecutor.handleCallback(req.params.secret, req.body);
+
+    res.json({
+      success: true,
+      data: { matched }
+    });
+  } catch (error) {
+    if (error.statusCode === 403) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    console.error('Judge0 callback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error handling callback',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// server/routes/languages.js
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const languageService = require('../services/languageService');
+const codeExecutor = require('../services/codeExecutor');
+
+// @route   GET /api/languages
+// @desc    List problem languages with their version and whether code in them can be run,
+//          plus the execution limits runs get on the caller's plan and the most a problem may set
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const plan = req.user.subscription.plan;
+
+    res.json({
+      success: true,
+      data: {
+        languages: await languageService.list(),
+        executionLimits: {
+          plan,
+          defaults: codeExecutor.resolveLimits(plan),
+          ceiling: codeExecutor.getPlanLimits(plan)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List languages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching languages',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
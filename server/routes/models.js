@@ -0,0 +1,20 @@
+// server/routes/models.js
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const providerRegistry = require('../services/providers');
+
+// @route   GET /api/models
+// @desc    List AI models from configured providers
+// @access  Private
+router.get('/', protect, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      models: providerRegistry.listModels(),
+      defaultModel: providerRegistry.defaultModel
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+// server/routes/policies.js
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const policyService = require('../services/policyService');
+const codePolicy = require('../services/codePolicy');
+
+// All routes require admin authorization
+router.use(protect);
+router.use(authorize('admin'));
+
+// @route   GET /api/admin/policies
+// @desc    Get the code policy of every language with the rule kinds and actions
+// @access  Admin
+router.get('/', async (req, res) => {
+  try {
+    const policies = await policyService.list();
+
+    res.json({
+      success: true,
+      data: {
+        policies,
+        kinds: codePolicy.kinds,
+        actions: codePolicy.actions
+      }
+    });
+  } catch (error) {
+    console.error('Get policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching code policies',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/policies/audit
+// @desc    Get the blocked and warned submissions, newest first
+// @access  Admin
+router.get('/audit', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, outcome, source, language } = req.query;
+
+    const filters = {};
+    if (outcome) filters.outcome = outcome;
+    if (source) filters.source = source;
+    if (language) filters.language = language.toLowerCase();
+
+    const data = await policyService.getAudit(
+      filters,
+      Math.max(parseInt(page) || 1, 1),
+      Math.min(Math.max(parseInt(limit) || 20, 1), 100)
+    );
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get policy audit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching policy audit log',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/policies/:language
+// @desc    Replace a language's mode and rules
+// @access  Admin
+router.put('/:language', async (req, res) => {
+  try {
+    const language = req.params.language.toLowerCase();
+    const { mode, rules } = req.body;
+
+    const validationError = policyService.validate(language, { mode, rules });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const policy = await policyService.update(language, { mode, rules }, req.user.id);
+
+    res.json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    console.error('Update policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating code policy',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/admin/policies/:language
+// @desc    Drop a language's edited policy so the built-in one applies again
+// @access  Admin
+router.delete('/:language', async (req, res) => {
+  try {
+    await policyService.reset(req.params.language.toLowerCase());
+
+    res.json({
+      success: true,
+      message: 'Code policy reset to the built-in rules'
+    });
+  } catch (error) {
+    console.error('Reset policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting code policy',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/policies/:language/check
+// @desc    Check code against a language's current policy without running or auditing it
+// @access  Admin
+router.post('/:language/check', async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (typeof code !== 'string' || !code.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide code to check'
+      });
+    }
+
+    const result = await policyService.check(code, req.params.language);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Check policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking code',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,16 +2,45 @@
 const express = require('express');
 const router = express.Router();
 const { Problem, Solution } = require('../models/Problem');
-const { protect, checkQueryLimit } = require('../middleware/auth');
+const Run = require('../models/Run');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const {
+  protect, checkQueryLimit, checkSpendLimit, checkExecutionLimit, queryLimitResponse, spendLimitResponse
+} = require('../middleware/auth');
+const solutionService = require('../services/solutionService');
 const aiService = require('../services/aiService');
+const promptService = require('../services/promptService');
+const streamHub = require('../services/streamHub');
+const providerRegistry = require('../services/providers');
+const spendService = require('../services/spendService');
+const cacheService = require('../services/cacheService');
+const jobQueue = require('../services/jobQueue');
+const judgeService = require('../services/judgeService');
 const codeExecutor = require('../services/codeExecutor');
+const policyService = require('../services/policyService');
+const benchmarkService = require('../services/benchmark');
+const playgroundConfig = require('../config/playground');
+const benchmarkConfig = require('../config/benchmark');
+const queueConfig = require('../config/jobQueue');
+
+// Most models a single compare request may fan out to
+const MAX_COMPARE_MODELS = 4;
 
 // @route   POST /api/problems
-// @desc    Create and solve a problem
+// @desc    Create a problem and queue its solution, responds 202; follow progress on /:id/stream
+//          With `compareModels` every listed model answers and each answer is saved as its own solution
+//          A cached solution of a matching problem is offered, or reused right away with the
+//          user's 'auto' preference; `reuseSolution` accepts an offer and `skipCache` declines it
+//          Every solution is judged against the optional `testCases`
+//          Query and spend limits only apply when a solution is generated, cache hits are free
 // @access  Private
-router.post('/', protect, checkQueryLimit, async (req, res) => {
+router.post('/', protect, async (req, res) => {
   try {
-    const { title, description, category, language, difficulty, tags } = req.body;
+    const {
+      title, description, category, language, difficulty, tags, aiModel, compareModels,
+      reuseSolution, skipCache, testCases, judgeOptions, executionLimits
+    } = req.body;
 
     // Validation
     if (!title || !description || !category) {
@@ -21,91 +50,148 @@ router.post('/', protect, checkQueryLimit, async (req, res) => {
       });
     }
 
-    // Create problem
-    const problem = await Problem.create({
-      user: req.user.id,
+    if (aiModel && !providerRegistry.isAvailable(aiModel)) {
+      return res.status(400).json({
+        success: false,
+        message: `AI model '${aiModel}' is not available`
+      });
+    }
+
+    const testCaseError = judgeService.validateTestCases(testCases, judgeOptions);
+    if (testCaseError) {
+      return res.status(400).json({
+        success: false,
+        message: testCaseError
+      });
+    }
+
+    const limitsError = codeExecutor.validateLimits(executionLimits, req.user.subscription.plan);
+    if (limitsError) {
+      return res.status(400).json({
+        success: false,
+        message: limitsError
+      });
+    }
+
+    if (compareModels !== undefined) {
+      if (!Array.isArray(compareModels) ||
+          new Set(compareModels).size !== compareModels.length ||
+          compareModels.length < 2 ||
+          compareModels.length > MAX_COMPARE_MODELS) {
+        return res.status(400).json({
+          success: false,
+          message: `Please provide between 2 and ${MAX_COMPARE_MODELS} different models to compare`
+        });
+      }
+
+      const unavailable = compareModels.filter((model) => !providerRegistry.isAvailable(model));
+      if (unavailable.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `AI model(s) not available: ${unavailable.join(', ')}`
+        });
+      }
+    }
+
+    const fields = {
       title,
       description,
       category,
       language,
-      difficulty: difficulty || 'medium',
-      tags: tags || [],
-      status: 'processing'
-    });
+      difficulty: difficulty || 'medium'
+    };
 
-    // Generate AI solution
-    try {
-      const aiResult = await aiService.generateSolution({
-        title,
-        description,
-        category,
-        language,
-        difficulty
-      });
-
-      // Create solution
-      const solution = await Solution.create({
-        problem: problem._id,
-        aiModel: aiResult.aiModel,
-        answer: aiResult.answer,
-        explanation: aiResult.explanation,
-        code: aiResult.code,
-        steps: aiResult.steps,
-        tokenUsage: aiResult.tokenUsage,
-        processingTime: aiResult.processingTime
-      });
-
-      // Execute code if available
-      if (aiResult.code && aiResult.code.snippet && language) {
-        try {
-          const executionResult = await codeExecutor.executeCode(
-            aiResult.code.snippet,
-            language
-          );
-          solution.executionResult = executionResult;
-          await solution.save();
-        } catch (execError) {
-          console.error('Code execution error:', execError);
-          solution.executionResult = {
-            status: 'Execution Failed',
-            error: execError.message
-          };
-          await solution.save();
-        }
+    // Look for a solution to reuse, compare mode always asks the models
+    const cacheMode = req.user.preferences?.solutionCache || 'ask';
+    const lookUp = !compareModels && !skipCache && (cacheMode !== 'off' || reuseSolution);
+    const cacheMatch = lookUp ? await cacheService.findMatch(fields, req.user.id) : null;
+
+    if (reuseSolution && (!cacheMatch || cacheMatch.solution._id.toString() !== reuseSolution)) {
+      return res.status(409).json({
+        success: false,
+        message: 'The cached solution no longer matches this problem',
+        data: { cacheMatch: cacheMatch && cacheService.describeMatch(cacheMatch) }
+      });
+    }
+
+    if (cacheMatch && cacheMode === 'ask' && !reuseSolution) {
+      return res.json({
+        success: true,
+        message: 'A matching solution already exists',
+        data: { cacheMatch: cacheService.describeMatch(cacheMatch) }
+      });
+    }
+
+    if (!cacheMatch) {
+      const limitResponse = await queryLimitResponse(req) || await spendLimitResponse(req);
+      if (limitResponse) {
+        return res.status(429).json(limitResponse);
+      }
+
+      // Each model's answer counts as one query
+      const remaining = req.remainingQueries;
+      if (compareModels && compareModels.length > remaining) {
+        return res.status(429).json({
+          success: false,
+          message: `Comparing ${compareModels.length} models needs ${compareModels.length} queries, only ${remaining} left this month`,
+          usage: {
+            current: req.user.apiUsage.monthlyQueries,
+            limit: req.user.subscription.queryLimit,
+            plan: req.user.subscription.plan
+          }
+        });
       }
+    }
 
-      // Update problem with solution
-      problem.solution = solution._id;
-      problem.status = 'solved';
-      await problem.save();
+    // Create problem
+    const problem = await Problem.create({
+      user: req.user.id,
+      ...fields,
+      tags: tags || [],
+      aiModel,
+      testCases: judgeService.toTestCases(testCases),
+      judgeOptions: judgeService.toJudgeOptions(judgeOptions),
+      executionLimits: codeExecutor.toLimits(executionLimits),
+      cacheKey: cacheService.getCacheKey(fields),
+      ...(lookUp && { cache: { result: 'miss' } }),
+      ...(skipCache && { cache: { result: 'declined' } }),
+      ...(compareModels && { comparison: { models: compareModels } }),
+      status: 'pending'
+    });
 
-      // Increment user query count
-      await req.user.incrementQueryCount();
+    // Cache hits are free and do not count against the query limit
+    if (cacheMatch) {
+      const solution = await cacheService.reuse(problem, cacheMatch);
+      await solutionService.judgeSolution(problem, solution);
 
-      // Populate solution details
       const populatedProblem = await Problem.findById(problem._id)
         .populate('solution')
         .populate('user', 'username email');
 
-      res.status(201).json({
+      return res.status(201).json({
         success: true,
-        message: 'Problem solved successfully',
+        message: 'Reused an existing solution',
         data: {
-          problem: populatedProblem
+          problem: populatedProblem,
+          cached: true
         }
       });
-    } catch (aiError) {
-      console.error('AI service error:', aiError);
-      problem.status = 'failed';
-      await problem.save();
-
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to generate solution',
-        error: aiError.message,
-        data: { problem }
-      });
     }
+
+    const job = compareModels
+      ? await jobQueue.enqueue('compare', problem, req.user.id, { models: compareModels })
+      : await jobQueue.enqueue('solve', problem, req.user.id, { aiModel });
+
+    res.status(202).json({
+      success: true,
+      message: compareModels
+        ? 'Problem accepted, solutions are queued'
+        : 'Problem accepted, solution is queued',
+      data: {
+        problem,
+        job: { id: job._id, status: job.status }
+      }
+    });
   } catch (error) {
     console.error('Create problem error:', error);
     res.status(500).json({
@@ -221,10 +307,10 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
-// @route   DELETE /api/problems/:id
-// @desc    Delete problem
+// @route   GET /api/problems/:id/stream
+// @desc    Stream the solution as it is generated (Server-Sent Events)
 // @access  Private
-router.delete('/:id', protect, async (req, res) => {
+router.get('/:id/stream', protect, async (req, res) => {
   try {
     const problem = await Problem.findById(req.params.id);
 
@@ -239,15 +325,1056 @@ router.delete('/:id', protect, async (req, res) => {
     if (problem.user.toString() !== req.user.id && req.user.role !== 'admin') {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to delete this problem'
+        message: 'Not authorized to view this problem'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    let finished = false;
+    let heartbeat = null;
+    let poller = null;
+    let unsubscribe = () => {};
+
+    const stop = () => {
+      finished = true;
+      clearInterval(heartbeat);
+      clearInterval(poller);
+      unsubscribe();
+    };
+    const finish = (event, data) => {
+      if (finished) return;
+      stop();
+      send(event, data);
+      res.end();
+    };
+    const loadProblem = () => Problem.findById(problem._id)
+      .populate('solution')
+      .populate('user', 'username email');
+    const generating = (status) => status === 'pending' || status === 'processing';
+
+    // Nothing in flight, send the current state and finish
+    if (!streamHub.isOpen(problem._id) && !generating(problem.status)) {
+      return finish('done', { problem: await loadProblem() });
+    }
+
+    send('snapshot', { answer: streamHub.getBuffer(problem._id) });
+    send('status', { status: problem.status });
+
+    heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    unsubscribe = streamHub.subscribe(problem._id, ({ event, data }) => {
+      if (event === 'done' || event === 'error' || event === 'cancelled') {
+        finish(event, data);
+      } else {
+        send(event, data);
+      }
+    });
+
+    // The job may run in another server process, whose answer only reaches this one through
+    // the database: follow the problem's status there and finish once generation is over
+    let lastStatus = problem.status;
+    poller = setInterval(async () => {
+      try {
+        const current = await Problem.findById(problem._id).select('status');
+        if (finished) return;
+        if (!current) return finish('error', { message: 'Problem not found' });
+
+        if (generating(current.status)) {
+          if (current.status !== lastStatus) send('status', { status: current.status });
+          lastStatus = current.status;
+        } else if (current.status === 'cancelled') {
+          finish('cancelled', {});
+        } else {
+          const settled = await loadProblem();
+          finish('done', { problem: settled, solutionId: settled.solution ? settled.solution._id : undefined });
+        }
+      } catch (error) {
+        console.error('Stream status poll error:', error.message);
+      }
+    }, queueConfig.streamPollInterval);
+
+    res.on('close', stop);
+  } catch (error) {
+    console.error('Stream problem error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error streaming solution',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/problems/:id/regenerate
+// @desc    Queue a new solution version, optionally with another model, temperature or instructions
+//          Responds 202; follow progress on /:id/stream
+// @access  Private
+router.post('/:id/regenerate', protect, checkQueryLimit, checkSpendLimit, async (req, res) => {
+  try {
+    const { aiModel, temperature, instructions } = req.body;
+
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    if (problem.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    if (problem.status === 'pending' || problem.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        message: 'A solution is already being generated for this problem'
+      });
+    }
+
+    if (aiModel && !providerRegistry.isAvailable(aiModel)) {
+      return res.status(400).json({
+        success: false,
+        message: `AI model '${aiModel}' is not available`
+      });
+    }
+
+    if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Temperature must be a number between 0 and 1'
+      });
+    }
+
+    if (instructions && instructions.length > 2000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Instructions cannot exceed 2000 characters'
+      });
+    }
+
+    const job = await jobQueue.enqueue('solve', problem, req.user.id, {
+      aiModel: aiModel || problem.aiModel,
+      temperature,
+      instructions: instructions && instructions.trim()
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Regeneration queued',
+      data: {
+        problem,
+        job: { id: job._id, status: job.status }
+      }
+    });
+  } catch (error) {
+    console.error('Regenerate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error regenerating solution',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/problems/:id/cancel
+// @desc    Cancel the problem's queued or running generation; nothing is saved and no query is counted
+//          Responds 202 while a running generation is being stopped; follow it on /:id/stream
+// @access  Private
+router.post('/:id/cancel', protect, async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    if (problem.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const job = problem.status === 'pending' || problem.status === 'processing'
+      ? await jobQueue.cancel(problem)
+      : null;
+
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        message: 'No solution is being generated for this problem'
+      });
+    }
+
+    const running = job.status === 'running';
+    res.status(running ? 202 : 200).json({
+      success: true,
+      message: running ? 'Cancelling generation' : 'Generation cancelled',
+      data: {
+        problem,
+        job: { id: job._id, status: 'cancelled' }
+      }
+    });
+  } catch (error) {
+    console.error('Cancel generation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling generation',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/problems/:id/solutions
+// @desc    Get every solution version of a problem
+// @access  Private
+router.get('/:id/solutions', protect, async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    // Check if user owns the problem or is admin
+    if (problem.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this problem'
+      });
+    }
+
+    const solutions = await Solution.find({ problem: problem._id }).sort({ version: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        solutions,
+        currentSolution: problem.solution,
+        acceptedSolution: problem.acceptedSolution
+      }
+    });
+  } catch (error) {
+    console.error('Get solutions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching solutions',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/problems/:id/solutions/:solutionId/accept
+// @desc    Mark a solution version as the accepted one
+// @access  Private
+router.put('/:id/solutions/:solutionId/accept', protect, async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    if (problem.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const solution = await Solution.findOne({ _id: req.params.solutionId, problem: problem._id });
+
+    if (!solution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Solution not found'
       });
     }
 
-    // Delete associated solution
-    if (problem.solution) {
-      await Solution.findByIdAndDelete(problem.solution);
+    problem.acceptedSolution = solution._id;
+    problem.solution = solution._id;
+    await problem.save();
+
+    res.json({
+      success: true,
+      message: `Version ${solution.version} accepted`,
+      data: { problem }
+    });
+  } catch (error) {
+    console.error('Accept solution error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting solution',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/problems/:id/solutions/:solutionId/feedback
+// @desc    Rate a solution version (1-5), comment on it and flag issues; null clears a field
+// @access  Private
+router.put('/:id/solutions/:solutionId/feedback', protect, async (req, res) => {
+  try {
+    const { rating, comment, issues } = req.body;
+    const issueFlags = Solution.schema.path('feedback.issues').caster.enumValues;
+
+    if (rating !== undefined && rating !== null && !(Number.isInteger(rating) && rating >= 1 && rating <= 5)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rating must be a whole number from 1 to 5'
+      });
     }
 
+    if (comment !== undefined && comment !== null && (typeof comment !== 'string' || comment.length > 2000)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment cannot exceed 2000 characters'
+      });
+    }
+
+    if (issues !== undefined && (!Array.isArray(issues) || issues.some((issue) => !issueFlags.includes(issue)))) {
+      return res.status(400).json({
+        success: false,
+        message: `Issues must be a list of: ${issueFlags.join(', ')}`
+      });
+    }
+
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    if (problem.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const solution = await Solution.findOne({ _id: req.params.solutionId, problem: problem._id });
+
+    if (!solution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Solution not found'
+      });
+    }
+
+    if (rating !== undefined) solution.feedback.rating = rating ?? undefined;
+    if (comment !== undefined) solution.feedback.comment = comment || undefined;
+    if (issues !== undefined) solution.feedback.issues = [...new Set(issues)];
+    solution.feedback.updatedAt = new Date();
+    await solution.save();
+
+    res.json({
+      success: true,
+      message: 'Feedback saved',
+      data: { feedback: solution.feedback }
+    });
+  } catch (error) {
+    console.error('Solution feedback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving feedback',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/problems/:id/solutions/:solutionId/benchmark
+// @desc    Time the solution and its optimized version on generated inputs of growing size
+//          Without `generator` the model writes one (a query). Every program run counts as an
+//          execution, and the whole benchmark must fit in what is left. Responds 202
+// @access  Private
+router.post('/:id/solutions/:solutionId/benchmark', protect, checkExecutionLimit, checkSpendLimit, async (req, res) => {
+  try {
+    const { sizes: requestedSizes, generator } = req.body;
+
+    const { sizes, error: sizesError } = benchmarkService.readSizes(requestedSizes);
+    if (sizesError) {
+      return res.status(400).json({
+        success: false,
+        message: sizesError
+      });
+    }
+
+    if (generator !== undefined && generator !== null && generator !== '' &&
+        (typeof generator !== 'string' || generator.length > benchmarkConfig.maxGeneratorLength)) {
+      return res.status(400).json({
+        success: false,
+        message: `The input generator must be code of at most ${benchmarkConfig.maxGeneratorLength} characters`
+      });
+    }
+
+    if (!generator && !req.user.canMakeQuery(await Job.reservedQueries(req.user._id))) {
+      return res.status(429).json({
+        success: false,
+        message: `Monthly query limit (${req.user.subscription.queryLimit}) reached. Provide an input generator or upgrade your plan.`
+      });
+    }
+
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    if (problem.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const language = (problem.language || '').toLowerCase();
+    if (!codeExecutor.getSupportedLanguages().includes(language)) {
+      return res.status(400).json({
+        success: false,
+        message: language
+          ? `Language '${problem.language}' not supported for execution`
+          : 'Problem has no programming language to run'
+      });
+    }
+
+    const solution = await Solution.findOne({ _id: req.params.solutionId, problem: problem._id });
+
+    if (!solution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Solution not found'
+      });
+    }
+
+    if (!solution.code || !solution.code.snippet) {
+      return res.status(400).json({
+        success: false,
+        message: 'This solution has no code to benchmark'
+      });
+    }
+
+    if (['queued', 'running'].includes(solution.benchmark && solution.benchmark.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A benchmark of this solution is already running'
+      });
+    }
+
+    const runs = benchmarkService.plannedRuns(solution, sizes);
+    const remaining = req.user.remainingExecutions();
+    if (runs > remaining) {
+      return res.status(429).json({
+        success: false,
+        message: `This benchmark runs ${runs} programs, only ${remaining} executions left this month. Use fewer sizes or upgrade your plan.`,
+        usage: {
+          current: req.user.apiUsage.monthlyExecutions,
+          limit: req.user.subscription.executionLimit,
+          plan: req.user.subscription.plan
+        }
+      });
+    }
+
+    const benchmark = await benchmarkService.start(problem, solution, {
+      sizes,
+      generator: generator || undefined,
+      userId: req.user._id
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Benchmark queued',
+      data: { benchmark }
+    });
+  } catch (error) {
+    console.error('Start benchmark error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting benchmark',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/problems/:id/solutions/:solutionId/benchmark
+// @desc    Get a solution's benchmark, with its progress while it runs
+// @access  Private
+router.get('/:id/solutions/:solutionId/benchmark', protect, async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    if (problem.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const solution = await Solution.findOne({ _id: req.params.solutionId, problem: problem._id })
+      .select('benchmark complexity');
+
+    if (!solution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Solution not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        benchmark: solution.benchmark && solution.benchmark.status ? solution.benchmark : null,
+        complexity: solution.complexity
+      }
+    });
+  } catch (error) {
+    console.error('Get benchmark error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching benchmark',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/problems/:id/test-cases
+// @desc    Replace a problem's test cases and judge options, then re-judge the current solution
+// @access  Private
+router.put('/:id/test-cases', protect, async (req, res) => {
+  try {
+    const { testCases, judgeOptions } = req.body;
+
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    if (problem.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const testCaseError = judgeService.validateTestCases(testCases || [], judgeOptions);
+    if (testCaseError) {
+      return res.status(400).json({
+        success: false,
+        message: testCaseError
+      });
+    }
+
+    problem.testCases = judgeService.toTestCases(testCases);
+    problem.judgeOptions = judgeService.toJudgeOptions(judgeOptions);
+    await problem.save();
+
+    const solution = problem.solution && await Solution.findById(problem.solution);
+    if (solution) {
+      if (problem.testCases.length > 0) {
+        await solutionService.judgeSolution(problem, solution);
+      } else {
+        solution.testResults = [];
+        solution.testSummary = undefined;
+        await solution.save();
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Test cases updated',
+      data: { problem, solution }
+    });
+  } catch (error) {
+    console.error('Update test cases error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating test cases',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/problems/:id/execution-limits
+// @desc    Set the limits a problem's runs get, up to the plan's ceiling, then re-judge the current solution
+// @access  Private
+router.put('/:id/execution-limits', protect, async (req, res) => {
+  try {
+    const { executionLimits } = req.body;
+
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    if (problem.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const limitsError = codeExecutor.validateLimits(executionLimits, req.user.subscription.plan);
+    if (limitsError) {
+      return res.status(400).json({
+        success: false,
+        message: limitsError
+      });
+    }
+
+    problem.executionLimits = codeExecutor.toLimits(executionLimits);
+    await problem.save();
+
+    const solution = problem.solution && await Solution.findById(problem.solution);
+    if (solution && problem.testCases.length > 0) {
+      await solutionService.judgeSolution(problem, solution);
+    }
+
+    res.json({
+      success: true,
+      message: 'Execution limits updated',
+      data: {
+        problem,
+        solution,
+        ceiling: codeExecutor.getPlanLimits(req.user.subscription.plan)
+      }
+    });
+  } catch (error) {
+    console.error('Update execution limits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating execution limits',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/problems/:id/comparison/vote
+// @desc    Vote for the better answer of a model comparison, the winner becomes the accepted solution
+// @access  Private
+router.put('/:id/comparison/vote', protect, async (req, res) => {
+  try {
+    const { solutionId } = req.body;
+
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    if (problem.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const solution = solutionId && await Solution.findOne({
+      _id: solutionId,
+      problem: problem._id,
+      compared: true
+    });
+
+    if (!solution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compared solution not found'
+      });
+    }
+
+    problem.comparison.winner = solution._id;
+    problem.comparison.votedAt = new Date();
+    problem.acceptedSolution = solution._id;
+    problem.solution = solution._id;
+    await problem.save();
+
+    res.json({
+      success: true,
+      message: `Voted for ${solution.aiModel}`,
+      data: { problem }
+    });
+  } catch (error) {
+    console.error('Comparison vote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording vote',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/problems/:id/messages
+// @desc    Get the follow-up conversation of a problem
+// @access  Private
+router.get('/:id/messages', protect, async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id).select('+messages');
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    // Check if user owns the problem or is admin
+    if (problem.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this problem'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { messages: problem.messages }
+    });
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching messages',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/problems/:id/messages
+// @desc    Ask a follow-up question about the solution
+// @access  Private
+router.post('/:id/messages', protect, checkQueryLimit, checkSpendLimit, async (req, res) => {
+  try {
+    const { content } = req.body;
+
+    if (!content || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a message'
+      });
+    }
+
+    if (content.length > 5000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message cannot exceed 5000 characters'
+      });
+    }
+
+    const problem = await Problem.findById(req.params.id).select('+messages');
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    if (problem.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const solution = problem.solution && await Solution.findById(problem.solution);
+
+    if (!solution) {
+      return res.status(400).json({
+        success: false,
+        message: 'Problem has no solution to discuss yet'
+      });
+    }
+
+    let reply;
+
+    try {
+      const prompt = await promptService.forSolution(solution);
+      reply = await aiService.generateFollowUp(problem, solution, problem.messages, content.trim(), { prompt });
+    } catch (aiError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to generate reply',
+        error: aiError.message
+      });
+    }
+
+    const cost = spendService.calculateCost(reply.aiModel, reply.tokenUsage);
+
+    problem.messages.push(
+      { role: 'user', content: content.trim() },
+      { role: 'assistant', ...reply, cost }
+    );
+    await problem.save();
+
+    // Follow-ups count against the monthly quota like new problems
+    await req.user.incrementQueryCount(cost.total);
+
+    res.status(201).json({
+      success: true,
+      data: { messages: problem.messages.slice(-2) }
+    });
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending message',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/problems/:id/runs
+// @desc    Playground run history of a problem, newest first, with the execution quota
+// @access  Private
+router.get('/:id/runs', protect, async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    // Check if user owns the problem or is admin
+    if (problem.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this problem'
+      });
+    }
+
+    const runs = await Run.find({ problem: problem._id, user: problem.user })
+      .sort({ createdAt: -1 })
+      .limit(playgroundConfig.historyLimit);
+
+    // The quota shown is the owner's, also when an admin is viewing,
+    // and a count left from last month reads as zero
+    const owner = problem.user.toString() === req.user.id ? req.user : await User.findById(problem.user);
+    owner?.resetMonthlyQueries();
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        usage: owner && {
+          current: owner.apiUsage.monthlyExecutions,
+          limit: owner.subscription.executionLimit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching runs',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/problems/:id/runs
+// @desc    Run code from the playground with custom stdin and save the run
+//          Counts against the monthly execution quota, not the query quota
+// @access  Private
+router.post('/:id/runs', protect, checkExecutionLimit, async (req, res) => {
+  try {
+    const { code, input = '' } = req.body;
+
+    if (typeof code !== 'string' || !code.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide code to run'
+      });
+    }
+
+    if (code.length > playgroundConfig.maxCodeLength) {
+      return res.status(400).json({
+        success: false,
+        message: `Code cannot exceed ${playgroundConfig.maxCodeLength} characters`
+      });
+    }
+
+    if (typeof input !== 'string' || input.length > playgroundConfig.maxInputLength) {
+      return res.status(400).json({
+        success: false,
+        message: `Input cannot exceed ${playgroundConfig.maxInputLength} characters`
+      });
+    }
+
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    if (problem.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const language = (problem.language || '').toLowerCase();
+    if (!codeExecutor.getSupportedLanguages().includes(language)) {
+      return res.status(400).json({
+        success: false,
+        message: language
+          ? `Language '${problem.language}' not supported for execution`
+          : 'Problem has no programming language to run'
+      });
+    }
+
+    const policy = await policyService.enforce(code, language, {
+      source: 'playground',
+      user: req.user.id,
+      problem: problem._id
+    });
+    if (policy.outcome === 'blocked') {
+      return res.status(400).json({
+        success: false,
+        message: `Code blocked by policy:\n${policyService.describe(policy)}`,
+        data: { policy: policyService.summarize(policy) }
+      });
+    }
+
+    let result;
+    try {
+      const limits = codeExecutor.resolveLimits(req.user.subscription.plan, problem.executionLimits);
+      result = await codeExecutor.executeCode(code, language, input, limits);
+    } catch (execError) {
+      console.error('Playground execution error:', execError);
+      result = { status: 'Execution Failed', error: execError.message };
+    }
+
+    const run = await Run.create({
+      user: req.user.id,
+      problem: problem._id,
+      language,
+      code,
+      input,
+      output: result.output,
+      error: result.error,
+      status: result.status,
+      statusId: result.statusId,
+      time: result.time,
+      memory: result.memory,
+      exitCode: result.exitCode
+    });
+
+    // Runs the executor could not start are not counted
+    if (result.status !== 'Execution Failed') {
+      await req.user.incrementExecutionCount();
+    }
+
+    // Keep the newest runs only
+    const stale = await Run.find({ problem: problem._id, user: req.user.id })
+      .sort({ createdAt: -1 })
+      .skip(playgroundConfig.historyLimit)
+      .select('_id');
+    if (stale.length > 0) {
+      await Run.deleteMany({ _id: { $in: stale.map((entry) => entry._id) } });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        run,
+        // Warnings the code policy raised, null when it found nothing
+        policy: policy.outcome === 'warned' ? policyService.summarize(policy) : null,
+        usage: {
+          current: req.user.apiUsage.monthlyExecutions,
+          limit: req.user.subscription.executionLimit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Run code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running code',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/problems/:id
+// @desc    Delete problem
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    // Check if user owns the problem or is admin
+    if (problem.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this problem'
+      });
+    }
+
+    // Delete every solution version and playground run
+    await Solution.deleteMany({ problem: problem._id });
+    await Run.deleteMany({ problem: problem._id });
+
     await problem.deleteOne();
 
     res.json({
@@ -0,0 +1,302 @@
+// server/routes/prompts.js
+const express = require('express');
+const router = express.Router();
+const PromptTemplate = require('../models/PromptTemplate');
+const { Problem } = require('../models/Problem');
+const { protect, authorize } = require('../middleware/auth');
+const aiService = require('../services/aiService');
+const promptService = require('../services/promptService');
+
+// All routes require admin authorization
+router.use(protect);
+router.use(authorize('admin'));
+
+// Fields that define where a template applies and how often it is picked
+const SETTINGS = ['name', 'category', 'language', 'difficulty', 'variant', 'weight', 'isActive'];
+
+// Settings from the request body, an empty language or difficulty means "any"
+const readSettings = (body) => {
+  const fields = {};
+  SETTINGS.forEach((key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key] === '' ? undefined : body[key];
+    }
+  });
+  if (fields.language) fields.language = fields.language.trim().toLowerCase();
+  return fields;
+};
+
+// Another template already using this scope and variant name
+const findConflict = (fields, excludeId) => PromptTemplate.findOne({
+  _id: { $ne: excludeId },
+  category: fields.category,
+  language: fields.language || { $in: [null, ''] },
+  difficulty: fields.difficulty || null,
+  variant: fields.variant || 'A'
+});
+
+// Mongoose validation problems are the caller's fault
+const sendError = (res, error, message) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// @route   GET /api/admin/prompts
+// @desc    List prompt templates with the outcomes of each variant
+// @access  Admin
+router.get('/', async (req, res) => {
+  try {
+    const { category } = req.query;
+
+    const query = {};
+    if (category) query.category = category;
+
+    const templates = await PromptTemplate.find(query)
+      .sort({ category: 1, language: 1, difficulty: 1, variant: 1 });
+
+    const outcomes = await promptService.getOutcomes(templates.map((template) => template._id));
+
+    // Totals per template, i.e. per A/B variant, over all of its versions
+    const totals = {};
+    outcomes.forEach((row) => {
+      const entry = totals[row.template] || { uses: 0, rated: 0, ratingSum: 0, executed: 0, executionSuccess: 0 };
+      entry.uses += row.uses;
+      entry.rated += row.rated;
+      entry.ratingSum += (row.avgRating || 0) * row.rated;
+      entry.executed += row.executed;
+      entry.executionSuccess += row.executionSuccess;
+      totals[row.template] = entry;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        templates: templates.map((template) => {
+          const { ratingSum, ...total } = totals[template._id] ||
+            { uses: 0, rated: 0, ratingSum: 0, executed: 0, executionSuccess: 0 };
+
+          return {
+            ...template.toObject(),
+            outcomes: {
+              ...total,
+              avgRating: total.rated ? ratingSum / total.rated : null,
+              executionSuccessRate: total.executed ? total.executionSuccess / total.executed : 0
+            }
+          };
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Get prompt templates error:', error);
+    sendError(res, error, 'Error fetching prompt templates');
+  }
+});
+
+// @route   GET /api/admin/prompts/defaults
+// @desc    Built-in prompts used when no template applies, as a starting point for new templates
+// @access  Admin
+router.get('/defaults', (req, res) => {
+  const categories = Problem.schema.path('category').enumValues;
+
+  res.json({
+    success: true,
+    data: {
+      systemPrompts: Object.fromEntries(
+        categories.map((category) => [category, aiService.getSystemPrompt(category)])
+      ),
+      instructions: aiService.getDefaultInstructions()
+    }
+  });
+});
+
+// @route   GET /api/admin/prompts/:id
+// @desc    Get a prompt template with its version history and per-version outcomes
+// @access  Admin
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await PromptTemplate.findById(req.params.id)
+      .select('+history')
+      .populate('history.editedBy', 'username');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prompt template not found'
+      });
+    }
+
+    const outcomes = await promptService.getOutcomes([template._id]);
+
+    res.json({
+      success: true,
+      data: { template, outcomes }
+    });
+  } catch (error) {
+    console.error('Get prompt template error:', error);
+    sendError(res, error, 'Error fetching prompt template');
+  }
+});
+
+// @route   POST /api/admin/prompts
+// @desc    Create a prompt template, or another A/B variant for an existing scope
+// @access  Admin
+router.post('/', async (req, res) => {
+  try {
+    const { systemPrompt, instructions, note } = req.body;
+
+    const fields = readSettings(req.body);
+
+    if (fields.category && await findConflict(fields)) {
+      return res.status(400).json({
+        success: false,
+        message: `Variant '${fields.variant || 'A'}' already exists for this scope`
+      });
+    }
+
+    const template = new PromptTemplate({
+      ...fields,
+      systemPrompt,
+      instructions,
+      createdBy: req.user.id,
+      history: []
+    });
+    template.recordVersion(note || 'Created', req.user.id);
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Prompt template created',
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Create prompt template error:', error);
+    sendError(res, error, 'Error creating prompt template');
+  }
+});
+
+// @route   PUT /api/admin/prompts/:id
+// @desc    Update a prompt template; changing the prompt text creates a new version
+// @access  Admin
+router.put('/:id', async (req, res) => {
+  try {
+    const { systemPrompt, instructions, note } = req.body;
+
+    const template = await PromptTemplate.findById(req.params.id).select('+history');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prompt template not found'
+      });
+    }
+
+    const fields = readSettings(req.body);
+    Object.keys(fields).forEach((key) => {
+      template[key] = fields[key];
+    });
+
+    if (await findConflict(template, template._id)) {
+      return res.status(400).json({
+        success: false,
+        message: `Variant '${template.variant}' already exists for this scope`
+      });
+    }
+
+    const textChanged = (systemPrompt !== undefined && systemPrompt !== template.systemPrompt) ||
+      (instructions !== undefined && instructions !== template.instructions);
+
+    if (textChanged) {
+      if (systemPrompt !== undefined) template.systemPrompt = systemPrompt;
+      if (instructions !== undefined) template.instructions = instructions;
+      template.recordVersion(note, req.user.id);
+    }
+
+    await template.save();
+
+    res.json({
+      success: true,
+      message: textChanged ? `Saved as version ${template.version}` : 'Prompt template updated',
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Update prompt template error:', error);
+    sendError(res, error, 'Error updating prompt template');
+  }
+});
+
+// @route   POST /api/admin/prompts/:id/rollback
+// @desc    Restore the prompt text of an earlier version, saved as a new version
+// @access  Admin
+router.post('/:id/rollback', async (req, res) => {
+  try {
+    const { version } = req.body;
+
+    const template = await PromptTemplate.findById(req.params.id).select('+history');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prompt template not found'
+      });
+    }
+
+    const target = template.history.find((entry) => entry.version === Number(version));
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${version} not found`
+      });
+    }
+
+    template.systemPrompt = target.systemPrompt;
+    template.instructions = target.instructions;
+    template.recordVersion(`Rollback to version ${target.version}`, req.user.id);
+    await template.save();
+
+    res.json({
+      success: true,
+      message: `Rolled back to version ${target.version}`,
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Rollback prompt template error:', error);
+    sendError(res, error, 'Error rolling back prompt template');
+  }
+});
+
+// @route   DELETE /api/admin/prompts/:id
+// @desc    Delete a prompt template, solutions keep their reference to it
+// @access  Admin
+router.delete('/:id', async (req, res) => {
+  try {
+    const template = await PromptTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prompt template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Prompt template deleted'
+    });
+  } catch (error) {
+    console.error('Delete prompt template error:', error);
+    sendError(res, error, 'Error deleting prompt template');
+  }
+});
+
+module.exports = router;
@@ -11,6 +11,18 @@ const rateLimit = require('express-rate-limit');
 const authRoutes = require('./routes/auth');
 const problemRoutes = require('./routes/problems');
 const adminRoutes = require('./routes/admin');
+const modelRoutes = require('./routes/models');
+const promptRoutes = require('./routes/prompts');
+const importRoutes = require('./routes/imports');
+const evalRoutes = require('./routes/evals');
+const judge0Routes = require('./routes/judge0');
+const languageRoutes = require('./routes/languages');
+const policyRoutes = require('./routes/policies');
+const jobQueue = require('./services/jobQueue');
+const evalService = require('./services/evalService');
+const benchmarkService = require('./services/benchmark');
+const importConfig = require('./config/imports');
+const executorConfig = require('./config/executor');
 
 const app = express();
 
@@ -20,7 +32,13 @@ app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:5173',
   credentials: true
 }));
+// Judge0 can only call back to a URL, so the callback secret is in the path; keep it out of the log
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/^(\/api\/judge0\/callback\/)[^/?]+/, '$1[secret]'));
 app.use(morgan('dev'));
+// Bulk imports carry whole files, so they get a larger body limit
+app.use('/api/imports', express.json({ limit: importConfig.maxPayload }));
+// Judge0 callbacks carry the program's output
+app.use('/api/judge0', express.json({ limit: executorConfig.judge0.callbackMaxPayload }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -28,7 +46,9 @@ app.use(express.urlencoded({ extended: true }));
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Judge0 calls back once per submission, and the bulk import page polls its batch's progress
+  skip: (req) => req.path.startsWith('/judge0/') || (req.method === 'GET' && /^\/imports\/[^/]+$/.test(req.path))
 });
 app.use('/api/', limiter);
 
@@ -37,7 +57,10 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ MongoDB Connected Successfully'))
+.then(() => {
+  console.log('✅ MongoDB Connected Successfully');
+  return Promise.all([jobQueue.start(), evalService.recover(), benchmarkService.recover()]);
+})
 .catch((err) => {
   console.error('❌ MongoDB Connection Error:', err);
   process.exit(1);
@@ -46,7 +69,14 @@ mongoose.connect(process.env.MONGODB_URI, {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/problems', problemRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/admin/prompts', promptRoutes);
+app.use('/api/admin/evals', evalRoutes);
+app.use('/api/admin/policies', policyRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/models', modelRoutes);
+app.use('/api/judge0', judge0Routes);
+app.use('/api/languages', languageRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -1,91 +1,12 @@
 // server/services/aiService.js
-const { OpenAI } = require('openai');
-const Anthropic = require('@anthropic-ai/sdk');
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-const anthropic = process.env.ANTHROPIC_API_KEY ? new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-}) : null;
+const providerRegistry = require('./providers');
+const {
+  SOLUTION_JSON_SCHEMA,
+  parseStructuredSolution,
+  renderMarkdown
+} = require('./structuredSolution');
 
 class AIService {
-  // Generate solution using OpenAI GPT-4
-  async generateSolutionGPT(problem) {
-    try {
-      const startTime = Date.now();
-
-      const systemPrompt = this.getSystemPrompt(problem.category);
-      const userPrompt = this.getUserPrompt(problem);
-
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        temperature: 0.7,
-        max_tokens: 2000
-      });
-
-      const processingTime = Date.now() - startTime;
-
-      return {
-        answer: response.choices[0].message.content,
-        model: 'gpt-4',
-        tokenUsage: {
-          prompt: response.usage.prompt_tokens,
-          completion: response.usage.completion_tokens,
-          total: response.usage.total_tokens
-        },
-        processingTime
-      };
-    } catch (error) {
-      console.error('GPT-4 error:', error);
-      throw new Error(`AI service error: ${error.message}`);
-    }
-  }
-
-  // Generate solution using Anthropic Claude
-  async generateSolutionClaude(problem) {
-    if (!anthropic) {
-      throw new Error('Anthropic API key not configured');
-    }
-
-    try {
-      const startTime = Date.now();
-
-      const systemPrompt = this.getSystemPrompt(problem.category);
-      const userPrompt = this.getUserPrompt(problem);
-
-      const response = await anthropic.messages.create({
-        model: 'claude-3-sonnet-20240229',
-        max_tokens: 2000,
-        system: systemPrompt,
-        messages: [
-          { role: 'user', content: userPrompt }
-        ]
-      });
-
-      const processingTime = Date.now() - startTime;
-
-      return {
-        answer: response.content[0].text,
-        model: 'claude-3',
-        tokenUsage: {
-          prompt: response.usage.input_tokens,
-          completion: response.usage.output_tokens,
-          total: response.usage.input_tokens + response.usage.output_tokens
-        },
-        processingTime
-      };
-    } catch (error) {
-      console.error('Claude error:', error);
-      throw new Error(`AI service error: ${error.message}`);
-    }
-  }
-
   // Get system prompt based on category
   getSystemPrompt(category) {
     const prompts = {
@@ -114,7 +35,8 @@ class AIService {
   }
 
   // Get user prompt
-  getUserPrompt(problem) {
+  // options.promptInstructions come from an admin prompt template and replace the default list.
+  getUserPrompt(problem, options = {}) {
     let prompt = `Problem: ${problem.title}\n\n`;
     prompt += `Description: ${problem.description}\n\n`;
 
@@ -126,7 +48,26 @@ class AIService {
       prompt += `Difficulty Level: ${problem.difficulty}\n\n`;
     }
 
-    prompt += `Please provide a comprehensive solution with:
+    if (options.instructions) {
+      prompt += `Additional Instructions: ${options.instructions}\n\n`;
+    }
+
+    if (options.structured) {
+      if (options.promptInstructions) {
+        prompt += `${options.promptInstructions}\n\n`;
+      }
+      prompt += this.getStructuredInstructions();
+      return prompt;
+    }
+
+    prompt += options.promptInstructions || this.getDefaultInstructions();
+
+    return prompt;
+  }
+
+  // Instructions used when no prompt template applies
+  getDefaultInstructions() {
+    return `Please provide a comprehensive solution with:
 1. A clear explanation of the approach
 2. Step-by-step solution
 3. Code implementation (if applicable)
@@ -135,11 +76,28 @@ class AIService {
 6. Alternative approaches or optimizations (if applicable)
 
 Make your response well-structured and easy to understand.`;
+  }
 
-    return prompt;
+  // Instructions for structured-output mode
+  getStructuredInstructions() {
+    return `Respond with a single JSON object, and nothing else, that matches this JSON Schema:
+
+${JSON.stringify(SOLUTION_JSON_SCHEMA, null, 2)}
+
+Guidelines:
+- "steps" are in order; only attach "code" to a step when it helps explain that step
+- "codeBlocks" roles: "solution" is the main runnable implementation, "optimized" an improved version, "test" tests for the solution, "example" usage examples
+- Give Big-O notation in "complexity" whenever it applies
+- List any assumptions you made about the input or requirements`;
+  }
+
+  // Check if a model should be asked for JSON output
+  useStructuredOutput(model) {
+    return providerRegistry.structuredOutput && Boolean(model.capabilities.structuredOutput);
   }
 
   // Parse AI response into structured format
+  // Fallback for markdown replies, used when structured output is off or invalid
   parseResponse(rawResponse) {
     const sections = {
       explanation: '',
@@ -148,8 +106,12 @@ Make your response well-structured and easy to understand.`;
         snippet: '',
         optimizedVersion: ''
       },
+      codeBlocks: [],
       steps: [],
-      complexity: ''
+      complexity: {
+        time: '',
+        space: ''
+      }
     };
 
     // Extract code blocks
@@ -173,18 +135,31 @@ Make your response well-structured and easy to understand.`;
       }
     }
 
-    // Extract steps (numbered lists)
-    const stepRegex = /(\d+)\.\s+([^\n]+)/g;
+    // First block is the solution, second the optimized version, the rest examples
+    sections.codeBlocks = codeBlocks.map((block, index) => ({
+      role: index === 0 ? 'solution' : index === 1 ? 'optimized' : 'example',
+      ...block
+    }));
+
+    // Extract steps (numbered lists outside of code blocks)
+    const prose = rawResponse.replace(codeBlockRegex, '');
+    const stepRegex = /^\s*(\d+)\.\s+([^\n]+)/gm;
     let stepMatch;
     let stepNumber = 1;
 
-    while ((stepMatch = stepRegex.exec(rawResponse)) !== null) {
+    while ((stepMatch = stepRegex.exec(prose)) !== null) {
       sections.steps.push({
         stepNumber: stepNumber++,
         description: stepMatch[2].trim()
       });
     }
 
+    // Extract complexity (e.g. "Time complexity: O(n log n)")
+    const timeMatch = prose.match(/time complexity[^O\n]*(O\([^)\n]*\))/i);
+    const spaceMatch = prose.match(/space complexity[^O\n]*(O\([^)\n]*\))/i);
+    sections.complexity.time = timeMatch ? timeMatch[1] : '';
+    sections.complexity.space = spaceMatch ? spaceMatch[1] : '';
+
     // Extract explanation (everything before first code block or steps)
     const firstCodeIndex = rawResponse.indexOf('```');
     const explanationText = firstCodeIndex > 0 
@@ -196,34 +171,336 @@ Make your response well-structured and easy to understand.`;
     return sections;
   }
 
+  // Parse a structured (JSON) reply into the same shape as parseResponse
+  // Returns null when the reply does not match the schema
+  parseStructuredResponse(rawResponse) {
+    const { value, errors } = parseStructuredSolution(rawResponse);
+
+    if (!value) {
+      console.warn('Structured output rejected, falling back to markdown parsing:', errors.join('; '));
+      return null;
+    }
+
+    const solutionBlock = value.codeBlocks.find((block) => block.role === 'solution');
+    const optimizedBlock = value.codeBlocks.find((block) => block.role === 'optimized');
+
+    return {
+      answer: renderMarkdown(value),
+      explanation: value.explanation,
+      code: {
+        language: solutionBlock?.language || optimizedBlock?.language || '',
+        snippet: solutionBlock?.code || '',
+        optimizedVersion: optimizedBlock?.code || ''
+      },
+      codeBlocks: value.codeBlocks,
+      steps: value.steps,
+      complexity: value.complexity,
+      assumptions: value.assumptions
+    };
+  }
+
+  // Check if an error is worth retrying: rate limits, timeouts, server and network errors
+  isTransientError(error) {
+    if (!error.status) {
+      return error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError' ||
+        ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN'].includes(error.code);
+    }
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+  }
+
+  // Exponential backoff with full jitter
+  getBackoffDelay(retry) {
+    const { baseDelayMs, maxDelayMs } = providerRegistry.retry;
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** retry);
+    return Math.floor(Math.random() * ceiling);
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Error thrown once options.signal is aborted, never retried or failed over
+  cancelledError(attempts = []) {
+    const error = new Error('Generation cancelled');
+    error.cancelled = true;
+    error.attempts = attempts;
+    return error;
+  }
+
+  // Try each model of the fallback chain in order, retrying transient errors.
+  // Every call is recorded in `attempts`, which is also attached to the final error.
+  // buildRequest(model) returns the provider request for each model tried.
+  // options.signal (AbortSignal) aborts the provider request in flight.
+  async generateWithFailover(aiModel, buildRequest, options = {}) {
+    // options.fallback === false keeps the call on the requested model
+    const chain = providerRegistry.getFallbackChain(aiModel)
+      .filter((id) => options.fallback !== false || id === aiModel);
+    const { maxRetries } = providerRegistry.retry;
+    const attempts = [];
+    let lastError;
+
+    for (const modelId of chain) {
+      const { provider, model } = providerRegistry.resolve(modelId);
+
+      for (let retry = 0; retry <= maxRetries; retry++) {
+        const attempt = {
+          aiModel: model.id,
+          aiProvider: provider.name,
+          startedAt: new Date()
+        };
+
+        if (options.signal?.aborted) {
+          throw this.cancelledError(attempts);
+        }
+
+        if (!provider.breaker.canRequest()) {
+          attempts.push({ ...attempt, status: 'skipped', error: 'Circuit breaker open', durationMs: 0 });
+          break;
+        }
+
+        // Let streaming callers discard output from the failed call
+        if (lastError && options.onRestart) {
+          options.onRestart();
+        }
+
+        try {
+          const result = await provider.generate({ model, ...buildRequest(model), signal: options.signal });
+
+          provider.breaker.recordSuccess();
+          attempts.push({ ...attempt, status: 'success', durationMs: Date.now() - attempt.startedAt });
+
+          return { result, model, provider, attempts };
+        } catch (error) {
+          if (options.signal?.aborted) {
+            attempts.push({ ...attempt, status: 'error', error: 'Cancelled', durationMs: Date.now() - attempt.startedAt });
+            throw this.cancelledError(attempts);
+          }
+
+          const transient = this.isTransientError(error);
+
+          if (transient) {
+            provider.breaker.recordFailure();
+          }
+
+          console.error(`${provider.label} error (${model.id}, attempt ${retry + 1}):`, error.message);
+          attempts.push({
+            ...attempt,
+            status: 'error',
+            error: error.message,
+            statusCode: error.status,
+            durationMs: Date.now() - attempt.startedAt
+          });
+          lastError = error;
+
+          if (!transient || retry === maxRetries) break;
+
+          await this.delay(this.getBackoffDelay(retry));
+        }
+      }
+    }
+
+    const error = new Error(`AI service error: ${lastError ? lastError.message : 'all AI providers are unavailable'}`);
+    error.attempts = attempts;
+    throw error;
+  }
+
   // Main method to generate solution
-  async generateSolution(problem, aiModel = 'gpt-4') {
+  // Pass options.onToken to receive the answer incrementally as it streams in,
+  // and options.onRestart to be told when a failed call's output should be discarded.
+  // options.temperature and options.instructions tune a regeneration.
+  // options.prompt ({ system, instructions }) comes from a prompt template and replaces the built-in prompts.
+  // options.signal cancels the generation.
+  async generateSolution(problem, aiModel = providerRegistry.defaultModel, options = {}) {
     try {
-      let result;
+      const startTime = Date.now();
 
-      if (aiModel === 'claude-3' || aiModel === 'claude-2') {
-        result = await this.generateSolutionClaude(problem);
-      } else {
-        result = await this.generateSolutionGPT(problem);
-      }
+      const { result, model, provider, attempts } = await this.generateWithFailover(aiModel, (candidate) => {
+        const structured = this.useStructuredOutput(candidate);
+
+        return {
+          system: options.prompt?.system || this.getSystemPrompt(problem.category),
+          messages: [
+            {
+              role: 'user',
+              content: this.getUserPrompt(problem, {
+                structured,
+                instructions: options.instructions,
+                promptInstructions: options.prompt?.instructions
+              })
+            }
+          ],
+          ...(structured && { responseFormat: 'json', schema: SOLUTION_JSON_SCHEMA }),
+          ...(options.temperature !== undefined && { temperature: options.temperature }),
+          onToken: options.onToken
+        };
+      }, options);
 
-      // Parse the response
-      const parsed = this.parseResponse(result.answer);
+      const processingTime = Date.now() - startTime;
+
+      // Parse the response, structured replies fall back to markdown parsing if invalid
+      const structured = this.useStructuredOutput(model) && this.parseStructuredResponse(result.answer);
+      const parsed = structured || this.parseResponse(result.answer);
 
       return {
-        answer: result.answer,
+        answer: structured ? structured.answer : result.answer,
+        outputFormat: structured ? 'json' : 'markdown',
         explanation: parsed.explanation,
         code: parsed.code,
+        codeBlocks: parsed.codeBlocks,
         steps: parsed.steps,
-        aiModel: result.model,
+        complexity: parsed.complexity,
+        assumptions: parsed.assumptions || [],
+        aiModel: model.id,
+        aiProvider: provider.name,
+        requestedModel: aiModel,
+        attempts,
         tokenUsage: result.tokenUsage,
-        processingTime: result.processingTime
+        processingTime
       };
     } catch (error) {
       console.error('Generate solution error:', error);
       throw error;
     }
   }
+
+  // Answer a follow-up question with the model that produced the solution.
+  // The conversation replays the original prompt, the answer and earlier follow-ups.
+  // options.prompt ({ system, instructions }) is the template the solution was generated with.
+  async generateFollowUp(problem, solution, history, content, options = {}) {
+    try {
+      const startTime = Date.now();
+
+      const { result, model, provider } = await this.generateWithFailover(solution.aiModel, () => ({
+        system: `${options.prompt?.system || this.getSystemPrompt(problem.category)} You are continuing a conversation about a solution you already gave. Answer the follow-up clearly and include updated code when it changes.`,
+        messages: [
+          { role: 'user', content: this.getUserPrompt(problem, { promptInstructions: options.prompt?.instructions }) },
+          { role: 'assistant', content: solution.answer },
+          ...history.map((message) => ({ role: message.role, content: message.content })),
+          { role: 'user', content }
+        ]
+      }), { fallback: false });
+
+      return {
+        content: result.answer,
+        aiModel: model.id,
+        aiProvider: provider.name,
+        tokenUsage: result.tokenUsage,
+        processingTime: Date.now() - startTime
+      };
+    } catch (error) {
+      console.error('Generate follow-up error:', error);
+      throw error;
+    }
+  }
+
+  // Ask the model that wrote the code to fix it after a failed execution.
+  // Returns the corrected code, or an empty snippet when the reply contains none.
+  async repairCode(problem, aiModel, code, executionResult, options = {}) {
+    try {
+      const startTime = Date.now();
+      const language = problem.language || 'text';
+      const details = [
+        `Status: ${executionResult.status}`,
+        executionResult.error ? `Error output:\n\`\`\`\n${executionResult.error}\n\`\`\`` : '',
+        executionResult.output ? `Standard output:\n\`\`\`\n${executionResult.output}\n\`\`\`` : ''
+      ].filter(Boolean).join('\n\n');
+
+      const { result, model, provider } = await this.generateWithFailover(aiModel, () => ({
+        system: `${options.prompt?.system || this.getSystemPrompt(problem.category)} You are fixing code you wrote that failed when it was executed.`,
+        messages: [
+          { role: 'user', content: this.getUserPrompt(problem) },
+          { role: 'assistant', content: `\`\`\`${language}\n${code}\n\`\`\`` },
+          {
+            role: 'user',
+            content: `Running this code failed.\n\n${details}\n\nReply with the complete corrected program in a single \`\`\`${language} code block, followed by one or two sentences describing the fix.`
+          }
+        ]
+      }), { fallback: false, signal: options.signal });
+
+      const parsed = this.parseResponse(result.answer);
+      // The fix description follows the code block
+      const note = result.answer.split('```').pop().trim();
+
+      return {
+        snippet: parsed.code.snippet,
+        explanation: note || parsed.explanation,
+        aiModel: model.id,
+        aiProvider: provider.name,
+        tokenUsage: result.tokenUsage,
+        processingTime: Date.now() - startTime
+      };
+    } catch (error) {
+      console.error('Repair code error:', error);
+      throw error;
+    }
+  }
+
+  // Ask the model that wrote the solution for a test file in the language's framework.
+  // harness comes from services/testHarness and describes how the tests will be run.
+  async generateUnitTests(problem, aiModel, code, harness, options = {}) {
+    try {
+      const startTime = Date.now();
+      const language = problem.language || 'text';
+
+      const { result, model, provider } = await this.generateWithFailover(aiModel, () => ({
+        system: `${options.prompt?.system || this.getSystemPrompt(problem.category)} You are writing unit tests for code you wrote.`,
+        messages: [
+          { role: 'user', content: this.getUserPrompt(problem) },
+          { role: 'assistant', content: `\`\`\`${language}\n${code}\n\`\`\`` },
+          {
+            role: 'user',
+            content: `Write a ${harness.framework} test file (${harness.filename}) for this solution covering typical inputs, edge cases and invalid input. ${harness.guidance} Reply with the test file in a single \`\`\`${language} code block and nothing else.`
+          }
+        ]
+      }), { fallback: false, signal: options.signal });
+
+      const parsed = this.parseResponse(result.answer);
+
+      return {
+        code: parsed.code.snippet,
+        aiModel: model.id,
+        aiProvider: provider.name,
+        tokenUsage: result.tokenUsage,
+        processingTime: Date.now() - startTime
+      };
+    } catch (error) {
+      console.error('Generate unit tests error:', error);
+      throw error;
+    }
+  }
+
+  // Ask the model for a program printing inputs of a requested size for its solution
+  async generateBenchmarkInput(problem, aiModel, code, options = {}) {
+    try {
+      const startTime = Date.now();
+      const language = problem.language || 'text';
+
+      const { result, model, provider } = await this.generateWithFailover(aiModel, () => ({
+        system: `${this.getSystemPrompt(problem.category)} You are writing an input generator to benchmark code you wrote.`,
+        messages: [
+          { role: 'user', content: this.getUserPrompt(problem) },
+          { role: 'assistant', content: `\`\`\`${language}\n${code}\n\`\`\`` },
+          {
+            role: 'user',
+            content: `Write a ${language} program that reads one integer n from standard input and prints to standard output a single valid input for this solution, exactly as the solution reads it from standard input, where n is the size that drives its running time (e.g. the array length). Make the input a typical or worst case for the solution, use a fixed random seed so the same n always gives the same input, and write it efficiently because n can be up to 1000000. Reply with the program in a single \`\`\`${language} code block and nothing else.`
+          }
+        ]
+      }), { fallback: false, signal: options.signal });
+
+      const parsed = this.parseResponse(result.answer);
+
+      return {
+        code: parsed.code.snippet,
+        aiModel: model.id,
+        aiProvider: provider.name,
+        tokenUsage: result.tokenUsage,
+        processingTime: Date.now() - startTime
+      };
+    } catch (error) {
+      console.error('Generate benchmark input error:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new AIService();
\ No newline at end of file
@@ -0,0 +1,87 @@
+// server/services/benchmark/growth.js
+
+// Growth classes a benchmark can tell apart, simplest first
+const CLASSES = [
+  { notation: 'O(1)', key: '1', f: () => 1 },
+  { notation: 'O(log n)', key: 'logn', f: (n) => Math.log2(n) },
+  { notation: 'O(n)', key: 'n', f: (n) => n },
+  { notation: 'O(n log n)', key: 'nlogn', f: (n) => n * Math.log2(n) },
+  { notation: 'O(n^2)', key: 'n^2', f: (n) => n ** 2 },
+  { notation: 'O(n^3)', key: 'n^3', f: (n) => n ** 3 },
+  { notation: 'O(2^n)', key: '2^n', f: (n) => 2 ** n }
+];
+
+// Least R² for a class to count as explaining the growth
+const MIN_FIT = 0.5;
+
+// Least squares fit of y = a + b * x with b >= 0, weighting each point by 1 / y² so the
+// relative error counts and the largest size doesn't decide alone. Returns the weighted error.
+const fitLinear = (xs, ys) => {
+  const weights = ys.map((y) => 1 / Math.max(y, Number.EPSILON) ** 2);
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  const mean = (values) => values.reduce((sum, value, index) => sum + weights[index] * value, 0) / weightSum;
+
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  const spread = xs.reduce((sum, x, index) => sum + weights[index] * (x - meanX) ** 2, 0);
+  const slope = spread > 0
+    ? Math.max(0, xs.reduce((sum, x, index) => sum + weights[index] * (x - meanX) * (ys[index] - meanY), 0) / spread)
+    : 0;
+  const intercept = meanY - slope * meanX;
+
+  return ys.reduce((sum, y, index) => sum + weights[index] * (y - intercept - slope * xs[index]) ** 2, 0);
+};
+
+// The class that best explains how a measurement grows with size
+// points: [{ size, value }]. Growth smaller than `noise` over the whole range is O(1), as it is
+// startup cost and jitter rather than work, and so is growth no class explains (R² under
+// MIN_FIT). Returns { notation, fit } where fit is the R² of the chosen class, or null with
+// fewer than three points.
+const estimate = (points, noise) => {
+  if (points.length < 3) return null;
+
+  const sizes = points.map((point) => point.size);
+  const values = points.map((point) => point.value);
+  const constant = { notation: CLASSES[0].notation, fit: null };
+
+  if (Math.max(...values) - Math.min(...values) < noise) return constant;
+
+  // Error of the best constant, what the R² of each class is measured against
+  const total = fitLinear(sizes.map(() => 1), values);
+
+  let best = null;
+  for (const growthClass of CLASSES.slice(1)) {
+    const xs = sizes.map(growthClass.f);
+    if (!xs.every(Number.isFinite)) continue;
+
+    const error = fitLinear(xs, values);
+    if (!best || error < best.error) best = { notation: growthClass.notation, error };
+  }
+
+  const fit = total > 0 ? Math.max(0, 1 - best.error / total) : 0;
+  return fit < MIN_FIT ? constant : { notation: best.notation, fit: Number(fit.toFixed(3)) };
+};
+
+// A Big-O as written by a model, reduced to a class key: `O(N lg N)` and `O(n·log(n))` are 'nlogn'
+const toKey = (notation) => {
+  const match = /O\s*\((.*)\)/i.exec(notation || '');
+  if (!match) return null;
+
+  return match[1]
+    .toLowerCase()
+    .replace(/²/g, '^2')
+    .replace(/³/g, '^3')
+    .replace(/\blg\b|\bln\b|\blog_?2\b/g, 'log')
+    .replace(/log\s*\(\s*n\s*\)/g, 'logn')
+    .replace(/[\s*·×]/g, '');
+};
+
+// Whether an estimate agrees with the claimed Big-O, null when the claim is not one of the
+// classes a benchmark tells apart (e.g. O(n + m))
+const matchesClaim = (notation, claimed) => {
+  const key = toKey(claimed);
+  if (!notation || !CLASSES.some((growthClass) => growthClass.key === key)) return null;
+  return toKey(notation) === key;
+};
+
+module.exports = { estimate, matchesClaim };
@@ -0,0 +1,274 @@
+// server/services/benchmark/index.js
+const { Problem, Solution } = require('../../models/Problem');
+const User = require('../../models/User');
+const aiService = require('../aiService');
+const codeExecutor = require('../codeExecutor');
+const policyService = require('../policyService');
+const solutionService = require('../solutionService');
+const spendService = require('../spendService');
+const config = require('../../config/benchmark');
+const growth = require('./growth');
+
+// The versions of a solution's code a benchmark compares, by their key in benchmark points
+const VERSIONS = {
+  snippet: (solution) => solution.code.snippet,
+  optimized: (solution) => solution.code.optimizedVersion
+};
+
+// Middle value, the mean of the two middle ones for an even count
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Times a solution and its optimized version on generated inputs of growing size and
+// estimates how each grows. Benchmarks run one at a time in this process.
+class BenchmarkService {
+  constructor() {
+    this.queue = [];
+    this.draining = false;
+  }
+
+  // Requested sizes in ascending order, or the reason they are invalid
+  readSizes(sizes) {
+    if (sizes === undefined || sizes === null) {
+      return { sizes: config.sizes };
+    }
+    if (!Array.isArray(sizes) || sizes.length < 3 || sizes.length > config.maxSizes) {
+      return { error: `Please provide between 3 and ${config.maxSizes} input sizes` };
+    }
+
+    const parsed = sizes.map(Number);
+    if (!parsed.every((size) => Number.isInteger(size) && size > 0 && size <= config.maxSize)) {
+      return { error: `Input sizes must be whole numbers from 1 to ${config.maxSize}` };
+    }
+    if (new Set(parsed).size !== parsed.length) {
+      return { error: 'Input sizes must be different' };
+    }
+    return { sizes: parsed.sort((a, b) => a - b) };
+  }
+
+  // Programs a benchmark of the solution at `sizes` runs: the generator once per size, and
+  // each version with code `config.repeats` times per size
+  plannedRuns(solution, sizes) {
+    const versions = Object.values(VERSIONS).filter((getCode) => getCode(solution)).length;
+    return sizes.length * (1 + config.repeats * versions);
+  }
+
+  // Queue a benchmark of the solution, replacing its previous one
+  // Without a generator the model writes one, which costs the problem's owner a query. The
+  // programs run count against `userId`'s executions as they run.
+  async start(problem, solution, { sizes, generator, userId }) {
+    solution.benchmark = {
+      status: 'queued',
+      generator: generator || undefined,
+      generatorSource: generator ? 'user' : 'ai',
+      sizes,
+      points: []
+    };
+    await solution.save();
+
+    this.queue.push({ problemId: problem._id, solutionId: solution._id, userId });
+    this.drain();
+    return solution.benchmark;
+  }
+
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const { problemId, solutionId, userId } = this.queue.shift();
+        const [problem, solution] = await Promise.all([
+          Problem.findById(problemId),
+          Solution.findById(solutionId)
+        ]).catch(() => []);
+        if (!problem || !solution) continue;
+
+        try {
+          await this.execute(problem, solution, userId);
+        } catch (error) {
+          console.error('Benchmark error:', error);
+          solution.benchmark.status = 'failed';
+          solution.benchmark.error = error.message;
+          solution.benchmark.completedAt = new Date();
+          await solution.save().catch(() => {});
+        }
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  // Generate an input per size, then run every version on each, saving after each version
+  async execute(problem, solution, userId) {
+    const { benchmark } = solution;
+    benchmark.status = 'running';
+    benchmark.startedAt = new Date();
+    await solution.save();
+
+    if (!benchmark.generator) {
+      benchmark.generator = await this.writeGenerator(problem, solution);
+      await solution.save();
+    }
+
+    const plan = await solutionService.getPlan(problem);
+    const limits = codeExecutor.resolveLimits(plan, problem.executionLimits, { cpuTimeLimit: config.timeLimit });
+    const inputs = await this.generateInputs(problem, solution, { ...limits, maxOutput: codeExecutor.getPlanLimits(plan).maxOutput });
+    await this.charge(userId, inputs.length);
+
+    benchmark.points = benchmark.sizes.map((size, index) => ({
+      size,
+      inputBytes: inputs[index].input === undefined ? undefined : Buffer.byteLength(inputs[index].input),
+      error: inputs[index].error
+    }));
+
+    for (const [version, getCode] of Object.entries(VERSIONS)) {
+      const code = getCode(solution);
+      if (!code) continue;
+
+      const { runs, executions } = await this.runVersion(problem, solution, version, code, inputs, limits);
+      await this.charge(userId, executions);
+      runs.forEach((run, index) => {
+        if (run) benchmark.points[index][version] = run;
+      });
+      await solution.save();
+    }
+
+    benchmark.estimates = this.estimate(benchmark.points, solution.complexity || {});
+    benchmark.status = 'completed';
+    benchmark.completedAt = new Date();
+    await solution.save();
+  }
+
+  // Have the model write the input generator, charged to the solution and its problem's owner
+  async writeGenerator(problem, solution) {
+    const generated = await aiService.generateBenchmarkInput(problem, solution.aiModel, solution.code.snippet);
+    const cost = spendService.calculateCost(generated.aiModel, generated.tokenUsage);
+    solutionService.addUsage(solution, generated.tokenUsage, cost);
+
+    const owner = await User.findById(problem.user);
+    if (owner) {
+      await owner.incrementQueryCount(cost.total);
+    }
+
+    if (!generated.code) {
+      throw new Error('The model returned no input generator');
+    }
+    return generated.code;
+  }
+
+  // Count programs that ran against the user's monthly executions
+  async charge(userId, count) {
+    if (!count) return;
+    const user = await User.findById(userId);
+    if (user) {
+      await user.incrementExecutionCount(count);
+    }
+  }
+
+  // Run the generator once per size: [{ input }] or [{ error }] in size order
+  // Its output may use the plan's whole output ceiling; a cut-off input would be invalid.
+  async generateInputs(problem, solution, limits) {
+    const { benchmark } = solution;
+    const check = await policyService.enforce(benchmark.generator, problem.language, {
+      source: benchmark.generatorSource === 'user' ? 'playground' : 'ai',
+      ...solutionService.auditContext(problem, solution)
+    });
+    if (check.outcome === 'blocked') {
+      throw new Error(`Input generator blocked by policy:\n${policyService.describe(check)}`);
+    }
+
+    const results = await codeExecutor.executeBatch(benchmark.generator, problem.language,
+      benchmark.sizes.map((size) => ({ input: String(size), limits })));
+
+    return results.map((result) => {
+      if (result.status !== 'Accepted') {
+        return { error: `Generator: ${result.status}${result.error ? `\n${result.error.slice(0, 500)}` : ''}` };
+      }
+      if (Buffer.byteLength(result.output || '') >= limits.maxOutput) {
+        return { error: `The input is larger than the ${limits.maxOutput} byte output limit of the plan` };
+      }
+      return { input: result.output };
+    });
+  }
+
+  // Run one version `config.repeats` times per generated input
+  // Returns { runs, executions }: a run per input, null where there is no input, and how many
+  // programs ran. A run is the first failing status, else the fastest time and the median
+  // memory of the repeats, as sampled peaks vary between runs.
+  async runVersion(problem, solution, version, code, inputs, limits) {
+    // The solution was recorded in the policy audit when it first ran, the optimized version never ran
+    const check = version === 'snippet'
+      ? await policyService.check(code, problem.language)
+      : await policyService.enforce(code, problem.language, { source: 'ai', ...solutionService.auditContext(problem, solution) });
+    if (check.outcome === 'blocked') {
+      const blocked = { status: policyService.blockedStatus, error: policyService.describe(check) };
+      return { runs: inputs.map((item) => (item.input === undefined ? null : blocked)), executions: 0 };
+    }
+
+    const measured = inputs.filter((item) => item.input !== undefined);
+    const batch = measured.flatMap((item) => Array.from({ length: config.repeats }, () => ({ input: item.input, limits })));
+
+    let results;
+    let executions = batch.length;
+    try {
+      results = await codeExecutor.executeBatch(code, problem.language, batch);
+    } catch (execError) {
+      results = batch.map(() => ({ status: 'Execution Failed', error: execError.message }));
+      executions = 0;
+    }
+
+    const runs = inputs.map((item) => {
+      if (item.input === undefined) return null;
+
+      const start = measured.indexOf(item) * config.repeats;
+      const repeats = results.slice(start, start + config.repeats);
+      const failed = repeats.find((result) => result.status !== 'Accepted');
+      if (failed) {
+        return { status: failed.status, error: (failed.error || '').slice(0, 500) };
+      }
+
+      return {
+        status: 'Accepted',
+        time: Math.min(...repeats.map((result) => Number(result.time) || 0)),
+        memory: median(repeats.map((result) => Number(result.memory) || 0))
+      };
+    });
+    return { runs, executions };
+  }
+
+  // Growth of each version's time and memory, compared with the claimed complexity
+  estimate(points, complexity) {
+    const estimates = {};
+
+    for (const version of Object.keys(VERSIONS)) {
+      const measured = points.filter((point) => point[version] && point[version].status === 'Accepted');
+      const fit = (field, claimed) => {
+        const result = growth.estimate(
+          measured.map((point) => ({ size: point.size, value: point[version][field] })),
+          config.noise[field]
+        );
+        return result && { ...result, matchesClaim: growth.matchesClaim(result.notation, claimed) };
+      };
+
+      estimates[version] = {
+        time: fit('time', complexity.time),
+        memory: fit('memory', complexity.space)
+      };
+    }
+    return estimates;
+  }
+
+  // Benchmarks a restart interrupted cannot be resumed
+  async recover() {
+    await Solution.updateMany(
+      { 'benchmark.status': { $in: ['queued', 'running'] } },
+      { 'benchmark.status': 'failed', 'benchmark.error': 'Interrupted by a server restart', 'benchmark.completedAt': new Date() }
+    );
+  }
+}
+
+module.exports = new BenchmarkService();
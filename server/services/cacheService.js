@@ -0,0 +1,140 @@
+// server/services/cacheService.js
+const crypto = require('crypto');
+const config = require('../config/solutionCache');
+const { Problem, Solution } = require('../models/Problem');
+
+// Solution fields copied when a cached solution is reused
+const REUSED_FIELDS = [
+  'aiModel', 'aiProvider', 'answer', 'explanation', 'code', 'codeBlocks', 'steps',
+  'complexity', 'assumptions', 'outputFormat', 'executionResult', 'repairAttempts', 'repairStatus', 'unitTests',
+  'prompt'
+];
+
+class CacheService {
+  constructor() {
+    this.enabled = config.enabled;
+    this.similarityThreshold = config.similarityThreshold;
+    this.maxCandidates = config.maxCandidates;
+  }
+
+  // Lowercase, drop punctuation and collapse whitespace so trivial edits hash the same
+  normalize(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Hash identifying exact duplicates
+  getCacheKey(problem) {
+    const parts = [problem.title, problem.description, problem.category, problem.language, problem.difficulty]
+      .map((part) => this.normalize(part));
+
+    return crypto.createHash('sha256').update(parts.join('\n')).digest('hex');
+  }
+
+  // Jaccard similarity of the words in the title and description
+  similarity(a, b) {
+    const words = (problem) => new Set(this.normalize(`${problem.title} ${problem.description}`).split(' '));
+    const setA = words(a);
+    const setB = words(b);
+
+    let shared = 0;
+    setA.forEach((word) => {
+      if (setB.has(word)) shared += 1;
+    });
+
+    const union = setA.size + setB.size - shared;
+    return union ? shared / union : 0;
+  }
+
+  // Find a solved problem whose solution can be reused, exact duplicates first
+  // Only the user's own problems and public ones are looked at, so nobody is offered a
+  // solution to another user's private problem. Returns { problem, solution, similarity, exact } or null.
+  async findMatch(problem, userId, excludeId) {
+    if (!this.enabled) return null;
+
+    const cacheKey = this.getCacheKey(problem);
+    const scope = {
+      _id: { $ne: excludeId },
+      $or: [{ user: userId }, { isPublic: true }],
+      status: 'solved',
+      solution: { $exists: true }
+    };
+
+    const exact = await Problem.findOne({ ...scope, cacheKey })
+      .sort({ createdAt: -1 })
+      .populate('solution');
+
+    if (exact && exact.solution) {
+      return { problem: exact, solution: exact.solution, similarity: 1, exact: true };
+    }
+
+    if (!this.similarityThreshold) return null;
+
+    const candidates = await Problem.find({
+      ...scope,
+      category: problem.category,
+      language: problem.language || { $in: [null, ''] },
+      difficulty: problem.difficulty || 'medium'
+    })
+      .sort({ createdAt: -1 })
+      .limit(this.maxCandidates)
+      .select('title description solution');
+
+    let best = null;
+    candidates.forEach((candidate) => {
+      const score = this.similarity(problem, candidate);
+      if (score >= this.similarityThreshold && (!best || score > best.similarity)) {
+        best = { problem: candidate, similarity: score };
+      }
+    });
+
+    if (!best) return null;
+
+    const solution = await Solution.findById(best.problem.solution);
+    return solution ? { ...best, solution, exact: false } : null;
+  }
+
+  // Summary of a match that is safe to show to another user, nothing of the matched problem itself
+  describeMatch(match) {
+    return {
+      solutionId: match.solution._id,
+      aiModel: match.solution.aiModel,
+      similarity: Math.round(match.similarity * 100) / 100,
+      exact: match.exact
+    };
+  }
+
+  // Copy a cached solution onto a new problem, no tokens are spent
+  async reuse(problem, match) {
+    const source = match.solution.toObject();
+    const fields = {};
+    REUSED_FIELDS.forEach((field) => {
+      fields[field] = source[field];
+    });
+
+    const solution = await Solution.create({
+      ...fields,
+      problem: problem._id,
+      version: 1,
+      cachedFrom: match.solution._id,
+      processingTime: 0
+    });
+
+    problem.solution = solution._id;
+    problem.status = 'solved';
+    problem.cache = {
+      result: 'hit',
+      similarity: match.similarity,
+      exact: match.exact,
+      savedCost: match.solution.cost ? match.solution.cost.total : 0
+    };
+    await problem.save();
+
+    return solution;
+  }
+}
+
+module.exports = new CacheService();
@@ -1,169 +1,141 @@
 // server/services/codeExecutor.js
-const axios = require('axios');
-
+const config = require('../config/executor');
+const languageConfig = require('../config/languages');
+const { createExecutor } = require('./executors');
+
+// Limits a problem can set for its runs, with how they are named in messages
+const LIMIT_FIELDS = {
+  cpuTimeLimit: 'CPU time limit',
+  wallTimeLimit: 'Wall time limit',
+  memoryLimit: 'Memory limit',
+  maxOutput: 'Output limit'
+};
+
+// Runs code on the backend chosen in config/executor.js
 class CodeExecutor {
   constructor() {
-    this.apiUrl = process.env.JUDGE0_API_URL || 'https://judge0-ce.p.rapidapi.com';
-    this.apiKey = process.env.RAPIDAPI_KEY;
-    
-    // Language ID mappings for Judge0
-    this.languageIds = {
-      'javascript': 63,
-      'python': 71,
-      'java': 62,
-      'cpp': 54,
-      'c': 50,
-      'csharp': 51,
-      'ruby': 72,
-      'go': 60,
-      'rust': 73,
-      'php': 68,
-      'swift': 83,
-      'kotlin': 78,
-      'typescript': 74
-    };
+    this.backend = createExecutor(config);
   }
 
-  // Execute code using Judge0 API
-  async executeCode(code, language, input = '') {
-    if (!this.apiKey) {
-      throw new Error('Judge0 API key not configured');
-    }
-
-    try {
-      const languageId = this.languageIds[language.toLowerCase()];
-      
-      if (!languageId) {
-        throw new Error(`Language '${language}' not supported for execution`);
-      }
+  // Execute code on the configured backend
+  // Limits left out of `limits` get the defaults (see resolveLimits for a plan's); the
+  // result carries the limits it ran with.
+  async executeCode(code, language, input = '', limits = {}) {
+    const applied = this.withDefaults(limits);
+    const name = this.checkLanguage(language, applied);
+    const result = await this.backend.execute(code, name, input, applied);
+    return { ...result, limits: applied };
+  }
 
-      // Step 1: Submit code for execution
-      const submissionResponse = await axios.post(
-        `${this.apiUrl}/submissions?base64_encoded=false&wait=false`,
-        {
-          source_code: code,
-          language_id: languageId,
-          stdin: input,
-          cpu_time_limit: 2,
-          memory_limit: 128000
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'X-RapidAPI-Key': this.apiKey,
-            'X-RapidAPI-Host': 'judge0-ce.p.rapidapi.com'
-          }
+  // Run the same code once per { input, limits }, in one batch where the backend has one
+  // Results come back in order; a run that could not be executed gets an 'Execution Failed' result.
+  async executeBatch(code, language, runs) {
+    const prepared = runs.map((run) => ({ input: run.input || '', limits: this.withDefaults(run.limits) }));
+    const name = this.checkLanguage(language, prepared[0] && prepared[0].limits);
+
+    let results;
+    if (this.backend.executeBatch) {
+      results = await this.backend.executeBatch(code, name, prepared);
+    } else {
+      results = [];
+      for (const run of prepared) {
+        try {
+          results.push(await this.backend.execute(code, name, run.input, run.limits));
+        } catch (execError) {
+          results.push({ status: 'Execution Failed', error: execError.message });
         }
-      );
-
-      const token = submissionResponse.data.token;
-
-      // Step 2: Poll for results
-      let result = await this.getSubmissionResult(token);
-      let attempts = 0;
-      const maxAttempts = 10;
-
-      while (result.status.id <= 2 && attempts < maxAttempts) {
-        await this.delay(1000);
-        result = await this.getSubmissionResult(token);
-        attempts++;
       }
-
-      return this.formatResult(result);
-    } catch (error) {
-      console.error('Code execution error:', error);
-      throw new Error(`Code execution failed: ${error.message}`);
     }
+    return results.map((result, index) => ({ ...result, limits: prepared[index].limits }));
   }
 
-  // Get submission result
-  async getSubmissionResult(token) {
-    try {
-      const response = await axios.get(
-        `${this.apiUrl}/submissions/${token}?base64_encoded=false`,
-        {
-          headers: {
-            'X-RapidAPI-Key': this.apiKey,
-            'X-RapidAPI-Host': 'judge0-ce.p.rapidapi.com'
-          }
-        }
-      );
+  // Pass a result posted to the callback route to the backend, false when it has no callbacks
+  handleCallback(secret, body) {
+    return this.backend.handleCallback ? this.backend.handleCallback(secret, body) : false;
+  }
 
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to get submission result: ${error.message}`);
+  checkLanguage(language, limits = {}) {
+    const name = language.toLowerCase();
+
+    if (!this.backend.supports(name)) {
+      throw new Error(`Language '${language}' not supported for execution`);
     }
-  }
 
-  // Format execution result
-  formatResult(rawResult) {
-    const statusMap = {
-      1: 'In Queue',
-      2: 'Processing',
-      3: 'Accepted',
-      4: 'Wrong Answer',
-      5: 'Time Limit Exceeded',
-      6: 'Compilation Error',
-      7: 'Runtime Error (SIGSEGV)',
-      8: 'Runtime Error (SIGXFSZ)',
-      9: 'Runtime Error (SIGFPE)',
-      10: 'Runtime Error (SIGABRT)',
-      11: 'Runtime Error (NZEC)',
-      12: 'Runtime Error (Other)',
-      13: 'Internal Error',
-      14: 'Exec Format Error'
-    };
+    const entry = languageConfig.catalog.find((item) => item.id === name);
+    if (limits.allowCompile === false && entry && entry.compiled) {
+      throw new Error(`Running compiled languages such as ${entry.name} is not included in your plan`);
+    }
+    return name;
+  }
 
+  withDefaults(limits = {}) {
+    const cpuTimeLimit = limits.cpuTimeLimit || config.cpuTimeLimit;
     return {
-      status: statusMap[rawResult.status.id] || 'Unknown',
-      statusId: rawResult.status.id,
-      output: rawResult.stdout || '',
-      error: rawResult.stderr || rawResult.compile_output || '',
-      time: rawResult.time || '0',
-      memory: rawResult.memory || '0',
-      exitCode: rawResult.exit_code
+      cpuTimeLimit,
+      wallTimeLimit: limits.wallTimeLimit || cpuTimeLimit * config.wallTimeFactor,
+      memoryLimit: limits.memoryLimit || config.memoryLimit,
+      maxOutput: limits.maxOutput || config.maxOutput,
+      allowCompile: limits.allowCompile !== false
     };
   }
 
-  // Helper delay function
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  // The ceilings of a subscription plan, an unknown plan gets the free one's
+  getPlanLimits(plan) {
+    return config.plans[plan] || config.plans.free;
   }
 
-  // Validate code before execution
-  validateCode(code, language) {
-    if (!code || code.trim().length === 0) {
-      throw new Error('Code cannot be empty');
+  // Limits for a run under a plan: what the caller asks for (e.g. a test case's time limit),
+  // else the problem's executionLimits, else the defaults, each cut to the plan's ceiling
+  resolveLimits(plan, problemLimits, requested = {}) {
+    const ceiling = this.getPlanLimits(plan);
+    const wanted = { allowCompile: ceiling.allowCompile };
+    for (const field of Object.keys(LIMIT_FIELDS)) {
+      wanted[field] = requested[field] || (problemLimits && problemLimits[field]);
+    }
+
+    const limits = this.withDefaults(wanted);
+    for (const field of Object.keys(LIMIT_FIELDS)) {
+      limits[field] = Math.min(limits[field], ceiling[field]);
     }
+    return limits;
+  }
 
-    if (!language) {
-      throw new Error('Programming language must be specified');
+  // Why a problem's executionLimits are invalid under a plan, null when they are fine
+  validateLimits(limits, plan) {
+    if (limits === undefined || limits === null) return null;
+    if (typeof limits !== 'object' || Array.isArray(limits)) {
+      return 'Execution limits must be an object';
     }
 
-    // Check for potentially dangerous operations
-    const dangerousPatterns = [
-      /exec\s*\(/i,
-      /eval\s*\(/i,
-      /system\s*\(/i,
-      /popen\s*\(/i,
-      /os\.system/i,
-      /subprocess\./i,
-      /import\s+os/i,
-      /require\s*\(\s*['"]child_process['"]\s*\)/i
-    ];
-
-    for (const pattern of dangerousPatterns) {
-      if (pattern.test(code)) {
-        throw new Error('Code contains potentially dangerous operations');
+    const ceiling = this.getPlanLimits(plan);
+    for (const [field, label] of Object.entries(LIMIT_FIELDS)) {
+      const value = limits[field];
+      if (value === undefined || value === null || value === '') continue;
+      if (!(Number(value) > 0 && Number(value) <= ceiling[field])) {
+        return `${label} must be a positive number up to ${ceiling[field]} on the ${plan} plan`;
       }
     }
+    return null;
+  }
 
-    return true;
+  // Keep only the limits a problem stores
+  toLimits(limits = {}) {
+    const stored = {};
+    for (const field of Object.keys(LIMIT_FIELDS)) {
+      const value = limits && limits[field];
+      stored[field] = value === undefined || value === null || value === '' ? undefined : Number(value);
+    }
+    return stored;
   }
 
   // Get supported languages
   getSupportedLanguages() {
-    return Object.keys(this.languageIds);
+    return this.backend.getSupportedLanguages();
+  }
+
+  // Languages the backend can run right now, with their versions
+  listLanguages() {
+    return this.backend.listLanguages();
   }
 }
 
@@ -0,0 +1,105 @@
+// server/services/codePolicy/index.js
+const javascript = require('./javascript');
+const python = require('./python');
+
+// Tokenizing analyzers by language, other languages only get `pattern` rules
+const analyzers = {
+  javascript,
+  typescript: javascript,
+  python
+};
+
+// What each rule kind matches:
+// - module: an import or require of the module or one of its submodules
+// - call: a call of the (alias-resolved) dotted name
+// - name: any reference to the dotted name or something under it
+// - attribute: any `.name` member access
+// - pattern: a regular expression over the raw source
+const KINDS = ['module', 'call', 'name', 'attribute', 'pattern'];
+const ACTIONS = ['block', 'warn'];
+
+// Facts of the analysis each kind is checked against
+const FACTS = {
+  module: 'modules',
+  call: 'calls',
+  name: 'names',
+  attribute: 'attributes'
+};
+
+const escapeRegExp = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+// `*` matches anything; modules also match their submodules and names what is under them
+const toRegExp = (rule) => {
+  const body = rule.match.split('*').map(escapeRegExp).join('.*');
+  const tail = { module: '(?:[./].*)?', name: '(?:\\..*)?' }[rule.kind] || '';
+  return new RegExp(`^${body}${tail}$`);
+};
+
+class CodePolicyEngine {
+  constructor() {
+    this.kinds = KINDS;
+    this.actions = ACTIONS;
+  }
+
+  // Whether code in the language is tokenized, so rules other than `pattern` apply
+  supportsAnalysis(language) {
+    return Boolean(analyzers[language]);
+  }
+
+  // Why a rule is invalid, null when it is fine
+  validateRule(rule) {
+    if (!rule || !KINDS.includes(rule.kind)) return `Rule kind must be one of ${KINDS.join(', ')}`;
+    if (!ACTIONS.includes(rule.action)) return `Rule action must be one of ${ACTIONS.join(', ')}`;
+    if (typeof rule.match !== 'string' || !rule.match.trim()) return 'Every rule needs something to match';
+
+    if (rule.kind === 'pattern') {
+      try {
+        new RegExp(rule.match);
+      } catch (error) {
+        return `Invalid pattern ${rule.match}: ${error.message}`;
+      }
+    }
+    return null;
+  }
+
+  // Rules the code breaks, one entry per rule and line: { kind, match, action, message, found, line }
+  evaluate(code, language, rules) {
+    const analyzer = analyzers[language];
+    const facts = analyzer ? analyzer.analyze(code) : null;
+    const violations = [];
+    const seen = new Set();
+
+    const add = (rule, found, line) => {
+      const key = `${rule.kind}:${rule.match}:${line}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      violations.push({
+        kind: rule.kind,
+        match: rule.match,
+        action: rule.action,
+        message: rule.message || `${rule.kind} ${rule.match} is not allowed`,
+        found,
+        line
+      });
+    };
+
+    for (const rule of rules) {
+      if (rule.kind === 'pattern') {
+        for (const found of code.matchAll(new RegExp(rule.match, 'gm'))) {
+          add(rule, found[0], code.slice(0, found.index).split('\n').length);
+        }
+        continue;
+      }
+
+      if (!facts) continue;
+      const pattern = toRegExp(rule);
+      for (const fact of facts[FACTS[rule.kind]]) {
+        if (pattern.test(fact.name)) add(rule, fact.name, fact.line);
+      }
+    }
+
+    return violations.sort((a, b) => a.line - b.line);
+  }
+}
+
+module.exports = new CodePolicyEngine();
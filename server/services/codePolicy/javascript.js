@@ -0,0 +1,406 @@
+// server/services/codePolicy/javascript.js
+
+// Tokens after which a `/` divides; anywhere else it starts a regular expression
+const KEYWORDS_BEFORE_EXPRESSION = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+// Objects whose properties are globals, `globalThis.eval` is `eval`
+const GLOBAL_OBJECTS = new Set(['globalThis', 'global', 'window', 'self']);
+
+// Timers that run a string argument like eval does
+const STRING_TIMERS = new Set(['setTimeout', 'setInterval']);
+
+// Ways of calling a function through one of its own methods, `f.call(...)` calls f
+const INDIRECT_CALLS = new Set(['call', 'apply', 'bind']);
+
+// Functions that call their first argument, `Reflect.apply(f, ...)` calls f
+const CALLING_FUNCTIONS = new Set(['Reflect.apply', 'Reflect.construct']);
+
+// Tokens after which the value of `x.constructor` is handed on rather than read from or compared
+const VALUE_ENDS = new Set([';', ',', ')', ']', '}']);
+
+const IDENTIFIER_START = /[A-Za-z_$\u0080-￿\\]/;
+const IDENTIFIER_PART = /[\w$\u0080-￿\\]/;
+const NUMBER = /^(?:0[xXbBoO][\da-fA-F_]+n?|\d[\d_]*(?:\.[\d_]*)?(?:[eE][+-]?\d+)?n?|\.\d[\d_]*(?:[eE][+-]?\d+)?)/;
+
+// Resolve \x, \u and \u{} escapes, and drop the backslash of any other escaped character
+const unescape = (text) => text.replace(/\\(?:x([\da-fA-F]{2})|u\{([\da-fA-F]+)\}|u([\da-fA-F]{4})|([\s\S]))/g,
+  (match, hex, codePoint, unicode, other) => {
+    if (hex || codePoint || unicode) return String.fromCodePoint(parseInt(hex || codePoint || unicode, 16));
+    return { n: '\n', t: '\t', r: '\r', '\n': '' }[other] ?? other;
+  });
+
+// Split source into names, strings, numbers and punctuators with their line, leaving out
+// comments. Template literals with substitutions become a `template` token followed by the
+// tokens of each substitution. Never throws: unterminated constructs run to the end.
+const tokenize = (code) => {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  // Open template literals, each with the brace depth its current substitution started at
+  const templates = [];
+  let braces = 0;
+
+  const push = (type, value, tokenLine = line) => tokens.push({ type, value, line: tokenLine });
+
+  // Read template literal text up to its end or next substitution; `resumed` after a substitution
+  const readTemplate = (resumed) => {
+    const startLine = line;
+    let text = '';
+    while (i < code.length && code[i] !== '`') {
+      if (code[i] === '\\') {
+        text += code.slice(i, i + 2);
+        i += 2;
+        continue;
+      }
+      if (code[i] === '$' && code[i + 1] === '{') {
+        push('template', null, startLine);
+        i += 2;
+        templates.push(braces);
+        braces += 1;
+        return;
+      }
+      if (code[i] === '\n') line += 1;
+      text += code[i];
+      i += 1;
+    }
+    i += 1;
+    push(resumed ? 'template' : 'string', unescape(text), startLine);
+  };
+
+  const regexAllowed = () => {
+    const previous = tokens[tokens.length - 1];
+    if (!previous) return true;
+    if (previous.type === 'name') return KEYWORDS_BEFORE_EXPRESSION.has(previous.value);
+    if (previous.type === 'punct') return ![')', ']', '}'].includes(previous.value);
+    return false;
+  };
+
+  while (i < code.length) {
+    const char = code[i];
+
+    if (char === '\n') {
+      line += 1;
+      i += 1;
+    } else if (/\s/.test(char)) {
+      i += 1;
+    } else if (code.startsWith('//', i)) {
+      while (i < code.length && code[i] !== '\n') i += 1;
+    } else if (code.startsWith('/*', i)) {
+      const end = code.indexOf('*/', i + 2);
+      const stop = end === -1 ? code.length : end + 2;
+      line += (code.slice(i, stop).match(/\n/g) || []).length;
+      i = stop;
+    } else if (char === '\'' || char === '"') {
+      const startLine = line;
+      let text = '';
+      i += 1;
+      while (i < code.length && code[i] !== char && code[i] !== '\n') {
+        text += code[i] === '\\' ? code.slice(i, i += 2) : code[i++];
+      }
+      i += 1;
+      push('string', unescape(text), startLine);
+    } else if (char === '`') {
+      i += 1;
+      readTemplate(false);
+    } else if (char === '}' && templates.length > 0 && braces - 1 === templates[templates.length - 1]) {
+      // End of a template substitution, the literal carries on
+      templates.pop();
+      braces -= 1;
+      i += 1;
+      readTemplate(true);
+    } else if (char === '/' && regexAllowed()) {
+      let inClass = false;
+      i += 1;
+      while (i < code.length && code[i] !== '\n' && (inClass || code[i] !== '/')) {
+        if (code[i] === '\\') i += 1;
+        else if (code[i] === '[') inClass = true;
+        else if (code[i] === ']') inClass = false;
+        i += 1;
+      }
+      i += 1;
+      while (i < code.length && /\w/.test(code[i])) i += 1;
+      push('regex', null);
+    } else if (IDENTIFIER_START.test(char)) {
+      let name = '';
+      while (i < code.length && IDENTIFIER_PART.test(code[i])) {
+        if (code[i] === '\\') {
+          const escape = code.slice(i).match(/^\\u(?:\{[\da-fA-F]+\}|[\da-fA-F]{4})/);
+          if (!escape) break;
+          name += escape[0];
+          i += escape[0].length;
+        } else {
+          name += code[i++];
+        }
+      }
+      if (!name) {
+        i += 1;
+        continue;
+      }
+      push('name', unescape(name));
+    } else if (NUMBER.test(code.slice(i, i + 64))) {
+      i += code.slice(i, i + 64).match(NUMBER)[0].length;
+      push('number', null);
+    } else if (code.startsWith('?.', i) && !/\d/.test(code[i + 2] || '')) {
+      push('punct', '.');
+      i += 2;
+    } else if (code.startsWith('...', i)) {
+      push('punct', '...');
+      i += 3;
+    } else {
+      if (char === '{') braces += 1;
+      if (char === '}') braces -= 1;
+      push('punct', char);
+      i += 1;
+    }
+  }
+
+  return tokens;
+};
+
+const isPunct = (token, value) => Boolean(token) && token.type === 'punct' && token.value === value;
+
+// Where a dotted chain starting at `start` ends, with its segments; `a.b['c']?.d` is a.b.c.d
+const readChain = (tokens, start) => {
+  const segments = [tokens[start].value];
+  let end = start + 1;
+  for (;;) {
+    if (isPunct(tokens[end], '.') && tokens[end + 1] && tokens[end + 1].type === 'name') {
+      segments.push(tokens[end + 1].value);
+      end += 2;
+    } else if (isPunct(tokens[end], '[') && tokens[end + 1] && tokens[end + 1].type === 'string' &&
+        isPunct(tokens[end + 2], ']')) {
+      segments.push(tokens[end + 1].value);
+      end += 3;
+    } else {
+      return { segments, end };
+    }
+  }
+};
+
+// The member a `.name` or `['name']` at `index` reads, with the index after it
+const readMember = (tokens, index) => {
+  if (isPunct(tokens[index], '.') && tokens[index + 1] && tokens[index + 1].type === 'name') {
+    return { name: tokens[index + 1].value, end: index + 2 };
+  }
+  if (isPunct(tokens[index], '[') && tokens[index + 1] && tokens[index + 1].type === 'string' &&
+      isPunct(tokens[index + 2], ']')) {
+    return { name: tokens[index + 1].value, end: index + 3 };
+  }
+  return null;
+};
+
+// The module a require(...) or import(...) at `index` (the opening parenthesis) loads
+const readModuleArgument = (tokens, index) => {
+  const argument = tokens[index + 1];
+  const literal = argument && argument.type === 'string' && isPunct(tokens[index + 2], ')');
+  return literal ? argument.value.replace(/^node:/, '') : '<dynamic>';
+};
+
+// What the code imports, calls and refers to, with names resolved through the aliases it
+// sets up: `const { exec: run } = require('child_process'); run()` calls child_process.exec.
+const analyze = (code) => {
+  const tokens = tokenize(code);
+  const aliases = new Map();
+  const facts = { modules: [], calls: [], names: [], attributes: [] };
+
+  const resolve = (segments) => {
+    let resolved = aliases.has(segments[0])
+      ? [...aliases.get(segments[0]).split('.'), ...segments.slice(1)]
+      : [...segments];
+    while (resolved.length > 1 && GLOBAL_OBJECTS.has(resolved[0])) resolved = resolved.slice(1);
+    return resolved.join('.');
+  };
+
+  // `const { a, b: c } = <target>` binds a to target.a and c to target.b
+  const bindPattern = (open, target) => {
+    let index = open + 1;
+    while (index < tokens.length && !isPunct(tokens[index], '}')) {
+      const key = tokens[index];
+      if (key.type === 'name' && isPunct(tokens[index + 1], ':') && tokens[index + 2] && tokens[index + 2].type === 'name') {
+        aliases.set(tokens[index + 2].value, `${target}.${key.value}`);
+        index += 3;
+      } else if (key.type === 'name') {
+        aliases.set(key.value, `${target}.${key.value}`);
+        index += 1;
+      } else {
+        index += 1;
+      }
+    }
+  };
+
+  // import X, { a as b } from 'm' / import * as X from 'm' / import 'm'
+  // Returns where the statement ends.
+  const readImport = (index) => {
+    const bindings = [];
+    let cursor = index + 1;
+    while (cursor < tokens.length && tokens[cursor].type !== 'string') {
+      const token = tokens[cursor];
+      if (token.type === 'name' && token.value === 'from') {
+        cursor += 1;
+        break;
+      }
+
+      if (isPunct(token, '*') && tokens[cursor + 2]) {
+        bindings.push([tokens[cursor + 2].value, null]);
+        cursor += 3;
+      } else if (isPunct(token, '{')) {
+        cursor += 1;
+        while (cursor < tokens.length && !isPunct(tokens[cursor], '}')) {
+          const item = tokens[cursor];
+          const renamed = tokens[cursor + 1] && tokens[cursor + 1].value === 'as' && tokens[cursor + 2];
+          if (item.type === 'name' && item.value !== 'type') {
+            bindings.push([renamed ? renamed.value : item.value, item.value]);
+          }
+          cursor += item.type === 'name' && renamed ? 3 : 1;
+        }
+        cursor += 1;
+      } else if (token.type === 'name' || isPunct(token, ',')) {
+        // A default import binds the module; `import type` binds nothing at run time
+        if (token.type === 'name' && token.value !== 'type') bindings.push([token.value, null]);
+        cursor += 1;
+      } else {
+        return cursor;
+      }
+    }
+
+    const source = tokens[cursor];
+    if (!source || source.type !== 'string') return cursor;
+
+    const moduleName = source.value.replace(/^node:/, '');
+    facts.modules.push({ name: moduleName, line: tokens[index].line });
+    for (const [local, imported] of bindings) {
+      aliases.set(local, imported ? `${moduleName}.${imported}` : moduleName);
+    }
+    return cursor;
+  };
+
+  // The constructor of any function is Function (or AsyncFunction), so
+  // `[].constructor.constructor('code')` and `(() => {}).constructor('code')` call it without
+  // naming it, and `const F = (async () => {}).constructor` hands it on to be called later
+  tokens.forEach((token, index) => {
+    const member = readMember(tokens, index);
+    if (!member || member.name !== 'constructor') return;
+
+    const next = tokens[member.end];
+    const following = readMember(tokens, member.end);
+    const handedOn = !next || (next.type === 'punct' ? VALUE_ENDS.has(next.value) : next.line > tokens[member.end - 1].line);
+    if (isPunct(next, '(') || (following && following.name === 'constructor') || handedOn) {
+      facts.calls.push({ name: 'Function', line: tokens[index + 1].line });
+    }
+  });
+
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index];
+    const previous = tokens[index - 1];
+
+    if (token.type === 'name' && token.value === 'import' && !isPunct(previous, '.')) {
+      if (isPunct(tokens[index + 1], '(')) {
+        facts.modules.push({ name: readModuleArgument(tokens, index + 1), line: token.line });
+      } else {
+        index = readImport(index);
+      }
+      continue;
+    }
+
+    if (token.type === 'name' && token.value === 'export') {
+      const from = tokens.findIndex((item, position) => position > index && item.type === 'name' && item.value === 'from');
+      if (from !== -1 && tokens[from + 1] && tokens[from + 1].type === 'string' &&
+          !tokens.slice(index + 1, from).some((item) => isPunct(item, ';') || isPunct(item, '='))) {
+        facts.modules.push({ name: tokens[from + 1].value.replace(/^node:/, ''), line: token.line });
+      }
+    }
+
+    if (token.type !== 'name') continue;
+
+    // Member names, including those of call results: foo().bar
+    if (isPunct(previous, '.')) {
+      facts.attributes.push({ name: token.value, line: token.line });
+      continue;
+    }
+
+    // Object literal keys and method definitions are not references
+    if ((isPunct(previous, '{') || isPunct(previous, ',')) &&
+        (isPunct(tokens[index + 1], ':') || isPunct(tokens[index + 1], '('))) {
+      continue;
+    }
+
+    const { segments, end } = readChain(tokens, index);
+    segments.slice(1).forEach((segment) => facts.attributes.push({ name: segment, line: token.line }));
+    const name = resolve(segments);
+    const next = tokens[end];
+    // globalThis['ev' + 'al'] cannot be resolved
+    facts.names.push({ name: GLOBAL_OBJECTS.has(name) && isPunct(next, '[') ? '<dynamic>' : name, line: token.line });
+
+    // Checked by the resolved name, so `const r = require; r('m')` still loads m
+    const isRequire = name === 'require' || name.endsWith('.require');
+    const declared = tokens[index - 2];
+
+    if (isPunct(next, '(')) {
+      if (isRequire) {
+        const moduleName = readModuleArgument(tokens, end);
+        facts.modules.push({ name: moduleName, line: token.line });
+
+        // require('process').binding is process.binding
+        const member = moduleName !== '<dynamic>' && readChain(tokens, end + 2);
+        if (member && member.segments.length > 1) {
+          const memberName = [moduleName, ...member.segments.slice(1)].join('.');
+          facts.names.push({ name: memberName, line: token.line });
+          if (isPunct(tokens[member.end], '(')) facts.calls.push({ name: memberName, line: token.line });
+        }
+      } else {
+        facts.calls.push({ name, line: token.line });
+        const parts = name.split('.');
+        if (parts.length > 1 && INDIRECT_CALLS.has(parts[parts.length - 1])) {
+          facts.calls.push({ name: parts.slice(0, -1).join('.'), line: token.line });
+        }
+        const target = tokens[end + 1];
+        if (CALLING_FUNCTIONS.has(name) && target && target.type === 'name') {
+          facts.calls.push({ name: resolve(readChain(tokens, end + 1).segments), line: token.line });
+        }
+        // setTimeout('code', 0) evaluates the string
+        const argument = tokens[end + 1];
+        if (STRING_TIMERS.has(name) && argument && (argument.type === 'string' || argument.type === 'template')) {
+          facts.names.push({ name: 'eval', line: token.line });
+        }
+      }
+    } else if (previous && previous.type === 'name' && previous.value === 'new') {
+      facts.calls.push({ name, line: token.line });
+    } else if (isRequire && !(isPunct(previous, '=') && declared && declared.type === 'name')) {
+      // require handed on other than to a plain name, `[require][0]('m')`, loads what cannot be seen
+      facts.modules.push({ name: '<dynamic>', line: token.line });
+    }
+
+    // const X = <chain> / const X = require('m')<.chain> / const { a } = ...
+    if (isPunct(previous, '=') && declared) {
+      const requires = isRequire && isPunct(next, '(');
+      let target = name;
+      let after = end;
+      if (requires) {
+        target = readModuleArgument(tokens, end);
+        after = end + 3;
+        while (isPunct(tokens[after], '.') && tokens[after + 1] && tokens[after + 1].type === 'name') {
+          target += `.${tokens[after + 1].value}`;
+          after += 2;
+        }
+      }
+      const assignsValue = requires || !isPunct(tokens[after], '(');
+      if (assignsValue && target !== '<dynamic>') {
+        if (declared.type === 'name') {
+          aliases.set(declared.value, target);
+        } else if (isPunct(declared, '}')) {
+          let open = index - 2;
+          while (open > 0 && !isPunct(tokens[open], '{')) open -= 1;
+          bindPattern(open, target);
+        }
+      }
+    }
+
+    index = end - 1;
+  }
+
+  return facts;
+};
+
+module.exports = { tokenize, analyze };
@@ -0,0 +1,313 @@
+// server/services/codePolicy/python.js
+
+// The module Python keeps its builtins in, `builtins.eval` is `eval`
+const BUILTINS = 'builtins';
+
+// Functions that import the module their first argument names
+const IMPORT_FUNCTIONS = new Set(['__import__', 'importlib.import_module', 'importlib.__import__']);
+
+const NAME_START = /[A-Za-z_\u0080-￿]/;
+const NAME_PART = /[\w\u0080-￿]/;
+const STRING_PREFIX = /^(?:[rRbBuUfF]{1,2})?(?:'''|"""|'|")/;
+const NUMBER = /^(?:0[xXbBoO][\da-fA-F_]+|\d[\d_]*(?:\.[\d_]*)?(?:[eE][+-]?\d+)?[jJ]?|\.\d[\d_]*(?:[eE][+-]?\d+)?[jJ]?)/;
+
+// Resolve the escapes of a non-raw string literal
+const unescape = (text) => text.replace(/\\(?:x([\da-fA-F]{2})|u([\da-fA-F]{4})|U([\da-fA-F]{8})|([0-7]{1,3})|N\{[^}]*\}|([\s\S]))/g,
+  (match, hex, unicode, wide, octal, other) => {
+    if (hex || unicode || wide) return String.fromCodePoint(parseInt(hex || unicode || wide, 16));
+    if (octal) return String.fromCodePoint(parseInt(octal, 8));
+    if (other === undefined) return match;
+    return { n: '\n', t: '\t', r: '\r', '\n': '' }[other] ?? `\\${other}`;
+  });
+
+// Split source into names, strings, numbers, punctuators and logical newlines with their
+// line, leaving out comments. Names are NFKC-normalized like Python does, so `ｅval` is
+// `eval`. The expressions inside f-string braces are tokenized after an `fstring` token.
+// Never throws: unterminated constructs run to the end.
+const tokenize = (code, firstLine = 1) => {
+  const tokens = [];
+  let i = 0;
+  let line = firstLine;
+  let depth = 0;
+
+  const push = (type, value, tokenLine = line) => tokens.push({ type, value, line: tokenLine });
+
+  while (i < code.length) {
+    const char = code[i];
+    const rest = code.slice(i, i + 8);
+    const stringStart = NAME_START.test(char) || char === '\'' || char === '"' ? rest.match(STRING_PREFIX) : null;
+
+    if (char === '\n') {
+      if (depth === 0) push('newline', null);
+      line += 1;
+      i += 1;
+    } else if (char === '\\' && code[i + 1] === '\n') {
+      line += 1;
+      i += 2;
+    } else if (/\s/.test(char)) {
+      i += 1;
+    } else if (char === '#') {
+      while (i < code.length && code[i] !== '\n') i += 1;
+    } else if (stringStart) {
+      const prefix = stringStart[0].replace(/['"]+$/, '').toLowerCase();
+      const quote = stringStart[0].slice(prefix.length);
+      const startLine = line;
+      i += stringStart[0].length;
+
+      let text = '';
+      while (i < code.length && !code.startsWith(quote, i) && (quote.length === 3 || code[i] !== '\n')) {
+        if (code[i] === '\\') {
+          text += code.slice(i, i + 2);
+          if (code[i + 1] === '\n') line += 1;
+          i += 2;
+          continue;
+        }
+        if (code[i] === '\n') line += 1;
+        text += code[i];
+        i += 1;
+      }
+      i += quote.length;
+
+      if (prefix.includes('f')) {
+        push('fstring', null, startLine);
+        // Each {expression}, `{{` is a literal brace
+        const expressions = text.replace(/\{\{|\}\}/g, '').match(/\{[^{}]*\}/g) || [];
+        expressions.forEach((expression) => tokens.push(...tokenize(expression.slice(1, -1), startLine)
+          .filter((token) => token.type !== 'newline')));
+      } else {
+        push('string', prefix.includes('r') ? text : unescape(text), startLine);
+      }
+    } else if (NAME_START.test(char)) {
+      let name = '';
+      while (i < code.length && NAME_PART.test(code[i])) name += code[i++];
+      push('name', name.normalize('NFKC'));
+    } else if (NUMBER.test(rest)) {
+      i += code.slice(i, i + 64).match(NUMBER)[0].length;
+      push('number', null);
+    } else {
+      if ('([{'.includes(char)) depth += 1;
+      if (')]}'.includes(char)) depth = Math.max(0, depth - 1);
+      // Two-character operators that matter: == is not an assignment
+      const operator = ['==', '!=', '<=', '>=', ':=', '->', '**', '//'].find((item) => code.startsWith(item, i));
+      push('punct', operator || char);
+      i += operator ? 2 : 1;
+    }
+  }
+
+  return tokens;
+};
+
+const isPunct = (token, value) => Boolean(token) && token.type === 'punct' && token.value === value;
+const isName = (token, value) => Boolean(token) && token.type === 'name' && (value === undefined || token.value === value);
+
+// A dotted name starting at `start`: its segments and where it ends
+const readDotted = (tokens, start) => {
+  const segments = [tokens[start].value];
+  let end = start + 1;
+  while (isPunct(tokens[end], '.') && isName(tokens[end + 1])) {
+    segments.push(tokens[end + 1].value);
+    end += 2;
+  }
+  return { segments, end };
+};
+
+// The module a call like __import__('m') at `open` (its parenthesis) loads
+const readModuleArgument = (tokens, open) => {
+  const argument = tokens[open + 1];
+  const literal = argument && argument.type === 'string' &&
+    (isPunct(tokens[open + 2], ')') || isPunct(tokens[open + 2], ','));
+  return literal ? argument.value : '<dynamic>';
+};
+
+// Index of the parenthesis closing the one at `open`
+const findClose = (tokens, open) => {
+  let depth = 0;
+  for (let index = open; index < tokens.length; index++) {
+    if (isPunct(tokens[index], '(')) depth += 1;
+    if (isPunct(tokens[index], ')') && --depth === 0) return index;
+  }
+  return tokens.length;
+};
+
+// What the code imports, calls and refers to, with names resolved through its imports:
+// `from os import system as run; run('ls')` calls os.system.
+const analyze = (code) => {
+  const tokens = tokenize(code);
+  const aliases = new Map();
+  const starModules = [];
+  const facts = { modules: [], calls: [], names: [], attributes: [] };
+
+  // Resolved names for a dotted name, a bare name could also come from a star import
+  const resolve = (segments) => {
+    let resolved = aliases.has(segments[0])
+      ? [...aliases.get(segments[0]).split('.'), ...segments.slice(1)]
+      : [...segments];
+    if (resolved.length > 1 && resolved[0] === BUILTINS) resolved = resolved.slice(1);
+
+    const name = resolved.join('.');
+    return aliases.has(segments[0]) ? [name] : [name, ...starModules.map((module) => `${module}.${name}`)];
+  };
+
+  // What the first argument of a getattr at `start` is: { segments, end } for a dotted name,
+  // { module, end } for an import of a literal name, null for anything else
+  const readGetattrTarget = (start) => {
+    if (!isName(tokens[start])) return null;
+    const target = readDotted(tokens, start);
+    if (!isPunct(tokens[target.end], '(')) return target;
+
+    const imported = readImported(resolve(target.segments)[0], target.end);
+    return imported.module === '<dynamic>' ? null : imported;
+  };
+
+  // The module an import function called at `open` returns, { module, end } with `end` after
+  // the call; `<dynamic>` for a computed name or a function that does not import
+  const readImported = (importer, open) => {
+    const moduleName = IMPORT_FUNCTIONS.has(importer) ? readModuleArgument(tokens, open) : '<dynamic>';
+    // __import__('a.b') returns a, import_module('a.b') returns a.b
+    return {
+      module: importer === 'importlib.import_module' || moduleName === '<dynamic>' ? moduleName : moduleName.split('.')[0],
+      end: findClose(tokens, open) + 1
+    };
+  };
+
+  const statementStart = (index) => index === 0 || tokens[index - 1].type === 'newline' ||
+    isPunct(tokens[index - 1], ';') || isPunct(tokens[index - 1], ':');
+
+  // import a.b as c, d
+  const readImport = (index) => {
+    let cursor = index + 1;
+    while (isName(tokens[cursor])) {
+      const { segments, end } = readDotted(tokens, cursor);
+      const moduleName = segments.join('.');
+      facts.modules.push({ name: moduleName, line: tokens[index].line });
+      cursor = end;
+      if (isName(tokens[cursor], 'as') && isName(tokens[cursor + 1])) {
+        aliases.set(tokens[cursor + 1].value, moduleName);
+        cursor += 2;
+      } else {
+        aliases.set(segments[0], segments[0]);
+      }
+      if (!isPunct(tokens[cursor], ',')) break;
+      cursor += 1;
+    }
+    return cursor;
+  };
+
+  // from a.b import c as d, (e, f) / from a import *
+  const readFromImport = (index) => {
+    let cursor = index + 1;
+    let relative = false;
+    while (isPunct(tokens[cursor], '.') || isPunct(tokens[cursor], '...')) {
+      relative = true;
+      cursor += 1;
+    }
+    let moduleName = '';
+    if (isName(tokens[cursor]) && !isName(tokens[cursor], 'import')) {
+      const { segments, end } = readDotted(tokens, cursor);
+      moduleName = segments.join('.');
+      cursor = end;
+    }
+    if (!isName(tokens[cursor], 'import')) return cursor;
+    cursor += 1;
+
+    if (!relative) facts.modules.push({ name: moduleName, line: tokens[index].line });
+    if (isPunct(tokens[cursor], '*')) {
+      if (!relative) starModules.push(moduleName);
+      return cursor + 1;
+    }
+
+    if (isPunct(tokens[cursor], '(')) cursor += 1;
+    while (isName(tokens[cursor])) {
+      const imported = tokens[cursor].value;
+      let local = imported;
+      cursor += 1;
+      if (isName(tokens[cursor], 'as') && isName(tokens[cursor + 1])) {
+        local = tokens[cursor + 1].value;
+        cursor += 2;
+      }
+      if (!relative) aliases.set(local, `${moduleName}.${imported}`);
+      if (!isPunct(tokens[cursor], ',')) break;
+      cursor += 1;
+    }
+    return cursor;
+  };
+
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index];
+    const previous = tokens[index - 1];
+
+    if (isName(token, 'import') && statementStart(index)) {
+      index = readImport(index) - 1;
+      continue;
+    }
+    if (isName(token, 'from') && statementStart(index)) {
+      index = readFromImport(index) - 1;
+      continue;
+    }
+
+    if (token.type !== 'name') continue;
+
+    if (isPunct(previous, '.')) {
+      facts.attributes.push({ name: token.value, line: token.line });
+      continue;
+    }
+
+    // Definitions and keyword arguments are not references
+    if (isName(previous, 'def') || isName(previous, 'class') ||
+        (isPunct(tokens[index + 1], '=') && (isPunct(previous, '(') || isPunct(previous, ',')))) {
+      continue;
+    }
+
+    const { segments, end } = readDotted(tokens, index);
+    segments.slice(1).forEach((segment) => facts.attributes.push({ name: segment, line: token.line }));
+    let names = resolve(segments);
+    let callAt = end;
+
+    // getattr(x, 'name') is x.name, and getattr(__import__('m'), 'name') is m.name; anything
+    // else, a computed name like 'sys' + 'tem' or an object that is not a plain name, cannot
+    // be followed
+    if (names[0] === 'getattr' && isPunct(tokens[end], '(')) {
+      const target = readGetattrTarget(end + 1);
+      const attribute = target && tokens[target.end + 1];
+      if (target && isPunct(tokens[target.end], ',') && attribute && attribute.type === 'string' &&
+          isPunct(tokens[target.end + 2], ')')) {
+        names = target.module
+          ? [`${target.module}.${attribute.value}`]
+          : resolve([...target.segments, attribute.value]);
+        callAt = findClose(tokens, end) + 1;
+      } else {
+        names = ['<dynamic>'];
+      }
+    }
+
+    names.forEach((name) => facts.names.push({ name, line: token.line }));
+
+    if (isPunct(tokens[callAt], '(')) {
+      if (IMPORT_FUNCTIONS.has(names[0])) {
+        facts.modules.push({ name: readModuleArgument(tokens, callAt), line: token.line });
+
+        // __import__('sys').modules is sys.modules
+        const imported = readImported(names[0], callAt);
+        if (imported.module !== '<dynamic>' && isPunct(tokens[imported.end], '.') && isName(tokens[imported.end + 1])) {
+          const member = readDotted(tokens, imported.end + 1);
+          const memberName = [imported.module, ...member.segments].join('.');
+          facts.names.push({ name: memberName, line: token.line });
+          if (isPunct(tokens[member.end], '(')) facts.calls.push({ name: memberName, line: token.line });
+        }
+      }
+      names.forEach((name) => facts.calls.push({ name, line: token.line }));
+    }
+
+    // x = <dotted name> makes x an alias, e.g. run = os.system
+    if (isPunct(previous, '=') && isName(tokens[index - 2]) && statementStart(index - 2) &&
+        !isPunct(tokens[callAt], '(') && names[0] !== '<dynamic>') {
+      aliases.set(tokens[index - 2].value, names[0]);
+    }
+
+    index = end - 1;
+  }
+
+  return facts;
+};
+
+module.exports = { tokenize, analyze };
@@ -0,0 +1,230 @@
+// server/services/evalService.js
+const crypto = require('crypto');
+const { EvalRun } = require('../models/Evaluation');
+const User = require('../models/User');
+const aiService = require('./aiService');
+const spendService = require('./spendService');
+const solutionService = require('./solutionService');
+const judgeService = require('./judgeService');
+
+// Runs golden sets offline and scores the answers, one run (set x model x prompt version)
+// at a time in this process. Answers are scored as generated: no self-repair, no cache,
+// and nothing is saved as a problem or counted against a user's queries; only the cost is
+// added to the spend of the admin who started the run.
+class EvalService {
+  constructor() {
+    this.queue = [];
+    this.draining = false;
+  }
+
+  // Hash of the prompt text a run uses, built-in prompts hash per category
+  hashPrompt(prompt, categories) {
+    const text = prompt
+      ? `${prompt.system}\n${prompt.instructions || ''}`
+      : categories.map((category) => aiService.getSystemPrompt(category)).join('\n') + aiService.getDefaultInstructions();
+
+    return crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+  }
+
+  // Queue a run, it starts once the runs before it finish
+  // promptVersion is { template, version, systemPrompt, instructions } or null for the built-in prompts.
+  async startRun(set, aiModel, promptVersion, options = {}) {
+    const prompt = promptVersion && { system: promptVersion.systemPrompt, instructions: promptVersion.instructions };
+
+    const run = await EvalRun.create({
+      set: set._id,
+      setName: set.name,
+      aiModel,
+      prompt: {
+        template: promptVersion?.template._id,
+        name: promptVersion ? promptVersion.template.name : 'Built-in',
+        version: promptVersion?.version,
+        hash: this.hashPrompt(prompt, [...new Set(set.problems.map((problem) => problem.category))])
+      },
+      execute: options.execute !== false,
+      note: options.note,
+      createdBy: options.userId
+    });
+
+    this.queue.push({ run, set, prompt });
+    this.drain();
+    return run;
+  }
+
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const { run, set, prompt } = this.queue.shift();
+        try {
+          await this.execute(run, set, prompt);
+        } catch (error) {
+          console.error('Evaluation run error:', error);
+          run.status = 'failed';
+          run.error = error.message;
+          run.completedAt = new Date();
+          await run.save().catch(() => {});
+        }
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  // Answer and score every problem of the set, saving after each so progress shows
+  async execute(run, set, prompt) {
+    run.status = 'running';
+    run.startedAt = new Date();
+    await run.save();
+
+    // Answers are charged to the admin who started the run, so they count toward the instance cap
+    const owner = run.createdBy ? await User.findById(run.createdBy) : null;
+
+    for (const [index, problem] of set.problems.entries()) {
+      const result = await this.scoreProblem(index, problem, run, prompt);
+      if (owner && result.cost) {
+        await owner.addUsage({ monthlySpend: result.cost });
+      }
+      run.results.push(result);
+      run.summary = this.summarize(run.results);
+      await run.save();
+    }
+
+    run.status = 'completed';
+    run.completedAt = new Date();
+    await run.save();
+  }
+
+  async scoreProblem(index, problem, run, prompt) {
+    const result = { index, title: problem.title };
+
+    let aiResult;
+    try {
+      aiResult = await aiService.generateSolution({
+        title: problem.title,
+        description: problem.description,
+        category: problem.category,
+        language: problem.language,
+        difficulty: problem.difficulty
+      }, run.aiModel, { fallback: false, prompt });
+    } catch (error) {
+      return { ...result, status: 'error', error: error.message };
+    }
+
+    Object.assign(result, {
+      status: 'success',
+      aiModel: aiResult.aiModel,
+      latency: aiResult.processingTime,
+      tokenUsage: aiResult.tokenUsage,
+      cost: spendService.calculateCost(aiResult.aiModel, aiResult.tokenUsage).total
+    });
+
+    const code = aiResult.code && aiResult.code.snippet;
+    if (!run.execute || !code || !problem.language) {
+      return result;
+    }
+
+    const execution = await solutionService.runCode(code, problem.language);
+    result.code = code;
+    result.executed = true;
+    result.executionStatus = execution.status;
+    result.executionPassed = execution.status === 'Accepted' && (problem.expectedOutput === undefined ||
+      judgeService.compareOutput(execution.output, problem.expectedOutput, problem.judgeOptions));
+
+    if (problem.testCases.length > 0) {
+      const { summary } = await judgeService.runTestCases(code, problem.language, problem.testCases, problem.judgeOptions);
+      result.testsPassed = summary.passed;
+      result.testsTotal = summary.total;
+    }
+
+    return result;
+  }
+
+  summarize(results) {
+    const answered = results.filter((result) => result.status === 'success');
+    const executed = answered.filter((result) => result.executed);
+    const testsTotal = answered.reduce((sum, result) => sum + (result.testsTotal || 0), 0);
+    const testsPassed = answered.reduce((sum, result) => sum + (result.testsPassed || 0), 0);
+    const totalTokens = answered.reduce((sum, result) => sum + (result.tokenUsage?.total || 0), 0);
+    const latencies = answered.map((result) => result.latency || 0);
+
+    return {
+      problems: results.length,
+      generationErrors: results.length - answered.length,
+      executed: executed.length,
+      executionPassRate: executed.length
+        ? executed.filter((result) => result.executionPassed).length / executed.length
+        : null,
+      testsPassed,
+      testsTotal,
+      testCasePassRate: testsTotal ? testsPassed / testsTotal : null,
+      avgLatency: latencies.length ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null,
+      maxLatency: latencies.length ? Math.max(...latencies) : null,
+      totalTokens,
+      avgTokens: answered.length ? Math.round(totalTokens / answered.length) : null,
+      totalCost: spendService.round(answered.reduce((sum, result) => sum + (result.cost || 0), 0))
+    };
+  }
+
+  // Metric by metric and problem by problem differences, b minus a
+  compare(a, b) {
+    const keys = [
+      'executionPassRate', 'testCasePassRate', 'generationErrors',
+      'avgLatency', 'maxLatency', 'totalTokens', 'avgTokens', 'totalCost'
+    ];
+    const summaryA = a.summary || {};
+    const summaryB = b.summary || {};
+
+    const metrics = keys.map((key) => {
+      const valueA = summaryA[key] ?? null;
+      const valueB = summaryB[key] ?? null;
+      return {
+        key,
+        a: valueA,
+        b: valueB,
+        delta: valueA === null || valueB === null ? null : valueB - valueA
+      };
+    });
+
+    const byIndex = (run) => new Map(run.results.map((result) => [result.index, result]));
+    const resultsA = byIndex(a);
+    const resultsB = byIndex(b);
+    const indexes = [...new Set([...resultsA.keys(), ...resultsB.keys()])].sort((x, y) => x - y);
+
+    const pick = (result) => result && {
+      status: result.status,
+      executionStatus: result.executionStatus,
+      executionPassed: result.executionPassed,
+      testsPassed: result.testsPassed,
+      testsTotal: result.testsTotal,
+      latency: result.latency,
+      tokens: result.tokenUsage?.total,
+      cost: result.cost
+    };
+
+    const problems = indexes.map((index) => {
+      const resultA = resultsA.get(index);
+      const resultB = resultsB.get(index);
+      return {
+        index,
+        title: (resultA || resultB).title,
+        a: pick(resultA),
+        b: pick(resultB)
+      };
+    });
+
+    return { sameSet: a.set.toString() === b.set.toString(), metrics, problems };
+  }
+
+  // Runs a restart interrupted cannot be resumed
+  async recover() {
+    await EvalRun.updateMany(
+      { status: { $in: ['queued', 'running'] } },
+      { status: 'failed', error: 'Interrupted by a server restart', completedAt: new Date() }
+    );
+  }
+}
+
+module.exports = new EvalService();
@@ -0,0 +1,27 @@
+// server/services/executors/index.js
+const Judge0Executor = require('./judge0Executor');
+const LocalExecutor = require('./localExecutor');
+
+// Executor backends by config `backend`. A backend takes its config section and provides
+// isConfigured(), supports(language), getSupportedLanguages(), listLanguages() (the catalog
+// languages it can run right now, as [{ id, version }]) and
+// execute(code, language, input, { cpuTimeLimit, memoryLimit }), resolving to a result in
+// Judge0's terms: { status, statusId, output, error, time, memory, exitCode }. It may also
+// provide executeBatch(code, language, [{ input, limits }]) and handleCallback(secret, body).
+const backends = {
+  judge0: Judge0Executor,
+  local: LocalExecutor
+};
+
+// Build the backend a config selects
+const createExecutor = (config) => {
+  const Backend = backends[config.backend];
+
+  if (!Backend) {
+    throw new Error(`Unknown code executor backend '${config.backend}'`);
+  }
+
+  return new Backend(config[config.backend]);
+};
+
+module.exports = { backends, createExecutor };
@@ -0,0 +1,333 @@
+// server/services/executors/judge0Executor.js
+const crypto = require('crypto');
+const axios = require('axios');
+const STATUS_MAP = require('./statuses');
+const { toText } = require('./outputText');
+const languageConfig = require('../../config/languages');
+
+// Catalog languages with a Judge0 name to run them with
+const JUDGE0_LANGUAGES = languageConfig.catalog.filter((entry) => entry.judge0);
+
+// Submission fields read back from Judge0
+const FIELDS = 'token,stdout,stderr,compile_output,message,status,time,memory,exit_code';
+
+// Text fields Judge0 base64 encodes when asked to
+const ENCODED_FIELDS = ['stdout', 'stderr', 'compile_output', 'message'];
+
+// Runs code on Judge0, either the RapidAPI-hosted one or a self-hosted instance.
+// Results are polled for, or reported to the callback route when one is configured.
+class Judge0Executor {
+  constructor(config) {
+    this.name = 'judge0';
+    this.config = config;
+    this.apiUrl = config.apiUrl;
+    this.callbacks = Boolean(config.callbackUrl && config.callbackSecret);
+    // Tokens being waited for, each with the function that takes its callback result
+    this.listeners = new Map();
+    // Callbacks that beat the submit response here, or belong to another process, by token
+    this.unclaimed = new Map();
+    // Languages the instance runs, from its /languages, refreshed after languageConfig.cacheTtl
+    this.languages = null;
+    // The instance's maximum limits, from its /config_info
+    this.maxLimits = null;
+
+    if (config.callbackUrl && !config.callbackSecret) {
+      console.warn('JUDGE0_CALLBACK_URL is set without JUDGE0_CALLBACK_SECRET, polling Judge0 instead');
+    }
+  }
+
+  isConfigured() {
+    return !this.missingCredential();
+  }
+
+  // What the auth mode needs but is not set, if anything
+  missingCredential() {
+    if (this.config.authMode === 'rapidapi' && !this.config.apiKey) return 'Judge0 API key not configured';
+    if (this.config.authMode === 'token' && !this.config.authToken) return 'Judge0 auth token not configured';
+    return null;
+  }
+
+  supports(language) {
+    return JUDGE0_LANGUAGES.some((entry) => entry.id === language);
+  }
+
+  getSupportedLanguages() {
+    return JUDGE0_LANGUAGES.map((entry) => entry.id);
+  }
+
+  // Catalog languages the instance runs as [{ id, version, judge0Id }], using the newest
+  // Judge0 language whose name starts with the entry's `judge0`
+  listLanguages() {
+    const missing = this.missingCredential();
+    if (missing) {
+      return Promise.reject(new Error(missing));
+    }
+
+    if (!this.languages || Date.now() - this.languages.fetchedAt > languageConfig.cacheTtl) {
+      const fetchedAt = Date.now();
+      const list = axios.get(`${this.apiUrl}/languages`, { headers: this.headers() })
+        .then((response) => JUDGE0_LANGUAGES.flatMap((entry) => {
+          const matches = response.data.filter((language) => language.name.startsWith(entry.judge0));
+          if (matches.length === 0) return [];
+
+          const newest = matches.reduce((a, b) => (b.id > a.id ? b : a));
+          return [{ id: entry.id, version: (newest.name.match(/\(([^)]*)\)/) || [])[1] || null, judge0Id: newest.id }];
+        }));
+
+      this.languages = { list, fetchedAt };
+      // A failed fetch is tried again next time
+      list.catch(() => {
+        if (this.languages && this.languages.list === list) this.languages = null;
+      });
+    }
+
+    return this.languages.list;
+  }
+
+  // Judge0's id for a language, or an error when the instance does not run it
+  async getLanguageId(language) {
+    let languages;
+    try {
+      languages = await this.listLanguages();
+    } catch (error) {
+      throw new Error(`Failed to load Judge0 languages: ${error.message}`);
+    }
+
+    const entry = languages.find((item) => item.id === language);
+    if (!entry) {
+      throw new Error(`Language '${language}' is not available on this Judge0 instance`);
+    }
+    return entry.judge0Id;
+  }
+
+  // The most a run may ask the instance for, read once from its /config_info. The configured
+  // maximums stand in when it can't be read, and it is asked again next time.
+  getMaxLimits() {
+    if (!this.maxLimits) {
+      const fallback = this.config.maxLimits;
+      this.maxLimits = axios.get(`${this.apiUrl}/config_info`, { headers: this.headers() })
+        .then(({ data }) => ({
+          cpuTimeLimit: Number(data.max_cpu_time_limit) || fallback.cpuTimeLimit,
+          wallTimeLimit: Number(data.max_wall_time_limit) || fallback.wallTimeLimit,
+          memoryLimit: Number(data.max_memory_limit) || fallback.memoryLimit,
+          maxFileSize: Number(data.max_file_size) || fallback.maxFileSize
+        }))
+        .catch((error) => {
+          console.warn(`Could not read Judge0 /config_info, using the configured maximum limits: ${error.message}`);
+          this.maxLimits = null;
+          return fallback;
+        });
+    }
+    return this.maxLimits;
+  }
+
+  headers() {
+    if (this.config.authMode === 'rapidapi') {
+      return {
+        'X-RapidAPI-Key': this.config.apiKey,
+        'X-RapidAPI-Host': this.config.rapidApiHost || new URL(this.apiUrl).host
+      };
+    }
+    if (this.config.authMode === 'token') {
+      return { [this.config.authHeader]: this.config.authToken };
+    }
+    return {};
+  }
+
+  encode(text) {
+    return this.config.base64 ? Buffer.from(text || '').toString('base64') : text;
+  }
+
+  // Bytes of a field as Judge0 sent it
+  decode(text) {
+    return this.config.base64 ? Buffer.from(text, 'base64') : Buffer.from(text);
+  }
+
+  // Request body for one run, with its limits cut to the instance's maximums
+  // Judge0 has no output limit, max_file_size caps files the program writes and the output
+  // read back is cut to limits.maxOutput.
+  buildSubmission(code, languageId, input, limits, maxLimits) {
+    return {
+      source_code: this.encode(code),
+      language_id: languageId,
+      stdin: this.encode(input),
+      cpu_time_limit: Math.min(limits.cpuTimeLimit, maxLimits.cpuTimeLimit),
+      wall_time_limit: Math.min(limits.wallTimeLimit, maxLimits.wallTimeLimit),
+      memory_limit: Math.min(limits.memoryLimit, maxLimits.memoryLimit),
+      max_file_size: Math.min(Math.ceil(limits.maxOutput / 1024), maxLimits.maxFileSize),
+      ...(this.callbacks && {
+        callback_url: `${this.config.callbackUrl.replace(/\/$/, '')}/${this.config.callbackSecret}`
+      })
+    };
+  }
+
+  async execute(code, language, input, limits) {
+    const [result] = await this.executeBatch(code, language, [{ input, limits }]);
+
+    if (result.status === 'Execution Failed') {
+      throw new Error(result.error);
+    }
+    return result;
+  }
+
+  // Run the same code once per input through the batch submissions API
+  // A run Judge0 rejects gets an 'Execution Failed' result, the others still run.
+  async executeBatch(code, language, runs) {
+    const missing = this.missingCredential();
+    if (missing) {
+      throw new Error(missing);
+    }
+
+    try {
+      const languageId = await this.getLanguageId(language);
+      const maxLimits = await this.getMaxLimits();
+      const results = [];
+      for (let start = 0; start < runs.length; start += this.config.batchSize) {
+        const chunk = runs.slice(start, start + this.config.batchSize);
+        results.push(...await this.submitBatch(code, languageId, chunk, maxLimits));
+      }
+      return results;
+    } catch (error) {
+      console.error('Code execution error:', error);
+      throw new Error(`Code execution failed: ${error.message}`);
+    }
+  }
+
+  async submitBatch(code, languageId, runs, maxLimits) {
+    const response = await axios.post(
+      `${this.apiUrl}/submissions/batch?base64_encoded=${this.config.base64}`,
+      { submissions: runs.map((run) => this.buildSubmission(code, languageId, run.input, run.limits, maxLimits)) },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.headers()
+        }
+      }
+    );
+
+    const submitted = response.data.map((item) => item.token);
+    const raw = await this.waitForResults(submitted.filter(Boolean));
+
+    return response.data.map((item, index) => (item.token
+      ? this.formatResult(raw.get(item.token), runs[index].limits)
+      : { status: 'Execution Failed', error: `Judge0 rejected the submission: ${JSON.stringify(item)}` }));
+  }
+
+  // Final results by token, from callbacks when they are set up and by polling otherwise
+  async waitForResults(tokens) {
+    const results = new Map();
+    const deadline = Date.now() + this.config.maxWait;
+    const interval = this.callbacks ? this.config.callbackPollInterval : this.config.pollInterval;
+    let wake = () => {};
+    let lastPoll = Date.now();
+
+    for (const token of tokens) {
+      if (this.unclaimed.has(token)) {
+        results.set(token, this.unclaimed.get(token).raw);
+        this.unclaimed.delete(token);
+        continue;
+      }
+      this.listeners.set(token, (raw) => {
+        results.set(token, raw);
+        wake();
+      });
+    }
+
+    try {
+      while (results.size < tokens.length) {
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+          throw new Error(`No result from Judge0 after ${this.config.maxWait}ms`);
+        }
+
+        await new Promise((resolve) => {
+          const timer = setTimeout(resolve, Math.min(interval, remaining));
+          wake = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+
+        const pending = tokens.filter((token) => !results.has(token));
+        if (pending.length > 0 && Date.now() - lastPoll >= interval) {
+          lastPoll = Date.now();
+          for (const raw of await this.getSubmissionResults(pending)) {
+            if (raw && raw.status.id > 2) results.set(raw.token, raw);
+          }
+        }
+      }
+      return results;
+    } finally {
+      tokens.forEach((token) => this.listeners.delete(token));
+    }
+  }
+
+  // Get the current state of several submissions
+  async getSubmissionResults(tokens) {
+    try {
+      const response = await axios.get(`${this.apiUrl}/submissions/batch`, {
+        params: { tokens: tokens.join(','), base64_encoded: this.config.base64, fields: FIELDS },
+        headers: this.headers()
+      });
+
+      return response.data.submissions;
+    } catch (error) {
+      throw new Error(`Failed to get submission result: ${error.message}`);
+    }
+  }
+
+  // Hand a result Judge0 reported to the callback route to whoever is waiting for it
+  // Returns false when nobody here waits for the token yet; the result is kept for up to
+  // maxWait in case its submit response is still on the way.
+  handleCallback(secret, raw) {
+    if (!this.callbacks || !this.isCallbackSecret(secret)) {
+      const error = new Error('Invalid callback');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (!raw || !raw.token || !raw.status || raw.status.id <= 2) {
+      return false;
+    }
+
+    const listener = this.listeners.get(raw.token);
+    if (!listener) {
+      const now = Date.now();
+      for (const [token, entry] of this.unclaimed) {
+        if (now - entry.receivedAt > this.config.maxWait) this.unclaimed.delete(token);
+      }
+      this.unclaimed.set(raw.token, { raw, receivedAt: now });
+      return false;
+    }
+
+    listener(raw);
+    return true;
+  }
+
+  // Compared as digests, so neither the contents nor the length of the secret leak through timing
+  isCallbackSecret(secret) {
+    const digest = (value) => crypto.createHash('sha256').update(String(value || '')).digest();
+    return crypto.timingSafeEqual(digest(secret), digest(this.config.callbackSecret));
+  }
+
+  // Format execution result
+  formatResult(rawResult, limits) {
+    const decoded = { ...rawResult };
+    for (const field of ENCODED_FIELDS) {
+      if (rawResult[field] === null || rawResult[field] === undefined) continue;
+      decoded[field] = toText(this.decode(rawResult[field]).subarray(0, limits.maxOutput));
+    }
+
+    return {
+      status: STATUS_MAP[decoded.status.id] || 'Unknown',
+      statusId: decoded.status.id,
+      output: decoded.stdout || '',
+      error: decoded.stderr || decoded.compile_output || '',
+      time: decoded.time || '0',
+      memory: decoded.memory || '0',
+      exitCode: decoded.exit_code
+    };
+  }
+}
+
+module.exports = Judge0Executor;
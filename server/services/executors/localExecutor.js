@@ -0,0 +1,418 @@
+// server/services/executors/localExecutor.js
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { spawn, execFile } = require('child_process');
+const STATUS_MAP = require('./statuses');
+const { toText } = require('./outputText');
+
+// Address space a node program may use beyond its start-up reservation and the memory limit,
+// for thread stacks and compiled code, in KB
+const NODE_HEADROOM = 65536;
+
+// How each language is run: the file the code is written to, the command that runs it, the
+// interpreter to ask for its version and the address space limit in KB for a memory limit.
+// Node reserves far more address space at start-up than any sensible memory limit, so it is
+// measured once (`probe` prints VmPeak) and the memory limit comes on top of it; the heap
+// flag makes a growing heap fail with an out-of-memory error rather than a crash.
+const LANGUAGES = {
+  javascript: {
+    file: 'main.js',
+    command: (config, memoryMb) => [config.node, `--max-old-space-size=${memoryMb}`, 'main.js'],
+    interpreter: (config) => config.node,
+    probe: ['-e', 'process.stdout.write(/VmPeak:\\s+(\\d+)/.exec(require(\'fs\').readFileSync(\'/proc/self/status\', \'utf8\'))[1])'],
+    addressSpace: (memoryLimit, reserved) => reserved + memoryLimit + NODE_HEADROOM
+  },
+  python: {
+    file: 'main.py',
+    command: (config) => [config.python, '-I', '-B', 'main.py'],
+    interpreter: (config) => config.python,
+    addressSpace: (memoryLimit) => memoryLimit
+  }
+};
+
+// Directories of the host every sandbox sees, read-only
+const SYSTEM_DIRS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/libx32'];
+
+// Size of the sandbox's writable /work, a tmpfs the program's file is copied to
+const WORK_SIZE = '64m';
+
+// Runs as the first process of new user, mount and PID namespaces. It builds a root with
+// read-only binds of the given directories, /proc of the namespace, a few devices and a small
+// writable /work holding the run's files, makes it the root with pivot_root and detaches the
+// host's root, so there is nothing left to chroot back out to. The command runs with no
+// capabilities (an empty bounding set and no_new_privs), so it cannot mount, chroot or undo the
+// read-only binds. It is not PID 1, which would ignore signals such as SIGXFSZ, so a signal it
+// dies of comes back as exit status 128 + signal. Arguments: new root, run files, directories
+// (one per line), command.
+const SANDBOX_SCRIPT = `
+set -ef
+root=$1 files=$2 dirs=$3
+shift 3
+mount -t tmpfs -o size=1m,mode=755 sandbox "$root"
+IFS='
+'
+for dir in $dirs; do
+  [ -e "$dir" ] || continue
+  mkdir -p "$root$(dirname "$dir")"
+  if [ -L "$dir" ]; then
+    ln -s "$(readlink "$dir")" "$root$dir"
+    continue
+  fi
+  mkdir "$root$dir"
+  mount --rbind "$dir" "$root$dir"
+  mount -o remount,bind,ro "$root$dir"
+done
+mkdir -p "$root/work" "$root/proc" "$root/dev" "$root/etc" "$root/.host"
+mount -t tmpfs -o size=${WORK_SIZE},mode=777 work "$root/work"
+cp -R "$files/." "$root/work/"
+mount -t proc proc "$root/proc"
+for device in null zero random urandom; do
+  touch "$root/dev/$device"
+  mount --bind "/dev/$device" "$root/dev/$device"
+done
+if [ -e /etc/ld.so.cache ]; then
+  touch "$root/etc/ld.so.cache"
+  mount --bind /etc/ld.so.cache "$root/etc/ld.so.cache"
+fi
+cd "$root"
+pivot_root . .host
+umount -l /.host
+rmdir /.host
+mount -o remount,bind,ro /
+cd /work
+setpriv --bounding-set=-all --inh-caps=-all --no-new-privs "$@"
+`;
+
+// Judge0 status id by the signal a program died of. SIGKILL is only sent by us when the
+// output or wall-clock limit is hit, so otherwise it is the kernel enforcing the CPU limit.
+const SIGNAL_STATUSES = {
+  SIGKILL: 5,
+  SIGSEGV: 7,
+  SIGBUS: 7,
+  SIGXFSZ: 8,
+  SIGFPE: 9,
+  SIGABRT: 10,
+  SIGXCPU: 5
+};
+
+// Signal names by number, for sandboxed programs whose signal comes back as an exit status
+const SIGNAL_NAMES = Object.fromEntries(Object.entries(os.constants.signals).map(([name, number]) => [number, name]));
+
+// Runs code in child processes on this server. By default each run is sandboxed: its own
+// user, mount, PID and network namespaces, a root holding only read-only system directories
+// and a small scratch /work, no capabilities and a process limit; killing the run ends
+// everything it started.
+// Every run gets CPU, address space and file size limits through prlimit, a wall-clock
+// timeout, capped output and a bare environment.
+class LocalExecutor {
+  constructor(config) {
+    this.name = 'local';
+    this.config = config;
+    this.isolation = null;
+    this.languages = null;
+    this.reserved = {};
+    // Directories mounted into the sandbox, set by checkIsolation
+    this.dirs = SYSTEM_DIRS;
+
+    if (config.isolation === 'none') {
+      console.warn('⚠️  LOCAL_EXECUTOR_ISOLATION=none: submitted code runs as the server\'s user, with its files');
+    }
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  supports(language) {
+    return Boolean(LANGUAGES[language]);
+  }
+
+  getSupportedLanguages() {
+    return Object.keys(LANGUAGES);
+  }
+
+  // Languages whose interpreter is installed, as [{ id, version }], checked once
+  listLanguages() {
+    if (!this.languages) {
+      this.languages = Promise.all(Object.entries(LANGUAGES).map(([id, spec]) => new Promise((resolve) => {
+        execFile(spec.interpreter(this.config), ['--version'], { timeout: 5000 }, (error, stdout, stderr) => {
+          const version = `${stdout}${stderr}`.match(/\d+(\.\d+)+/);
+          resolve(error ? null : { id, version: version ? version[0] : null });
+        });
+      }))).then((languages) => languages.filter(Boolean));
+    }
+    return this.languages;
+  }
+
+  // Address space in KB the language's interpreter reserves at start-up, measured once
+  getReserved(language, spec) {
+    if (!spec.probe) return Promise.resolve(0);
+    if (!this.reserved[language]) {
+      this.reserved[language] = new Promise((resolve) => {
+        execFile(spec.interpreter(this.config), spec.probe, { timeout: 5000, env: { PATH: process.env.PATH } },
+          (error, stdout) => resolve(error ? 0 : Number(stdout) || 0));
+      });
+    }
+    return this.reserved[language];
+  }
+
+  // Sandboxed programs run as `uid` when the server runs as root, which is exempt from the
+  // process limit and owns the files a program could otherwise reach
+  getCredentials() {
+    const asRoot = this.config.isolation !== 'none' && process.getuid && process.getuid() === 0;
+    return asRoot ? { uid: this.config.uid, gid: this.config.gid } : {};
+  }
+
+  // Whether programs can be isolated as configured, checked once by running `true` the way
+  // programs are run. Resolves to the reason they cannot, or null.
+  checkIsolation() {
+    if (!this.isolation) {
+      this.isolation = this.probeIsolation().catch((error) => error.message);
+    }
+    return this.isolation;
+  }
+
+  async probeIsolation() {
+    if (this.config.isolation === 'none') {
+      if (!this.config.isolateNetwork) return null;
+      return new Promise((resolve) => {
+        execFile('unshare', ['--net', '--map-root-user', 'true'], { timeout: 5000 }, (error, stdout, stderr) => {
+          resolve(error ? `Network isolation is unavailable: ${stderr.trim() || error.message}` : null);
+        });
+      });
+    }
+
+    // Install directories of interpreters outside the system directories
+    const interpreters = await Promise.all(Object.values(LANGUAGES).map(async (spec) => {
+      const interpreter = spec.interpreter(this.config);
+      if (!path.isAbsolute(interpreter)) return null;
+      const prefix = path.dirname(path.dirname(await fs.realpath(interpreter)));
+      return SYSTEM_DIRS.some((dir) => prefix === dir || prefix.startsWith(`${dir}/`)) ? null : prefix;
+    }));
+    this.dirs = [...SYSTEM_DIRS, ...new Set(interpreters.filter(Boolean))];
+
+    const dir = await this.createRunDir('true', '');
+    try {
+      const [file, ...args] = this.sandboxCommand(dir, ['true']);
+      return await new Promise((resolve) => {
+        execFile(file, args, { timeout: 10000, env: { PATH: process.env.PATH }, ...this.getCredentials() },
+          (error, stdout, stderr) => {
+            resolve(error ? `Sandbox is unavailable: ${stderr.trim() || error.message}` : null);
+          });
+      });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  async execute(code, language, input, limits) {
+    const isolationError = await this.checkIsolation();
+    if (isolationError) {
+      return this.result(13, { error: isolationError });
+    }
+
+    const spec = LANGUAGES[language];
+    const reserved = await this.getReserved(language, spec);
+    const dir = await this.createRunDir(spec.file, code);
+
+    try {
+      return await this.run(spec, dir, input, limits, reserved);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  // A run's directory: `files` with the program and an empty `root` the sandbox is built on,
+  // owned by the user programs run as
+  async createRunDir(file, code) {
+    const dir = await fs.mkdtemp(path.join(this.config.tempDir, 'exec-'));
+    const paths = [dir, path.join(dir, 'files'), path.join(dir, 'root'), path.join(dir, 'files', file)];
+    await fs.mkdir(paths[1]);
+    await fs.mkdir(paths[2]);
+    await fs.writeFile(paths[3], code);
+
+    const { uid, gid } = this.getCredentials();
+    if (uid !== undefined) {
+      await Promise.all(paths.map((target) => fs.chown(target, uid, gid)));
+    }
+    return dir;
+  }
+
+  // The command behind unshare and the sandbox script, or the bare command with isolation off
+  sandboxCommand(dir, command) {
+    if (this.config.isolation === 'none') {
+      return this.config.isolateNetwork ? ['unshare', '--net', '--map-root-user', ...command] : command;
+    }
+
+    return [
+      'unshare', '--user', '--map-root-user', '--mount', '--pid', '--fork', '--kill-child',
+      ...(this.config.isolateNetwork ? ['--net'] : []),
+      'sh', '-c', SANDBOX_SCRIPT, 'sandbox',
+      path.join(dir, 'root'), path.join(dir, 'files'), this.dirs.join('\n'),
+      ...command
+    ];
+  }
+
+  // The program's command behind prlimit, sandboxed
+  buildCommand(spec, dir, limits, reserved) {
+    const prlimits = [
+      `--cpu=${Math.max(1, Math.ceil(limits.cpuTimeLimit))}`,
+      `--fsize=${limits.maxOutput}`,
+      `--as=${spec.addressSpace(limits.memoryLimit, reserved) * 1024}`
+    ];
+    // The process limit counts per user, so it is only safe with the sandbox's own user namespace
+    if (this.config.isolation !== 'none') {
+      prlimits.push(`--nproc=${this.config.maxProcesses}`);
+    }
+
+    const program = spec.command(this.config, Math.max(16, Math.floor(limits.memoryLimit / 1024)));
+    return this.sandboxCommand(dir, ['prlimit', ...prlimits, ...program]);
+  }
+
+  run(spec, dir, input, limits, reserved) {
+    const [file, ...args] = this.buildCommand(spec, dir, limits, reserved);
+    const wallTimeMs = limits.wallTimeLimit * 1000;
+    const started = process.hrtime.bigint();
+    const sandboxed = this.config.isolation !== 'none';
+    // The sandbox's scratch directory, or the run's own directory without it
+    const home = sandboxed ? '/work' : path.join(dir, 'files');
+
+    return new Promise((resolve) => {
+      const child = spawn(file, args, {
+        cwd: path.join(dir, 'files'),
+        env: { PATH: process.env.PATH, HOME: home, TMPDIR: home, LANG: 'C.UTF-8' },
+        // Own process group, so a timeout kills unshare and, through --kill-child, the whole
+        // PID namespace; without the sandbox it kills what stayed in the group
+        detached: true,
+        ...this.getCredentials()
+      });
+
+      // Raw chunks and their size, decoded once the program is done so characters split
+      // across chunks and bytes that are not UTF-8 survive
+      const output = { stdout: [], stderr: [] };
+      const sizes = { stdout: 0, stderr: 0 };
+      let timedOut = false;
+      let overflowed = false;
+      let peakMemory = 0;
+
+      const kill = () => {
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (error) {
+          // Already gone
+        }
+      };
+
+      const collect = (stream) => (chunk) => {
+        const room = limits.maxOutput - sizes[stream];
+        const kept = chunk.length > room ? chunk.subarray(0, Math.max(0, room)) : chunk;
+        output[stream].push(kept);
+        sizes[stream] += kept.length;
+        if (kept !== chunk) {
+          overflowed = true;
+          kill();
+        }
+      };
+
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        kill();
+      }, wallTimeMs);
+
+      // Peak resident memory, sampled while the program runs (Linux only)
+      const sampler = setInterval(async () => {
+        peakMemory = Math.max(peakMemory, await this.readPeakMemory(child.pid));
+      }, 50);
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        clearInterval(sampler);
+        resolve(this.result(13, { error: `Could not start the program: ${error.message}` }));
+      });
+
+      child.on('close', (exitCode, closeSignal) => {
+        clearTimeout(timer);
+        clearInterval(sampler);
+
+        // In the sandbox a signal the program died of comes back as exit status 128 + signal
+        const signal = closeSignal || (sandboxed && exitCode > 128 ? SIGNAL_NAMES[exitCode - 128] : null);
+        const time = (Number(process.hrtime.bigint() - started) / 1e9).toFixed(3);
+        let statusId;
+        if (overflowed) {
+          statusId = 8;
+        } else if (timedOut) {
+          statusId = 5;
+        } else if (signal) {
+          statusId = SIGNAL_STATUSES[signal] || 12;
+        } else {
+          statusId = exitCode === 0 ? 3 : 11;
+        }
+
+        const stdout = toText(Buffer.concat(output.stdout));
+        const stderr = toText(Buffer.concat(output.stderr));
+        resolve(this.result(statusId, {
+          output: stdout,
+          error: overflowed ? `${stderr}\nOutput limit of ${limits.maxOutput} bytes exceeded` : stderr,
+          time,
+          memory: String(peakMemory),
+          exitCode: signal ? null : exitCode
+        }));
+      });
+
+      child.stdin.on('error', () => {
+        // The program exited without reading all of its input
+      });
+      child.stdin.end(input || '');
+    });
+  }
+
+  // Largest VmHWM in KB of a process and its descendants, where the program runs below
+  // unshare and the sandbox shell; 0 when it cannot be read
+  async readPeakMemory(pid) {
+    try {
+      const parents = new Map();
+      const entries = (await fs.readdir('/proc')).filter((entry) => /^\d+$/.test(entry));
+      await Promise.all(entries.map(async (entry) => {
+        const stat = await fs.readFile(`/proc/${entry}/stat`, 'utf8').catch(() => '');
+        // Fields after the command name, which may contain spaces: state, ppid, ...
+        const ppid = Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]);
+        if (!parents.has(ppid)) parents.set(ppid, []);
+        parents.get(ppid).push(Number(entry));
+      }));
+
+      const tree = [pid];
+      for (let index = 0; index < tree.length; index++) {
+        tree.push(...(parents.get(tree[index]) || []));
+      }
+
+      const peaks = await Promise.all(tree.map(async (member) => {
+        const status = await fs.readFile(`/proc/${member}/status`, 'utf8').catch(() => '');
+        const match = /^VmHWM:\s+(\d+)/m.exec(status);
+        return match ? Number(match[1]) : 0;
+      }));
+      return Math.max(0, ...peaks);
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  // A result shaped like a Judge0 one
+  result(statusId, fields = {}) {
+    return {
+      status: STATUS_MAP[statusId],
+      statusId,
+      output: '',
+      error: '',
+      time: '0',
+      memory: '0',
+      exitCode: null,
+      ...fields
+    };
+  }
+}
+
+module.exports = LocalExecutor;
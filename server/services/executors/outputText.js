@@ -0,0 +1,14 @@
+// server/services/executors/outputText.js
+
+// Program output as text without losing bytes: UTF-8 when it is valid UTF-8, otherwise latin1,
+// which maps every byte to the character with that code. A character cut in two at the end,
+// e.g. by the output limit, is dropped.
+const toText = (bytes) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+  } catch (error) {
+    return Buffer.from(bytes).toString('latin1');
+  }
+};
+
+module.exports = { toText };
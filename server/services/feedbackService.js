@@ -0,0 +1,157 @@
+// server/services/feedbackService.js
+const mongoose = require('mongoose');
+const { Solution } = require('../models/Problem');
+const PromptTemplate = require('../models/PromptTemplate');
+
+// Ratings at or below this count as low
+const LOW_RATING = 2;
+
+// Breakdown dimensions and the solution field (after the problem lookup) they group by
+const DIMENSIONS = {
+  model: '$aiModel',
+  category: '$problemDoc.category',
+  difficulty: '$problemDoc.difficulty',
+  prompt: { template: '$prompt.template', version: '$prompt.version' }
+};
+
+class FeedbackService {
+  // Solutions with any feedback, joined with their problem, optionally only feedback given since a date
+  baseStages(since) {
+    const match = {
+      $or: [
+        { 'feedback.rating': { $ne: null } },
+        { 'feedback.issues.0': { $exists: true } }
+      ]
+    };
+    if (since) {
+      match['feedback.updatedAt'] = { $gte: since };
+    }
+
+    return [
+      { $match: match },
+      { $lookup: { from: 'problems', localField: 'problem', foreignField: '_id', as: 'problemDoc' } },
+      { $unwind: '$problemDoc' }
+    ];
+  }
+
+  groupBy(key) {
+    return [
+      {
+        $group: {
+          _id: key,
+          feedback: { $sum: 1 },
+          rated: { $sum: { $cond: [{ $gt: ['$feedback.rating', 0] }, 1, 0] } },
+          avgRating: { $avg: '$feedback.rating' },
+          lowRated: {
+            $sum: { $cond: [{ $and: [{ $gt: ['$feedback.rating', 0] }, { $lte: ['$feedback.rating', LOW_RATING] }] }, 1, 0] }
+          },
+          flagged: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$feedback.issues', []] } }, 0] }, 1, 0] } }
+        }
+      },
+      { $sort: { avgRating: 1, feedback: -1 } }
+    ];
+  }
+
+  // Average rating and issue counts overall and by model, category, difficulty and prompt version
+  async getAnalytics(since) {
+    const [result] = await Solution.aggregate([
+      ...this.baseStages(since),
+      {
+        $facet: {
+          overall: this.groupBy(null),
+          ...Object.fromEntries(Object.entries(DIMENSIONS).map(([name, key]) => [name, this.groupBy(key)])),
+          issues: [
+            { $unwind: '$feedback.issues' },
+            { $group: { _id: '$feedback.issues', count: { $sum: 1 } } },
+            { $sort: { count: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    const row = ({ _id, ...stats }) => ({ ...stats, avgRating: stats.avgRating ?? null });
+    const templateIds = result.prompt.map((entry) => entry._id.template).filter(Boolean);
+    const templates = await PromptTemplate.find({ _id: { $in: templateIds } }).select('name variant');
+    const names = new Map(templates.map((template) => [template._id.toString(), `${template.name} (${template.variant})`]));
+
+    return {
+      lowRating: LOW_RATING,
+      overall: result.overall[0] ? row(result.overall[0]) : { feedback: 0, rated: 0, avgRating: null, lowRated: 0, flagged: 0 },
+      issues: result.issues.map(({ _id, count }) => ({ issue: _id, count })),
+      byModel: result.model.map((entry) => ({ aiModel: entry._id, ...row(entry) })),
+      byCategory: result.category.map((entry) => ({ category: entry._id, ...row(entry) })),
+      byDifficulty: result.difficulty.map((entry) => ({ difficulty: entry._id, ...row(entry) })),
+      byPrompt: result.prompt.map((entry) => ({
+        template: entry._id.template || null,
+        version: entry._id.version ?? null,
+        name: entry._id.template ? names.get(entry._id.template.toString()) || 'Deleted template' : 'Built-in',
+        ...row(entry)
+      }))
+    };
+  }
+
+  // Solutions behind a breakdown row, lowest rated first
+  // filters: aiModel, category, difficulty, template ('builtin' for none), version,
+  // maxRating (default LOW_RATING, 5 for every rated one) and issue.
+  async getSolutions(filters = {}, page = 1, limit = 20) {
+    const match = {};
+    if (filters.aiModel) match.aiModel = filters.aiModel;
+    if (filters.category) match['problemDoc.category'] = filters.category;
+    if (filters.difficulty) match['problemDoc.difficulty'] = filters.difficulty;
+    if (filters.template === 'builtin') {
+      match['prompt.template'] = null;
+    } else if (filters.template) {
+      match['prompt.template'] = new mongoose.Types.ObjectId(filters.template);
+      if (filters.version) match['prompt.version'] = Number(filters.version);
+    }
+    if (filters.issue) {
+      match['feedback.issues'] = filters.issue;
+    } else {
+      match['feedback.rating'] = { $lte: Number(filters.maxRating) || LOW_RATING };
+    }
+
+    const [result] = await Solution.aggregate([
+      ...this.baseStages(),
+      { $match: match },
+      { $sort: { 'feedback.rating': 1, 'feedback.updatedAt': -1 } },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          solutions: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $project: {
+                version: 1,
+                aiModel: 1,
+                prompt: 1,
+                feedback: 1,
+                executionResult: { status: 1 },
+                createdAt: 1,
+                problem: {
+                  _id: '$problemDoc._id',
+                  title: '$problemDoc.title',
+                  category: '$problemDoc.category',
+                  difficulty: '$problemDoc.difficulty'
+                }
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    const total = result.total[0] ? result.total[0].count : 0;
+    return {
+      solutions: result.solutions,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        limit
+      }
+    };
+  }
+}
+
+module.exports = new FeedbackService();
@@ -0,0 +1,287 @@
+// server/services/importService.js
+const { Problem } = require('../models/Problem');
+const providerRegistry = require('./providers');
+const judgeService = require('./judgeService');
+const cacheService = require('./cacheService');
+
+// Problem fields an imported item may set
+const FIELDS = ['title', 'description', 'category', 'language', 'difficulty', 'tags', 'aiModel', 'testCases', 'judgeOptions'];
+
+// Parses bulk uploads (CSV, JSON, markdown with front-matter) into problem fields
+// and validates each item on its own, so one bad row does not reject the whole upload.
+class ImportService {
+  // Items of an upload as [{ row, source, fields }]
+  // csv and json read `content`, markdown reads `files` ([{ name, content }]).
+  parse(format, { content, files } = {}) {
+    switch (format) {
+      case 'csv':
+        return this.parseCsv(content || '');
+      case 'json':
+        return this.parseJson(content || '');
+      case 'markdown':
+        return (files || []).map((file, index) => ({
+          row: index + 1,
+          source: file.name,
+          fields: this.parseMarkdown(file.content || '', file.name)
+        }));
+      default:
+        throw new Error(`Unsupported import format '${format}'`);
+    }
+  }
+
+  // RFC 4180 records: quoted fields may hold commas, newlines and doubled quotes
+  splitCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let startLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        record.push(field);
+        records.push({ line: startLine, values: record });
+        record = [];
+        field = '';
+        line++;
+        startLine = line;
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || record.length > 0) {
+      record.push(field);
+      records.push({ line: startLine, values: record });
+    }
+
+    // Blank lines are not records
+    return records.filter(({ values }) => values.some((value) => value.trim() !== ''));
+  }
+
+  // The header row names the columns; tags are separated by semicolons and
+  // testCases / judgeOptions hold JSON
+  parseCsv(content) {
+    const [header, ...records] = this.splitCsv(content.replace(/^\uFEFF/, ''));
+    if (!header) return [];
+
+    const columns = header.values.map((name) => name.trim());
+
+    return records.map(({ line, values }, index) => {
+      const raw = {};
+      columns.forEach((column, position) => {
+        if (values[position] !== undefined && values[position].trim() !== '') {
+          raw[column] = values[position];
+        }
+      });
+
+      return {
+        row: index + 1,
+        source: `line ${line}`,
+        fields: {
+          ...raw,
+          tags: raw.tags && raw.tags.split(';'),
+          testCases: this.parseJsonValue(raw.testCases, 'testCases'),
+          judgeOptions: this.parseJsonValue(raw.judgeOptions, 'judgeOptions')
+        }
+      };
+    });
+  }
+
+  // An array of problems, or { problems: [...] }
+  parseJson(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const items = Array.isArray(data) ? data : data && data.problems;
+    if (!Array.isArray(items)) {
+      throw new Error('JSON imports must be an array of problems or an object with a `problems` array');
+    }
+
+    return items.map((item, index) => ({
+      row: index + 1,
+      source: `item ${index + 1}`,
+      fields: item && typeof item === 'object' ? item : {}
+    }));
+  }
+
+  // Front-matter between --- lines sets the fields and the body is the description.
+  // Without a title the first `# heading` of the body is used, then the file name.
+  parseMarkdown(content, filename = '') {
+    const match = content.replace(/^\uFEFF/, '').match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+    const fields = match ? this.parseFrontMatter(match[1]) : {};
+    let body = (match ? match[2] : content).trim();
+
+    if (!fields.title) {
+      const heading = body.match(/^#\s+(.+)$/m);
+      if (heading) {
+        fields.title = heading[1].trim();
+        body = body.replace(heading[0], '').trim();
+      } else {
+        fields.title = filename.replace(/^.*\//, '').replace(/\.(md|markdown)$/i, '');
+      }
+    }
+
+    return { ...fields, description: fields.description || body };
+  }
+
+  // The YAML subset front-matter needs: `key: value`, inline [a, b] lists, JSON values
+  // and `- item` lists under an empty key
+  parseFrontMatter(text) {
+    const fields = {};
+    let listKey = null;
+
+    text.split(/\r?\n/).forEach((line) => {
+      const item = line.match(/^\s+-\s*(.*)$/);
+      if (item && listKey) {
+        fields[listKey].push(this.unquote(item[1]));
+        return;
+      }
+
+      const pair = line.match(/^([A-Za-z][\w-]*)\s*:\s*(.*)$/);
+      if (!pair) return;
+
+      const [, key, value] = pair;
+      listKey = null;
+
+      if (value === '') {
+        fields[key] = [];
+        listKey = key;
+      } else if (/^[[{]/.test(value)) {
+        try {
+          fields[key] = JSON.parse(value);
+        } catch (error) {
+          fields[key] = value.replace(/^\[|\]$/g, '').split(',').map((part) => this.unquote(part)).filter(Boolean);
+        }
+      } else {
+        fields[key] = this.unquote(value);
+      }
+    });
+
+    // An empty key with no items is just empty
+    Object.keys(fields).forEach((key) => {
+      if (Array.isArray(fields[key]) && fields[key].length === 0 && key !== 'tags') {
+        delete fields[key];
+      }
+    });
+
+    return fields;
+  }
+
+  unquote(value) {
+    const trimmed = value.trim();
+    return /^(["']).*\1$/.test(trimmed) ? trimmed.slice(1, -1) : trimmed;
+  }
+
+  // A JSON cell, or an error marker the validation reports
+  parseJsonValue(value, name) {
+    if (value === undefined) return undefined;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return { invalidJson: name };
+    }
+  }
+
+  // Problem fields of an item with strings cleaned up, unknown keys dropped
+  normalize(fields) {
+    const normalized = {};
+    FIELDS.forEach((key) => {
+      if (fields[key] !== undefined && fields[key] !== null) {
+        normalized[key] = fields[key];
+      }
+    });
+
+    ['title', 'description', 'category', 'language', 'difficulty', 'aiModel'].forEach((key) => {
+      if (normalized[key] !== undefined) normalized[key] = String(normalized[key]).trim();
+    });
+    ['category', 'language', 'difficulty'].forEach((key) => {
+      if (normalized[key]) normalized[key] = normalized[key].toLowerCase();
+    });
+    if (typeof normalized.tags === 'string') normalized.tags = normalized.tags.split(/[;,]/);
+    if (Array.isArray(normalized.tags)) {
+      normalized.tags = normalized.tags.map((tag) => String(tag).trim()).filter(Boolean);
+    }
+
+    return normalized;
+  }
+
+  // Why an item cannot become a problem: the Problem schema's own validation plus the
+  // checks POST /api/problems makes. Returns the fields to create it with and the issues.
+  validate(item, userId) {
+    const fields = this.normalize(item.fields);
+    const issues = [];
+
+    ['testCases', 'judgeOptions'].forEach((key) => {
+      if (fields[key] && fields[key].invalidJson) {
+        issues.push(`${key} is not valid JSON`);
+        delete fields[key];
+      }
+    });
+
+    if (fields.aiModel && !providerRegistry.isAvailable(fields.aiModel)) {
+      issues.push(`AI model '${fields.aiModel}' is not available`);
+    }
+
+    if (fields.tags !== undefined && !Array.isArray(fields.tags)) {
+      issues.push('Tags must be a list');
+      delete fields.tags;
+    }
+
+    const testCaseError = judgeService.validateTestCases(fields.testCases, fields.judgeOptions);
+    if (testCaseError) {
+      issues.push(testCaseError);
+    }
+
+    const doc = {
+      user: userId,
+      title: fields.title,
+      description: fields.description,
+      category: fields.category,
+      language: fields.language || undefined,
+      difficulty: fields.difficulty || 'medium',
+      tags: fields.tags || [],
+      aiModel: fields.aiModel || undefined,
+      testCases: testCaseError ? [] : judgeService.toTestCases(fields.testCases),
+      judgeOptions: judgeService.toJudgeOptions(fields.judgeOptions || {}),
+      cacheKey: cacheService.getCacheKey(fields),
+      status: 'pending'
+    };
+
+    const validationError = new Problem(doc).validateSync();
+    if (validationError) {
+      Object.values(validationError.errors).forEach((error) => {
+        issues.push(error.kind === 'enum'
+          ? `Invalid ${error.path} '${error.value}'`
+          : error.message);
+      });
+    }
+
+    return { doc, issues };
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,304 @@
+// server/services/jobQueue.js
+const os = require('os');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { Problem } = require('../models/Problem');
+const solutionService = require('./solutionService');
+const streamHub = require('./streamHub');
+const config = require('../config/jobQueue');
+
+// Durable queue of solution generations, persisted in MongoDB so a restart loses nothing.
+// Every server process runs up to `concurrency` jobs, claiming them atomically.
+class JobQueue {
+  constructor() {
+    this.concurrency = config.concurrency;
+    this.maxAttempts = config.maxAttempts;
+    this.retryDelay = config.retryDelay;
+    this.pollInterval = config.pollInterval;
+    this.staleAfter = config.staleAfter;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.active = new Set();
+    // Abort controllers of the jobs this process is running, by job id
+    this.controllers = new Map();
+    this.filling = false;
+    this.timers = [];
+  }
+
+  // Queue a generation for a problem, the problem stays pending until a worker picks it up
+  // type 'solve' takes payload { aiModel, temperature, instructions }, 'compare' { models }.
+  async enqueue(type, problem, userId, payload = {}) {
+    const job = await Job.create({
+      type,
+      problem: problem._id,
+      user: userId,
+      payload,
+      queries: type === 'compare' ? payload.models.length : 1,
+      maxAttempts: this.maxAttempts
+    });
+
+    problem.status = 'pending';
+    await problem.save();
+
+    // Subscribers can wait on the stream while the job is queued
+    streamHub.open(problem._id);
+    streamHub.status(problem._id, { status: 'pending' });
+
+    this.fill();
+    return job;
+  }
+
+  // Recover jobs lost in a restart, then start polling
+  async start() {
+    await this.recover();
+
+    this.timers.push(setInterval(() => {
+      this.fill();
+      this.abortCancelled().catch((error) => console.error('Job queue cancel poll error:', error));
+    }, this.pollInterval));
+    this.timers.push(setInterval(() => {
+      this.requeueStale().catch((error) => console.error('Job queue sweep error:', error));
+    }, Math.max(this.staleAfter / 2, this.pollInterval)));
+
+    this.fill();
+    console.log(`🧵 Job queue started (${this.workerId}, concurrency ${this.concurrency})`);
+  }
+
+  stop() {
+    this.timers.forEach((timer) => clearInterval(timer));
+    this.timers = [];
+  }
+
+  // Claim queued jobs until every worker slot is busy
+  async fill() {
+    if (this.filling) return;
+    this.filling = true;
+
+    try {
+      while (this.active.size < this.concurrency) {
+        const job = await this.claim();
+        if (!job) break;
+
+        this.active.add(String(job._id));
+        this.run(job)
+          .catch((error) => console.error('Job run error:', error))
+          .finally(() => {
+            this.active.delete(String(job._id));
+            this.fill();
+          });
+      }
+    } catch (error) {
+      console.error('Job queue poll error:', error);
+    } finally {
+      this.filling = false;
+    }
+  }
+
+  // Atomically take the oldest due job, so two workers never run the same one
+  claim() {
+    return Job.findOneAndUpdate(
+      { status: 'queued', runAt: { $lte: new Date() } },
+      {
+        status: 'running',
+        lockedBy: this.workerId,
+        lockedAt: new Date(),
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  // Generate the solution(s) for a claimed job
+  async run(job) {
+    const [problem, user] = await Promise.all([
+      Problem.findById(job.problem),
+      User.findById(job.user)
+    ]);
+
+    if (!problem || !user) {
+      await this.settle(job, { status: 'failed', lastError: 'The problem or its user no longer exists' });
+      return;
+    }
+
+    // The user's usage may have grown since the job was queued
+    if (user.remainingQueries() < job.queries) {
+      await this.fail(job, new Error(`Monthly query limit (${user.subscription.queryLimit}) reached`));
+      return;
+    }
+
+    problem.status = 'processing';
+    await problem.save();
+    streamHub.status(problem._id, { status: 'processing', attempt: job.attempts, maxAttempts: job.maxAttempts });
+
+    const controller = new AbortController();
+    this.controllers.set(String(job._id), controller);
+    const options = { stream: true, lastAttempt: job.attempts >= job.maxAttempts, signal: controller.signal };
+
+    try {
+      if (job.type === 'compare') {
+        await solutionService.compareModels(problem, user, job.payload.models, options);
+      } else {
+        await solutionService.solveProblem(problem, user, { ...job.payload, ...options });
+      }
+
+      await this.settle(job, { status: 'completed', completedAt: new Date() });
+    } catch (error) {
+      if (error.cancelled) {
+        // solutionService already settled the problem and the stream
+        await Job.updateOne({ _id: job._id }, {
+          status: 'cancelled', completedAt: new Date(), $unset: { lockedBy: 1, lockedAt: 1 }
+        });
+        return;
+      }
+      await this.retryOrFail(job, error);
+    } finally {
+      this.controllers.delete(String(job._id));
+    }
+  }
+
+  // Cancel the problem's queued or running generation, returns the cancelled job or null.
+  // A queued job is settled here; a running one is aborted by the process running it.
+  async cancel(problem) {
+    const job = await Job.findOneAndUpdate(
+      { problem: problem._id, status: { $in: ['queued', 'running'] } },
+      { status: 'cancelled', completedAt: new Date() },
+      { new: false }
+    );
+    if (!job) return null;
+
+    if (job.status === 'queued') {
+      await solutionService.settleCancelled(problem, streamHub.isOpen(problem._id));
+    } else {
+      this.abort(job._id);
+    }
+
+    return job;
+  }
+
+  abort(jobId) {
+    const controller = this.controllers.get(String(jobId));
+    if (controller && !controller.signal.aborted) {
+      controller.abort();
+    }
+  }
+
+  // Abort local jobs that were cancelled through another server process
+  async abortCancelled() {
+    if (this.controllers.size === 0) return;
+
+    const cancelled = await Job.find({
+      _id: { $in: Array.from(this.controllers.keys()) },
+      status: 'cancelled'
+    }).select('_id');
+
+    cancelled.forEach((job) => this.abort(job._id));
+  }
+
+  // Finish a running job unless it was cancelled or another worker took it over meanwhile,
+  // so a concurrent cancel is never overwritten. Resolves to whether the job was updated.
+  async settle(job, update) {
+    const { matchedCount } = await Job.updateOne(
+      { _id: job._id, status: 'running', attempts: job.attempts },
+      { $set: update, $unset: { lockedBy: 1, lockedAt: 1 } }
+    );
+    return matchedCount > 0;
+  }
+
+  // Queue a failed job again with exponential backoff, or give up after maxAttempts
+  async retryOrFail(job, error) {
+    if (job.attempts < job.maxAttempts) {
+      const runAt = new Date(Date.now() + this.retryDelay * 2 ** Math.max(job.attempts - 1, 0));
+      if (!await this.settle(job, { status: 'queued', runAt, lastError: error.message })) return;
+
+      await Problem.updateOne({ _id: job.problem }, { status: 'pending' });
+      if (!streamHub.isOpen(job.problem)) {
+        streamHub.open(job.problem);
+      }
+      streamHub.status(job.problem, { status: 'pending', retryAt: runAt, error: error.message });
+      return;
+    }
+
+    await this.fail(job, error);
+  }
+
+  // Give up on a job, settling its problem unless the job was cancelled meanwhile
+  async fail(job, error) {
+    if (!await this.settle(job, { status: 'failed', lastError: error.message })) return;
+
+    // solutionService already settled the problem, except for jobs lost with their worker
+    const problem = await Problem.findById(job.problem);
+    if (problem && ['pending', 'processing'].includes(problem.status)) {
+      problem.status = problem.solution ? 'solved' : 'failed';
+      problem.generationError = { message: error.message, attempts: [] };
+      await problem.save();
+    }
+
+    if (streamHub.isOpen(job.problem)) {
+      streamHub.fail(job.problem, 'Failed to generate solution');
+    }
+  }
+
+  // Running jobs that were not finished in time, skipping the ones this process is still running
+  async requeueStale() {
+    const jobs = await Job.find({
+      status: 'running',
+      lockedAt: { $lt: new Date(Date.now() - this.staleAfter) }
+    });
+
+    for (const job of jobs.filter((stale) => !this.active.has(String(stale._id)))) {
+      await this.retryOrFail(job, new Error('The job did not finish in time'));
+    }
+  }
+
+  // On startup: queue again the jobs an earlier process on this host was running, and settle
+  // problems left pending or processing without any job (e.g. generated before the queue existed)
+  async recover() {
+    const running = await Job.find({ status: 'running' });
+    const host = os.hostname();
+    const lost = running.filter((job) => job.lockedBy &&
+      job.lockedBy.split(':')[0] === host &&
+      job.lockedBy !== this.workerId);
+
+    for (const job of lost) {
+      await this.retryOrFail(job, new Error('The server restarted while the job was running'));
+    }
+    await this.requeueStale();
+
+    const queued = await Job.find({ status: 'queued' }).select('problem');
+    queued.forEach((job) => {
+      if (!streamHub.isOpen(job.problem)) {
+        streamHub.open(job.problem);
+      }
+    });
+
+    const withJobs = await Job.distinct('problem', { status: { $in: ['queued', 'running'] } });
+    const interrupted = {
+      status: { $in: ['pending', 'processing'] },
+      _id: { $nin: withJobs }
+    };
+    const generationError = { message: 'Generation was interrupted by a server restart', attempts: [] };
+
+    await Problem.updateMany({ ...interrupted, solution: { $exists: true } }, { status: 'solved', generationError });
+    await Problem.updateMany({ ...interrupted, solution: { $exists: false } }, { status: 'failed', generationError });
+
+    if (lost.length > 0) {
+      console.log(`🧵 Recovered ${lost.length} interrupted job(s)`);
+    }
+  }
+
+  // Job counts by status, for the admin dashboard
+  async getStats() {
+    const counts = await Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+    const byStatus = Object.fromEntries(counts.map((entry) => [entry._id, entry.count]));
+
+    return {
+      queued: byStatus.queued || 0,
+      running: byStatus.running || 0,
+      completed: byStatus.completed || 0,
+      failed: byStatus.failed || 0,
+      cancelled: byStatus.cancelled || 0,
+      concurrency: this.concurrency
+    };
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,151 @@
+// server/services/judgeService.js
+const codeExecutor = require('./codeExecutor');
+const policyService = require('./policyService');
+const config = require('../config/testCases');
+
+class JudgeService {
+  // Fill in judge options the problem leaves unset
+  getOptions(judgeOptions = {}) {
+    return {
+      ignoreWhitespace: judgeOptions.ignoreWhitespace ?? config.ignoreWhitespace,
+      floatTolerance: judgeOptions.floatTolerance ?? config.floatTolerance
+    };
+  }
+
+  // Two output tokens match when equal, or when both are numbers within the tolerance
+  // The tolerance is absolute below 1 and relative to the expected value above it.
+  tokensMatch(actual, expected, floatTolerance) {
+    if (actual === expected) return true;
+    if (!floatTolerance) return false;
+
+    const a = Number(actual);
+    const b = Number(expected);
+    if (actual === '' || expected === '' || !Number.isFinite(a) || !Number.isFinite(b)) return false;
+
+    return Math.abs(a - b) <= floatTolerance * Math.max(1, Math.abs(b));
+  }
+
+  // Compare program output with the expected output
+  // With ignoreWhitespace any run of whitespace separates tokens, otherwise lines and
+  // spaces must line up and only trailing newlines and carriage returns are ignored.
+  compareOutput(actual, expected, judgeOptions = {}) {
+    const { ignoreWhitespace, floatTolerance } = this.getOptions(judgeOptions);
+
+    const rows = (text) => {
+      const normalized = (text || '').replace(/\r\n/g, '\n');
+      return ignoreWhitespace
+        ? [normalized.trim().split(/\s+/)]
+        : normalized.replace(/\n+$/, '').split('\n').map((line) => line.split(' '));
+    };
+
+    const actualRows = rows(actual);
+    const expectedRows = rows(expected);
+    if (actualRows.length !== expectedRows.length) return false;
+
+    return expectedRows.every((tokens, row) => tokens.length === actualRows[row].length &&
+      tokens.every((token, index) => this.tokensMatch(actualRows[row][index], token, floatTolerance)));
+  }
+
+  // Why submitted test cases or judge options are invalid, null when they are fine
+  validateTestCases(testCases, judgeOptions) {
+    if (testCases !== undefined) {
+      if (!Array.isArray(testCases) || testCases.length > config.maxCases) {
+        return `Please provide at most ${config.maxCases} test cases`;
+      }
+
+      const invalid = testCases.findIndex((testCase) => !testCase ||
+        typeof testCase.expectedOutput !== 'string' ||
+        (testCase.input !== undefined && typeof testCase.input !== 'string') ||
+        (testCase.timeLimit !== undefined && testCase.timeLimit !== null &&
+          !(Number(testCase.timeLimit) > 0 && Number(testCase.timeLimit) <= config.maxTimeLimit)));
+
+      if (invalid !== -1) {
+        return `Test case ${invalid + 1} needs an expected output and a time limit of at most ${config.maxTimeLimit}s`;
+      }
+    }
+
+    if (judgeOptions && judgeOptions.floatTolerance !== undefined && !(Number(judgeOptions.floatTolerance) >= 0)) {
+      return 'Float tolerance must be a non-negative number';
+    }
+
+    return null;
+  }
+
+  // Keep only the fields a test case stores
+  toTestCases(testCases = []) {
+    return testCases.map((testCase) => ({
+      input: testCase.input || '',
+      expectedOutput: testCase.expectedOutput,
+      timeLimit: testCase.timeLimit ? Number(testCase.timeLimit) : undefined
+    }));
+  }
+
+  toJudgeOptions(judgeOptions = {}) {
+    return {
+      ignoreWhitespace: typeof judgeOptions.ignoreWhitespace === 'boolean' ? judgeOptions.ignoreWhitespace : undefined,
+      floatTolerance: judgeOptions.floatTolerance !== undefined ? Number(judgeOptions.floatTolerance) : undefined
+    };
+  }
+
+  // A case's CPU time limit: its own, else the problem's, else the default, at most what
+  // the instance allows
+  getTimeLimit(testCase, executionLimits) {
+    const requested = testCase.timeLimit || (executionLimits && executionLimits.cpuTimeLimit) || config.defaultTimeLimit;
+    return Math.min(requested, config.maxTimeLimit);
+  }
+
+  // Run code against every test case, as one batch where the executor supports it
+  // A case is 'Accepted' when the program runs cleanly and its output matches,
+  // 'Wrong Answer' when it runs but differs, and the execution status otherwise.
+  // With limits.plan each run gets the problem's limits.executionLimits up to that plan's ceiling.
+  async runTestCases(code, language, testCases, judgeOptions = {}, limits = {}) {
+    const { plan, executionLimits } = limits;
+    const limitsFor = (testCase) => {
+      const requested = { cpuTimeLimit: this.getTimeLimit(testCase, executionLimits) };
+      return plan ? codeExecutor.resolveLimits(plan, executionLimits, requested) : requested;
+    };
+
+    // The code was recorded in the policy audit when it ran, so this only checks it
+    const policy = await policyService.check(code, language);
+
+    let executions;
+    if (policy.outcome === 'blocked') {
+      executions = testCases.map(() => policyService.toResult(policy));
+    } else {
+      try {
+        executions = await codeExecutor.executeBatch(code, language, testCases.map((testCase) => ({
+          input: testCase.input || '',
+          limits: limitsFor(testCase)
+        })));
+      } catch (execError) {
+        executions = testCases.map(() => ({ status: 'Execution Failed', error: execError.message }));
+      }
+    }
+
+    const results = testCases.map((testCase, index) => {
+      const execution = executions[index];
+      const ran = execution.status === 'Accepted';
+      const passed = ran && this.compareOutput(execution.output, testCase.expectedOutput, judgeOptions);
+
+      return {
+        caseIndex: index,
+        verdict: passed ? 'Accepted' : ran ? 'Wrong Answer' : execution.status,
+        passed,
+        output: execution.output,
+        error: execution.error,
+        time: execution.time,
+        memory: execution.memory
+      };
+    });
+
+    return {
+      results,
+      summary: {
+        passed: results.filter((result) => result.passed).length,
+        total: results.length
+      }
+    };
+  }
+}
+
+module.exports = new JudgeService();
@@ -0,0 +1,30 @@
+// server/services/languageService.js
+const languageConfig = require('../config/languages');
+const codeExecutor = require('./codeExecutor');
+
+class LanguageService {
+  // The language catalog with what the executor reports for each language:
+  // [{ id, name, version, executable, highlight }]. When the executor cannot be asked
+  // (not configured, unreachable) every language is listed as not executable.
+  async list() {
+    let available = [];
+    try {
+      available = await codeExecutor.listLanguages();
+    } catch (error) {
+      console.error('List executor languages error:', error.message);
+    }
+
+    return languageConfig.catalog.map((entry) => {
+      const match = available.find((language) => language.id === entry.id);
+      return {
+        id: entry.id,
+        name: entry.name,
+        version: match ? match.version : null,
+        executable: Boolean(match),
+        highlight: entry.highlight
+      };
+    });
+  }
+}
+
+module.exports = new LanguageService();
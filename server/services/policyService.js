@@ -0,0 +1,169 @@
+// server/services/policyService.js
+const CodePolicy = require('../models/CodePolicy');
+const PolicyAudit = require('../models/PolicyAudit');
+const config = require('../config/codePolicies');
+const languageConfig = require('../config/languages');
+const engine = require('./codePolicy');
+
+// Execution status of code the policy stopped
+const BLOCKED_STATUS = 'Blocked by Policy';
+
+const MODES = ['block', 'warn', 'off'];
+
+class PolicyService {
+  constructor() {
+    this.blockedStatus = BLOCKED_STATUS;
+  }
+
+  // The policy in force for a language: the admin's when there is one, else the built-in rules
+  async getPolicy(language) {
+    const name = (language || '').toLowerCase();
+    const custom = await CodePolicy.findOne({ language: name }).lean();
+
+    if (custom) {
+      return { language: name, mode: custom.mode, rules: custom.rules, custom: true, updatedAt: custom.updatedAt };
+    }
+    return { language: name, mode: config.mode, rules: config.rules[name] || [], custom: false };
+  }
+
+  // Check code without recording anything
+  // Resolves to { outcome: 'allowed' | 'warned' | 'blocked', mode, violations }. In 'warn'
+  // mode blocking rules only warn.
+  async check(code, language) {
+    const policy = await this.getPolicy(language);
+    if (policy.mode === 'off') {
+      return { outcome: 'allowed', mode: policy.mode, violations: [] };
+    }
+
+    const violations = engine.evaluate(code, policy.language, policy.rules);
+    const blocked = policy.mode === 'block' && violations.some((violation) => violation.action === 'block');
+
+    return {
+      outcome: blocked ? 'blocked' : violations.length > 0 ? 'warned' : 'allowed',
+      mode: policy.mode,
+      violations
+    };
+  }
+
+  // Check code before it runs, recording it in the audit log when it breaks a rule
+  // context: { source: 'ai' | 'playground', user, problem, solution }. Code that cannot be
+  // recorded does not run: a failed audit write rejects.
+  async enforce(code, language, context) {
+    const result = await this.check(code, language);
+
+    if (result.outcome !== 'allowed') {
+      await PolicyAudit.create({
+        ...context,
+        outcome: result.outcome,
+        mode: result.mode,
+        language: (language || '').toLowerCase(),
+        code,
+        violations: result.violations
+      });
+    }
+
+    return result;
+  }
+
+  // One line per violation, for error output and messages
+  describe(result) {
+    return result.violations
+      .map((violation) => `Line ${violation.line}: ${violation.message} (${violation.found})`)
+      .join('\n');
+  }
+
+  // What is kept with an execution result
+  summarize(result) {
+    return { outcome: result.outcome, violations: result.violations };
+  }
+
+  // Execution result for code the policy blocked
+  toResult(result) {
+    return {
+      status: BLOCKED_STATUS,
+      output: '',
+      error: this.describe(result),
+      policy: this.summarize(result)
+    };
+  }
+
+  // Every catalog language with its policy, for the admin page
+  async list() {
+    const custom = await CodePolicy.find().lean();
+
+    return languageConfig.catalog.map((entry) => {
+      const policy = custom.find((item) => item.language === entry.id);
+      return {
+        language: entry.id,
+        name: entry.name,
+        analyzed: engine.supportsAnalysis(entry.id),
+        mode: policy ? policy.mode : config.mode,
+        rules: policy ? policy.rules : config.rules[entry.id] || [],
+        custom: Boolean(policy),
+        updatedAt: policy ? policy.updatedAt : null
+      };
+    });
+  }
+
+  // Why a policy update is invalid, null when it is fine
+  validate(language, { mode, rules }) {
+    if (!languageConfig.catalog.some((entry) => entry.id === language)) {
+      return `Unknown language '${language}'`;
+    }
+    if (mode !== undefined && !MODES.includes(mode)) {
+      return `Mode must be one of ${MODES.join(', ')}`;
+    }
+    if (!Array.isArray(rules)) {
+      return 'Please provide the rules as a list';
+    }
+
+    for (const [index, rule] of rules.entries()) {
+      const error = engine.validateRule(rule);
+      if (error) return `Rule ${index + 1}: ${error}`;
+    }
+    return null;
+  }
+
+  // Replace a language's policy
+  update(language, { mode, rules }, userId) {
+    return CodePolicy.findOneAndUpdate(
+      { language },
+      {
+        mode: mode || config.mode,
+        rules: rules.map(({ kind, match, action, message }) => ({ kind, match: match.trim(), action, message })),
+        updatedBy: userId
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+  }
+
+  // Go back to the built-in policy
+  reset(language) {
+    return CodePolicy.deleteOne({ language });
+  }
+
+  // Audit log entries, newest first
+  async getAudit(filters, page, limit) {
+    const [entries, total] = await Promise.all([
+      PolicyAudit.find(filters)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'username email')
+        .populate('problem', 'title'),
+      PolicyAudit.countDocuments(filters)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = new PolicyService();
@@ -0,0 +1,125 @@
+// server/services/promptService.js
+const PromptTemplate = require('../models/PromptTemplate');
+const { Solution } = require('../models/Problem');
+
+class PromptService {
+  // How well a template fits a problem, -1 when it does not apply
+  // Templates narrowed to the problem's language beat those narrowed to its difficulty.
+  matchScore(template, problem) {
+    const language = (problem.language || '').toLowerCase();
+
+    if (template.language && template.language !== language) return -1;
+    if (template.difficulty && template.difficulty !== problem.difficulty) return -1;
+
+    return (template.language ? 2 : 0) + (template.difficulty ? 1 : 0);
+  }
+
+  // Pick one item at random, proportionally to its weight
+  pickWeighted(items) {
+    const total = items.reduce((sum, item) => sum + item.weight, 0);
+    let point = Math.random() * total;
+
+    for (const item of items) {
+      point -= item.weight;
+      if (point < 0) return item;
+    }
+
+    return items[items.length - 1];
+  }
+
+  // Choose the template for a problem: the most specific scope wins, variants within it are weighted
+  // Returns null when no active template matches, the built-in prompts are used then.
+  async selectTemplate(problem) {
+    const templates = await PromptTemplate.find({
+      category: problem.category,
+      isActive: true,
+      weight: { $gt: 0 }
+    });
+
+    let best = -1;
+    let candidates = [];
+
+    templates.forEach((template) => {
+      const score = this.matchScore(template, problem);
+      if (score > best) {
+        best = score;
+        candidates = [template];
+      } else if (score === best && score >= 0) {
+        candidates.push(template);
+      }
+    });
+
+    return candidates.length > 0 ? this.pickWeighted(candidates) : null;
+  }
+
+  // Prompt overrides for aiService and the reference stored on the solution
+  async resolve(problem) {
+    const template = await this.selectTemplate(problem);
+
+    if (!template) {
+      return { prompt: undefined, reference: undefined };
+    }
+
+    return {
+      prompt: {
+        system: template.systemPrompt,
+        instructions: template.instructions
+      },
+      reference: {
+        template: template._id,
+        version: template.version,
+        variant: template.variant
+      }
+    };
+  }
+
+  // Prompt overrides a solution was generated with, from the template version recorded on it
+  // Undefined for the built-in prompts, and when the template has since been deleted.
+  async forSolution(solution) {
+    const reference = solution.prompt;
+
+    if (!reference || !reference.template) return undefined;
+
+    const template = await PromptTemplate.findById(reference.template).select('+history');
+
+    if (!template) return undefined;
+
+    const version = template.history.find((entry) => entry.version === reference.version) || template;
+
+    return {
+      system: version.systemPrompt,
+      instructions: version.instructions
+    };
+  }
+
+  // Outcomes of the solutions generated with each template version
+  async getOutcomes(templateIds) {
+    const rows = await Solution.aggregate([
+      { $match: { 'prompt.template': { $in: templateIds } } },
+      {
+        $group: {
+          _id: { template: '$prompt.template', version: '$prompt.version' },
+          uses: { $sum: 1 },
+          rated: { $sum: { $cond: [{ $ifNull: ['$feedback.rating', false] }, 1, 0] } },
+          avgRating: { $avg: '$feedback.rating' },
+          executed: { $sum: { $cond: [{ $ifNull: ['$executionResult.status', false] }, 1, 0] } },
+          executionSuccess: { $sum: { $cond: [{ $eq: ['$executionResult.status', 'Accepted'] }, 1, 0] } }
+        }
+      },
+      { $sort: { '_id.version': 1 } }
+    ]);
+
+    return rows.map((row) => ({
+      template: row._id.template,
+      version: row._id.version,
+      uses: row.uses,
+      rated: row.rated,
+      avgRating: row.avgRating,
+      executed: row.executed,
+      executionSuccess: row.executionSuccess,
+      executionSuccessRate: row.executed ? row.executionSuccess / row.executed : 0
+    }));
+  }
+}
+
+module.exports = new PromptService();
@@ -0,0 +1,78 @@
+// server/services/providers/anthropicProvider.js
+const Anthropic = require('@anthropic-ai/sdk');
+
+class AnthropicProvider {
+  constructor(config) {
+    this.name = config.name;
+    this.label = config.label;
+    this.type = config.type;
+    this.config = config;
+    this.capabilities = config.capabilities || {};
+    this.models = config.models || [];
+    this.client = null;
+  }
+
+  // Check if the provider has what it needs to make calls
+  isConfigured() {
+    return Boolean(this.config.apiKey);
+  }
+
+  // Create the SDK client on first use
+  getClient() {
+    if (!this.client) {
+      this.client = new Anthropic({
+        apiKey: this.config.apiKey,
+        maxRetries: 0
+      });
+    }
+    return this.client;
+  }
+
+  // Generate a message, streaming text deltas to onToken when given.
+  // With responseFormat 'json' the model is forced to call a tool whose input is the schema,
+  // and the tool input becomes the answer. signal aborts the request.
+  async generate({ model, system, messages, temperature = 0.7, maxTokens = 2000, responseFormat, schema, onToken, signal }) {
+    const request = {
+      model: model.providerModel,
+      max_tokens: maxTokens,
+      temperature,
+      system,
+      messages,
+      ...(responseFormat === 'json' && {
+        tools: [{
+          name: 'submit_solution',
+          description: 'Submit the structured solution',
+          input_schema: schema
+        }],
+        tool_choice: { type: 'tool', name: 'submit_solution' }
+      })
+    };
+
+    let response;
+
+    if (onToken) {
+      const stream = this.getClient().messages.stream(request, { signal });
+      stream.on('text', (delta) => onToken(delta));
+      stream.on('inputJson', (delta) => onToken(delta));
+      response = await stream.finalMessage();
+    } else {
+      response = await this.getClient().messages.create(request, { signal });
+    }
+
+    const toolUse = response.content.find((block) => block.type === 'tool_use');
+    const answer = toolUse
+      ? JSON.stringify(toolUse.input)
+      : response.content.filter((block) => block.type === 'text').map((block) => block.text).join('');
+
+    return {
+      answer,
+      tokenUsage: {
+        prompt: response.usage.input_tokens,
+        completion: response.usage.output_tokens,
+        total: response.usage.input_tokens + response.usage.output_tokens
+      }
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
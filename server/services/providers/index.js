@@ -0,0 +1,133 @@
+// server/services/providers/index.js
+const config = require('../../config/aiProviders');
+const OpenAIProvider = require('./openaiProvider');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const MockProvider = require('./mockProvider');
+const CircuitBreaker = require('./circuitBreaker');
+
+// Provider implementations by config `type`
+const providerTypes = {
+  openai: OpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  anthropic: AnthropicProvider,
+  mock: MockProvider
+};
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.models = new Map();
+    this.defaultModel = config.defaultModel;
+    this.fallbackModels = config.fallbackModels;
+    this.retry = config.retry;
+    this.structuredOutput = config.structuredOutput;
+  }
+
+  // Register a provider instance and all of its models
+  register(provider) {
+    provider.breaker = new CircuitBreaker(config.circuitBreaker);
+    this.providers.set(provider.name, provider);
+
+    for (const model of provider.models) {
+      this.models.set(model.id, {
+        ...model,
+        provider: provider.name,
+        capabilities: { ...provider.capabilities, ...model.capabilities },
+        // Unpriced models (self-hosted, mock) cost nothing
+        pricing: config.pricing[model.id] || model.pricing || { input: 0, output: 0 }
+      });
+    }
+  }
+
+  // Build a provider from a config entry
+  create(providerConfig) {
+    const Provider = providerTypes[providerConfig.type];
+
+    if (!Provider) {
+      throw new Error(`Unknown AI provider type '${providerConfig.type}'`);
+    }
+
+    return new Provider(providerConfig);
+  }
+
+  // Check if a model exists and its provider is configured
+  isAvailable(modelId) {
+    const model = this.models.get(modelId);
+    return Boolean(model) && this.providers.get(model.provider).isConfigured();
+  }
+
+  // Find the provider and model entry for a model id
+  resolve(modelId = this.defaultModel) {
+    const model = this.models.get(modelId);
+
+    if (!model) {
+      throw new Error(`AI model '${modelId}' is not registered`);
+    }
+
+    const provider = this.providers.get(model.provider);
+
+    if (!provider.isConfigured()) {
+      throw new Error(`${provider.label} provider is not configured`);
+    }
+
+    return { provider, model };
+  }
+
+  // Ordered list of available models to try for a request, starting with the requested one
+  getFallbackChain(modelId = this.defaultModel) {
+    const model = this.models.get(modelId);
+
+    if (!model) {
+      throw new Error(`AI model '${modelId}' is not registered`);
+    }
+
+    const chain = [...new Set([modelId, ...(model.fallbacks || this.fallbackModels)])]
+      .filter((id) => this.isAvailable(id));
+
+    if (chain.length === 0) {
+      throw new Error(`No configured AI provider can serve '${modelId}'`);
+    }
+
+    return chain;
+  }
+
+  // USD per million input and output tokens for a model
+  getPricing(modelId) {
+    const model = this.models.get(modelId);
+    return model ? model.pricing : { input: 0, output: 0 };
+  }
+
+  // Circuit breaker state of every configured provider
+  getHealth() {
+    return Array.from(this.providers.values())
+      .filter((provider) => provider.isConfigured())
+      .map((provider) => ({
+        provider: provider.name,
+        label: provider.label,
+        ...provider.breaker.getStatus()
+      }));
+  }
+
+  // List models whose provider is ready to use
+  listModels() {
+    return Array.from(this.models.values())
+      .filter((model) => this.providers.get(model.provider).isConfigured())
+      .map((model) => ({
+        id: model.id,
+        label: model.label,
+        provider: model.provider,
+        providerLabel: this.providers.get(model.provider).label,
+        capabilities: model.capabilities,
+        pricing: model.pricing
+      }));
+  }
+}
+
+const registry = new ProviderRegistry();
+
+config.providers.forEach((providerConfig) => {
+  registry.register(registry.create(providerConfig));
+});
+
+module.exports = registry;
@@ -0,0 +1,17 @@
+// server/services/providers/openaiCompatibleProvider.js
+const OpenAIProvider = require('./openaiProvider');
+
+// Self-hosted servers exposing the OpenAI API (vLLM, Ollama, LM Studio, ...)
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(config) {
+    // Most local servers ignore the key but the SDK insists on one
+    super({ ...config, apiKey: config.apiKey || 'not-needed' });
+  }
+
+  // Only the base URL and at least one model are required
+  isConfigured() {
+    return Boolean(this.config.baseURL) && this.models.length > 0;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
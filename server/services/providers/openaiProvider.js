@@ -0,0 +1,89 @@
+// server/services/providers/openaiProvider.js
+const { OpenAI } = require('openai');
+
+class OpenAIProvider {
+  constructor(config) {
+    this.name = config.name;
+    this.label = config.label;
+    this.type = config.type;
+    this.config = config;
+    this.capabilities = config.capabilities || {};
+    this.models = config.models || [];
+    this.client = null;
+  }
+
+  // Check if the provider has what it needs to make calls
+  isConfigured() {
+    return Boolean(this.config.apiKey);
+  }
+
+  // Create the SDK client on first use so missing keys don't break startup
+  getClient() {
+    if (!this.client) {
+      // Retries are handled by aiService so the SDK's own are turned off
+      this.client = new OpenAI({
+        apiKey: this.config.apiKey,
+        maxRetries: 0,
+        ...(this.config.baseURL && { baseURL: this.config.baseURL })
+      });
+    }
+    return this.client;
+  }
+
+  // Generate a chat completion, streaming deltas to onToken when given.
+  // With responseFormat 'json' the schema is already in the prompt; JSON mode is
+  // only switched on for models that support it. signal aborts the request.
+  async generate({ model, system, messages, temperature = 0.7, maxTokens = 2000, responseFormat, onToken, signal }) {
+    const request = {
+      model: model.providerModel,
+      messages: [
+        { role: 'system', content: system },
+        ...messages
+      ],
+      temperature,
+      max_tokens: maxTokens,
+      ...(responseFormat === 'json' && model.capabilities.jsonMode && {
+        response_format: { type: 'json_object' }
+      })
+    };
+
+    let answer;
+    let usage;
+
+    if (onToken) {
+      // Stream deltas to the caller and collect usage from the final chunk
+      const stream = await this.getClient().chat.completions.create({
+        ...request,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { signal });
+
+      answer = '';
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          answer += delta;
+          onToken(delta);
+        }
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+      }
+    } else {
+      const response = await this.getClient().chat.completions.create(request, { signal });
+      answer = response.choices[0].message.content;
+      usage = response.usage;
+    }
+
+    return {
+      answer,
+      tokenUsage: {
+        prompt: usage?.prompt_tokens,
+        completion: usage?.completion_tokens,
+        total: usage?.total_tokens
+      }
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,509 @@
+// server/services/solutionService.js
+const { Problem, Solution } = require('../models/Problem');
+const User = require('../models/User');
+const aiService = require('./aiService');
+const codeExecutor = require('./codeExecutor');
+const streamHub = require('./streamHub');
+const promptService = require('./promptService');
+const spendService = require('./spendService');
+const judgeService = require('./judgeService');
+const policyService = require('./policyService');
+const testHarness = require('./testHarness');
+const selfRepair = require('../config/selfRepair');
+const unitTestConfig = require('../config/unitTests');
+
+class SolutionService {
+  // Generate, execute and save a new solution version for a problem
+  // With options.stream the answer is published to streamHub as it arrives.
+  // options.aiModel, temperature and instructions override the defaults when regenerating.
+  // With options.lastAttempt false a failure leaves the problem pending and the stream open for a retry.
+  // Aborting options.signal cancels the generation: nothing is saved and no query is counted.
+  async solveProblem(problem, user, options = {}) {
+    const {
+      stream = false, aiModel = problem.aiModel, temperature, instructions, lastAttempt = true, signal
+    } = options;
+
+    if (stream) {
+      streamHub.open(problem._id);
+    }
+
+    try {
+      const { prompt, reference } = await promptService.resolve(problem);
+
+      const aiResult = await aiService.generateSolution({
+        title: problem.title,
+        description: problem.description,
+        category: problem.category,
+        language: problem.language,
+        difficulty: problem.difficulty
+      }, aiModel || undefined, {
+        temperature,
+        instructions,
+        prompt,
+        signal,
+        onToken: stream ? (delta) => streamHub.push(problem._id, delta) : undefined,
+        onRestart: stream ? () => streamHub.reset(problem._id) : undefined
+      });
+      this.throwIfCancelled(signal);
+
+      // Create solution as the next version
+      const version = await Solution.countDocuments({ problem: problem._id }) + 1;
+      const solution = await this.saveSolution(problem, aiResult, {
+        version,
+        generationOptions: { temperature, instructions },
+        prompt: reference
+      }, { prompt, signal });
+
+      // The newest version becomes current unless the user accepted one
+      if (!problem.acceptedSolution) {
+        problem.solution = solution._id;
+      }
+      problem.status = 'solved';
+      problem.generationError = undefined;
+      await problem.save();
+
+      // Increment user query count
+      await user.incrementQueryCount(solution.cost.total);
+
+      // Populate solution details
+      const populatedProblem = await Problem.findById(problem._id)
+        .populate('solution')
+        .populate('user', 'username email');
+
+      if (stream) {
+        streamHub.close(problem._id, { problem: populatedProblem, solutionId: solution._id });
+      }
+
+      return { problem: populatedProblem, solution };
+    } catch (error) {
+      if (signal?.aborted) {
+        await this.settleCancelled(problem, stream);
+        throw aiService.cancelledError(error.attempts);
+      }
+
+      console.error('AI service error:', error);
+      problem.generationError = {
+        message: error.message,
+        attempts: error.attempts || []
+      };
+
+      if (!lastAttempt) {
+        problem.status = 'pending';
+        await problem.save();
+        if (stream) {
+          streamHub.reset(problem._id);
+        }
+        throw error;
+      }
+
+      // A failed regeneration keeps the earlier versions
+      problem.status = problem.solution ? 'solved' : 'failed';
+      await problem.save();
+
+      if (stream) {
+        streamHub.fail(problem._id, 'Failed to generate solution');
+      }
+
+      throw error;
+    }
+  }
+
+  // Generate one solution per model in parallel and save each as its own version
+  // Models are called without fallback so every answer comes from the model it is labelled with.
+  // options.lastAttempt and options.signal work as in solveProblem.
+  async compareModels(problem, user, models, options = {}) {
+    const { stream = false, lastAttempt = true, signal } = options;
+    const solutions = [];
+
+    if (stream) {
+      streamHub.open(problem._id);
+    }
+
+    try {
+      // Every model gets the same prompt so the answers are comparable
+      const { prompt, reference } = await promptService.resolve(problem);
+
+      const results = await Promise.allSettled(models.map((aiModel) =>
+        aiService.generateSolution({
+          title: problem.title,
+          description: problem.description,
+          category: problem.category,
+          language: problem.language,
+          difficulty: problem.difficulty
+        }, aiModel, { fallback: false, prompt, signal })
+      ));
+      this.throwIfCancelled(signal);
+
+      // Versions follow the order the models were requested in
+      const baseVersion = await Solution.countDocuments({ problem: problem._id });
+      const failures = [];
+
+      await Promise.all(results.map(async (result, index) => {
+        if (result.status === 'rejected') {
+          failures.push({ aiModel: models[index], error: result.reason });
+          return;
+        }
+
+        solutions[index] = await this.saveSolution(problem, result.value, {
+          version: baseVersion + index + 1,
+          compared: true,
+          prompt: reference
+        }, { prompt, signal });
+      }));
+
+      const saved = solutions.filter(Boolean);
+
+      if (saved.length > 0 && !problem.acceptedSolution) {
+        problem.solution = saved[0]._id;
+      }
+      problem.status = saved.length > 0 ? 'solved' : 'failed';
+      problem.generationError = failures.length > 0
+        ? {
+          message: failures.map(({ aiModel, error }) => `${aiModel}: ${error.message}`).join('; '),
+          attempts: failures.flatMap(({ error }) => error.attempts || [])
+        }
+        : undefined;
+      await problem.save();
+
+      // Every answer that was produced counts as one query
+      for (const solution of saved) {
+        await user.incrementQueryCount(solution.cost.total);
+      }
+
+      const populatedProblem = await Problem.findById(problem._id)
+        .populate('solution')
+        .populate('user', 'username email');
+
+      if (saved.length === 0) {
+        throw new Error(`All models failed: ${problem.generationError.message}`);
+      }
+
+      if (stream) {
+        streamHub.close(problem._id, { problem: populatedProblem, solutionId: saved[0]._id });
+      }
+
+      return { problem: populatedProblem, solutions: saved };
+    } catch (error) {
+      if (signal?.aborted) {
+        // Answers saved before the cancel arrived are dropped with the rest
+        await Solution.deleteMany({ _id: { $in: solutions.filter(Boolean).map((solution) => solution._id) } });
+        await this.settleCancelled(problem, stream);
+        throw aiService.cancelledError(error.attempts);
+      }
+
+      console.error('Compare models error:', error);
+      if (!lastAttempt) {
+        problem.status = 'pending';
+        await problem.save();
+        if (stream) {
+          streamHub.reset(problem._id);
+        }
+        throw error;
+      }
+
+      if (problem.status === 'processing') {
+        problem.status = problem.solution ? 'solved' : 'failed';
+        await problem.save();
+      }
+
+      if (stream) {
+        streamHub.fail(problem._id, 'Failed to generate solutions');
+      }
+
+      throw error;
+    }
+  }
+
+  // Create a solution from an AI result and execute its code
+  // options.prompt is the resolved prompt, reused when asking the model for repairs.
+  async saveSolution(problem, aiResult, fields = {}, options = {}) {
+    const solution = await Solution.create({
+      problem: problem._id,
+      ...fields,
+      aiModel: aiResult.aiModel,
+      aiProvider: aiResult.aiProvider,
+      requestedModel: aiResult.requestedModel,
+      attempts: aiResult.attempts,
+      answer: aiResult.answer,
+      explanation: aiResult.explanation,
+      code: aiResult.code,
+      codeBlocks: aiResult.codeBlocks,
+      steps: aiResult.steps,
+      complexity: aiResult.complexity,
+      assumptions: aiResult.assumptions,
+      outputFormat: aiResult.outputFormat,
+      tokenUsage: aiResult.tokenUsage,
+      cost: spendService.calculateCost(aiResult.aiModel, aiResult.tokenUsage),
+      processingTime: aiResult.processingTime
+    });
+
+    // Execute code if available, then test the final version
+    if (aiResult.code && aiResult.code.snippet && problem.language) {
+      try {
+        await this.executeSolution(problem, solution, options);
+        this.throwIfCancelled(options.signal);
+        await this.judgeSolution(problem, solution);
+
+        if (unitTestConfig.enabled && testHarness.supports(problem.language)) {
+          this.throwIfCancelled(options.signal);
+          await this.generateUnitTests(problem, solution, options);
+        }
+      } catch (error) {
+        // A cancelled generation keeps no partial solution
+        if (options.signal?.aborted) {
+          await Solution.deleteOne({ _id: solution._id });
+        }
+        throw error;
+      }
+    }
+
+    return solution;
+  }
+
+  throwIfCancelled(signal) {
+    if (signal?.aborted) {
+      throw aiService.cancelledError();
+    }
+  }
+
+  // A cancelled generation leaves no new solution and costs no query
+  // Earlier versions stay current, so only a problem without any is marked cancelled.
+  async settleCancelled(problem, stream) {
+    problem.status = problem.solution ? 'solved' : 'cancelled';
+    await problem.save();
+
+    if (stream) {
+      streamHub.cancel(problem._id);
+    }
+  }
+
+  // Run the solution's code against the problem's test cases and store the verdicts
+  async judgeSolution(problem, solution) {
+    if (!problem.testCases || problem.testCases.length === 0) return;
+    if (!solution.code || !solution.code.snippet || !problem.language) return;
+
+    const { results, summary } = await judgeService.runTestCases(
+      solution.code.snippet,
+      problem.language,
+      problem.testCases,
+      problem.judgeOptions,
+      { plan: await this.getPlan(problem), executionLimits: problem.executionLimits }
+    );
+
+    solution.testResults = results;
+    solution.testSummary = summary;
+    await solution.save();
+  }
+
+  // Have the model write a test file for the solution, then run the two together
+  async generateUnitTests(problem, solution, options = {}) {
+    const harness = testHarness.get(problem.language);
+
+    let generated;
+    try {
+      generated = await aiService.generateUnitTests(problem, solution.aiModel, solution.code.snippet, harness, options);
+    } catch (error) {
+      if (error.cancelled) throw error;
+
+      solution.unitTests = {
+        framework: harness.framework,
+        status: 'error',
+        error: `Test generation failed: ${error.message}`
+      };
+      await solution.save();
+      return;
+    }
+
+    this.addUsage(solution, generated.tokenUsage, spendService.calculateCost(generated.aiModel, generated.tokenUsage));
+
+    if (!generated.code) {
+      solution.unitTests = {
+        framework: harness.framework,
+        status: 'error',
+        error: 'The model returned no tests'
+      };
+      await solution.save();
+      return;
+    }
+
+    solution.codeBlocks.push({
+      role: 'test',
+      language: problem.language,
+      code: generated.code,
+      description: `Generated ${harness.framework} tests`,
+      filename: harness.filename
+    });
+    await this.runUnitTests(problem, solution);
+  }
+
+  // Run the solution together with its generated test file and store the per-test results
+  async runUnitTests(problem, solution) {
+    const harness = testHarness.get(problem.language);
+    const testBlock = solution.codeBlocks.find((block) => block.role === 'test' && block.filename);
+    if (!harness || !testBlock) return;
+
+    // The harness itself may use what the policy forbids, so only the model's code is checked;
+    // the solution was already recorded when it ran
+    const checks = [
+      await policyService.check(solution.code.snippet, problem.language),
+      await policyService.enforce(testBlock.code, problem.language, { source: 'ai', ...this.auditContext(problem, solution) })
+    ];
+    const blocked = checks.find((check) => check.outcome === 'blocked');
+    if (blocked) {
+      solution.unitTests = {
+        framework: harness.framework,
+        status: 'error',
+        executionStatus: policyService.blockedStatus,
+        error: policyService.describe(blocked)
+      };
+      await solution.save();
+      return;
+    }
+
+    const program = testHarness.build(problem.language, solution.code.snippet, testBlock.code);
+    const limits = await this.getLimits(problem, { cpuTimeLimit: unitTestConfig.timeLimit });
+    const execution = await this.execute(program, problem.language, limits);
+    const tests = testHarness.parse(execution.output);
+    const count = (status) => tests.filter((test) => test.status === status).length;
+
+    solution.unitTests = {
+      framework: harness.framework,
+      status: tests.length === 0 ? 'error' : tests.every((test) => test.status === 'passed') ? 'passed' : 'failed',
+      tests,
+      passed: count('passed'),
+      failed: count('failed'),
+      errors: count('error'),
+      total: tests.length,
+      executionStatus: execution.status,
+      error: execution.error || (tests.length === 0 ? 'No test results were reported' : undefined)
+    };
+    await solution.save();
+  }
+
+  // Run the solution's code, feeding compile and runtime errors back to the model
+  // until a version runs cleanly or the repair budget is spent.
+  // The first clean version replaces the generated code; otherwise the original is kept.
+  async executeSolution(problem, solution, options = {}) {
+    const original = solution.code.snippet;
+    let code = original;
+    const limits = await this.getLimits(problem);
+    const audit = this.auditContext(problem, solution);
+    let result = await this.runCode(code, problem.language, limits, audit);
+    const repairAttempts = [{ iteration: 0, code, executionResult: result }];
+
+    for (let iteration = 1; iteration <= selfRepair.maxIterations && this.isRepairable(result); iteration++) {
+      this.throwIfCancelled(options.signal);
+
+      let repair;
+      try {
+        repair = await aiService.repairCode(problem, solution.aiModel, code, result, options);
+      } catch (repairError) {
+        if (repairError.cancelled) throw repairError;
+        break;
+      }
+
+      const cost = spendService.calculateCost(repair.aiModel, repair.tokenUsage);
+      this.addUsage(solution, repair.tokenUsage, cost);
+
+      const attempt = {
+        iteration,
+        code: repair.snippet,
+        explanation: repair.explanation,
+        tokenUsage: repair.tokenUsage,
+        cost,
+        processingTime: repair.processingTime
+      };
+      repairAttempts.push(attempt);
+
+      if (!repair.snippet) {
+        attempt.executionResult = { status: 'No Code Returned' };
+        break;
+      }
+
+      code = repair.snippet;
+      result = await this.runCode(code, problem.language, limits, audit);
+      attempt.executionResult = result;
+    }
+
+    if (repairAttempts.length > 1) {
+      solution.repairAttempts = repairAttempts;
+      solution.repairStatus = result.status === 'Accepted' ? 'repaired' : 'failed';
+    }
+
+    if (solution.repairStatus === 'repaired') {
+      this.replaceCode(solution, original, code);
+      solution.executionResult = result;
+    } else {
+      solution.executionResult = repairAttempts[0].executionResult;
+    }
+    await solution.save();
+  }
+
+  // Subscription plan of the problem's owner, whose ceilings its runs get
+  async getPlan(problem) {
+    const owner = await User.findById(problem.user._id || problem.user).select('subscription.plan');
+    return owner ? owner.subscription.plan : 'free';
+  }
+
+  // Limits for running the problem's code, see codeExecutor.resolveLimits
+  async getLimits(problem, requested) {
+    return codeExecutor.resolveLimits(await this.getPlan(problem), problem.executionLimits, requested);
+  }
+
+  // Who and what a policy audit entry for the solution's code refers to
+  auditContext(problem, solution) {
+    return { user: problem.user._id || problem.user, problem: problem._id, solution: solution._id };
+  }
+
+  // Execute code the language's policy allows, recording violations as AI code with the
+  // audit context. A block is stored as the result, warnings are kept with it.
+  async runCode(code, language, limits, audit = {}) {
+    const check = await policyService.enforce(code, language, { source: 'ai', ...audit });
+    if (check.outcome === 'blocked') return policyService.toResult(check);
+
+    const result = await this.execute(code, language, limits);
+    return check.outcome === 'warned' ? { ...result, policy: policyService.summarize(check) } : result;
+  }
+
+  // Execute code, an executor failure is stored as the result
+  async execute(code, language, limits) {
+    try {
+      return await codeExecutor.executeCode(code, language, '', limits);
+    } catch (execError) {
+      console.error('Code execution error:', execError);
+      return {
+        status: 'Execution Failed',
+        error: execError.message
+      };
+    }
+  }
+
+  // Compilation and runtime errors are worth showing the model, anything else is not its fault
+  isRepairable(result) {
+    return selfRepair.repairableStatuses.some((status) => (result.status || '').startsWith(status));
+  }
+
+  // Swap the generated code for a repaired version everywhere it appears
+  replaceCode(solution, original, code) {
+    solution.code.snippet = code;
+    solution.answer = solution.answer.split(original).join(code);
+
+    const block = solution.codeBlocks.find((codeBlock) => codeBlock.role === 'solution');
+    if (block) {
+      block.code = code;
+    }
+  }
+
+  // Add a repair call's tokens and cost to the solution's totals
+  addUsage(solution, tokenUsage = {}, cost) {
+    ['prompt', 'completion', 'total'].forEach((key) => {
+      solution.tokenUsage[key] = (solution.tokenUsage[key] || 0) + (tokenUsage[key] || 0);
+    });
+
+    ['input', 'output', 'total'].forEach((key) => {
+      solution.cost[key] = spendService.round((solution.cost[key] || 0) + cost[key]);
+    });
+  }
+}
+
+module.exports = new SolutionService();
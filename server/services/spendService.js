@@ -0,0 +1,187 @@
+// server/services/spendService.js
+const { Problem, Solution } = require('../models/Problem');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const { EvalRun } = require('../models/Evaluation');
+const providerRegistry = require('./providers');
+
+// Setting key of the instance-wide monthly cap
+const INSTANCE_CAP_KEY = 'monthlySpendCap';
+
+// Category evaluation answers are reported under, they belong to no problem
+const EVALUATION_CATEGORY = 'evaluation';
+
+class SpendService {
+  // Cost in USD of a call, from the model's price per million tokens
+  calculateCost(aiModel, tokenUsage = {}) {
+    const pricing = providerRegistry.getPricing(aiModel);
+    const input = ((tokenUsage.prompt || 0) * pricing.input) / 1e6;
+    const output = ((tokenUsage.completion || 0) * pricing.output) / 1e6;
+
+    return {
+      input: this.round(input),
+      output: this.round(output),
+      total: this.round(input + output),
+      currency: 'USD'
+    };
+  }
+
+  // Keep costs to a millionth of a dollar
+  round(amount) {
+    return Math.round(amount * 1e6) / 1e6;
+  }
+
+  // First day of the month a date falls in
+  startOfMonth(date = new Date()) {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+  }
+
+  // Instance-wide monthly cap in USD, null when there is none
+  getInstanceCap() {
+    return Setting.getValue(INSTANCE_CAP_KEY);
+  }
+
+  // Set or clear (null) the instance-wide monthly cap
+  setInstanceCap(amount, userId) {
+    return Setting.setValue(INSTANCE_CAP_KEY, amount, userId);
+  }
+
+  // Spend grouped by user, category and model, from solutions, follow-up replies and evaluation runs
+  async getSpendRows(from, to) {
+    const solutionRows = await Solution.aggregate([
+      { $match: { createdAt: { $gte: from, $lt: to } } },
+      {
+        $lookup: {
+          from: 'problems',
+          localField: 'problem',
+          foreignField: '_id',
+          as: 'problem'
+        }
+      },
+      { $unwind: '$problem' },
+      {
+        $group: {
+          _id: { user: '$problem.user', category: '$problem.category', aiModel: '$aiModel' },
+          cost: { $sum: '$cost.total' },
+          tokens: { $sum: '$tokenUsage.total' },
+          requests: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const messageRows = await Problem.aggregate([
+      // Only problems with a reply in range are unwound
+      { $match: { 'messages.createdAt': { $gte: from, $lt: to } } },
+      { $unwind: '$messages' },
+      {
+        $match: {
+          'messages.role': 'assistant',
+          'messages.createdAt': { $gte: from, $lt: to }
+        }
+      },
+      {
+        $group: {
+          _id: { user: '$user', category: '$category', aiModel: '$messages.aiModel' },
+          cost: { $sum: '$messages.cost.total' },
+          tokens: { $sum: '$messages.tokenUsage.total' },
+          requests: { $sum: 1 }
+        }
+      }
+    ]);
+
+    // Evaluation answers are charged to the admin who started the run, in the month it started
+    const evaluationRows = await EvalRun.aggregate([
+      { $match: { startedAt: { $gte: from, $lt: to } } },
+      { $unwind: '$results' },
+      { $match: { 'results.status': 'success' } },
+      {
+        $group: {
+          _id: { user: '$createdBy', category: { $literal: EVALUATION_CATEGORY }, aiModel: '$results.aiModel' },
+          cost: { $sum: '$results.cost' },
+          tokens: { $sum: '$results.tokenUsage.total' },
+          requests: { $sum: 1 }
+        }
+      }
+    ]);
+
+    return [...solutionRows, ...messageRows, ...evaluationRows].map((row) => ({
+      ...row._id,
+      cost: row.cost,
+      tokens: row.tokens,
+      requests: row.requests
+    }));
+  }
+
+  // Total instance spend since the start of the month, from the users' running monthly
+  // counters rather than the solutions themselves, since every gated request checks it.
+  // Counters not reset this month belong to an earlier one.
+  async getInstanceMonthlySpend() {
+    const [spend] = await User.aggregate([
+      { $match: { 'apiUsage.lastResetDate': { $gte: this.startOfMonth() } } },
+      { $group: { _id: null, total: { $sum: '$apiUsage.monthlySpend' } } }
+    ]);
+    return this.round(spend ? spend.total : 0);
+  }
+
+  // Why a user may not generate right now, null when they may
+  async checkBudget(user) {
+    if (!user.canSpend()) {
+      return `Monthly spend cap ($${user.subscription.monthlySpendCap}) reached. Please contact an administrator.`;
+    }
+
+    const instanceCap = await this.getInstanceCap();
+    if (instanceCap !== null && await this.getInstanceMonthlySpend() >= instanceCap) {
+      return 'The monthly AI budget for this instance has been reached. Please try again next month.';
+    }
+
+    return null;
+  }
+
+  // Spend between two dates, broken down by user, plan, category and model
+  async getReport(from, to) {
+    const rows = await this.getSpendRows(from, to);
+
+    const users = await User.find({ _id: { $in: [...new Set(rows.map((row) => String(row.user)))] } })
+      .select('username email subscription apiUsage');
+    const usersById = new Map(users.map((user) => [String(user._id), user]));
+
+    const breakdown = (keyOf, describe = () => ({})) => {
+      const groups = new Map();
+
+      rows.forEach((row) => {
+        const key = keyOf(row);
+        const entry = groups.get(key) || { key, cost: 0, tokens: 0, requests: 0, ...describe(row) };
+        entry.cost += row.cost || 0;
+        entry.tokens += row.tokens || 0;
+        entry.requests += row.requests;
+        groups.set(key, entry);
+      });
+
+      return Array.from(groups.values())
+        .map((entry) => ({ ...entry, cost: this.round(entry.cost) }))
+        .sort((a, b) => b.cost - a.cost);
+    };
+
+    const planOf = (row) => usersById.get(String(row.user))?.subscription.plan || 'deleted';
+
+    return {
+      from,
+      to,
+      total: this.round(rows.reduce((sum, row) => sum + (row.cost || 0), 0)),
+      byUser: breakdown((row) => String(row.user), (row) => {
+        const user = usersById.get(String(row.user));
+        return {
+          username: user ? user.username : 'deleted user',
+          email: user?.email,
+          plan: planOf(row),
+          monthlySpendCap: user ? user.subscription.monthlySpendCap : null
+        };
+      }),
+      byPlan: breakdown(planOf),
+      byCategory: breakdown((row) => row.category),
+      byModel: breakdown((row) => row.aiModel)
+    };
+  }
+}
+
+module.exports = new SpendService();
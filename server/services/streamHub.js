@@ -0,0 +1,80 @@
+// server/services/streamHub.js
+const { EventEmitter } = require('events');
+
+// In-process fan-out of partial AI answers to Server-Sent Event subscribers.
+// Each in-flight problem keeps a buffer so late subscribers can catch up.
+class StreamHub extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.buffers = new Map();
+  }
+
+  // Start buffering a problem's answer
+  open(problemId) {
+    this.buffers.set(String(problemId), '');
+  }
+
+  // Check if a problem is currently streaming
+  isOpen(problemId) {
+    return this.buffers.has(String(problemId));
+  }
+
+  // Get everything streamed so far
+  getBuffer(problemId) {
+    return this.buffers.get(String(problemId)) || '';
+  }
+
+  // Append a delta and notify subscribers
+  push(problemId, delta) {
+    const key = String(problemId);
+    if (!this.buffers.has(key)) return;
+
+    this.buffers.set(key, this.buffers.get(key) + delta);
+    this.emit(key, { event: 'token', data: { delta } });
+  }
+
+  // Drop everything streamed so far, e.g. before retrying with another model
+  reset(problemId) {
+    const key = String(problemId);
+    if (!this.buffers.has(key)) return;
+
+    this.buffers.set(key, '');
+    this.emit(key, { event: 'snapshot', data: { answer: '' } });
+  }
+
+  // Notify subscribers that the problem's generation status changed, e.g. queued for a retry
+  status(problemId, data) {
+    this.emit(String(problemId), { event: 'status', data });
+  }
+
+  // Finish the stream with the saved problem
+  close(problemId, data) {
+    const key = String(problemId);
+    this.buffers.delete(key);
+    this.emit(key, { event: 'done', data });
+  }
+
+  // Finish the stream with an error
+  fail(problemId, message) {
+    const key = String(problemId);
+    this.buffers.delete(key);
+    this.emit(key, { event: 'error', data: { message } });
+  }
+
+  // Finish the stream because the user cancelled the generation
+  cancel(problemId) {
+    const key = String(problemId);
+    this.buffers.delete(key);
+    this.emit(key, { event: 'cancelled', data: {} });
+  }
+
+  // Subscribe to a problem's events, returns an unsubscribe function
+  subscribe(problemId, listener) {
+    const key = String(problemId);
+    this.on(key, listener);
+    return () => this.off(key, listener);
+  }
+}
+
+module.exports = new StreamHub();
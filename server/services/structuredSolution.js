@@ -0,0 +1,196 @@
+// server/services/structuredSolution.js
+
+const CODE_ROLES = ['solution', 'optimized', 'test', 'example'];
+
+// JSON Schema the models are asked to follow in structured-output mode
+const SOLUTION_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    explanation: {
+      type: 'string',
+      description: 'Clear explanation of the approach'
+    },
+    steps: {
+      type: 'array',
+      description: 'Ordered steps of the solution',
+      items: {
+        type: 'object',
+        properties: {
+          description: { type: 'string' },
+          code: { type: 'string', description: 'Optional code for this step only' }
+        },
+        required: ['description']
+      }
+    },
+    codeBlocks: {
+      type: 'array',
+      description: 'Complete code listings, empty when the problem needs no code',
+      items: {
+        type: 'object',
+        properties: {
+          role: { type: 'string', enum: CODE_ROLES },
+          language: { type: 'string' },
+          code: { type: 'string' },
+          description: { type: 'string' }
+        },
+        required: ['role', 'language', 'code']
+      }
+    },
+    complexity: {
+      type: 'object',
+      properties: {
+        time: { type: 'string', description: 'Big-O time complexity, e.g. O(n log n)' },
+        space: { type: 'string', description: 'Big-O space complexity, e.g. O(n)' }
+      }
+    },
+    assumptions: {
+      type: 'array',
+      items: { type: 'string' }
+    }
+  },
+  required: ['explanation', 'steps', 'codeBlocks']
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Pull the JSON object out of a model reply, tolerating code fences and stray prose
+const extractJson = (text) => {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    throw new Error('No JSON object found in response');
+  }
+
+  return JSON.parse(text.slice(start, end + 1));
+};
+
+// Check a parsed reply against SOLUTION_JSON_SCHEMA and normalise it
+const validateStructuredSolution = (data) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { errors: ['Response is not a JSON object'], value: null };
+  }
+
+  if (!isNonEmptyString(data.explanation)) {
+    errors.push('explanation must be a non-empty string');
+  }
+
+  if (!Array.isArray(data.steps)) {
+    errors.push('steps must be an array');
+  } else {
+    data.steps.forEach((step, index) => {
+      if (!step || !isNonEmptyString(step.description)) {
+        errors.push(`steps[${index}].description must be a non-empty string`);
+      }
+      if (step && step.code !== undefined && typeof step.code !== 'string') {
+        errors.push(`steps[${index}].code must be a string`);
+      }
+    });
+  }
+
+  if (!Array.isArray(data.codeBlocks)) {
+    errors.push('codeBlocks must be an array');
+  } else {
+    data.codeBlocks.forEach((block, index) => {
+      if (!block || !CODE_ROLES.includes(block.role)) {
+        errors.push(`codeBlocks[${index}].role must be one of ${CODE_ROLES.join(', ')}`);
+      }
+      if (!block || !isNonEmptyString(block.code)) {
+        errors.push(`codeBlocks[${index}].code must be a non-empty string`);
+      }
+    });
+  }
+
+  if (data.complexity !== undefined && (typeof data.complexity !== 'object' || data.complexity === null)) {
+    errors.push('complexity must be an object');
+  }
+
+  if (data.assumptions !== undefined &&
+      (!Array.isArray(data.assumptions) || !data.assumptions.every((item) => typeof item === 'string'))) {
+    errors.push('assumptions must be an array of strings');
+  }
+
+  if (errors.length > 0) {
+    return { errors, value: null };
+  }
+
+  return {
+    errors,
+    value: {
+      explanation: data.explanation.trim(),
+      steps: data.steps.map((step, index) => ({
+        stepNumber: index + 1,
+        description: step.description.trim(),
+        ...(isNonEmptyString(step.code) && { code: step.code })
+      })),
+      codeBlocks: data.codeBlocks.map((block) => ({
+        role: block.role,
+        language: (block.language || 'text').toLowerCase(),
+        code: block.code.trim(),
+        ...(isNonEmptyString(block.description) && { description: block.description })
+      })),
+      complexity: {
+        time: typeof data.complexity?.time === 'string' ? data.complexity.time : '',
+        space: typeof data.complexity?.space === 'string' ? data.complexity.space : ''
+      },
+      assumptions: data.assumptions || []
+    }
+  };
+};
+
+// Parse a structured reply, returns { value } or { errors }
+const parseStructuredSolution = (text) => {
+  let data;
+
+  try {
+    data = extractJson(text);
+  } catch (error) {
+    return { errors: [error.message], value: null };
+  }
+
+  return validateStructuredSolution(data);
+};
+
+// Readable markdown version of a structured solution, stored as Solution.answer
+const renderMarkdown = (solution) => {
+  const parts = [solution.explanation];
+
+  if (solution.steps.length > 0) {
+    parts.push('## Steps', solution.steps
+      .map((step) => {
+        const line = `${step.stepNumber}. ${step.description}`;
+        return step.code ? `${line}\n\n\`\`\`\n${step.code}\n\`\`\`` : line;
+      })
+      .join('\n'));
+  }
+
+  solution.codeBlocks.forEach((block) => {
+    const heading = `## ${block.role.charAt(0).toUpperCase() + block.role.slice(1)} code`;
+    parts.push(heading, [block.description, `\`\`\`${block.language}\n${block.code}\n\`\`\``]
+      .filter(Boolean)
+      .join('\n\n'));
+  });
+
+  if (solution.complexity.time || solution.complexity.space) {
+    parts.push('## Complexity', [
+      solution.complexity.time && `- Time: ${solution.complexity.time}`,
+      solution.complexity.space && `- Space: ${solution.complexity.space}`
+    ].filter(Boolean).join('\n'));
+  }
+
+  if (solution.assumptions.length > 0) {
+    parts.push('## Assumptions', solution.assumptions.map((item) => `- ${item}`).join('\n'));
+  }
+
+  return parts.join('\n\n');
+};
+
+module.exports = {
+  CODE_ROLES,
+  SOLUTION_JSON_SCHEMA,
+  parseStructuredSolution,
+  validateStructuredSolution,
+  renderMarkdown
+};
@@ -0,0 +1,48 @@
+// server/services/testHarness/index.js
+const pythonHarness = require('./pythonHarness');
+const jestHarness = require('./jestHarness');
+const junitHarness = require('./junitHarness');
+
+// Harness per problem language, languages without one get no generated tests
+const harnesses = {
+  python: pythonHarness,
+  javascript: jestHarness.javascript,
+  typescript: jestHarness.typescript,
+  java: junitHarness
+};
+
+// Line the harnesses print per test: ##TEST|PASS|name|message
+const RESULT_LINE = /^##TEST\|(PASS|FAIL|ERROR)\|([^|]*)\|(.*)$/gm;
+
+const STATUSES = {
+  PASS: 'passed',
+  FAIL: 'failed',
+  ERROR: 'error'
+};
+
+class TestHarness {
+  // Harness for a language, or undefined when tests cannot be run for it
+  get(language) {
+    return harnesses[(language || '').toLowerCase()];
+  }
+
+  supports(language) {
+    return Boolean(this.get(language));
+  }
+
+  // One program that loads the solution, runs the tests and reports each of them
+  build(language, solution, tests) {
+    return this.get(language).build(solution, tests);
+  }
+
+  // Per-test results from the program's output
+  parse(output) {
+    return Array.from((output || '').matchAll(RESULT_LINE), (match) => ({
+      name: match[2],
+      status: STATUSES[match[1]],
+      message: match[3].trim()
+    }));
+  }
+}
+
+module.exports = new TestHarness();
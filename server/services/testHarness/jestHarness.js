@@ -0,0 +1,167 @@
+// server/services/testHarness/jestHarness.js
+
+// jest is not installed in the sandbox, so the tests run against a small implementation of
+// describe/test/it/expect. The solution and tests share one file: imports of the solution are
+// dropped and its functions are called directly. The prelude avoids type annotations, Promise
+// and ES2015 library calls so it also compiles as TypeScript.
+const PRELUDE = `
+var __harnessTests = [];
+var __harnessSuites = [];
+var __harnessBeforeEach = [];
+
+function __harnessReport(status, name, message) {
+  console.log('##TEST|' + status + '|' + name + '|' + String(message || '').replace(/\\s+/g, ' '));
+}
+
+function __harnessFormat(value) {
+  try {
+    return JSON.stringify(value);
+  } catch (error) {
+    return String(value);
+  }
+}
+
+function __harnessEqual(a, b) {
+  if (a === b || (a !== a && b !== b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  var keysA = Object.keys(a);
+  var keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(function (key) { return __harnessEqual(a[key], b[key]); });
+}
+
+function __harnessMatchers(actual, negate) {
+  var check = function (pass, message) {
+    if (pass === negate) {
+      throw { assertion: true, message: (negate ? 'not: ' : '') + message };
+    }
+  };
+  var describeCall = function (verb, expected) {
+    return 'expected ' + __harnessFormat(actual) + ' ' + verb + ' ' + __harnessFormat(expected);
+  };
+
+  return {
+    toBe: function (expected) { check(actual === expected || (actual !== actual && expected !== expected), describeCall('to be', expected)); },
+    toEqual: function (expected) { check(__harnessEqual(actual, expected), describeCall('to equal', expected)); },
+    toStrictEqual: function (expected) { check(__harnessEqual(actual, expected), describeCall('to equal', expected)); },
+    toBeCloseTo: function (expected, digits) {
+      var precision = digits === undefined ? 2 : digits;
+      check(Math.abs(expected - actual) < Math.pow(10, -precision) / 2, describeCall('to be close to', expected));
+    },
+    toBeTruthy: function () { check(!!actual, describeCall('to be', 'truthy')); },
+    toBeFalsy: function () { check(!actual, describeCall('to be', 'falsy')); },
+    toBeNull: function () { check(actual === null, describeCall('to be', null)); },
+    toBeUndefined: function () { check(actual === undefined, describeCall('to be', 'undefined')); },
+    toBeDefined: function () { check(actual !== undefined, describeCall('to be', 'defined')); },
+    toBeGreaterThan: function (expected) { check(actual > expected, describeCall('to be greater than', expected)); },
+    toBeGreaterThanOrEqual: function (expected) { check(actual >= expected, describeCall('to be at least', expected)); },
+    toBeLessThan: function (expected) { check(actual < expected, describeCall('to be less than', expected)); },
+    toBeLessThanOrEqual: function (expected) { check(actual <= expected, describeCall('to be at most', expected)); },
+    toContain: function (item) { check(actual.indexOf(item) !== -1, describeCall('to contain', item)); },
+    toHaveLength: function (length) { check(actual.length === length, describeCall('to have length', length)); },
+    toThrow: function (expected) {
+      var thrown = null;
+      try {
+        actual();
+      } catch (error) {
+        thrown = error || {};
+      }
+      var matches = thrown !== null && (expected === undefined ||
+        (typeof expected === 'function' ? thrown instanceof expected : String(thrown.message).indexOf(expected) !== -1));
+      check(matches, 'expected function to throw' + (expected === undefined ? '' : ' ' + String(expected)));
+    },
+    not: negate ? undefined : __harnessMatchers(actual, true)
+  };
+}
+
+function expect(actual) {
+  return __harnessMatchers(actual, false);
+}
+
+function describe(name, fn) {
+  __harnessSuites.push(name);
+  try {
+    fn();
+  } finally {
+    __harnessSuites.pop();
+  }
+}
+
+function test(name, fn) {
+  __harnessTests.push({ name: __harnessSuites.concat([name]).join(' > '), fn: fn });
+}
+
+test.each = function (table) {
+  return function (name, fn) {
+    table.forEach(function (row, index) {
+      test(name + ' [' + index + ']', function () {
+        return Array.isArray(row) ? fn.apply(null, row) : fn(row);
+      });
+    });
+  };
+};
+
+var it = test;
+
+function beforeEach(fn) {
+  __harnessBeforeEach.push(fn);
+}
+`;
+
+// Runs the tests one after another, waiting for tests that return a thenable
+const RUNNER = `
+function __harnessRun(index) {
+  if (index >= __harnessTests.length) return;
+  var current = __harnessTests[index];
+  var done = function (status, message) {
+    __harnessReport(status, current.name, message);
+    __harnessRun(index + 1);
+  };
+  var failed = function (error) {
+    done(error && error.assertion ? 'FAIL' : 'ERROR', error && error.message ? error.message : String(error));
+  };
+
+  var result;
+  try {
+    __harnessBeforeEach.forEach(function (hook) { hook(); });
+    result = current.fn();
+  } catch (error) {
+    failed(error);
+    return;
+  }
+
+  if (result && typeof result.then === 'function') {
+    result.then(function () { done('PASS'); }, failed);
+  } else {
+    done('PASS');
+  }
+}
+
+__harnessRun(0);
+`;
+
+// Imports of the solution itself, or of jest globals
+const LOCAL_IMPORT = /^.*(?:require\(\s*['"](?:\.{1,2}\/[^'"]*|@jest\/globals)['"]\s*\)|from\s+['"](?:\.{1,2}\/[^'"]*|@jest\/globals)['"]).*$/gm;
+
+const build = (solution, tests) => [
+  PRELUDE,
+  solution,
+  tests.replace(LOCAL_IMPORT, ''),
+  RUNNER
+].join('\n');
+
+module.exports = {
+  javascript: {
+    framework: 'jest',
+    filename: 'solution.test.js',
+    guidance: 'Write jest tests with describe, test and expect (toBe, toEqual, toBeCloseTo, toThrow, toContain, toHaveLength, comparisons and .not). The tests are appended to the solution file, so call its functions directly; a `require(\'./solution\')` line is removed before running.',
+    build
+  },
+  typescript: {
+    framework: 'jest',
+    filename: 'solution.test.ts',
+    guidance: 'Write jest tests with describe, test and expect (toBe, toEqual, toBeCloseTo, toThrow, toContain, toHaveLength, comparisons and .not). The tests are appended to the solution file, so call its functions directly; an `import ... from \'./solution\'` line is removed before running.',
+    build
+  }
+};
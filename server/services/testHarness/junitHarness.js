@@ -0,0 +1,154 @@
+// server/services/testHarness/junitHarness.js
+
+// JUnit is not on the sandbox classpath, so its annotations and assertions are declared in
+// the file and the test classes extend a local Assertions class. The sandbox runs `Main`, so
+// the solution's own Main class is renamed to SolutionMain in both files.
+const SUPPORT = `
+@Retention(RetentionPolicy.RUNTIME) @Target(ElementType.METHOD) @interface Test {}
+@Retention(RetentionPolicy.RUNTIME) @Target(ElementType.METHOD) @interface BeforeEach {}
+@Retention(RetentionPolicy.RUNTIME) @Target(ElementType.METHOD) @interface Before {}
+@Retention(RetentionPolicy.RUNTIME) @Target({ ElementType.METHOD, ElementType.TYPE }) @interface DisplayName { String value(); }
+
+interface Executable {
+  void execute() throws Throwable;
+}
+
+class Assertions {
+  static void fail(String message) {
+    throw new AssertionError(message);
+  }
+
+  static void assertTrue(boolean condition) { assertTrue(condition, "expected true"); }
+  static void assertTrue(boolean condition, String message) { if (!condition) fail(message); }
+  static void assertFalse(boolean condition) { assertFalse(condition, "expected false"); }
+  static void assertFalse(boolean condition, String message) { if (condition) fail(message); }
+  static void assertNull(Object actual) { if (actual != null) fail("expected null but was: <" + actual + ">"); }
+  static void assertNotNull(Object actual) { if (actual == null) fail("expected not null"); }
+
+  static void assertEquals(long expected, long actual) { assertEquals(expected, actual, (String) null); }
+  static void assertEquals(long expected, long actual, String message) {
+    if (expected != actual) fail(describe(message, expected, actual));
+  }
+  static void assertEquals(double expected, double actual, double delta) {
+    if (Math.abs(expected - actual) > delta) fail(describe(null, expected, actual));
+  }
+  static void assertEquals(Object expected, Object actual) { assertEquals(expected, actual, (String) null); }
+  static void assertEquals(Object expected, Object actual, String message) {
+    if (!Objects.equals(expected, actual)) fail(describe(message, expected, actual));
+  }
+  static void assertNotEquals(Object unexpected, Object actual) {
+    if (Objects.equals(unexpected, actual)) fail("expected not equal to: <" + unexpected + ">");
+  }
+  static void assertArrayEquals(Object expected, Object actual) {
+    if (!Arrays.deepEquals(new Object[] { expected }, new Object[] { actual })) {
+      fail("array contents differ: expected " + Arrays.deepToString(new Object[] { expected })
+        + " but was " + Arrays.deepToString(new Object[] { actual }));
+    }
+  }
+
+  static <T extends Throwable> T assertThrows(Class<T> expected, Executable executable) {
+    try {
+      executable.execute();
+    } catch (Throwable thrown) {
+      if (expected.isInstance(thrown)) return expected.cast(thrown);
+      fail("unexpected exception type thrown: " + thrown);
+    }
+    fail("expected " + expected.getSimpleName() + " to be thrown");
+    return null;
+  }
+
+  private static String describe(String message, Object expected, Object actual) {
+    return (message == null ? "" : message + " ==> ") + "expected: <" + expected + "> but was: <" + actual + ">";
+  }
+}
+
+class Assert extends Assertions {}
+`;
+
+const runner = (suites) => `
+public class Main {
+  public static void main(String[] args) {
+    Class<?>[] suites = { ${suites.map((name) => `${name}.class`).join(', ')} };
+
+    for (Class<?> suite : suites) {
+      Method[] methods = suite.getDeclaredMethods();
+      Arrays.sort(methods, Comparator.comparing(Method::getName));
+
+      for (Method method : methods) {
+        if (!method.isAnnotationPresent(Test.class)) continue;
+        String name = suite.getSimpleName() + "." + method.getName();
+
+        try {
+          Constructor<?> constructor = suite.getDeclaredConstructor();
+          constructor.setAccessible(true);
+          Object instance = constructor.newInstance();
+
+          for (Method hook : methods) {
+            if (hook.isAnnotationPresent(BeforeEach.class) || hook.isAnnotationPresent(Before.class)) {
+              hook.setAccessible(true);
+              hook.invoke(instance);
+            }
+          }
+
+          method.setAccessible(true);
+          method.invoke(instance);
+          report("PASS", name, "");
+        } catch (InvocationTargetException error) {
+          Throwable cause = error.getCause();
+          report(cause instanceof AssertionError ? "FAIL" : "ERROR", name, String.valueOf(cause));
+        } catch (Exception error) {
+          report("ERROR", name, error.toString());
+        }
+      }
+    }
+  }
+
+  static void report(String status, String name, String message) {
+    System.out.println("##TEST|" + status + "|" + name + "|" + message.replaceAll("\\\\s+", " "));
+  }
+}
+`;
+
+const HARNESS_IMPORTS = [
+  'import java.lang.annotation.*;',
+  'import java.lang.reflect.*;',
+  'import java.util.*;'
+];
+
+const IMPORT_LINE = /^\s*import\s+[^;]+;\s*$/gm;
+const PACKAGE_LINE = /^\s*package\s+[^;]+;\s*$/gm;
+const TOP_LEVEL_PUBLIC = /^public\s+((?:final\s+|abstract\s+)*(?:class|interface|enum)\b)/gm;
+const TOP_LEVEL_CLASS = /^((?:final\s+|abstract\s+)*)class\s+(\w+)(\s*)\{/gm;
+
+// Drop package and import lines, free the Main name and make top-level types package-private
+const prepare = (code) => code
+  .replace(PACKAGE_LINE, '')
+  .replace(IMPORT_LINE, '')
+  .replace(/\bMain\b/g, 'SolutionMain')
+  .replace(TOP_LEVEL_PUBLIC, '$1');
+
+module.exports = {
+  framework: 'junit',
+  filename: 'SolutionTest.java',
+  guidance: 'Write a JUnit 5 test class named SolutionTest with @Test methods using assertEquals, assertTrue, assertFalse, assertNull, assertNotNull, assertArrayEquals and assertThrows. Call the solution\'s classes directly; they are compiled in the same file.',
+
+  build(solution, tests) {
+    const imports = [...solution.matchAll(IMPORT_LINE), ...tests.matchAll(IMPORT_LINE)]
+      .map((match) => match[0].trim())
+      .filter((line) => !/\borg\.junit\b/.test(line));
+
+    const suites = [];
+    const testBody = prepare(tests).replace(TOP_LEVEL_CLASS, (match, modifiers, name, space) => {
+      suites.push(name);
+      return `${modifiers}class ${name} extends Assertions${space}{`;
+    });
+
+    return [
+      ...new Set([...HARNESS_IMPORTS, ...imports]),
+      SUPPORT,
+      prepare(solution),
+      testBody,
+      runner(suites)
+    ].join('\n');
+  }
+};
@@ -0,0 +1,146 @@
+// server/services/testHarness/pythonHarness.js
+
+// Loads the solution as the module `solution` (so `if __name__ == "__main__"` blocks do not run),
+// runs the test file in the same namespace and reports every test_* function and Test* class
+// method. pytest is rarely installed in the sandbox, so raises, approx and mark.parametrize
+// are provided when it is missing.
+const RUNNER = `
+import builtins
+import sys
+import types
+
+
+def _harness_report(status, name, message=''):
+    print('##TEST|%s|%s|%s' % (status, name, ' '.join(str(message).split())))
+
+
+try:
+    import pytest
+except ImportError:
+    pytest = types.ModuleType('pytest')
+
+    class _HarnessRaises:
+        def __init__(self, expected, match=None):
+            self.expected = expected
+            self.match = match
+
+        def __enter__(self):
+            return self
+
+        def __exit__(self, exc_type, exc, tb):
+            if exc_type is None:
+                raise AssertionError('DID NOT RAISE %s' % self.expected)
+            if not issubclass(exc_type, self.expected):
+                return False
+            if self.match is not None and self.match not in str(exc):
+                raise AssertionError('%r does not match %r' % (str(exc), self.match))
+            self.value = exc
+            return True
+
+    class _HarnessApprox:
+        def __init__(self, expected, rel=None, abs=None):
+            self.expected = expected
+            self.rel = 1e-6 if rel is None else rel
+            self.tolerance = 1e-12 if abs is None else abs
+
+        def __eq__(self, other):
+            if isinstance(self.expected, (list, tuple)):
+                return len(other) == len(self.expected) and all(
+                    _HarnessApprox(value, self.rel, self.tolerance) == item
+                    for value, item in zip(self.expected, other))
+            return builtins.abs(other - self.expected) <= max(
+                self.rel * builtins.abs(self.expected), self.tolerance)
+
+        def __repr__(self):
+            return 'approx(%r)' % (self.expected,)
+
+    def _harness_parametrize(argnames, argvalues, **kwargs):
+        def decorate(func):
+            func._harness_params = [(argnames, list(argvalues))] + getattr(func, '_harness_params', [])
+            return func
+        return decorate
+
+    pytest.raises = _HarnessRaises
+    pytest.approx = _HarnessApprox
+    pytest.fixture = lambda *args, **kwargs: args[0] if args and callable(args[0]) else (lambda func: func)
+    pytest.mark = types.SimpleNamespace(parametrize=_harness_parametrize)
+    sys.modules['pytest'] = pytest
+
+
+def _harness_cases(func):
+    params = list(getattr(func, '_harness_params', []))
+    for mark in getattr(func, 'pytestmark', []):
+        if mark.name == 'parametrize':
+            params.append((mark.args[0], list(mark.args[1])))
+
+    cases = [{}]
+    for argnames, argvalues in params:
+        names = [name.strip() for name in argnames.split(',')] if isinstance(argnames, str) else list(argnames)
+        expanded = []
+        for case in cases:
+            for values in argvalues:
+                values = values if len(names) > 1 else (values,)
+                expanded.append(dict(case, **dict(zip(names, values))))
+        cases = expanded
+    return cases
+
+
+def _harness_collect(namespace, solution):
+    for name, value in list(namespace.items()):
+        if solution.get(name) is value:
+            continue
+        if isinstance(value, type) and name.startswith('Test'):
+            for attr, member in vars(value).items():
+                if attr.startswith('test') and callable(member):
+                    yield '%s.%s' % (name, attr), member, value
+        elif name.startswith('test') and callable(value):
+            yield name, value, None
+
+
+def _harness_run(namespace, solution):
+    for name, func, owner in _harness_collect(namespace, solution):
+        cases = _harness_cases(func)
+        for index, kwargs in enumerate(cases):
+            label = name if len(cases) == 1 else '%s[%d]' % (name, index)
+            try:
+                if owner is None:
+                    func(**kwargs)
+                else:
+                    instance = owner()
+                    if hasattr(instance, 'setup_method'):
+                        instance.setup_method(func)
+                    getattr(instance, func.__name__)(**kwargs)
+                _harness_report('PASS', label)
+            except AssertionError as error:
+                _harness_report('FAIL', label, str(error) or 'assertion failed')
+            except BaseException as error:
+                _harness_report('ERROR', label, '%s: %s' % (type(error).__name__, error))
+
+
+_harness_solution = types.ModuleType('solution')
+sys.modules['solution'] = _harness_solution
+
+try:
+    exec(compile(_HARNESS_SOLUTION, 'solution.py', 'exec'), _harness_solution.__dict__)
+except SystemExit:
+    pass
+except BaseException as error:
+    _harness_report('ERROR', 'solution', '%s: %s' % (type(error).__name__, error))
+    sys.exit(0)
+
+_harness_namespace = dict(_harness_solution.__dict__)
+_harness_namespace['__name__'] = 'test_solution'
+exec(compile(_HARNESS_TESTS, 'test_solution.py', 'exec'), _harness_namespace)
+_harness_run(_harness_namespace, _harness_solution.__dict__)
+`;
+
+module.exports = {
+  framework: 'pytest',
+  filename: 'test_solution.py',
+  guidance: 'Write pytest tests as plain test_* functions using assert, pytest.raises, pytest.approx and pytest.mark.parametrize only (no fixtures). Import the code under test with `from solution import ...`.',
+
+  // JSON string literals are valid Python string literals
+  build(solution, tests) {
+    return `_HARNESS_SOLUTION = ${JSON.stringify(solution)}\n_HARNESS_TESTS = ${JSON.stringify(tests)}\n${RUNNER}`;
+  }
+};
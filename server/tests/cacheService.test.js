@@ -0,0 +1,90 @@
+// server/tests/cacheService.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const cacheService = require('../services/cacheService');
+const { Problem, Solution } = require('../models/Problem');
+
+const problem = (overrides = {}) => ({
+  title: 'Two Sum',
+  description: 'Find two numbers in the array that add up to the target.',
+  category: 'algorithm',
+  language: 'python',
+  difficulty: 'easy',
+  ...overrides
+});
+
+// A mongoose query stand-in: chained calls return it and awaiting it gives the result
+const query = (result) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  ['sort', 'limit', 'select', 'populate'].forEach((method) => { chain[method] = () => chain; });
+  return chain;
+};
+
+// Run with a similarity threshold, put back afterwards
+const withThreshold = (t, threshold) => {
+  const original = cacheService.similarityThreshold;
+  cacheService.similarityThreshold = threshold;
+  t.after(() => { cacheService.similarityThreshold = original; });
+};
+
+test('cache key: case, punctuation and whitespace edits hash the same', () => {
+  const key = cacheService.getCacheKey(problem());
+
+  assert.strictEqual(cacheService.getCacheKey(problem({ title: '  two   SUM!' })), key);
+  assert.strictEqual(cacheService.getCacheKey(problem({
+    description: 'find two numbers, in the array that add up to the target'
+  })), key);
+});
+
+test('cache key: a different language, category or wording hashes differently', () => {
+  const key = cacheService.getCacheKey(problem());
+
+  assert.notStrictEqual(cacheService.getCacheKey(problem({ language: 'javascript' })), key);
+  assert.notStrictEqual(cacheService.getCacheKey(problem({ category: 'debugging' })), key);
+  assert.notStrictEqual(cacheService.getCacheKey(problem({ title: 'Three Sum' })), key);
+});
+
+test('cache similarity: Jaccard overlap of the title and description words', () => {
+  const a = { title: 'sort', description: 'a list of numbers' };
+  const b = { title: 'sort', description: 'a list of strings' };
+
+  // 4 shared words out of 6 distinct ones
+  assert.strictEqual(cacheService.similarity(a, b), 4 / 6);
+  assert.strictEqual(cacheService.similarity(a, { title: 'Sort.', description: 'A list of NUMBERS' }), 1);
+  assert.strictEqual(cacheService.similarity(a, { title: 'graph', description: 'paths' }), 0);
+});
+
+test('cache lookup: a near-duplicate is reused only from the threshold up', async (t) => {
+  const solution = { _id: 'solution' };
+  const candidate = { title: 'sort', description: 'a list of strings', solution: solution._id };
+  t.mock.method(Problem, 'findOne', () => query(null));
+  t.mock.method(Problem, 'find', () => query([candidate]));
+  t.mock.method(Solution, 'findById', async () => solution);
+  const asked = problem({ title: 'sort', description: 'a list of numbers' });
+
+  withThreshold(t, 0.7);
+  assert.strictEqual(await cacheService.findMatch(asked, 'user'), null);
+
+  cacheService.similarityThreshold = 4 / 6;
+  const match = await cacheService.findMatch(asked, 'user');
+  assert.strictEqual(match.solution, solution);
+  assert.strictEqual(match.exact, false);
+  assert.strictEqual(match.similarity, 4 / 6);
+});
+
+test('cache lookup: without a threshold only exact duplicates match', async (t) => {
+  const exact = { solution: { _id: 'solution' } };
+  const findOne = t.mock.method(Problem, 'findOne', () => query(null));
+  const find = t.mock.method(Problem, 'find', () => query([]));
+  withThreshold(t, 0);
+
+  assert.strictEqual(await cacheService.findMatch(problem(), 'user'), null);
+  assert.strictEqual(find.mock.callCount(), 0);
+  assert.strictEqual(findOne.mock.calls[0].arguments[0].cacheKey, cacheService.getCacheKey(problem()));
+
+  findOne.mock.mockImplementation(() => query(exact));
+  const match = await cacheService.findMatch(problem(), 'user');
+  assert.deepStrictEqual(match, { problem: exact, solution: exact.solution, similarity: 1, exact: true });
+});
@@ -0,0 +1,90 @@
+// server/tests/codePolicy.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const engine = require('../services/codePolicy');
+const config = require('../config/codePolicies');
+
+// What the built-in rules for the language find in the code, as `action:found`
+const check = (code, language) => engine.evaluate(code, language, config.rules[language])
+  .map((violation) => `${violation.action}:${violation.found}`);
+
+test('javascript: require called through an alias', () => {
+  assert.deepStrictEqual(check("const r = require; r('child_process')", 'javascript'), ['block:child_process']);
+  assert.deepStrictEqual(check("module.require('child_process')", 'javascript'), ['block:child_process']);
+});
+
+test('javascript: require handed on without being called', () => {
+  assert.deepStrictEqual(check("[require][0]('child_process')", 'javascript'), ['warn:<dynamic>']);
+});
+
+test('javascript: Function reached through constructor chains', () => {
+  assert.deepStrictEqual(check("[].constructor.constructor('return process')()", 'javascript'), ['block:Function']);
+  assert.deepStrictEqual(check("[]['constructor']['constructor']('code')()", 'javascript'), ['block:Function']);
+  assert.deepStrictEqual(check("(() => {}).constructor('code')()", 'javascript'), ['block:Function']);
+  assert.deepStrictEqual(check("Function.call(null, 'code')", 'javascript'), ['block:Function']);
+});
+
+test('javascript: timers given a string to run', () => {
+  assert.deepStrictEqual(check("setTimeout('process.exit()', 0)", 'javascript'), ['block:eval']);
+  assert.deepStrictEqual(check('setInterval(`tick(${n})`, 10)', 'javascript'), ['block:eval']);
+  assert.deepStrictEqual(check('setTimeout(() => done(), 0)', 'javascript'), []);
+});
+
+test('javascript: modules reached through createRequire or a require result', () => {
+  assert.deepStrictEqual(check("require('module').createRequire(__filename)('child_process')", 'javascript'),
+    ['block:module']);
+  assert.deepStrictEqual(check("require('process').binding('spawn_sync')", 'javascript'), ['block:process.binding']);
+});
+
+test('javascript: Function called through Reflect', () => {
+  assert.deepStrictEqual(check("Reflect.apply(Function, null, ['return process'])()", 'javascript'), ['block:Function']);
+  assert.deepStrictEqual(check("Reflect.construct(Function, ['return process'])()", 'javascript'), ['block:Function']);
+});
+
+test('javascript: the AsyncFunction constructor handed on', () => {
+  assert.deepStrictEqual(check("const AsyncFunction = (async () => {}).constructor;\nAsyncFunction('code')()", 'javascript'),
+    ['block:Function']);
+  assert.deepStrictEqual(check('if (x.constructor === Array) console.log(x.constructor.name)', 'javascript'), []);
+});
+
+test('javascript: ordinary code passes', () => {
+  const code = "const fs = require('fs');\nconst lines = fs.readFileSync(0, 'utf8').split('\\n');\nconsole.log(lines.length);";
+  assert.deepStrictEqual(check(code, 'javascript'), []);
+});
+
+test('python: getattr on an imported module', () => {
+  assert.deepStrictEqual(check("getattr(__import__('os'), 'system')('ls')", 'python'), ['block:os.system']);
+  assert.deepStrictEqual(check("import importlib\ngetattr(importlib.import_module('os'), 'popen')('ls')", 'python'),
+    ['block:os.popen']);
+});
+
+test('python: getattr on something that cannot be followed', () => {
+  assert.deepStrictEqual(check("getattr(__import__('o' + 's'), 'system')('ls')", 'python'),
+    ['warn:<dynamic>', 'warn:<dynamic>']);
+  assert.deepStrictEqual(check("getattr(make(), 'system')('ls')", 'python'), ['warn:<dynamic>']);
+});
+
+test('python: getattr with a computed attribute name', () => {
+  assert.deepStrictEqual(check("import os\ngetattr(os, 'sys' + 'tem')('id')", 'python'), ['warn:<dynamic>']);
+  assert.deepStrictEqual(check("import os\nprint(getattr(os, 'sep'))", 'python'), []);
+});
+
+test('python: names looked up in namespace dictionaries', () => {
+  assert.deepStrictEqual(check("import os\nvars(os)['system']('id')", 'python'), ['block:vars']);
+  assert.deepStrictEqual(check("import os\nos.__dict__['system']('id')", 'python'), ['block:__dict__']);
+  assert.deepStrictEqual(check("globals()['__builtins__']", 'python'), ['block:globals']);
+});
+
+test('python: modules reached through sys.modules', () => {
+  assert.deepStrictEqual(check("import sys\nsys.modules['os'].system('id')", 'python'), ['block:sys.modules']);
+  assert.deepStrictEqual(check("__import__('sys').modules['os'].system('id')", 'python'), ['block:sys.modules']);
+});
+
+test('python: the modules os is built on', () => {
+  assert.deepStrictEqual(check("import posix\nposix.system('ls')", 'python'), ['block:posix']);
+  assert.deepStrictEqual(check('from nt import system', 'python'), ['block:nt']);
+});
+
+test('python: reading stdin as a file passes', () => {
+  assert.deepStrictEqual(check('data = open(0).read().split()\nprint(len(data))', 'python'), []);
+});
@@ -0,0 +1,114 @@
+// server/tests/importQuota.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const router = require('../routes/imports');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const Batch = require('../models/Batch');
+const { Problem } = require('../models/Problem');
+const jobQueue = require('../services/jobQueue');
+const spendService = require('../services/spendService');
+
+// POST /api/imports after `protect`, which would load req.user from the token
+const importHandlers = router.stack
+  .find((layer) => layer.route && layer.route.path === '/' && layer.route.methods.post)
+  .route.stack.slice(1)
+  .map((layer) => layer.handle);
+
+const post = async (user, body) => {
+  const req = { body, user };
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+
+  for (const handle of importHandlers) {
+    let next = false;
+    await handle(req, res, (error) => {
+      if (error) throw error;
+      next = true;
+    });
+    if (!next) break;
+  }
+
+  return res;
+};
+
+const csv = (count) => [
+  'title,description,category',
+  ...Array.from({ length: count }, (_, index) => `Problem ${index + 1},Add up the numbers on each line,programming`)
+].join('\n');
+
+const user = (queryLimit, monthlyQueries) => User.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  email: 'a@b.c',
+  subscription: { plan: 'free', queryLimit },
+  apiUsage: { monthlyQueries, lastResetDate: new Date() }
+});
+
+// Jobs kept in memory: enqueue adds one, and queued jobs hold their queries
+const fakeQueue = (t, jobs = []) => {
+  t.mock.method(Job, 'reservedQueries', async () => jobs.reduce((sum, job) => sum + job.queries, 0));
+  t.mock.method(jobQueue, 'enqueue', async (type, problem) => {
+    jobs.push({ problem: problem._id, queries: 1 });
+  });
+  t.mock.method(spendService, 'checkBudget', async () => null);
+  t.mock.method(Batch, 'create', async (fields) => ({ _id: new mongoose.Types.ObjectId(), ...fields, save: async () => {} }));
+  t.mock.method(Problem, 'insertMany', async (docs) => docs.map((doc) => ({ ...doc, _id: new mongoose.Types.ObjectId() })));
+  return jobs;
+};
+
+test('import quota: the whole batch must fit in the queries left, less those queued jobs hold', async (t) => {
+  fakeQueue(t, [{ queries: 2 }]);
+
+  const res = await post(user(10, 5), { format: 'csv', content: csv(4) });
+
+  assert.strictEqual(res.statusCode, 429);
+  assert.strictEqual(res.body.message, 'This import needs 4 queries, only 3 left this month');
+  assert.strictEqual(Batch.create.mock.callCount(), 0);
+  assert.strictEqual(jobQueue.enqueue.mock.callCount(), 0);
+});
+
+test('import quota: an imported batch holds a query per problem until its jobs finish', async (t) => {
+  const jobs = fakeQueue(t);
+  const importer = user(10, 5);
+
+  const first = await post(importer, { format: 'csv', content: csv(3) });
+  assert.strictEqual(first.statusCode, 202);
+  assert.strictEqual(jobs.length, 3);
+
+  // 5 used and 3 held leave 2, though the monthly count alone would allow 5
+  const second = await post(importer, { format: 'csv', content: csv(3) });
+  assert.strictEqual(second.statusCode, 429);
+  assert.strictEqual(jobs.length, 3);
+
+  const third = await post(importer, { format: 'csv', content: csv(2) });
+  assert.strictEqual(third.statusCode, 202);
+
+  // Nothing left: refused before the upload is even read
+  const fourth = await post(importer, { format: 'csv', content: csv(1) });
+  assert.strictEqual(fourth.statusCode, 429);
+  assert.strictEqual(fourth.body.usage.reserved, 5);
+});
+
+test('import quota: invalid rows need no query', async (t) => {
+  fakeQueue(t);
+  const content = `${csv(2)}\nBroken,No category here,`;
+
+  const res = await post(user(10, 8), { format: 'csv', content });
+
+  assert.strictEqual(res.statusCode, 202);
+  assert.deepStrictEqual(res.body.data.summary, { total: 3, valid: 2, invalid: 1 });
+  assert.strictEqual(jobQueue.enqueue.mock.callCount(), 2);
+});
+
+test('import quota: a dry run reserves nothing', async (t) => {
+  const jobs = fakeQueue(t);
+
+  const res = await post(user(10, 0), { format: 'csv', content: csv(3), dryRun: true });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(jobs.length, 0);
+  assert.strictEqual(Problem.insertMany.mock.callCount(), 0);
+});
@@ -0,0 +1,156 @@
+// server/tests/jobQueue.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const jobQueue = require('../services/jobQueue');
+const solutionService = require('../services/solutionService');
+const streamHub = require('../services/streamHub');
+const Job = require('../models/Job');
+const { Problem } = require('../models/Problem');
+
+// Whether a stored job passes a filter, for the operators the queue uses
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = doc[field];
+  if (condition && condition.$in) return condition.$in.some((item) => String(item) === String(value));
+  if (condition && condition.$lte) return value <= condition.$lte;
+  return String(value) === String(condition);
+});
+
+// Apply an update the way MongoDB does: plain fields and $set replace, $inc adds, $unset removes
+const apply = (doc, update) => {
+  const { $set = {}, $inc = {}, $unset = {}, ...fields } = update;
+  Object.assign(doc, fields, $set);
+  Object.entries($inc).forEach(([field, amount]) => { doc[field] = (doc[field] || 0) + amount; });
+  Object.keys($unset).forEach((field) => { delete doc[field]; });
+};
+
+// Jobs kept in memory behind the Job model methods the queue calls. Every call yields
+// a tick first, so calls made at the same time interleave as they would against MongoDB.
+const fakeJobs = (t, jobs) => {
+  const stored = jobs.map((job) => ({
+    _id: new mongoose.Types.ObjectId(),
+    problem: new mongoose.Types.ObjectId(),
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: 3,
+    runAt: new Date(Date.now() - 1000),
+    ...job
+  }));
+  const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+  t.mock.method(Job, 'findOneAndUpdate', async (filter, update, options = {}) => {
+    await tick();
+    const found = stored
+      .filter((doc) => matches(doc, filter))
+      .sort((a, b) => (options.sort ? a.runAt - b.runAt : 0))[0];
+    if (!found) return null;
+
+    const before = { ...found };
+    apply(found, update);
+    return options.new === false ? before : { ...found };
+  });
+  t.mock.method(Job, 'updateOne', async (filter, update) => {
+    await tick();
+    const found = stored.find((doc) => matches(doc, filter));
+    if (found) apply(found, update);
+    return { matchedCount: found ? 1 : 0 };
+  });
+  t.mock.method(Problem, 'updateOne', async () => ({ matchedCount: 1 }));
+  t.mock.method(Problem, 'findById', async () => null);
+  ['open', 'status', 'fail'].forEach((method) => t.mock.method(streamHub, method, () => {}));
+
+  return stored;
+};
+
+test('job queue: claiming takes the oldest due job and marks it running', async (t) => {
+  const [later, older, future] = fakeJobs(t, [
+    { runAt: new Date(Date.now() - 1000) },
+    { runAt: new Date(Date.now() - 5000) },
+    { runAt: new Date(Date.now() + 60000) }
+  ]);
+
+  const claimed = await jobQueue.claim();
+
+  assert.strictEqual(String(claimed._id), String(older._id));
+  assert.strictEqual(older.status, 'running');
+  assert.strictEqual(older.attempts, 1);
+  assert.strictEqual(older.lockedBy, jobQueue.workerId);
+  assert.ok(older.lockedAt instanceof Date);
+
+  assert.strictEqual(String((await jobQueue.claim())._id), String(later._id));
+  // Jobs pushed back by a retry wait for their time
+  assert.strictEqual(await jobQueue.claim(), null);
+  assert.strictEqual(future.status, 'queued');
+});
+
+test('job queue: workers claiming at the same time never get the same job', async (t) => {
+  fakeJobs(t, [{}, {}]);
+
+  const claimed = await Promise.all([jobQueue.claim(), jobQueue.claim(), jobQueue.claim()]);
+  const ids = claimed.filter(Boolean).map((job) => String(job._id));
+
+  assert.strictEqual(ids.length, 2);
+  assert.strictEqual(new Set(ids).size, 2);
+});
+
+test('job queue: settling finishes a running job and releases its lock', async (t) => {
+  const [job] = fakeJobs(t, [{}]);
+  const claimed = await jobQueue.claim();
+
+  assert.strictEqual(await jobQueue.settle(claimed, { status: 'completed' }), true);
+  assert.strictEqual(job.status, 'completed');
+  assert.strictEqual(job.lockedBy, undefined);
+  assert.strictEqual(job.lockedAt, undefined);
+});
+
+test('job queue: settling does not overwrite a cancel or a later claim', async (t) => {
+  const [job] = fakeJobs(t, [{}]);
+  const firstClaim = await jobQueue.claim();
+
+  // Requeued as stale and claimed again: the first run's outcome no longer counts
+  job.status = 'queued';
+  const secondClaim = await jobQueue.claim();
+  assert.strictEqual(await jobQueue.settle(firstClaim, { status: 'failed' }), false);
+  assert.strictEqual(job.status, 'running');
+
+  job.status = 'cancelled';
+  assert.strictEqual(await jobQueue.settle(secondClaim, { status: 'completed' }), false);
+  assert.strictEqual(job.status, 'cancelled');
+});
+
+test('job queue: a failed attempt is queued again with backoff until the last one fails', async (t) => {
+  const [job] = fakeJobs(t, [{ maxAttempts: 2 }]);
+  const startedAt = Date.now();
+
+  await jobQueue.retryOrFail(await jobQueue.claim(), new Error('overloaded'));
+  assert.strictEqual(job.status, 'queued');
+  assert.strictEqual(job.lastError, 'overloaded');
+  assert.ok(job.runAt.getTime() >= startedAt + jobQueue.retryDelay);
+
+  job.runAt = new Date(Date.now() - 1000);
+  await jobQueue.retryOrFail(await jobQueue.claim(), new Error('overloaded again'));
+  assert.strictEqual(job.status, 'failed');
+  assert.strictEqual(job.attempts, 2);
+  assert.strictEqual(job.lastError, 'overloaded again');
+});
+
+test('job queue: cancelling settles a queued job and aborts a running one', async (t) => {
+  const [queued, running] = fakeJobs(t, [{}, { status: 'running', attempts: 1 }]);
+  const settleCancelled = t.mock.method(solutionService, 'settleCancelled', async () => {});
+  const controller = new AbortController();
+  jobQueue.controllers.set(String(running._id), controller);
+  t.after(() => jobQueue.controllers.delete(String(running._id)));
+
+  const cancelledQueued = await jobQueue.cancel({ _id: queued.problem });
+  assert.strictEqual(cancelledQueued.status, 'queued');
+  assert.strictEqual(queued.status, 'cancelled');
+  assert.strictEqual(settleCancelled.mock.callCount(), 1);
+
+  await jobQueue.cancel({ _id: running.problem });
+  assert.strictEqual(running.status, 'cancelled');
+  assert.strictEqual(controller.signal.aborted, true);
+  // The running job's problem is settled by the generation it aborts
+  assert.strictEqual(settleCancelled.mock.callCount(), 1);
+
+  assert.strictEqual(await jobQueue.cancel({ _id: running.problem }), null);
+});
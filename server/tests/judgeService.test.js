@@ -0,0 +1,62 @@
+// server/tests/judgeService.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const judgeService = require('../services/judgeService');
+const config = require('../config/testCases');
+
+const exact = { ignoreWhitespace: false, floatTolerance: 0 };
+const loose = { ignoreWhitespace: true, floatTolerance: 0 };
+
+test('judge: ignoring whitespace, any run of whitespace separates tokens', () => {
+  assert.strictEqual(judgeService.compareOutput('1  2\n3\n', '1 2 3', loose), true);
+  assert.strictEqual(judgeService.compareOutput('\t1\r\n2 3  \n\n', '1 2 3', loose), true);
+  assert.strictEqual(judgeService.compareOutput('1 2', '1 2 3', loose), false);
+  assert.strictEqual(judgeService.compareOutput('', '', loose), true);
+});
+
+test('judge: without ignoring whitespace, lines and spaces must line up', () => {
+  assert.strictEqual(judgeService.compareOutput('1 2\n3\n\n', '1 2\n3', exact), true);
+  assert.strictEqual(judgeService.compareOutput('1 2\r\n3\r\n', '1 2\n3', exact), true);
+  assert.strictEqual(judgeService.compareOutput('1 2 3', '1 2\n3', exact), false);
+  assert.strictEqual(judgeService.compareOutput('1  2\n3', '1 2\n3', exact), false);
+  assert.strictEqual(judgeService.compareOutput('1 2 \n3', '1 2\n3', exact), false);
+});
+
+test('judge: numbers within the float tolerance match, absolute below 1 and relative above', () => {
+  const tolerance = { ignoreWhitespace: true, floatTolerance: 1e-6 };
+
+  assert.strictEqual(judgeService.compareOutput('0.3333333', '0.333333333', tolerance), true);
+  assert.strictEqual(judgeService.compareOutput('0.334', '0.333333333', tolerance), false);
+  assert.strictEqual(judgeService.compareOutput('1000000.5', '1000000', tolerance), true);
+  assert.strictEqual(judgeService.compareOutput('1000002', '1000000', tolerance), false);
+  assert.strictEqual(judgeService.compareOutput('1e3', '1000', tolerance), true);
+  // Without a tolerance numbers are compared as text
+  assert.strictEqual(judgeService.compareOutput('1.0', '1', loose), false);
+  // Words are never numbers, and an empty token is not zero
+  assert.strictEqual(judgeService.compareOutput('abc', 'abd', tolerance), false);
+  assert.strictEqual(judgeService.compareOutput('1 ', '1 0', { ...tolerance, ignoreWhitespace: false }), false);
+});
+
+test('judge: letter case always counts', () => {
+  assert.strictEqual(judgeService.compareOutput('YES', 'yes', loose), false);
+  assert.strictEqual(judgeService.compareOutput('Infinity', 'infinity', { ignoreWhitespace: true, floatTolerance: 0.1 }),
+    false);
+});
+
+test('judge: options a problem leaves unset come from the instance defaults', () => {
+  assert.deepStrictEqual(judgeService.getOptions({}), {
+    ignoreWhitespace: config.ignoreWhitespace,
+    floatTolerance: config.floatTolerance
+  });
+  assert.deepStrictEqual(judgeService.getOptions({ ignoreWhitespace: false, floatTolerance: 0.01 }),
+    { ignoreWhitespace: false, floatTolerance: 0.01 });
+  assert.deepStrictEqual(judgeService.toJudgeOptions({ ignoreWhitespace: 'no', floatTolerance: '0.5' }),
+    { ignoreWhitespace: undefined, floatTolerance: 0.5 });
+});
+
+test('judge: a case\'s time limit falls back to the problem\'s, then the default, and is capped', () => {
+  assert.strictEqual(judgeService.getTimeLimit({ timeLimit: 1 }, { cpuTimeLimit: 3 }), 1);
+  assert.strictEqual(judgeService.getTimeLimit({}, { cpuTimeLimit: 3 }), Math.min(3, config.maxTimeLimit));
+  assert.strictEqual(judgeService.getTimeLimit({}, undefined), config.defaultTimeLimit);
+  assert.strictEqual(judgeService.getTimeLimit({ timeLimit: config.maxTimeLimit + 5 }), config.maxTimeLimit);
+});
@@ -0,0 +1,77 @@
+// server/tests/localExecutor.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalExecutor = require('../services/executors/localExecutor');
+const config = require('../config/executor');
+
+const limits = { cpuTimeLimit: 2, wallTimeLimit: 10, memoryLimit: 128000, maxOutput: 65536 };
+
+// Runs the program in the sandbox, skipping the test where the host cannot build one
+const run = async (t, code, language) => {
+  const executor = new LocalExecutor({ ...config.local, python: 'python3' });
+  const isolationError = await executor.checkIsolation();
+  if (isolationError) {
+    t.skip(isolationError);
+    return null;
+  }
+  return executor.execute(code, language, '', limits);
+};
+
+test('sandbox: a chroot escape does not reach host files', async (t) => {
+  const marker = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'marker-')), 'secret');
+  fs.writeFileSync(marker, 'host-secret');
+  // Readable by anyone, so only the sandbox keeps the program from it
+  fs.chmodSync(path.dirname(marker), 0o755);
+  fs.chmodSync(marker, 0o644);
+  t.after(() => fs.rmSync(path.dirname(marker), { recursive: true, force: true }));
+
+  const code = `
+import os
+def read():
+    for target in (${JSON.stringify(marker)}, '/etc/hostname'):
+        try:
+            print(target, open(target).read().strip())
+        except OSError as error:
+            print(target, 'unreadable', error.errno)
+try:
+    os.mkdir('/work/jail')
+    os.chroot('/work/jail')
+    for _ in range(64):
+        os.chdir('..')
+    os.chroot('.')
+    print('chroot succeeded')
+except OSError as error:
+    print('chroot failed', error.errno)
+read()
+print(sorted(os.listdir('/')))
+`;
+  const result = await run(t, code, 'python');
+  if (!result) return;
+
+  assert.strictEqual(result.statusId, 3, result.error);
+  assert.match(result.output, /chroot failed/);
+  assert.doesNotMatch(result.output, /host-secret/);
+  assert.match(result.output, /\/etc\/hostname unreadable/);
+});
+
+test('sandbox: writes outside the scratch directory fail', async (t) => {
+  const code = `
+for target in ('/usr/escape', '/etc/escape', '/escape'):
+    try:
+        open(target, 'w')
+        print(target, 'written')
+    except OSError:
+        print(target, 'refused')
+open('/work/out', 'w').write('ok')
+print(open('/work/out').read())
+`;
+  const result = await run(t, code, 'python');
+  if (!result) return;
+
+  assert.strictEqual(result.statusId, 3, result.error);
+  assert.doesNotMatch(result.output, /written/);
+  assert.match(result.output, /ok$/m);
+});
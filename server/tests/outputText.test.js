@@ -0,0 +1,31 @@
+// server/tests/outputText.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { toText } = require('../services/executors/outputText');
+const Judge0Executor = require('../services/executors/judge0Executor');
+
+test('output text: UTF-8 output is decoded as UTF-8', () => {
+  assert.strictEqual(toText(Buffer.from('héllo ✓\n')), 'héllo ✓\n');
+});
+
+test('output text: bytes that are not UTF-8 are kept one character each', () => {
+  const text = toText(Buffer.from([0x61, 0xff, 0xfe, 0x0a]));
+  assert.strictEqual(text, 'aÿþ\n');
+  assert.deepStrictEqual(Buffer.from(text, 'latin1'), Buffer.from([0x61, 0xff, 0xfe, 0x0a]));
+});
+
+test('output text: a character cut off at the end is dropped', () => {
+  assert.strictEqual(toText(Buffer.from('ok ✓').subarray(0, 4)), 'ok ');
+});
+
+test('output text: Judge0 base64 output keeps its bytes and is cut to the output limit', () => {
+  const executor = new Judge0Executor({ base64: true });
+  const raw = {
+    status: { id: 3 },
+    stdout: Buffer.from([0x80, 0x81, 0x0a]).toString('base64'),
+    stderr: Buffer.from('é'.repeat(10)).toString('base64')
+  };
+  const result = executor.formatResult(raw, { maxOutput: 5 });
+  assert.strictEqual(result.output, '\u0080\u0081\n');
+  assert.strictEqual(result.error, 'éé');
+});
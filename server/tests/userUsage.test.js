@@ -0,0 +1,83 @@
+// server/tests/userUsage.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// One stored user's apiUsage, updated the way MongoDB applies findOneAndUpdate: the filter is
+// checked and $set and $inc applied in one step, after a tick so concurrent calls interleave
+const fakeStore = (t, apiUsage) => {
+  const stored = { ...apiUsage };
+  t.mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+    await new Promise((resolve) => setImmediate(resolve));
+    const resetDate = stored.lastResetDate;
+    const condition = filter['apiUsage.lastResetDate'];
+    const matches = condition
+      ? resetDate >= condition.$gte
+      : !resetDate || filter.$or.some((item) => item['apiUsage.lastResetDate'] && resetDate < item['apiUsage.lastResetDate'].$lt);
+    if (!matches) return null;
+
+    Object.entries(update.$set || {}).forEach(([path, value]) => { stored[path.split('.')[1]] = value; });
+    Object.entries(update.$inc || {}).forEach(([path, value]) => { stored[path.split('.')[1]] += value; });
+    return { apiUsage: { ...stored } };
+  });
+  return stored;
+};
+
+const usage = (overrides = {}) => ({
+  totalQueries: 10,
+  monthlyQueries: 2,
+  totalSpend: 1,
+  monthlySpend: 0.5,
+  totalExecutions: 30,
+  monthlyExecutions: 5,
+  lastResetDate: new Date(),
+  ...overrides
+});
+
+// Separate copies of one user, the way concurrent jobs each load their own
+const copies = (count, apiUsage) => {
+  const _id = new mongoose.Types.ObjectId();
+  return Array.from({ length: count }, () => User.hydrate({ _id, email: 'a@b.c', apiUsage: { ...apiUsage } }));
+};
+
+test('user usage: concurrent query counts from separate copies all land', async (t) => {
+  const stored = fakeStore(t, usage());
+  const users = copies(5, usage());
+
+  await Promise.all(users.flatMap((user) => [user.incrementQueryCount(0.25), user.incrementQueryCount(0.25)]));
+
+  assert.strictEqual(stored.monthlyQueries, 12);
+  assert.strictEqual(stored.totalQueries, 20);
+  assert.strictEqual(stored.monthlySpend, 3);
+  assert.strictEqual(stored.totalSpend, 3.5);
+});
+
+test('user usage: concurrent execution counts from separate copies all land', async (t) => {
+  const stored = fakeStore(t, usage());
+  const users = copies(4, usage());
+
+  await Promise.all(users.map((user, index) => user.incrementExecutionCount(index + 1)));
+
+  assert.strictEqual(stored.monthlyExecutions, 15);
+  assert.strictEqual(stored.totalExecutions, 40);
+  // The copy is kept current without being marked for save()
+  assert.strictEqual(users[3].apiUsage.totalExecutions, stored.totalExecutions);
+  assert.strictEqual(users[3].isModified('apiUsage.monthlyExecutions'), false);
+});
+
+test('user usage: the first count of a month starts the monthly counters over', async (t) => {
+  const lastMonth = new Date();
+  lastMonth.setMonth(lastMonth.getMonth() - 1);
+  const stored = fakeStore(t, usage({ lastResetDate: lastMonth }));
+  const [first, second] = copies(2, usage({ lastResetDate: lastMonth }));
+
+  await Promise.all([first.incrementQueryCount(0.5), second.incrementQueryCount(0.5)]);
+
+  assert.strictEqual(stored.monthlyQueries, 2);
+  assert.strictEqual(stored.totalQueries, 12);
+  assert.strictEqual(stored.monthlySpend, 1);
+  assert.strictEqual(stored.monthlyExecutions, 0);
+  assert.strictEqual(stored.totalExecutions, 30);
+  assert.ok(stored.lastResetDate > lastMonth);
+});